@@ -0,0 +1,302 @@
+/**
+ * @file Actuals tracker component
+ * @module components/analysis/ActualsTracker
+ * @description Monthly ledger for a property the user owns. Logs rent
+ * collected, vacancy, repairs, capex, operating expenses and mortgage
+ * payments per month, compares them with the buy & hold projection built
+ * from the current inputs, flags categories running off budget (e.g. repairs
+ * at 2x) and recalculates trailing-12-month NOI, cap rate and CoC from the
+ * actuals.
+ *
+ * The ledger is stored under the saved property in Firestore; persistence is
+ * handled by the parent page through the usePropertyLedger hook.
+ *
+ * @requires react
+ * @requires lucide-react
+ * @requires ../../utils/investmentCalculations
+ */
+import { useState, useMemo } from 'react';
+import { Save, Pencil, Trash2, Loader2, AlertTriangle } from 'lucide-react';
+import { CurrencyInput } from './Inputcomponents';
+import { LEDGER_CATEGORIES, compareActualsToProjection } from '../../utils/investmentCalculations';
+
+const emptyEntry = () => ({
+  month: new Date().toISOString().slice(0, 7),
+  ...Object.fromEntries(LEDGER_CATEGORIES.map(({ key }) => [key, 0])),
+  notes: ''
+});
+
+/**
+ * Actuals Tracker Component
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Object} props.inputs - Current calculation inputs (the projection)
+ * @param {Array<Object>} props.entries - Ledger months (see getPropertyLedger)
+ * @param {boolean} props.loading - True while the ledger loads or saves
+ * @param {string|null} props.error - Last ledger error message
+ * @param {Function} props.onSave - Create or replace a month (entry)
+ * @param {Function} props.onDelete - Delete a month (month)
+ * @returns {React.ReactElement} Ledger, variances and T12 returns
+ *
+ * @example
+ * <ActualsTracker
+ *   inputs={inputs}
+ *   entries={ledger}
+ *   onSave={saveMonth}
+ *   onDelete={deleteMonth}
+ * />
+ */
+export default function ActualsTracker({ inputs, entries, loading, error, onSave, onDelete }) {
+  const [entry, setEntry] = useState(emptyEntry);
+
+  const comparison = useMemo(() => compareActualsToProjection(inputs, entries), [inputs, entries]);
+  const { t12 } = comparison;
+
+  const formatCurrency = (value) => {
+    if (value === null || value === undefined || isNaN(value)) return 'N/A';
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: 'USD',
+      minimumFractionDigits: 0,
+      maximumFractionDigits: 0,
+    }).format(value);
+  };
+
+  const formatPercent = (value) => {
+    if (value === null || value === undefined || isNaN(value)) return 'N/A';
+    return `${Number(value).toFixed(2)}%`;
+  };
+
+  const flagClass = (flag) => {
+    if (flag === 'high') return 'bg-red-50 text-red-700 font-semibold';
+    if (flag === 'warning') return 'bg-yellow-50 text-yellow-800';
+    return '';
+  };
+
+  const update = (field, value) => setEntry(prev => ({ ...prev, [field]: value }));
+
+  // Failed writes are shown through `error`; keep the entry so it can be retried
+  const handleSave = async () => {
+    try {
+      await onSave(entry);
+      setEntry(emptyEntry());
+    } catch (err) {
+      console.error('Error saving actuals:', err);
+    }
+  };
+
+  const handleEdit = (month) => {
+    const saved = entries.find(e => e.month === month);
+    if (saved) setEntry({ ...emptyEntry(), ...saved });
+  };
+
+  const handleDelete = (month) => {
+    if (window.confirm(`Delete actuals for ${month}?`)) {
+      onDelete(month).catch(err => console.error('Error deleting actuals:', err));
+    }
+  };
+
+  const logged = entries.some(e => e.month === entry.month);
+
+  return (
+    <div className="max-w-7xl mx-auto p-6 space-y-6">
+      {/* Header */}
+      <div>
+        <h1 className="text-3xl font-bold text-gray-900 mb-2">Actuals</h1>
+        <p className="text-gray-600">
+          Log what this property actually collects and spends each month and track it against the projection.
+        </p>
+      </div>
+
+      {error && (
+        <div className="p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">{error}</div>
+      )}
+
+      {/* Log a Month */}
+      <div className="bg-white rounded-xl border border-gray-200 p-6 shadow-sm">
+        <h2 className="text-lg font-bold text-blue-600 mb-4">LOG A MONTH</h2>
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Month</label>
+            <input
+              type="month"
+              value={entry.month}
+              onChange={(e) => update('month', e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+          </div>
+          {LEDGER_CATEGORIES.map(({ key, label }) => (
+            <CurrencyInput key={key} label={label} value={entry[key]} onChange={(v) => update(key, v)} />
+          ))}
+          <div className="md:col-span-1">
+            <label className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
+            <input
+              type="text"
+              value={entry.notes}
+              onChange={(e) => update('notes', e.target.value)}
+              placeholder="e.g. Water heater replaced"
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+          </div>
+        </div>
+        <div className="flex items-center justify-end gap-3 mt-4">
+          {logged && <span className="text-sm text-gray-500">Replaces the figures already logged for {entry.month}</span>}
+          <button
+            onClick={handleSave}
+            disabled={loading || !entry.month}
+            className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 font-medium disabled:opacity-50"
+          >
+            <Save className="w-4 h-4" />
+            Save Month
+          </button>
+        </div>
+      </div>
+
+      {t12 && (
+        <>
+          {/* Variance Alerts */}
+          {comparison.alerts.length > 0 && (
+            <div className="space-y-2">
+              {comparison.alerts.map(alert => (
+                <div
+                  key={alert.key}
+                  className={`flex items-center gap-2 p-3 rounded-lg border text-sm ${
+                    alert.level === 'high' ? 'bg-red-50 border-red-200 text-red-700' : 'bg-yellow-50 border-yellow-200 text-yellow-800'
+                  }`}
+                >
+                  <AlertTriangle className="w-4 h-4 flex-shrink-0" />
+                  {alert.message} over the last {t12.months} month{t12.months === 1 ? '' : 's'}
+                </div>
+              ))}
+            </div>
+          )}
+
+          {/* Trailing 12 Months */}
+          <div className="bg-white rounded-xl border border-gray-200 p-6 shadow-sm">
+            <h2 className="text-lg font-bold text-blue-600 mb-1">TRAILING 12 MONTHS</h2>
+            <p className="text-sm text-gray-500 mb-4">
+              {t12.from} to {t12.to}
+              {t12.annualized && ` · ${t12.months} month${t12.months === 1 ? '' : 's'} logged, annualized`}
+            </p>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+              {[
+                { label: 'NOI', actual: formatCurrency(t12.noi), projected: formatCurrency(t12.projected.noi) },
+                { label: 'Cash Flow', actual: formatCurrency(t12.cashFlow), projected: formatCurrency(t12.projected.cashFlow) },
+                { label: 'Cap Rate', actual: formatPercent(t12.capRate), projected: formatPercent(t12.projected.capRate) },
+                { label: 'Cash-on-Cash', actual: formatPercent(t12.cashOnCash), projected: formatPercent(t12.projected.cashOnCash) }
+              ].map(card => (
+                <div key={card.label} className="p-4 rounded-lg border-2 border-gray-200">
+                  <div className="text-sm text-gray-600 mb-1">{card.label}</div>
+                  <div className="text-2xl font-bold text-gray-900">{card.actual}</div>
+                  <div className="text-xs text-gray-500">Projected {card.projected}</div>
+                </div>
+              ))}
+            </div>
+
+            <table className="w-full text-sm mt-6">
+              <thead>
+                <tr className="border-b text-gray-600">
+                  <th className="text-left py-2">Category</th>
+                  <th className="text-right py-2">Actual</th>
+                  <th className="text-right py-2">Projected</th>
+                  <th className="text-right py-2">Variance</th>
+                  <th className="text-right py-2">% of Projection</th>
+                </tr>
+              </thead>
+              <tbody>
+                {comparison.variances.map(row => (
+                  <tr key={row.key} className="border-b">
+                    <td className="py-2 text-gray-700">{row.label}</td>
+                    <td className="py-2 text-right">{formatCurrency(row.actual)}</td>
+                    <td className="py-2 text-right">{formatCurrency(row.budget)}</td>
+                    <td className="py-2 text-right">{formatCurrency(row.variance)}</td>
+                    <td className={`py-2 text-right ${flagClass(row.flag)}`}>
+                      {row.ratio === null ? 'N/A' : `${Math.round(row.ratio * 100)}%`}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+
+      {/* Monthly Ledger */}
+      <div className="bg-white rounded-xl border border-gray-200 p-6 shadow-sm">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-lg font-bold text-blue-600">MONTHLY LEDGER</h2>
+          {loading && <Loader2 className="w-4 h-4 animate-spin text-blue-600" />}
+        </div>
+        {comparison.months.length === 0 ? (
+          <p className="text-sm text-gray-500">
+            No months logged yet. Projection year 1 starts at the first month you log.
+          </p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b text-gray-600">
+                  <th className="text-left py-2">Month</th>
+                  {LEDGER_CATEGORIES.map(({ key, label }) => (
+                    <th key={key} className="text-right py-2 px-2">{label}</th>
+                  ))}
+                  <th className="text-right py-2 px-2">NOI</th>
+                  <th className="text-right py-2 px-2">Cash Flow</th>
+                  <th className="py-2 w-20"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {[...comparison.months].reverse().map(row => (
+                  <tr key={row.month} className="border-b">
+                    <td className="py-2 font-medium text-gray-900">{row.month}</td>
+                    {LEDGER_CATEGORIES.map(({ key }) => (
+                      <td
+                        key={key}
+                        className={`py-2 px-2 text-right ${flagClass(row.flags[key])}`}
+                        title={`Projected ${formatCurrency(row.budget[key])}`}
+                      >
+                        {formatCurrency(row.actual[key])}
+                      </td>
+                    ))}
+                    <td className="py-2 px-2 text-right" title={`Projected ${formatCurrency(row.budgetNoi)}`}>
+                      {formatCurrency(row.noi)}
+                    </td>
+                    <td
+                      className={`py-2 px-2 text-right ${row.cashFlow < 0 ? 'text-red-600' : 'text-green-600'}`}
+                      title={`Projected ${formatCurrency(row.budgetCashFlow)}`}
+                    >
+                      {formatCurrency(row.cashFlow)}
+                    </td>
+                    <td className="py-2 text-right">
+                      <button
+                        onClick={() => handleEdit(row.month)}
+                        className="p-1.5 rounded text-gray-500 hover:text-blue-600 hover:bg-blue-50"
+                        title="Edit"
+                      >
+                        <Pencil className="w-4 h-4" />
+                      </button>
+                      <button
+                        onClick={() => handleDelete(row.month)}
+                        disabled={loading}
+                        className="p-1.5 rounded text-gray-500 hover:text-red-600 hover:bg-red-50 disabled:opacity-50"
+                        title="Delete"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+        <p className="text-xs text-gray-500 mt-3">
+          Highlighted cells are more than 25% off the projection (red at 2x, or income 25% short). Hover a
+          cell to see the projected amount. NOI matches the projection: rent collected less repairs, capex and
+          operating expenses.
+        </p>
+      </div>
+    </div>
+  );
+}
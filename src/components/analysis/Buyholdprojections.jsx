@@ -9,9 +9,9 @@
  * - Rental Income: Gross rents, vacancy, operating income
  * - Operating Expenses: Taxes, insurance, management, maintenance, CapEx
  * - Cash Flow: NOI, debt service, pre-tax and post-tax cash flow
- * - Tax Benefits: Deductions (expenses, interest, depreciation)
+ * - Taxes: Deductions, passive losses, income tax and after-tax cash flow
  * - Equity Accumulation: Property value, loan balance, total equity
- * - Sale Analysis: Proceeds, cumulative cash flow, total profit
+ * - Sale Analysis: Proceeds, recapture and capital gains tax, total profit
  * - Investment Returns: Cap Rate, CoC, ROE, ROI, IRR
  * - Financial Ratios: Rent-to-value, GRM, DCR, Break-even, Debt yield, Equity multiple
  * 
@@ -20,11 +20,15 @@
  * - Rental income growth
  * - Operating expense inflation
  * - Monthly loan amortization
- * - 27.5-year straight-line depreciation
- * - Tax deductions and savings
+ * - 27.5-year straight-line depreciation on the purchase basis (land excluded),
+ *   or cost segregation with bonus depreciation when enabled
+ * - Passive loss limits with suspended loss carryforward
+ * - Depreciation recapture and capital gains tax on sale
  * - Cumulative cash flows
  * - Sale proceeds with selling costs
- * - IRR (Internal Rate of Return)
+ * - IRR, NPV and MIRR from dated cash flows (initial equity, yearly cash flow, sale)
+ * - After-tax IRR from after-tax cash flows and after-tax sale proceeds
+ * - Optional Monte Carlo simulation mode with percentile bands and fan charts
  * 
  * @requires react
  * @requires ../../utils/investmentCalculations
@@ -32,6 +36,9 @@
  * @version 1.0.0
  */
 import { useState } from 'react';
+import { calculateBuyHoldProjections, DEFAULTS } from '../../utils/investmentCalculations';
+import { CurrencyInput, PercentInput } from './Inputcomponents';
+import MonteCarloSimulation from './MonteCarloSimulation';
 
 /**
  * Simple SVG Line Chart Component
@@ -207,24 +214,28 @@ const SimpleLineChart = ({ data, title }) => {
  * - Property appreciates annually at specified rate
  * - Rental income grows annually
  * - Operating expenses inflate annually
- * - Loan amortizes monthly (principal + interest)
- * - Depreciation: 27.5-year straight-line (85% of value)
- * - Tax benefits: Deductions × 25% tax rate (simplified)
- * - Sale proceeds: Value - Loan - Selling costs
- * - IRR: Internal rate of return calculation
+ * - Loans follow their amortization schedules (IO periods, ARM resets, extra payments, balloons)
+ * - Depreciation: 27.5-year straight-line on the purchase basis less land
+ * - Income tax: Marginal federal + state rate; passive losses beyond the
+ *   allowance are suspended until income or sale
+ * - Sale proceeds: Value - Loan - Selling costs, less recapture and capital gains tax
+ * - IRR/NPV/MIRR: Solved from yearly cash flows plus sale proceeds in the exit year
  * 
  * SECTIONS DISPLAYED:
  * 1. Projection Settings (top cards)
  * 2. Rental Income table
  * 3. Operating Expenses table
  * 4. Cash Flow table
- * 5. Tax Benefits & Deductions table
+ * 5. Taxes table
  * 6. Equity Accumulation table
  * 7. Sale Analysis table
  * 8. Investment Returns table
  * 9. Financial Ratios table
  * 10. Charts: Cash Flow Over Time, Equity Over Time
  * 
+ * Simulation mode adds a Monte Carlo risk panel (see MonteCarloSimulation)
+ * above the tables; the deterministic projection below is unchanged.
+ * 
  * @component
  * @param {Object} props - Component props
  * @param {Object} props.property - Property data
@@ -233,7 +244,14 @@ const SimpleLineChart = ({ data, title }) => {
  * @param {number} props.inputs.incomeGrowthRate - Annual rent growth %
  * @param {number} props.inputs.expenseGrowthRate - Annual expense inflation %
  * @param {number} props.inputs.sellingCosts - Selling costs %
+ * @param {number} [props.inputs.discountRate] - NPV discount rate %
+ * @param {number} [props.inputs.financeRate] - MIRR finance rate %
+ * @param {number} [props.inputs.reinvestmentRate] - MIRR reinvestment rate %
+ * @param {number} [props.inputs.federalTaxRate] - Marginal federal tax rate %
+ * @param {number} [props.inputs.stateTaxRate] - Marginal state tax rate %
+ * @param {number} [props.inputs.landValuePercent] - Non-depreciable land share %
  * @param {Object} props.results - Analysis results from BuyRentHoldCalculator
+ * @param {Function} [props.onInputChange] - Callback to update return and tax assumptions
  * @returns {React.ReactElement} 30-year projections display
  * 
  * @example
@@ -243,12 +261,17 @@ const SimpleLineChart = ({ data, title }) => {
  *   results={analysisResults}
  * />
  */
-export default function BuyHoldProjections({ property, inputs, results }) {
+export default function BuyHoldProjections({ property, inputs, results, onInputChange }) {
    /**
    * Selected years to display in tables
    * Shows key milestones: 1, 2, 3, 5, 10, 20, 30
    */
   const [selectedYears] = useState([1, 2, 3, 5, 10, 20, 30]);
+
+  /**
+   * Show the Monte Carlo risk simulation
+   */
+  const [simulationMode, setSimulationMode] = useState(false);
     /**
    * Format number as USD currency
    * @function
@@ -293,199 +316,41 @@ export default function BuyHoldProjections({ property, inputs, results }) {
     );
   }
 
-   /**
-   * Calculate 30-year projections
-   * 
-   * COMPREHENSIVE PROJECTION ALGORITHM:
-   * 
-   * For each year (1-30):
-   * 1. Property Value: Previous value × (1 + appreciation rate)
-   * 2. Gross Rents: Starting rent × (1 + income growth)^(year-1)
-   * 3. Vacancy Loss: Gross rent × vacancy rate
-   * 4. Operating Income: Gross rent - vacancy
-   * 5. Operating Expenses: Each expense × (1 + expense growth)^(year-1)
-   * 6. NOI: Operating income - operating expenses
-   * 7. Loan Payments: Monthly payment × 12
-   * 8. Cash Flow: NOI - loan payments
-   * 9. Loan Amortization: Month-by-month principal/interest split
-   * 10. Tax Benefits: Depreciation + deductions × tax rate
-   * 11. Post-Tax Cash Flow: Cash flow + tax savings
-   * 12. Equity: Property value - loan balance
-   * 13. Sale Proceeds: Equity - selling costs
-   * 14. Investment Metrics: Cap rate, CoC, ROE, ROI, IRR
-   * 15. Financial Ratios: Rent-to-value, GRM, DCR, etc.
-   * 
-   * @function
-   * @returns {Array<Object>} Array of 30 yearly projection objects
-   * @returns {number} returns[].year - Year number (1-30)
-   * @returns {number} returns[].propertyValue - Property value
-   * @returns {number} returns[].grossRents - Annual gross rents
-   * @returns {number} returns[].operatingExpenses - Annual operating expenses
-   * @returns {number} returns[].noi - Net Operating Income
-   * @returns {number} returns[].cashFlow - Annual cash flow
-   * @returns {number} returns[].loanBalance - Remaining loan balance
-   * @returns {number} returns[].totalEquity - Equity position
-   * @returns {number} returns[].saleProceeds - Proceeds if sold this year
-   * @returns {number} returns[].cumulativeCashFlow - Total cash flow to date
-   * @returns {number} returns[].totalProfit - Total profit if sold this year
-   * @returns {number} returns[].capRatePurchase - Cap rate on purchase price
-   * @returns {number} returns[].cashOnCash - Cash-on-Cash return %
-   * @returns {number} returns[].irr - Internal Rate of Return %
-   * 
-   * @example
-   * const projections = calculateProjections();
-   * console.log(projections[4]); // Year 5 data
-   * // {
-   * //   year: 5,
-   * //   propertyValue: 289543,
-   * //   cashFlow: 6234,
-   * //   totalEquity: 94231,
-   * //   capRatePurchase: 7.2,
-   * //   ...
-   * // }
+    /**
+   * 30-year projection data
+   * Shared engine with saved-property summaries so IRR figures match
    */
-  const calculateProjections = () => {
-    const projections = [];
-    const appreciationRate = (inputs.appreciationRate || 3) / 100;
-    const incomeGrowthRate = (inputs.incomeGrowthRate || 2) / 100;
-    const expenseGrowthRate = (inputs.expenseGrowthRate || 2) / 100;
-
-    let propertyValue = results.propertyInfo.fairMarketValue || inputs.offerPrice || 0;
-    let loanBalance = results.financing?.firstMtg?.totalPrincipal || 0;
-    
-    const monthlyPayment = results.financing?.firstMtg?.monthlyPayment || 0;
-    const monthlyRate = (results.financing?.firstMtg?.rate || 7) / 100 / 12;
+  const projections = calculateBuyHoldProjections(inputs, results);
 
-    for (let year = 1; year <= 30; year++) {
-      // Property value with appreciation
-      propertyValue = propertyValue * (1 + appreciationRate);
-      
-      // Rental income with growth
-      const grossRents = (results.income?.grossRents || inputs.grossRents || 0) * Math.pow(1 + incomeGrowthRate, year - 1);
-      const vacancyLoss = grossRents * ((results.propertyInfo?.vacancyRate || inputs.vacancyRate || 5) / 100);
-      const operatingIncome = grossRents - vacancyLoss;
-      
-      // Operating expenses with growth
-      const propertyTaxes = (results.expenses?.propertyTaxes || inputs.propertyTaxes || 0) * Math.pow(1 + expenseGrowthRate, year - 1);
-      const insurance = (results.expenses?.insurance || inputs.insurance || 0) * Math.pow(1 + expenseGrowthRate, year - 1);
-      const propertyManagement = operatingIncome * ((results.propertyInfo?.managementRate || inputs.managementRate || 8) / 100);
-      const maintenance = grossRents * ((inputs.maintenancePercent || inputs.repairsPercent || 5) / 100);
-      const capEx = grossRents * ((inputs.capExPercent || 5) / 100);
-      
-      const operatingExpenses = propertyTaxes + insurance + propertyManagement + maintenance + capEx;
-      
-      // NOI and cash flow
-      const noi = operatingIncome - operatingExpenses;
-      const loanPayments = monthlyPayment * 12;
-      const cashFlow = noi - loanPayments;
-      
-      // Loan amortization
-      let yearlyPrincipal = 0;
-      let yearlyInterest = 0;
-      let startingBalance = loanBalance;
-      
-      for (let month = 1; month <= 12; month++) {
-        const interest = loanBalance * monthlyRate;
-        const principal = monthlyPayment - interest;
-        yearlyInterest += interest;
-        yearlyPrincipal += principal;
-        loanBalance = Math.max(0, loanBalance - principal);
-      }
-      
-      // Tax benefits
-      const depreciation = year <= 27.5 ? (propertyValue * 0.85) / 27.5 : 0;
-      const totalDeductions = operatingExpenses + yearlyInterest + depreciation;
-      
-      // Post-tax cash flow (simplified - assumes 25% tax rate)
-      const taxSavings = totalDeductions * 0.25;
-      const postTaxCashFlow = cashFlow + taxSavings;
-      
-      // Equity
-      const totalEquity = propertyValue - loanBalance;
-      
-      // Sale analysis
-      const sellingCosts = propertyValue * ((inputs.sellingCosts || 6) / 100);
-      const saleProceeds = propertyValue - sellingCosts - loanBalance;
-      const cumulativeCashFlow = projections.reduce((sum, p) => sum + p.cashFlow, 0) + cashFlow;
-      const totalCashInvested = results.cashRequirements?.totalCashRequired || 0;
-      const totalProfit = saleProceeds + cumulativeCashFlow - totalCashInvested;
-      
-      // Investment returns
-      const purchasePrice = results.purchase?.realPurchasePrice || inputs.offerPrice || propertyValue;
-      const capRatePurchase = purchasePrice > 0 ? (noi / purchasePrice) * 100 : 0;
-      const capRateMarket = propertyValue > 0 ? (noi / propertyValue) * 100 : 0;
-      const cashOnCash = totalCashInvested > 0 ? (cashFlow / totalCashInvested) * 100 : 0;
-      const returnOnEquity = totalEquity > 0 ? (cashFlow / totalEquity) * 100 : 0;
-      const roi = totalCashInvested > 0 ? ((cashFlow + yearlyPrincipal) / totalCashInvested) * 100 : 0;
-      
-      // Calculate IRR (simplified)
-      const totalReturn = totalCashInvested > 0 ? (saleProceeds + cumulativeCashFlow) / totalCashInvested : 0;
-      const irr = totalReturn > 0 ? (Math.pow(totalReturn, 1 / year) - 1) * 100 : 0;
-      
-      // Financial ratios
-      const rentToValue = propertyValue > 0 ? (grossRents / 12 / propertyValue) * 100 : 0;
-      const grm = grossRents > 0 ? propertyValue / grossRents : 0;
-      const dcr = loanPayments > 0 ? noi / loanPayments : 0;
-      const breakEvenRatio = operatingIncome > 0 ? ((operatingExpenses + loanPayments) / operatingIncome) * 100 : 0;
-      const debtYield = startingBalance > 0 ? (noi / startingBalance) * 100 : 0;
-      const equityMultiple = totalCashInvested > 0 ? (saleProceeds + cumulativeCashFlow) / totalCashInvested : 0;
-      
-      projections.push({
-        year,
-        grossRents,
-        vacancy: vacancyLoss,
-        vacancyRate: results.propertyInfo?.vacancyRate || inputs.vacancyRate || 5,
-        operatingIncome,
-        incomeIncrease: incomeGrowthRate * 100,
-        propertyTaxes,
-        insurance,
-        propertyManagement,
-        maintenance,
-        capEx,
-        operatingExpenses,
-        expenseIncrease: expenseGrowthRate * 100,
-        expenseRatio: operatingIncome > 0 ? (operatingExpenses / operatingIncome) * 100 : 0,
-        noi,
-        loanPayments,
-        cashFlow,
-        postTaxCashFlow,
-        operatingExpensesDeduction: operatingExpenses,
-        loanInterest: yearlyInterest,
-        depreciation,
-        totalDeductions,
-        propertyValue,
-        appreciation: appreciationRate * 100,
-        loanBalance,
-        ltvRatio: propertyValue > 0 ? (loanBalance / propertyValue) * 100 : 0,
-        totalEquity,
-        principalPaid: yearlyPrincipal,
-        sellingCosts,
-        saleProceeds,
-        cumulativeCashFlow,
-        totalCashInvested,
-        totalProfit,
-        capRatePurchase,
-        capRateMarket,
-        cashOnCash,
-        returnOnEquity,
-        roi,
-        irr,
-        rentToValue,
-        grm,
-        dcr,
-        breakEvenRatio,
-        debtYield,
-        equityMultiple
-      });
-    }
-
-    return projections;
-  };
+    /**
+   * Year mortgage insurance stops (PMI at 78% LTV, FHA MIP after 11 years), null if never
+   * @type {number|null}
+   */
+  const mortgageInsurance = results?.financing?.mortgageInsurance;
+  const mortgageInsuranceEndYear = mortgageInsurance?.type && projections.some(p => p.year > mortgageInsurance.months / 12 && p.mortgageInsurance === 0)
+    ? Math.floor(mortgageInsurance.months / 12) + 1
+    : null;
 
     /**
-   * 30-year projection data
+   * Years where the loan payment path changes (IO ends, ARM resets, payoff, balloon, mortgage insurance ends)
+   * Shown under the cash flow table since these years may fall between selected years.
+   * FHA MIP declines a little every year with the balance, so it is left out of the comparison.
+   * @type {Array<Object>}
    */
-  const projections = calculateProjections();
+  const paymentChanges = projections
+    .filter((p, i) => i > 0 && (
+      Math.abs((p.debtService - p.mortgageInsurance) - (projections[i - 1].debtService - projections[i - 1].mortgageInsurance)) > 1 ||
+      p.balloonPayment > 0 ||
+      p.year === mortgageInsuranceEndYear
+    ))
+    .map((p) => ({
+      year: p.year,
+      previous: projections[p.year - 2].debtService,
+      debtService: p.debtService,
+      cashFlow: p.cashFlow,
+      balloonPayment: p.balloonPayment,
+      mortgageInsuranceEnds: p.year === mortgageInsuranceEndYear
+    }));
 
    /**
    * Cash flow chart data
@@ -547,31 +412,44 @@ export default function BuyHoldProjections({ property, inputs, results }) {
 
   return (
     <div className="max-w-7xl mx-auto p-6">
-      {/* Header - Simplified, no buttons */}
-      <div className="mb-6">
-        <h1 className="text-3xl font-bold text-gray-900 mb-2">Buy & Hold Projections</h1>
-        <p className="text-gray-600">
-          These projections show how this property will perform as a rental in the future.
-        </p>
+      {/* Header */}
+      <div className="mb-6 flex items-start justify-between">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900 mb-2">Buy & Hold Projections</h1>
+          <p className="text-gray-600">
+            These projections show how this property will perform as a rental in the future.
+          </p>
+        </div>
+        <label className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={simulationMode}
+            onChange={(e) => setSimulationMode(e.target.checked)}
+            className="w-4 h-4 text-blue-600 rounded"
+          />
+          Simulation Mode
+        </label>
       </div>
 
+      {simulationMode && <MonteCarloSimulation inputs={inputs} results={results} />}
+
       {/* Projection Settings */}
       <div className="grid grid-cols-4 gap-4 mb-6">
         <div className="bg-blue-50 p-4 rounded-lg border border-blue-200">
           <div className="text-sm text-blue-600 mb-1">APPRECIATION</div>
-          <div className="text-2xl font-bold text-blue-900">{inputs.appreciationRate || 3}% Per Year</div>
+          <div className="text-2xl font-bold text-blue-900">{inputs.appreciationRate ?? 3}% Per Year</div>
         </div>
         <div className="bg-blue-50 p-4 rounded-lg border border-blue-200">
           <div className="text-sm text-blue-600 mb-1">INCOME INCREASE</div>
-          <div className="text-2xl font-bold text-blue-900">{inputs.incomeGrowthRate || 2}% Per Year</div>
+          <div className="text-2xl font-bold text-blue-900">{inputs.incomeGrowthRate ?? 2}% Per Year</div>
         </div>
         <div className="bg-blue-50 p-4 rounded-lg border border-blue-200">
           <div className="text-sm text-blue-600 mb-1">EXPENSE INCREASE</div>
-          <div className="text-2xl font-bold text-blue-900">{inputs.expenseGrowthRate || 2}% Per Year</div>
+          <div className="text-2xl font-bold text-blue-900">{inputs.expenseGrowthRate ?? 2}% Per Year</div>
         </div>
         <div className="bg-blue-50 p-4 rounded-lg border border-blue-200">
           <div className="text-sm text-blue-600 mb-1">SELLING COSTS</div>
-          <div className="text-2xl font-bold text-blue-900">{inputs.sellingCosts || 6}% of Price</div>
+          <div className="text-2xl font-bold text-blue-900">{inputs.sellingCosts ?? 6}% of Price</div>
         </div>
       </div>
 
@@ -714,6 +592,14 @@ export default function BuyHoldProjections({ property, inputs, results }) {
               <div key={year} className="text-right">- {formatCurrency(projections[year-1].loanPayments)}</div>
             ))}
           </div>
+          {mortgageInsurance?.type && (
+            <div className="grid grid-cols-8 gap-2 py-2 border-b text-sm text-gray-600">
+              <div className="pl-4">incl. {mortgageInsurance.type === 'fha' ? 'FHA MIP' : 'PMI'}:</div>
+              {selectedYears.map(year => (
+                <div key={year} className="text-right">{formatCurrency(projections[year-1].mortgageInsurance)}</div>
+              ))}
+            </div>
+          )}
           <div className="grid grid-cols-8 gap-2 py-2 bg-blue-50">
             <div className="font-bold text-blue-600">Cash Flow:</div>
             {selectedYears.map(year => {
@@ -732,11 +618,28 @@ export default function BuyHoldProjections({ property, inputs, results }) {
             ))}
           </div>
         </div>
+
+        {/* Payment changes from IO periods ending, ARM resets and balloons */}
+        {paymentChanges.length > 0 && (
+          <div className="mt-4 p-3 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800">
+            <div className="font-medium mb-1">Loan payment changes:</div>
+            <ul className="space-y-0.5">
+              {paymentChanges.map(change => (
+                <li key={change.year}>
+                  Year {change.year}: debt service {change.debtService > change.previous ? 'rises' : 'falls'} to{' '}
+                  {formatCurrency(change.debtService)}/yr (from {formatCurrency(change.previous)}), cash flow {formatCurrency(change.cashFlow)}
+                  {change.balloonPayment > 0 && ` including a ${formatCurrency(change.balloonPayment)} balloon payment`}
+                  {change.mortgageInsuranceEnds && ` as ${mortgageInsurance.type === 'fha' ? 'FHA MIP' : 'PMI'} drops off`}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
       </div>
 
-      {/* TAX BENEFITS & DEDUCTIONS */}
+      {/* TAXES */}
       <div className="bg-white rounded-lg border border-gray-200 p-6 mb-6">
-        <h2 className="text-xl font-bold text-blue-600 mb-4">TAX BENEFITS & DEDUCTIONS</h2>
+        <h2 className="text-xl font-bold text-blue-600 mb-4">TAXES</h2>
         <div className="space-y-2">
           <div className="grid grid-cols-8 gap-2 py-2 border-b">
             <div>Operating Expenses:</div>
@@ -753,17 +656,131 @@ export default function BuyHoldProjections({ property, inputs, results }) {
           <div className="grid grid-cols-8 gap-2 py-2 border-b">
             <div>Depreciation:</div>
             {selectedYears.map(year => (
-              <div key={year} className="text-right">{formatCurrency(projections[year-1].depreciation)}</div>
+              <div key={year} className="text-right">
+                {formatCurrency(projections[year-1].depreciation)}
+                {projections[year-1].bonusDepreciation > 0 && (
+                  <div className="text-xs text-gray-500">
+                    Bonus: {formatCurrency(projections[year-1].bonusDepreciation)}
+                  </div>
+                )}
+              </div>
             ))}
           </div>
-          <div className="grid grid-cols-8 gap-2 py-2 bg-blue-50">
-            <div className="font-bold text-blue-600">Total Deductions:</div>
+          <div className="grid grid-cols-8 gap-2 py-2 border-b bg-gray-50">
+            <div className="font-bold">Total Deductions:</div>
             {selectedYears.map(year => (
-              <div key={year} className="text-right font-bold text-blue-600">
+              <div key={year} className="text-right font-bold">
                 = {formatCurrency(projections[year-1].totalDeductions)}
               </div>
             ))}
           </div>
+          <div className="grid grid-cols-8 gap-2 py-2 border-b">
+            <div>Taxable Income (Loss):</div>
+            {selectedYears.map(year => {
+              const taxable = projections[year-1].taxableIncome;
+              return (
+                <div key={year} className={`text-right ${taxable >= 0 ? '' : 'text-red-600'}`}>
+                  {formatCurrency(taxable)}
+                </div>
+              );
+            })}
+          </div>
+          <div className="grid grid-cols-8 gap-2 py-2 border-b">
+            <div>Suspended Passive Loss:</div>
+            {selectedYears.map(year => (
+              <div key={year} className="text-right">{formatCurrency(projections[year-1].suspendedLoss)}</div>
+            ))}
+          </div>
+          <div className="grid grid-cols-8 gap-2 py-2 border-b">
+            <div>Income Tax (Savings):</div>
+            {selectedYears.map(year => {
+              const tax = projections[year-1].incomeTax;
+              return (
+                <div key={year} className={`text-right ${tax > 0 ? 'text-red-600' : 'text-green-600'}`}>
+                  {tax > 0 ? '- ' : '+ '}{formatCurrency(Math.abs(tax))}
+                </div>
+              );
+            })}
+          </div>
+          <div className="grid grid-cols-8 gap-2 py-2 bg-blue-50">
+            <div className="font-bold text-blue-600">After-Tax Cash Flow:</div>
+            {selectedYears.map(year => {
+              const cf = projections[year-1].postTaxCashFlow;
+              return (
+                <div key={year} className={`text-right font-bold ${cf >= 0 ? 'text-blue-600' : 'text-red-600'}`}>
+                  = {formatCurrency(cf)}
+                </div>
+              );
+            })}
+          </div>
+        </div>
+
+        {/* Tax Assumptions */}
+        <div className="mt-6 pt-4 border-t border-gray-200">
+          <div className="text-sm text-gray-600 mb-3">
+            Defaults come from your investor profile. Losses beyond the passive loss allowance are
+            carried forward and released when the property is sold.
+          </div>
+          <div className="grid grid-cols-3 lg:grid-cols-6 gap-4">
+            <PercentInput
+              label="Federal Rate"
+              value={inputs.federalTaxRate ?? DEFAULTS.federalTaxRate}
+              onChange={(value) => onInputChange?.('federalTaxRate', value)}
+              disabled={!onInputChange}
+            />
+            <PercentInput
+              label="State Rate"
+              value={inputs.stateTaxRate ?? DEFAULTS.stateTaxRate}
+              onChange={(value) => onInputChange?.('stateTaxRate', value)}
+              disabled={!onInputChange}
+            />
+            <PercentInput
+              label="Capital Gains Rate"
+              value={inputs.capitalGainsRate ?? DEFAULTS.capitalGainsRate}
+              onChange={(value) => onInputChange?.('capitalGainsRate', value)}
+              disabled={!onInputChange}
+            />
+            <PercentInput
+              label="Recapture Rate"
+              value={inputs.recaptureRate ?? DEFAULTS.recaptureRate}
+              onChange={(value) => onInputChange?.('recaptureRate', value)}
+              disabled={!onInputChange}
+            />
+            <PercentInput
+              label="Land Value"
+              value={inputs.landValuePercent ?? DEFAULTS.landValuePercent}
+              onChange={(value) => onInputChange?.('landValuePercent', value)}
+              disabled={!onInputChange}
+            />
+            <CurrencyInput
+              label="Modified AGI"
+              value={inputs.modifiedAGI ?? DEFAULTS.modifiedAGI}
+              onChange={(value) => onInputChange?.('modifiedAGI', value)}
+              disabled={!onInputChange}
+            />
+          </div>
+          <div className="flex gap-6 mt-3 text-sm text-gray-700">
+            <label className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={inputs.activeParticipation ?? true}
+                onChange={(e) => onInputChange?.('activeParticipation', e.target.checked)}
+                disabled={!onInputChange}
+                className="w-4 h-4 text-blue-600 rounded"
+              />
+              Active participant
+            </label>
+            <label className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={inputs.realEstateProfessional ?? false}
+                onChange={(e) => onInputChange?.('realEstateProfessional', e.target.checked)}
+                disabled={!onInputChange}
+                className="w-4 h-4 text-blue-600 rounded"
+              />
+              Real estate professional
+            </label>
+          </div>
         </div>
       </div>
 
@@ -815,7 +832,7 @@ export default function BuyHoldProjections({ property, inputs, results }) {
             ))}
           </div>
           <div className="grid grid-cols-8 gap-2 py-2 border-b">
-            <div>Selling Costs ({inputs.sellingCosts || 6}%):</div>
+            <div>Selling Costs ({inputs.sellingCosts ?? 6}%):</div>
             {selectedYears.map(year => (
               <div key={year} className="text-right">- {formatCurrency(projections[year-1].sellingCosts)}</div>
             ))}
@@ -828,6 +845,31 @@ export default function BuyHoldProjections({ property, inputs, results }) {
               </div>
             ))}
           </div>
+          <div className="grid grid-cols-8 gap-2 py-2 border-b">
+            <div>Taxes on Sale:</div>
+            {selectedYears.map(year => (
+              <div key={year} className="text-right">
+                - {formatCurrency(projections[year-1].saleTax)}
+                <div className="text-xs text-gray-500">
+                  Recapture: {formatCurrency(projections[year-1].recaptureTax)}
+                </div>
+                <div className="text-xs text-gray-500">
+                  Cap Gains: {formatCurrency(projections[year-1].capitalGainsTax)}
+                </div>
+                <div className="text-xs text-gray-500">
+                  State: {formatCurrency(projections[year-1].stateTax)}
+                </div>
+              </div>
+            ))}
+          </div>
+          <div className="grid grid-cols-8 gap-2 py-2 bg-blue-50">
+            <div className="font-bold text-blue-600">After-Tax Proceeds:</div>
+            {selectedYears.map(year => (
+              <div key={year} className="text-right font-bold text-blue-600">
+                = {formatCurrency(projections[year-1].afterTaxSaleProceeds)}
+              </div>
+            ))}
+          </div>
           <div className="grid grid-cols-8 gap-2 py-2 border-b">
             <div>Cumulative Cash Flow:</div>
             {selectedYears.map(year => (
@@ -907,13 +949,73 @@ export default function BuyHoldProjections({ property, inputs, results }) {
             {selectedYears.map(year => {
               const irr = projections[year-1].irr;
               return (
-                <div key={year} className={`text-right font-bold ${irr >= 0 ? 'text-blue-600' : 'text-red-600'}`}>
-                  {formatPercent(irr)}
+                <div key={year} className={`text-right font-bold ${irr === null || irr >= 0 ? 'text-blue-600' : 'text-red-600'}`}>
+                  {irr === null ? 'N/A' : formatPercent(irr)}
+                </div>
+              );
+            })}
+          </div>
+          <div className="grid grid-cols-8 gap-2 py-2 border-b">
+            <div>After-Tax IRR:</div>
+            {selectedYears.map(year => {
+              const afterTaxIrr = projections[year-1].afterTaxIrr;
+              return (
+                <div key={year} className={`text-right ${afterTaxIrr === null || afterTaxIrr >= 0 ? '' : 'text-red-600'}`}>
+                  {afterTaxIrr === null ? 'N/A' : formatPercent(afterTaxIrr)}
+                </div>
+              );
+            })}
+          </div>
+          <div className="grid grid-cols-8 gap-2 py-2 border-b">
+            <div>Modified IRR (MIRR):</div>
+            {selectedYears.map(year => {
+              const mirr = projections[year-1].mirr;
+              return (
+                <div key={year} className={`text-right ${mirr === null || mirr >= 0 ? '' : 'text-red-600'}`}>
+                  {mirr === null ? 'N/A' : formatPercent(mirr)}
+                </div>
+              );
+            })}
+          </div>
+          <div className="grid grid-cols-8 gap-2 py-2">
+            <div>Net Present Value:</div>
+            {selectedYears.map(year => {
+              const npv = projections[year-1].npv;
+              return (
+                <div key={year} className={`text-right ${npv >= 0 ? '' : 'text-red-600'}`}>
+                  {formatCurrency(npv)}
                 </div>
               );
             })}
           </div>
         </div>
+
+        {/* Return Assumptions */}
+        <div className="mt-6 pt-4 border-t border-gray-200">
+          <div className="text-sm text-gray-600 mb-3">
+            IRR, MIRR and NPV assume the property is sold at the end of each year shown.
+          </div>
+          <div className="grid grid-cols-3 gap-4 max-w-2xl">
+            <PercentInput
+              label="NPV Discount Rate"
+              value={inputs.discountRate ?? DEFAULTS.discountRate}
+              onChange={(value) => onInputChange?.('discountRate', value)}
+              disabled={!onInputChange}
+            />
+            <PercentInput
+              label="MIRR Finance Rate"
+              value={inputs.financeRate ?? DEFAULTS.financeRate}
+              onChange={(value) => onInputChange?.('financeRate', value)}
+              disabled={!onInputChange}
+            />
+            <PercentInput
+              label="MIRR Reinvestment Rate"
+              value={inputs.reinvestmentRate ?? DEFAULTS.reinvestmentRate}
+              onChange={(value) => onInputChange?.('reinvestmentRate', value)}
+              disabled={!onInputChange}
+            />
+          </div>
+        </div>
       </div>
 
       {/* FINANCIAL RATIOS */}
@@ -0,0 +1,219 @@
+/**
+ * @file Creative financing component
+ * @module components/analysis/CreativeFinancing
+ * @description Deal structure settings for creative-finance purchases: a new
+ * loan, taking the seller's existing mortgage subject-to (assumed balance,
+ * rate and remaining term, plus any arrears to reinstate), or a wrap-around
+ * note over it with the seller's spread income. Also edits the second
+ * mortgage, which can be a seller carry-back note with interest-only
+ * payments and a balloon. Shows cash to close and debt service for the
+ * chosen structure.
+ *
+ * @requires lucide-react
+ */
+import { Landmark, Repeat, Layers, AlertCircle } from 'lucide-react';
+import { CurrencyInput, PercentInput, NumberInput } from './Inputcomponents';
+
+const STRUCTURE_OPTIONS = [
+  { id: 'new-loan', label: 'New Loan', icon: Landmark },
+  { id: 'subject-to', label: 'Subject-To', icon: Repeat },
+  { id: 'wrap', label: 'Wrap-Around', icon: Layers }
+];
+
+/**
+ * Creative Financing Component
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Object} props.inputs - Current calculation inputs (financingStructure, existingMtg*, secondMtg*)
+ * @param {Function} props.onInputChange - Update a single input (field, value)
+ * @param {Object} [props.results] - Complete analysis for the current inputs (financing)
+ * @returns {React.ReactElement} Deal structure, existing mortgage and seller carry-back settings
+ *
+ * @example
+ * <CreativeFinancing inputs={inputs} onInputChange={onInputChange} results={results} />
+ */
+export default function CreativeFinancing({ inputs, onInputChange, results }) {
+  const structure = inputs?.financingStructure || 'new-loan';
+  const financing = results?.financing;
+  const secondMtg = financing?.secondMtg;
+  const hasSecond = (inputs?.secondMtgPrincipal || 0) > 0;
+
+  const formatCurrency = (value) => {
+    if (value === null || value === undefined || isNaN(value)) return 'N/A';
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: 'USD',
+      minimumFractionDigits: 0,
+      maximumFractionDigits: 0,
+    }).format(value);
+  };
+
+  return (
+    <div className="bg-white rounded-xl border border-gray-200 p-6 shadow-sm">
+      <h2 className="text-lg font-bold text-blue-600 mb-2">DEAL STRUCTURE</h2>
+      <div className="grid grid-cols-3 gap-3">
+        {STRUCTURE_OPTIONS.map(option => {
+          const Icon = option.icon;
+          return (
+            <button
+              key={option.id}
+              onClick={() => onInputChange('financingStructure', option.id)}
+              className={`flex items-center justify-center gap-2 px-4 py-2 rounded-lg font-medium ${
+                structure === option.id ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700'
+              }`}
+            >
+              <Icon className="w-4 h-4" />
+              {option.label}
+            </button>
+          );
+        })}
+      </div>
+      <p className="text-xs text-gray-500 mt-2">
+        {structure === 'subject-to' && 'You take over the seller\'s mortgage payments; the loan stays in their name. The down payment, rate and term above are replaced by the existing loan.'}
+        {structure === 'wrap' && 'The seller finances the purchase at the rate and term above and keeps paying their existing mortgage from your payments.'}
+        {structure === 'new-loan' && 'A new first mortgage at the down payment, rate and term above.'}
+      </p>
+
+      <div className="mt-5 space-y-5">
+        {structure !== 'new-loan' && (
+          <div className="p-4 border border-gray-200 rounded-lg">
+            <h3 className="text-sm font-semibold text-gray-900 mb-3">Seller's Existing Mortgage</h3>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+              <CurrencyInput
+                label="Current Balance"
+                value={inputs?.existingMtgBalance || 0}
+                onChange={(v) => onInputChange('existingMtgBalance', v)}
+              />
+              <PercentInput
+                label="Interest Rate"
+                value={inputs?.existingMtgRate ?? 4}
+                onChange={(v) => onInputChange('existingMtgRate', v)}
+              />
+              <NumberInput
+                label="Remaining Term"
+                value={inputs?.existingMtgRemainingYears || 25}
+                onChange={(v) => onInputChange('existingMtgRemainingYears', v)}
+                min={1}
+                max={40}
+                suffix="yrs"
+              />
+              {structure === 'subject-to' && (
+                <CurrencyInput
+                  label="Arrears to Reinstate"
+                  value={inputs?.existingMtgArrears || 0}
+                  onChange={(v) => onInputChange('existingMtgArrears', v)}
+                />
+              )}
+            </div>
+            {financing?.existingMtg && (
+              <p className="text-xs text-gray-500 mt-2">
+                Existing payment {formatCurrency(financing.existingMtg.monthlyPayment)}/mo (principal and interest).
+              </p>
+            )}
+            {financing?.existingMtg?.balance > 0 && financing.existingMtg.balance > (inputs?.offerPrice || 0) && (
+              <div className="flex items-start gap-2 mt-3 p-3 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800">
+                <AlertCircle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+                The existing balance is more than the purchase price.
+              </div>
+            )}
+          </div>
+        )}
+
+        {financing?.wrap && (
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3 text-sm">
+            <div className="p-3 bg-gray-50 rounded-lg">
+              <div className="text-gray-600">Wrap Payment</div>
+              <div className="font-semibold text-gray-900">{formatCurrency(financing.firstMtg.monthlyPayment)}/mo</div>
+              <div className="text-xs text-gray-500">{formatCurrency(financing.firstMtg.totalPrincipal)} note</div>
+            </div>
+            <div className="p-3 bg-gray-50 rounded-lg">
+              <div className="text-gray-600">Underlying Payment</div>
+              <div className="font-semibold text-gray-900">{formatCurrency(financing.wrap.underlyingPayment)}/mo</div>
+              <div className="text-xs text-gray-500">Paid by the seller</div>
+            </div>
+            <div className="p-3 bg-gray-50 rounded-lg">
+              <div className="text-gray-600">Seller Spread</div>
+              <div className={`font-semibold ${financing.wrap.monthlySpread >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                {formatCurrency(financing.wrap.monthlySpread)}/mo
+              </div>
+              <div className="text-xs text-gray-500">{financing.wrap.rateSpread.toFixed(2)}% rate spread</div>
+            </div>
+            <div className="p-3 bg-gray-50 rounded-lg">
+              <div className="text-gray-600">Equity Wrapped</div>
+              <div className="font-semibold text-gray-900">{formatCurrency(financing.wrap.equityWrapped)}</div>
+              <div className="text-xs text-gray-500">Note above the existing balance</div>
+            </div>
+          </div>
+        )}
+
+        <div className="p-4 border border-gray-200 rounded-lg">
+          <label className="flex items-center gap-2 text-sm font-medium text-gray-700 mb-3">
+            <input
+              type="checkbox"
+              checked={!!inputs?.secondMtgSellerCarry}
+              onChange={(e) => onInputChange('secondMtgSellerCarry', e.target.checked)}
+              className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+            />
+            Second mortgage is a seller carry-back note
+          </label>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            <CurrencyInput
+              label={inputs?.secondMtgSellerCarry ? 'Seller Note' : 'Second Mortgage'}
+              value={inputs?.secondMtgPrincipal || 0}
+              onChange={(v) => onInputChange('secondMtgPrincipal', v)}
+            />
+            <PercentInput
+              label="Interest Rate"
+              value={inputs?.secondMtgRate ?? 12}
+              onChange={(v) => onInputChange('secondMtgRate', v)}
+            />
+            <NumberInput
+              label="Amortization (0 = IO)"
+              value={inputs?.secondMtgAmortization ?? 30}
+              onChange={(v) => onInputChange('secondMtgAmortization', v)}
+              min={0}
+              max={50}
+              suffix="yrs"
+            />
+            <NumberInput
+              label="Balloon Due"
+              value={inputs?.secondMtgBalloonYears || 0}
+              onChange={(v) => onInputChange('secondMtgBalloonYears', v)}
+              min={0}
+              max={50}
+              suffix="yrs"
+            />
+          </div>
+          {hasSecond && secondMtg && (
+            <p className="text-xs text-gray-500 mt-2">
+              {formatCurrency(secondMtg.monthlyPayment)}/mo {secondMtg.interestOnly ? 'interest-only' : `amortized over ${secondMtg.amortization} years`}
+              {secondMtg.balloonMonth
+                ? `; ${formatCurrency(secondMtg.balloonAmount)} balloon due in year ${Math.ceil(secondMtg.balloonMonth / 12)}.`
+                : '; no balloon.'}
+            </p>
+          )}
+        </div>
+
+        {financing && (
+          <div className="grid grid-cols-2 gap-3 text-sm">
+            <div className="p-3 bg-gray-50 rounded-lg">
+              <div className="text-gray-600">Cash to Close</div>
+              <div className="font-semibold text-gray-900">{formatCurrency(financing.cashRequiredToClose)}</div>
+              {financing.existingMtg?.arrears > 0 && structure === 'subject-to' && (
+                <div className="text-xs text-gray-500">Includes {formatCurrency(financing.existingMtg.arrears)} arrears</div>
+              )}
+            </div>
+            <div className="p-3 bg-gray-50 rounded-lg">
+              <div className="text-gray-600">Debt Service</div>
+              <div className="font-semibold text-gray-900">
+                {formatCurrency(financing.firstMtg.monthlyPayment + financing.secondMtg.monthlyPayment + financing.interestOnly.monthlyPayment)}/mo
+              </div>
+              <div className="text-xs text-gray-500">All loans, before mortgage insurance</div>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,284 @@
+/**
+ * @file Equity waterfall component
+ * @module components/analysis/EquityWaterfall
+ * @description LP/GP partnership waterfall for co-invested deals. Edits the
+ * partnership terms (inputs.waterfall): GP co-invest, preferred return
+ * (simple or compounding), acquisition and asset management fees, and IRR
+ * hurdles with promote tiers. Splits the buy & hold projection's annual cash
+ * flows and sale proceeds between LP and GP and shows each partner's IRR,
+ * equity multiple and distributions by year.
+ *
+ * @requires react
+ * @requires lucide-react
+ * @requires ../../utils/investmentCalculations
+ */
+import { useMemo } from 'react';
+import { Plus, Trash2 } from 'lucide-react';
+import { PercentInput, NumberInput, InlineInput } from './Inputcomponents';
+import {
+  DEFAULTS,
+  DEFAULT_WATERFALL,
+  calculateBuyHoldProjections,
+  calculateEquityWaterfall
+} from '../../utils/investmentCalculations';
+
+/**
+ * Equity Waterfall Component
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Object} props.inputs - Current calculation inputs (waterfall, holdingPeriod)
+ * @param {Object} props.results - Complete analysis for the current inputs
+ * @param {Function} props.onInputChange - Update a single input (field, value)
+ * @returns {React.ReactElement} Partnership terms, LP/GP returns and distributions by year
+ *
+ * @example
+ * <EquityWaterfall inputs={inputs} results={results} onInputChange={handleInputChange} />
+ */
+export default function EquityWaterfall({ inputs, results, onInputChange }) {
+  const terms = useMemo(() => ({ ...DEFAULT_WATERFALL, ...(inputs?.waterfall || {}) }), [inputs?.waterfall]);
+  const holdingPeriod = inputs?.holdingPeriod || DEFAULTS.holdingPeriod;
+
+  const waterfall = useMemo(() => {
+    const projections = results ? calculateBuyHoldProjections(inputs, results, Math.min(30, holdingPeriod)) : [];
+    return calculateEquityWaterfall(inputs, projections);
+  }, [inputs, results, holdingPeriod]);
+
+  const formatCurrency = (value) => {
+    if (value === null || value === undefined || isNaN(value)) return 'N/A';
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: 'USD',
+      minimumFractionDigits: 0,
+      maximumFractionDigits: 0,
+    }).format(value);
+  };
+
+  const formatPercent = (value) => {
+    if (value === null || value === undefined || isNaN(value)) return 'N/A';
+    return `${Number(value).toFixed(2)}%`;
+  };
+
+  const formatMultiple = (value) => (value === null || value === undefined ? 'N/A' : `${value.toFixed(2)}x`);
+
+  const update = (field, value) => onInputChange('waterfall', { ...terms, [field]: value });
+
+  const updateTier = (index, field, value) => {
+    update('promoteTiers', terms.promoteTiers.map((tier, i) => (i === index ? { ...tier, [field]: value } : tier)));
+  };
+
+  const addTier = () => {
+    const last = terms.promoteTiers[terms.promoteTiers.length - 1];
+    update('promoteTiers', [
+      ...terms.promoteTiers,
+      last ? { hurdle: last.hurdle + 5, promote: Math.min(95, last.promote + 10) } : { hurdle: terms.preferredReturn, promote: 20 }
+    ]);
+  };
+
+  const removeTier = (index) => {
+    update('promoteTiers', terms.promoteTiers.filter((_, i) => i !== index));
+  };
+
+  return (
+    <div className="max-w-7xl mx-auto p-6 space-y-6">
+      {/* Header */}
+      <div>
+        <h1 className="text-3xl font-bold text-gray-900 mb-2">LP / GP Waterfall</h1>
+        <p className="text-gray-600">
+          Split the projected cash flows and sale proceeds between limited partners and the general partner.
+        </p>
+      </div>
+
+      {/* Partnership Terms */}
+      <div className="bg-white rounded-xl border border-gray-200 p-6 shadow-sm">
+        <h2 className="text-lg font-bold text-blue-600 mb-4">PARTNERSHIP TERMS</h2>
+        <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+          <PercentInput label="GP Co-Invest" value={terms.gpCoInvestPercent} onChange={(v) => update('gpCoInvestPercent', v)} />
+          <PercentInput label="Preferred Return" value={terms.preferredReturn} onChange={(v) => update('preferredReturn', v)} />
+          <PercentInput
+            label="Acquisition Fee (of price)"
+            value={terms.acquisitionFeePercent}
+            onChange={(v) => update('acquisitionFeePercent', v)}
+          />
+          <PercentInput
+            label="Asset Mgmt Fee (of equity)"
+            value={terms.assetManagementFeePercent}
+            onChange={(v) => update('assetManagementFeePercent', v)}
+          />
+          <NumberInput
+            label="Hold Period"
+            value={holdingPeriod}
+            onChange={(v) => onInputChange('holdingPeriod', v)}
+            min={1}
+            max={30}
+            allowDecimal={false}
+            suffix="yrs"
+          />
+        </div>
+        <label className="flex items-center gap-2 text-sm font-medium text-gray-700 mt-4">
+          <input
+            type="checkbox"
+            checked={!!terms.compoundPreferred}
+            onChange={(e) => update('compoundPreferred', e.target.checked)}
+            className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+          />
+          Compound unpaid preferred return
+        </label>
+
+        <div className="mt-6">
+          <h3 className="text-sm font-semibold text-gray-900 mb-2">Promote Tiers</h3>
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b text-gray-600">
+                <th className="text-left py-2">Investor IRR Above</th>
+                <th className="text-right py-2">GP Promote</th>
+                <th className="text-right py-2">LP / GP Split</th>
+                <th className="py-2 w-8"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {terms.promoteTiers.map((tier, index) => (
+                <tr key={index} className="border-b">
+                  <td className="py-2">
+                    <InlineInput type="percent" value={tier.hurdle} onChange={(v) => updateTier(index, 'hurdle', v)} suffix="%" />
+                  </td>
+                  <td className="py-2 text-right">
+                    <InlineInput type="percent" value={tier.promote} onChange={(v) => updateTier(index, 'promote', v)} suffix="%" className="justify-end" />
+                  </td>
+                  <td className="py-2 text-right text-gray-600">
+                    {((100 - tier.promote) * (1 - terms.gpCoInvestPercent / 100)).toFixed(0)} /{' '}
+                    {(tier.promote + (100 - tier.promote) * (terms.gpCoInvestPercent / 100)).toFixed(0)}
+                  </td>
+                  <td className="py-2 text-right">
+                    <button
+                      onClick={() => removeTier(index)}
+                      className="p-1.5 rounded text-gray-500 hover:text-red-600 hover:bg-red-50"
+                      title="Remove tier"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <button
+            onClick={addTier}
+            className="flex items-center gap-1 mt-2 text-sm text-blue-600 hover:text-blue-700 font-medium"
+          >
+            <Plus className="w-4 h-4" />
+            Add Tier
+          </button>
+          <p className="text-xs text-gray-500 mt-2">
+            Cash goes to preferred return, then return of capital, then pro rata until investors reach the first
+            hurdle. Above each hurdle the GP takes its promote and the rest is split by ownership.
+          </p>
+        </div>
+      </div>
+
+      {waterfall ? (
+        <>
+          {/* Returns */}
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {[
+              { label: 'Limited Partners', partner: waterfall.lp, sub: `${100 - terms.gpCoInvestPercent}% of equity` },
+              {
+                label: 'General Partner',
+                partner: waterfall.gp,
+                sub: `${formatCurrency(waterfall.gp.fees)} fees · ${formatCurrency(waterfall.gp.promote)} promote`
+              }
+            ].map(card => (
+              <div key={card.label} className="bg-white p-6 rounded-xl border border-gray-200 shadow-sm">
+                <div className="flex items-baseline justify-between mb-3">
+                  <h2 className="text-lg font-bold text-gray-900">{card.label}</h2>
+                  <span className="text-xs text-gray-500">{card.sub}</span>
+                </div>
+                <div className="grid grid-cols-4 gap-3 text-sm">
+                  <div>
+                    <div className="text-gray-600">IRR</div>
+                    <div className="text-xl font-bold text-blue-600">{formatPercent(card.partner.irr)}</div>
+                  </div>
+                  <div>
+                    <div className="text-gray-600">Multiple</div>
+                    <div className="text-xl font-bold text-gray-900">{formatMultiple(card.partner.equityMultiple)}</div>
+                  </div>
+                  <div>
+                    <div className="text-gray-600">Invested</div>
+                    <div className="font-semibold text-gray-900">{formatCurrency(card.partner.contributed)}</div>
+                  </div>
+                  <div>
+                    <div className="text-gray-600">Profit</div>
+                    <div className={`font-semibold ${card.partner.profit >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                      {formatCurrency(card.partner.profit)}
+                    </div>
+                  </div>
+                </div>
+              </div>
+            ))}
+          </div>
+
+          {/* Distributions by Year */}
+          <div className="bg-white rounded-xl border border-gray-200 p-6 shadow-sm">
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-lg font-bold text-blue-600">DISTRIBUTIONS</h2>
+              <span className="text-sm text-gray-600">
+                Equity {formatCurrency(waterfall.totalEquity)} · Project IRR {formatPercent(waterfall.projectIrr)}
+              </span>
+            </div>
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="border-b text-gray-600">
+                    <th className="text-left py-2">Year</th>
+                    <th className="text-right py-2 px-2">Cash Flow</th>
+                    <th className="text-right py-2 px-2">Sale Proceeds</th>
+                    <th className="text-right py-2 px-2">Asset Mgmt Fee</th>
+                    <th className="text-right py-2 px-2">Preferred</th>
+                    <th className="text-right py-2 px-2">Capital Returned</th>
+                    <th className="text-right py-2 px-2">GP Promote</th>
+                    <th className="text-right py-2 px-2">LP Total</th>
+                    <th className="text-right py-2 px-2">GP Total</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  <tr className="border-b text-gray-600">
+                    <td className="py-2 font-medium text-gray-900">0</td>
+                    <td className="py-2 px-2 text-right" colSpan={6}>
+                      Equity contributed{waterfall.acquisitionFee > 0 && ` (incl. ${formatCurrency(waterfall.acquisitionFee)} acquisition fee to GP)`}
+                    </td>
+                    <td className="py-2 px-2 text-right font-semibold text-red-600">{formatCurrency(waterfall.lp.cashFlows[0])}</td>
+                    <td className="py-2 px-2 text-right font-semibold text-red-600">{formatCurrency(waterfall.gp.cashFlows[0])}</td>
+                  </tr>
+                  {waterfall.years.map(row => (
+                    <tr key={row.year} className="border-b">
+                      <td className="py-2 font-medium text-gray-900">{row.year}</td>
+                      <td className={`py-2 px-2 text-right ${row.cashFlow < 0 ? 'text-red-600' : ''}`}>{formatCurrency(row.cashFlow)}</td>
+                      <td className="py-2 px-2 text-right">{row.saleProceeds ? formatCurrency(row.saleProceeds) : '—'}</td>
+                      <td className="py-2 px-2 text-right">{formatCurrency(row.assetManagementFee)}</td>
+                      <td className="py-2 px-2 text-right">{formatCurrency(row.preferred)}</td>
+                      <td className="py-2 px-2 text-right">{formatCurrency(row.returnOfCapital)}</td>
+                      <td className="py-2 px-2 text-right">{row.promote > 0 ? formatCurrency(row.promote) : '—'}</td>
+                      <td className={`py-2 px-2 text-right font-semibold ${row.lpCashFlow < 0 ? 'text-red-600' : 'text-green-600'}`}>
+                        {formatCurrency(row.lpCashFlow)}
+                      </td>
+                      <td className={`py-2 px-2 text-right font-semibold ${row.gpCashFlow < 0 ? 'text-red-600' : 'text-green-600'}`}>
+                        {formatCurrency(row.gpCashFlow)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <p className="text-xs text-gray-500 mt-3">
+              Years with negative cash flow are capital calls funded by ownership share. GP totals include its
+              share of distributions, fees and promote. Unpaid preferred at sale:{' '}
+              {formatCurrency(waterfall.years[waterfall.years.length - 1].unpaidPreferred)}.
+            </p>
+          </div>
+        </>
+      ) : (
+        <p className="text-sm text-gray-500">Complete the purchase worksheet to project cash flows for the waterfall.</p>
+      )}
+    </div>
+  );
+}
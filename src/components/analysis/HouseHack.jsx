@@ -0,0 +1,238 @@
+/**
+ * @file House hacking component
+ * @module components/analysis/HouseHack
+ * @description Owner-occupied (house hack) settings for a small multifamily:
+ * which unit the owner lives in (its rent is excluded from income), how
+ * long they live there, what a similar place rents for elsewhere and an
+ * FHA loan option (3.5% down with upfront and annual MIP). Shows the
+ * effective housing cost against renting, and the projected cash flow
+ * before and after the switch to a full rental.
+ *
+ * @requires react
+ * @requires lucide-react
+ * @requires ../../utils/investmentCalculations
+ */
+import { useMemo } from 'react';
+import { Home, AlertCircle } from 'lucide-react';
+import { CurrencyInput, PercentInput, NumberInput } from './Inputcomponents';
+import { DEFAULTS, detectMultiFamily, calculateBuyHoldProjections } from '../../utils/investmentCalculations';
+
+/**
+ * House Hack Component
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Object} props.property - Property data (unit count detection)
+ * @param {Object} props.inputs - Current calculation inputs (ownerOccupied, ownerUnit, ownerOccupancyYears, comparableRent, loanProgram)
+ * @param {Function} props.onInputChange - Update a single input (field, value)
+ * @param {Object} [props.results] - Complete analysis for the current inputs (houseHack, financing)
+ * @returns {React.ReactElement} Owner-occupied settings, housing cost and move-out projection
+ *
+ * @example
+ * <HouseHack property={property} inputs={inputs} onInputChange={onInputChange} results={results} />
+ */
+export default function HouseHack({ property, inputs, onInputChange, results }) {
+  const enabled = !!inputs?.ownerOccupied;
+  const fha = inputs?.loanProgram === 'fha';
+  const houseHack = results?.houseHack;
+  const occupancyYears = inputs?.ownerOccupancyYears ?? DEFAULTS.ownerOccupancyYears;
+
+  // Unit types from the unit mix, otherwise numbered units from detection
+  const unitOptions = useMemo(() => {
+    const mix = (inputs?.unitMix || []).filter(type => type.count > 0 && type.name);
+    if (mix.length > 0) return mix.map(type => ({ value: type.name, label: `${type.name} (${type.count} units)` }));
+    const { units } = detectMultiFamily(property, inputs);
+    return Array.from({ length: units }, (_, i) => ({ value: `Unit ${i + 1}`, label: `Unit ${i + 1}` }));
+  }, [property, inputs]);
+
+  const projections = useMemo(
+    () => (enabled && results ? calculateBuyHoldProjections(inputs, results, Math.min(30, occupancyYears + 2)) : []),
+    [enabled, inputs, results, occupancyYears]
+  );
+
+  const formatCurrency = (value) => {
+    if (value === null || value === undefined || isNaN(value)) return 'N/A';
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: 'USD',
+      minimumFractionDigits: 0,
+      maximumFractionDigits: 0,
+    }).format(value);
+  };
+
+  const handleToggle = (checked) => {
+    onInputChange('ownerOccupied', checked);
+    if (checked && !inputs?.ownerUnit) onInputChange('ownerUnit', unitOptions[0]?.value || 'Unit 1');
+  };
+
+  const handleFHA = (checked) => {
+    onInputChange('loanProgram', checked ? 'fha' : 'conventional');
+    onInputChange('firstMtgLTV', checked ? DEFAULTS.fhaLTV : DEFAULTS.ltv);
+  };
+
+  return (
+    <div className="bg-white rounded-xl border border-gray-200 p-6 shadow-sm">
+      <h2 className="text-lg font-bold text-blue-600 mb-2">HOUSE HACK</h2>
+      <label className="flex items-center gap-2 text-sm font-medium text-gray-700">
+        <input
+          type="checkbox"
+          checked={enabled}
+          onChange={(e) => handleToggle(e.target.checked)}
+          className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+        />
+        I'll live in one of the units (owner-occupied)
+      </label>
+
+      {enabled && (
+        <div className="mt-4 space-y-5">
+          {unitOptions.length < 2 && (
+            <div className="flex items-start gap-2 p-3 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800">
+              <AlertCircle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+              Only one unit detected. Living in it leaves no rental income until you move out.
+            </div>
+          )}
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Your Unit</label>
+              <select
+                value={inputs?.ownerUnit || unitOptions[0]?.value || ''}
+                onChange={(e) => onInputChange('ownerUnit', e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              >
+                {unitOptions.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+            <NumberInput
+              label="Years Living There"
+              value={occupancyYears}
+              onChange={(v) => onInputChange('ownerOccupancyYears', v)}
+              min={1}
+              max={30}
+              allowDecimal={false}
+              suffix="yrs"
+            />
+            <CurrencyInput
+              label="Rent Elsewhere (monthly)"
+              value={inputs?.comparableRent || 0}
+              onChange={(v) => onInputChange('comparableRent', v)}
+            />
+          </div>
+
+          <div className="p-4 border border-gray-200 rounded-lg">
+            <label className="flex items-center gap-2 text-sm font-medium text-gray-700">
+              <input
+                type="checkbox"
+                checked={fha}
+                onChange={(e) => handleFHA(e.target.checked)}
+                className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+              />
+              FHA loan ({(100 - DEFAULTS.fhaLTV).toFixed(1)}% down with mortgage insurance)
+            </label>
+            {fha && (
+              <div className="grid grid-cols-2 gap-4 mt-3">
+                <PercentInput
+                  label="Upfront MIP (financed)"
+                  value={inputs?.fhaUpfrontMIP ?? DEFAULTS.fhaUpfrontMIP}
+                  onChange={(v) => onInputChange('fhaUpfrontMIP', v)}
+                />
+                <PercentInput
+                  label="Annual MIP"
+                  value={inputs?.fhaAnnualMIP ?? DEFAULTS.fhaAnnualMIP}
+                  onChange={(v) => onInputChange('fhaAnnualMIP', v)}
+                />
+              </div>
+            )}
+            {fha && results?.financing && (
+              <p className="text-xs text-gray-500 mt-2">
+                {formatCurrency(results.financing.firstMtg.upfrontMIP)} upfront MIP added to the loan;
+                {` ${formatCurrency(results.financing.mortgageInsurance.monthlyPremium)}/mo annual MIP`}
+                {results.financing.mortgageInsurance.months < results.financing.firstMtg.amortization * 12
+                  ? ` for ${results.financing.mortgageInsurance.months / 12} years.`
+                  : ' for the life of the loan.'}
+              </p>
+            )}
+          </div>
+
+          {houseHack && (
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-3 text-sm">
+              <div className="p-3 bg-gray-50 rounded-lg">
+                <div className="text-gray-600">Rent Given Up</div>
+                <div className="font-semibold text-gray-900">{formatCurrency(houseHack.ownerUnitRent)}/mo</div>
+                <div className="text-xs text-gray-500">{houseHack.ownerUnit}</div>
+              </div>
+              <div className="p-3 bg-gray-50 rounded-lg">
+                <div className="text-gray-600">Effective Housing Cost</div>
+                <div className={`font-semibold ${houseHack.effectiveHousingCost <= 0 ? 'text-green-600' : 'text-gray-900'}`}>
+                  {formatCurrency(houseHack.effectiveHousingCost)}/mo
+                </div>
+                <div className="text-xs text-gray-500">
+                  {formatCurrency(houseHack.netHousingCost)}/mo after principal paydown
+                </div>
+              </div>
+              <div className="p-3 bg-gray-50 rounded-lg">
+                <div className="text-gray-600">vs. Renting Elsewhere</div>
+                <div className={`font-semibold ${houseHack.monthlySavings >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                  {houseHack.monthlySavings >= 0 ? 'Save ' : 'Pay '}{formatCurrency(Math.abs(houseHack.monthlySavings))}/mo
+                </div>
+                <div className="text-xs text-gray-500">Rent {formatCurrency(houseHack.comparableRent)}/mo</div>
+              </div>
+              <div className="p-3 bg-gray-50 rounded-lg">
+                <div className="text-gray-600">After Move-Out</div>
+                <div className={`font-semibold ${houseHack.fullRentalCashFlow >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                  {formatCurrency(houseHack.fullRentalCashFlow)}/mo
+                </div>
+                <div className="text-xs text-gray-500">Cash flow as a full rental</div>
+              </div>
+            </div>
+          )}
+
+          {projections.length > 0 && (
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="border-b text-gray-600">
+                    <th className="text-left py-2">Year</th>
+                    <th className="text-left py-2">Status</th>
+                    <th className="text-right py-2">Gross Rents</th>
+                    <th className="text-right py-2">Debt Service</th>
+                    <th className="text-right py-2">Cash Flow</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {projections.map(row => (
+                    <tr key={row.year} className="border-b">
+                      <td className="py-2 font-medium text-gray-900">{row.year}</td>
+                      <td className="py-2">
+                        {row.ownerOccupied ? (
+                          <span className="inline-flex items-center gap-1 text-blue-700">
+                            <Home className="w-3.5 h-3.5" />
+                            Owner-occupied
+                          </span>
+                        ) : (
+                          <span className="text-gray-600">Full rental</span>
+                        )}
+                      </td>
+                      <td className="py-2 text-right">{formatCurrency(row.grossRents)}</td>
+                      <td className="py-2 text-right">{formatCurrency(row.debtService)}</td>
+                      <td className={`py-2 text-right ${row.cashFlow < 0 ? 'text-red-600' : 'text-green-600'}`}>
+                        {formatCurrency(row.cashFlow)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          <p className="text-xs text-gray-500">
+            Your unit's rent is left out of income while you live there; the projection rents it from year{' '}
+            {occupancyYears + 1}. FHA loans usually require living in the property for at least a year.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,271 @@
+/**
+ * @file Monte Carlo simulation component
+ * @module components/analysis/MonteCarloSimulation
+ * @description Risk view for the buy & hold projections. Draws appreciation,
+ * income growth, expense growth and vacancy from normal distributions over
+ * many runs and shows percentile bands for cash flow, equity and IRR as fan
+ * charts, plus the probability of negative cash flow and of a loss at sale.
+ *
+ * Runs are seeded, so the same settings always produce the same results.
+ *
+ * @requires react
+ * @requires ../../utils/investmentCalculations
+ */
+import { useState } from 'react';
+import { Play } from 'lucide-react';
+import { simulateBuyHold, DEFAULTS } from '../../utils/investmentCalculations';
+import { PercentInput, NumberInput } from './Inputcomponents';
+
+const VARIABLES = [
+  { key: 'appreciationRate', label: 'Appreciation', stdDev: 'appreciationStdDev' },
+  { key: 'incomeGrowthRate', label: 'Income Growth', stdDev: 'incomeGrowthStdDev' },
+  { key: 'expenseGrowthRate', label: 'Expense Growth', stdDev: 'expenseGrowthStdDev' },
+  { key: 'vacancyRate', label: 'Vacancy', stdDev: 'vacancyStdDev' }
+];
+
+/**
+ * SVG Fan Chart Component
+ *
+ * Draws the 10th-90th and 25th-75th percentile bands as shaded areas with
+ * the median as a line.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {string} props.title - Chart title
+ * @param {Array<Object>} props.bands - Per-year { p10, p25, p50, p75, p90 }
+ * @param {string} props.color - Band and line color
+ * @param {Function} props.formatValue - Y-axis label formatter
+ * @returns {React.ReactElement} SVG fan chart
+ */
+const FanChart = ({ title, bands, color, formatValue }) => {
+  const width = 800;
+  const height = 260;
+  const padding = 50;
+
+  const allValues = bands.flatMap(b => [b.p10, b.p90]).filter(v => v !== null);
+  const maxValue = Math.max(...allValues, 0);
+  const minValue = Math.min(...allValues, 0);
+  const range = maxValue - minValue || 1;
+
+  const scaleY = (value) => height - padding - ((value - minValue) / range) * (height - 2 * padding);
+  const scaleX = (index) => padding + (bands.length > 1 ? index / (bands.length - 1) : 0.5) * (width - 2 * padding);
+
+  const area = (upper, lower) => {
+    const top = bands.map((b, i) => `${scaleX(i)},${scaleY(b[upper] ?? 0)}`);
+    const bottom = bands.map((b, i) => `${scaleX(i)},${scaleY(b[lower] ?? 0)}`).reverse();
+    return [...top, ...bottom].join(' ');
+  };
+  const median = bands.map((b, i) => `${i === 0 ? 'M' : 'L'} ${scaleX(i)} ${scaleY(b.p50 ?? 0)}`).join(' ');
+  const labelEvery = bands.length > 10 ? 5 : 1;
+
+  return (
+    <div className="w-full overflow-x-auto">
+      <div className="text-sm font-medium text-gray-700 mb-2">{title}</div>
+      <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-56 border border-gray-200 rounded bg-white" preserveAspectRatio="xMidYMid meet">
+        {[0, 0.25, 0.5, 0.75, 1].map((percent) => {
+          const value = minValue + percent * range;
+          const y = scaleY(value);
+          return (
+            <g key={percent}>
+              <line x1={padding} y1={y} x2={width - padding} y2={y} stroke="#e5e7eb" strokeWidth="1" />
+              <text x={padding - 5} y={y + 4} textAnchor="end" fontSize="10" fill="#6b7280">
+                {formatValue(value)}
+              </text>
+            </g>
+          );
+        })}
+        {minValue < 0 && (
+          <line x1={padding} y1={scaleY(0)} x2={width - padding} y2={scaleY(0)} stroke="#9ca3af" strokeWidth="1" strokeDasharray="4 4" />
+        )}
+
+        <polygon points={area('p90', 'p10')} fill={color} fillOpacity="0.15" />
+        <polygon points={area('p75', 'p25')} fill={color} fillOpacity="0.3" />
+        <path d={median} fill="none" stroke={color} strokeWidth="2" />
+
+        {bands.map((_, i) => ((i + 1) % labelEvery === 0 || i === 0) && (
+          <text key={i} x={scaleX(i)} y={height - padding + 20} textAnchor="middle" fontSize="10" fill="#6b7280">
+            Year {i + 1}
+          </text>
+        ))}
+      </svg>
+      <div className="flex gap-4 justify-center mt-2 text-xs text-gray-600">
+        <div className="flex items-center gap-2">
+          <div className="w-4 h-3" style={{ backgroundColor: color, opacity: 0.15 }} />10th-90th
+        </div>
+        <div className="flex items-center gap-2">
+          <div className="w-4 h-3" style={{ backgroundColor: color, opacity: 0.3 }} />25th-75th
+        </div>
+        <div className="flex items-center gap-2">
+          <div className="w-4 h-0.5" style={{ backgroundColor: color }} />Median
+        </div>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Monte Carlo Simulation Component
+ *
+ * Settings for each uncertain input (mean and standard deviation), the
+ * number of runs and the seed; results appear after "Run Simulation".
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Object} props.inputs - Calculation inputs
+ * @param {Object} props.results - Analysis results from BuyRentHoldCalculator
+ * @returns {React.ReactElement} Simulation settings, risk summary and fan charts
+ *
+ * @example
+ * <MonteCarloSimulation inputs={calculationInputs} results={analysisResults} />
+ */
+export default function MonteCarloSimulation({ inputs, results }) {
+  const [distributions, setDistributions] = useState(() => Object.fromEntries(VARIABLES.map(v => [v.key, {
+    mean: v.key === 'vacancyRate'
+      ? results?.propertyInfo?.vacancyRate ?? inputs.vacancyRate ?? DEFAULTS.vacancyRate
+      : inputs[v.key] ?? DEFAULTS[v.key],
+    stdDev: DEFAULTS[v.stdDev]
+  }])));
+  const [runs, setRuns] = useState(DEFAULTS.simulationRuns);
+  const [seed, setSeed] = useState(1);
+  const [simulation, setSimulation] = useState(null);
+
+  // A short-term rental's occupancy sets its revenue, so vacancy isn't simulated
+  const variables = inputs.rentalStrategy === 'str'
+    ? VARIABLES.filter(v => v.key !== 'vacancyRate')
+    : VARIABLES;
+
+  const formatCurrency = (value) => {
+    if (value === null || value === undefined || isNaN(value)) return '$0';
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: 'USD',
+      minimumFractionDigits: 0,
+      maximumFractionDigits: 0,
+    }).format(value);
+  };
+
+  const formatPercent = (value) => {
+    if (value === null || value === undefined || isNaN(value)) return 'N/A';
+    return `${value.toFixed(1)}%`;
+  };
+
+  const formatThousands = (value) => `$${(value / 1000).toFixed(0)}k`;
+
+  const handleDistributionChange = (key, field) => (value) => {
+    setDistributions(prev => ({ ...prev, [key]: { ...prev[key], [field]: value } }));
+  };
+
+  const handleRun = () => {
+    setSimulation(simulateBuyHold(inputs, results, { runs, seed, distributions }));
+  };
+
+  const horizon = simulation?.years.length || 0;
+  const exitRows = simulation ? [
+    { label: 'IRR', bands: simulation.exit.irr, format: formatPercent },
+    { label: 'Total Profit', bands: simulation.exit.totalProfit, format: formatCurrency },
+    { label: 'After-Tax Sale Proceeds', bands: simulation.exit.afterTaxSaleProceeds, format: formatCurrency },
+    { label: `Year ${horizon} Cash Flow`, bands: simulation.years[horizon - 1].cashFlow, format: formatCurrency },
+    { label: `Year ${horizon} Equity`, bands: simulation.years[horizon - 1].equity, format: formatCurrency }
+  ] : [];
+
+  return (
+    <div className="bg-white rounded-lg border border-gray-200 p-6 mb-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-bold text-blue-600">RISK SIMULATION</h2>
+        <button
+          onClick={handleRun}
+          className="px-4 py-2 bg-blue-600 text-white text-sm font-semibold rounded-lg hover:bg-blue-700 flex items-center gap-2"
+        >
+          <Play className="w-4 h-4" />
+          Run Simulation
+        </button>
+      </div>
+
+      {/* Distributions */}
+      <div className="grid grid-cols-5 gap-4 mb-6">
+        {variables.map(v => (
+          <div key={v.key} className="space-y-2">
+            <PercentInput label={`${v.label} Mean`} value={distributions[v.key].mean} onChange={handleDistributionChange(v.key, 'mean')} allowNegative={v.key !== 'vacancyRate'} />
+            <PercentInput label="Std. Deviation" value={distributions[v.key].stdDev} onChange={handleDistributionChange(v.key, 'stdDev')} />
+          </div>
+        ))}
+        <div className="space-y-2">
+          <NumberInput label="Runs" value={runs} onChange={setRuns} min={100} max={10000} allowNegative={false} allowDecimal={false} />
+          <NumberInput label="Seed" value={seed} onChange={setSeed} allowNegative={false} allowDecimal={false} />
+        </div>
+      </div>
+
+      {!simulation ? (
+        <p className="text-sm text-gray-500">
+          Each run draws its rates from these distributions and projects the property through the
+          {' '}{inputs.holdingPeriod || DEFAULTS.holdingPeriod}-year holding period. The same seed always gives the same results.
+        </p>
+      ) : (
+        <>
+          {/* Risk Summary */}
+          <div className="grid grid-cols-4 gap-4 mb-6">
+            <div className="bg-gray-50 p-4 rounded-lg">
+              <div className="text-sm text-gray-600 mb-1">NEGATIVE CASH FLOW</div>
+              <div className={`text-2xl font-bold ${simulation.probabilityNegativeCashFlow > 25 ? 'text-red-600' : 'text-gray-900'}`}>
+                {formatPercent(simulation.probabilityNegativeCashFlow)}
+              </div>
+              <div className="text-xs text-gray-500">of runs have a losing year</div>
+            </div>
+            <div className="bg-gray-50 p-4 rounded-lg">
+              <div className="text-sm text-gray-600 mb-1">LOSS AT SALE</div>
+              <div className={`text-2xl font-bold ${simulation.probabilityLoss > 10 ? 'text-red-600' : 'text-gray-900'}`}>
+                {formatPercent(simulation.probabilityLoss)}
+              </div>
+              <div className="text-xs text-gray-500">of runs lose money in year {horizon}</div>
+            </div>
+            <div className="bg-gray-50 p-4 rounded-lg">
+              <div className="text-sm text-gray-600 mb-1">MEDIAN IRR</div>
+              <div className="text-2xl font-bold text-blue-600">{formatPercent(simulation.exit.irr.p50)}</div>
+              <div className="text-xs text-gray-500">
+                {formatPercent(simulation.exit.irr.p10)} to {formatPercent(simulation.exit.irr.p90)} (10th-90th)
+              </div>
+            </div>
+            <div className="bg-gray-50 p-4 rounded-lg">
+              <div className="text-sm text-gray-600 mb-1">MEDIAN PROFIT</div>
+              <div className="text-2xl font-bold text-green-600">{formatCurrency(simulation.exit.totalProfit.p50)}</div>
+              <div className="text-xs text-gray-500">{simulation.runs.toLocaleString()} runs, seed {simulation.seed}</div>
+            </div>
+          </div>
+
+          {/* Fan Charts */}
+          <div className="space-y-6 mb-6">
+            <FanChart title="Annual Cash Flow" bands={simulation.years.map(y => y.cashFlow)} color="#3b82f6" formatValue={formatThousands} />
+            <FanChart title="Total Equity" bands={simulation.years.map(y => y.equity)} color="#10b981" formatValue={formatThousands} />
+            <FanChart title="IRR if Sold" bands={simulation.years.map(y => y.irr)} color="#8b5cf6" formatValue={(v) => `${v.toFixed(0)}%`} />
+          </div>
+
+          {/* Percentiles at Exit */}
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b text-gray-600">
+                  <th className="text-left py-2">At Sale (Year {horizon})</th>
+                  <th className="text-right py-2">10th</th>
+                  <th className="text-right py-2">25th</th>
+                  <th className="text-right py-2">Median</th>
+                  <th className="text-right py-2">75th</th>
+                  <th className="text-right py-2">90th</th>
+                </tr>
+              </thead>
+              <tbody>
+                {exitRows.map(row => (
+                  <tr key={row.label} className="border-b">
+                    <td className="py-2">{row.label}</td>
+                    {['p10', 'p25', 'p50', 'p75', 'p90'].map(p => (
+                      <td key={p} className={`text-right ${p === 'p50' ? 'font-semibold' : ''}`}>{row.format(row.bands[p])}</td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -4,10 +4,14 @@ import { BuyRentHoldCalculator } from '../../utils/investmentCalculations';
 
 import PurchaseRehabSection from './sections/PurchaseRehabSection';
 import FinancingSection from './sections/FinancingSection';
+import LoanSizingSection from './sections/LoanSizingSection';
+import BRRRRSection from './sections/BRRRRSection';
 import ValuationSection from './sections/ValuationSection';
 import CashFlowSection from './sections/CashFlowSection';
+import CostSegregationSection from './sections/CostSegregationSection';
 import InvestmentReturnsSection from './sections/InvestmentReturnsSection';
 import FinancialRatiosSection from './sections/FinancialRatiosSection';
+import SensitivitySection from './sections/SensitivitySection';
 import PurchaseCriteriaSection from './sections/PurchaseCriteriaSection';
 
 export default function PropertyAnalysisContent({ property, inputs, onInputChange, onSave, onResultsChange }) {
@@ -104,6 +108,18 @@ export default function PropertyAnalysisContent({ property, inputs, onInputChang
           onInputChange={onInputChange}
         />
 
+        <LoanSizingSection 
+          results={results}
+          inputs={inputs}
+          onInputChange={onInputChange}
+        />
+
+        <BRRRRSection 
+          results={results}
+          inputs={inputs}
+          onInputChange={onInputChange}
+        />
+
         <ValuationSection 
           results={results}
           inputs={inputs}
@@ -118,6 +134,12 @@ export default function PropertyAnalysisContent({ property, inputs, onInputChang
           onInputChange={onInputChange}
         />
 
+        <CostSegregationSection 
+          results={results}
+          inputs={inputs}
+          onInputChange={onInputChange}
+        />
+
         <InvestmentReturnsSection 
           results={results}
         />
@@ -126,8 +148,16 @@ export default function PropertyAnalysisContent({ property, inputs, onInputChang
           results={results}
         />
 
+        <SensitivitySection 
+          property={property}
+          results={results}
+          inputs={inputs}
+        />
+
         <PurchaseCriteriaSection 
           results={results}
+          property={property}
+          inputs={inputs}
         />
       </div>
     </div>
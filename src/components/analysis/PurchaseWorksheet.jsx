@@ -9,9 +9,14 @@
  * Key Features:
  * - Purchase price and After Repair Value (ARV) inputs
  * - Financing details (down payment, interest rate, loan term)
+ * - Deal structure (new loan, subject-to, wrap-around) and seller carry-back notes
+ * - House hacking (owner-occupied unit, FHA financing, effective housing cost)
  * - Itemized vs percentage-based closing costs
- * - Itemized vs total rehab costs
+ * - Itemized vs total rehab costs, with rehab items scheduled by month and
+ *   tied to rent lifts on renovated units (renovation downtime and staged lifts)
  * - Rental income and vacancy rate
+ * - Unit mix editor (rent by unit type, optional value-add plan to market)
+ * - Stabilized NOI and value at a target cap rate (forced appreciation)
  * - Operating expenses (taxes, insurance, management, maintenance, CapEx, HOA)
  * - Projection settings (appreciation, income/expense growth, selling costs)
  * - Reset to defaults functionality
@@ -35,7 +40,11 @@
 
 import { useState, useEffect, useCallback, useRef } from 'react';
 import { Plus, Trash2, Edit2, GripVertical, RotateCcw, Save, Info } from 'lucide-react';
-import { DEFAULTS } from '../../utils/investmentCalculations';
+import { DEFAULTS, DEFAULT_REHAB_ITEMS } from '../../utils/investmentCalculations';
+import UnitMixEditor from './UnitMixEditor';
+import HouseHack from './HouseHack';
+import CreativeFinancing from './CreativeFinancing';
+import { InlineInput } from './Inputcomponents';
 
 // =============================================================================
 // INPUT COMPONENTS - Use local state to allow full number entry
@@ -282,7 +291,7 @@ function NumberInput({ value, onChange, suffix = '', placeholder = '0' }) {
  * 
  * STATE MANAGEMENT:
  * - useFinancing: Toggle financing vs all-cash
- * - loanType: Amortizing vs interest-only
+ * - loanType: Amortizing, interest-only, IO-then-amortizing or ARM (inputs.firstMtgLoanType)
  * - itemizePurchaseCosts: Toggle percentage vs itemized closing costs
  * - itemizeRehabCosts: Toggle total vs itemized rehab
  * - purchaseCostItems: Array of itemized closing cost line items
@@ -300,6 +309,7 @@ function NumberInput({ value, onChange, suffix = '', placeholder = '0' }) {
  * @param {Object} props.property - Property data
  * @param {Object} props.inputs - Current input values from parent
  * @param {Function} props.onInputChange - Callback to update parent inputs
+ * @param {Object} [props.results] - Complete analysis for the current inputs (stabilized value, house hack)
  * @param {Function} [props.onSave] - Callback to save worksheet
  * @returns {React.ReactElement} Purchase worksheet form
  * 
@@ -311,7 +321,7 @@ function NumberInput({ value, onChange, suffix = '', placeholder = '0' }) {
  *   onSave={handleSaveAnalysis}
  * />
  */
-export default function PurchaseWorksheet({ property, inputs, onInputChange, onSave }) {
+export default function PurchaseWorksheet({ property, inputs, onInputChange, results, onSave }) {
  /**
    * Whether financing is enabled (vs all-cash)
    * @type {Array}
@@ -319,10 +329,12 @@ export default function PurchaseWorksheet({ property, inputs, onInputChange, onS
   const [useFinancing, setUseFinancing] = useState(true);
   
   /**
-   * Loan type selection (amortizing vs interest-only)
-   * @type {Array}
+   * Loan type selection (amortizing, interest-only, IO-then-amortizing, ARM)
+   * Stored in inputs.firstMtgLoanType so the calculator uses the payment path
+   * @type {string}
    */
-  const [loanType, setLoanType] = useState('amortizing');
+  const loanType = inputs?.firstMtgLoanType || 'amortizing';
+  const setLoanType = (type) => onInputChange('firstMtgLoanType', type);
   
   /**
    * Whether to itemize purchase/closing costs
@@ -338,9 +350,11 @@ export default function PurchaseWorksheet({ property, inputs, onInputChange, onS
   
   /**
    * Whether PMI (Private Mortgage Insurance) is enabled
-   * @type {Array}
+   * Stored in inputs.enablePMI so the calculator charges the premium
+   * @type {boolean}
    */
-  const [enablePMI, setEnablePMI] = useState(false);
+  const enablePMI = !!inputs?.enablePMI;
+  const setEnablePMI = (enabled) => onInputChange('enablePMI', enabled);
   
   /**
    * Initialization flag to prevent re-initialization
@@ -370,18 +384,7 @@ export default function PurchaseWorksheet({ property, inputs, onInputChange, onS
    * @property {string} [].name - Rehab item name
    * @property {number} [].value - Rehab item value
    */
-  const [rehabCostItems, setRehabCostItems] = useState([
-    { name: 'Roof', value: 0 },
-    { name: 'Exterior', value: 0 },
-    { name: 'Windows', value: 0 },
-    { name: 'Interior Paint', value: 0 },
-    { name: 'Flooring', value: 0 },
-    { name: 'Kitchen', value: 0 },
-    { name: 'Bathrooms', value: 0 },
-    { name: 'HVAC', value: 0 },
-    { name: 'Electrical', value: 0 },
-    { name: 'Plumbing', value: 0 }
-  ]);
+  const [rehabCostItems, setRehabCostItems] = useState(DEFAULT_REHAB_ITEMS.map(item => ({ ...item })));
 
 /**
    * Get purchase price from multiple sources
@@ -631,6 +634,31 @@ export default function PurchaseWorksheet({ property, inputs, onInputChange, onS
     onInputChange('itemizedRehabCosts', newItems);
   };
 
+  /**
+ * Handle itemized rehab schedule change
+ * 
+ * Updates when the item is done and the rent lift it brings: month, unit
+ * type, units renovated, rent increase per unit and months offline.
+ * Choosing a unit type fills in its unit count.
+ * 
+ * @function
+ * @param {number} index - Item index
+ * @param {string} field - month, unitType, units, rentIncrease or downtimeMonths
+ * @param {number|string} value - New value
+ */
+  const handleRehabScheduleChange = (index, field, value) => {
+    const newItems = rehabCostItems.map((item, i) => {
+      if (i !== index) return item;
+      const next = { ...item, [field]: value };
+      if (field === 'unitType' && !item.units) {
+        next.units = (inputs?.unitMix || []).find(type => type.name === value)?.count || 0;
+      }
+      return next;
+    });
+    setRehabCostItems(newItems);
+    onInputChange('itemizedRehabCosts', newItems);
+  };
+
   /**
  * Delete itemized rehab cost
  * 
@@ -714,7 +742,18 @@ export default function PurchaseWorksheet({ property, inputs, onInputChange, onS
       associationFees: 0,
       electricity: 0,
       itemizedPurchaseCosts: [],
-      itemizedRehabCosts: []
+      itemizedRehabCosts: [],
+      unitMix: [],
+      valueAddPlan: { enabled: false, months: 12 },
+      targetCapRate: 0,
+      ownerOccupied: false,
+      loanProgram: 'conventional',
+      enablePMI: false,
+      pmiRate: 0,
+      financingStructure: 'new-loan',
+      secondMtgPrincipal: 0,
+      secondMtgSellerCarry: false,
+      secondMtgBalloonYears: 0
     };
     
     Object.entries(defaults).forEach(([key, val]) => onInputChange(key, val));
@@ -729,18 +768,7 @@ export default function PurchaseWorksheet({ property, inputs, onInputChange, onS
       { name: 'Transfer Taxes', value: 0 },
       { name: 'Attorney Fees', value: 0 }
     ]);
-    setRehabCostItems([
-      { name: 'Roof', value: 0 },
-      { name: 'Exterior', value: 0 },
-      { name: 'Windows', value: 0 },
-      { name: 'Interior Paint', value: 0 },
-      { name: 'Flooring', value: 0 },
-      { name: 'Kitchen', value: 0 },
-      { name: 'Bathrooms', value: 0 },
-      { name: 'HVAC', value: 0 },
-      { name: 'Electrical', value: 0 },
-      { name: 'Plumbing', value: 0 }
-    ]);
+    setRehabCostItems(DEFAULT_REHAB_ITEMS.map(item => ({ ...item })));
   };
 
   /**
@@ -907,48 +935,141 @@ export default function PurchaseWorksheet({ property, inputs, onInputChange, onS
                 <span className="text-gray-500">=</span>
                 <span className="font-semibold">{formatCurrency(downPaymentAmount)}</span>
               </div>
-              <p className="text-xs text-gray-500 mt-1">{inputs?.firstMtgLTV || DEFAULTS.ltv}% Financed = {formatCurrency(loanAmount)}</p>
+              <p className="text-xs text-gray-500 mt-1">
+                {inputs?.firstMtgLTV || DEFAULTS.ltv}% Financed = {formatCurrency(loanAmount)}
+                {results?.financing?.firstMtg?.upfrontMIP > 0 && ` + ${formatCurrency(results.financing.firstMtg.upfrontMIP)} FHA upfront MIP`}
+              </p>
             </div>
 
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-2">Loan Type:</label>
-              <div className="flex gap-3">
-                <button
-                  onClick={() => setLoanType('amortizing')}
-                  className={`flex-1 px-4 py-2 rounded-lg font-medium ${
-                    loanType === 'amortizing' ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700'
-                  }`}
-                >
-                  Amortizing
-                </button>
-                <button
-                  onClick={() => setLoanType('interest-only')}
-                  className={`flex-1 px-4 py-2 rounded-lg font-medium ${
-                    loanType === 'interest-only' ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700'
-                  }`}
-                >
-                  Interest-Only
-                </button>
+              <div className="grid grid-cols-2 gap-3">
+                {[
+                  { id: 'amortizing', label: 'Amortizing' },
+                  { id: 'interest-only', label: 'Interest-Only' },
+                  { id: 'io-amortizing', label: 'IO then Amortizing' },
+                  { id: 'arm', label: 'Adjustable (ARM)' }
+                ].map(type => (
+                  <button
+                    key={type.id}
+                    onClick={() => setLoanType(type.id)}
+                    className={`px-4 py-2 rounded-lg font-medium ${
+                      loanType === type.id ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700'
+                    }`}
+                  >
+                    {type.label}
+                  </button>
+                ))}
               </div>
             </div>
 
             <div>
-              <label className="block text-sm font-medium text-gray-700 mb-1">Interest Rate:</label>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                {loanType === 'arm' ? 'Initial Interest Rate:' : 'Interest Rate:'}
+              </label>
               <PercentInput value={inputs?.firstMtgRate || DEFAULTS.interestRate} onChange={(v) => onInputChange('firstMtgRate', v)} />
             </div>
 
-            {loanType === 'amortizing' && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Loan Term:</label>
+              <NumberInput value={inputs?.firstMtgAmortization || DEFAULTS.amortization} onChange={(v) => onInputChange('firstMtgAmortization', v)} suffix="Years" />
+            </div>
+
+            {loanType === 'io-amortizing' && (
               <div>
-                <label className="block text-sm font-medium text-gray-700 mb-1">Loan Term:</label>
-                <NumberInput value={inputs?.firstMtgAmortization || DEFAULTS.amortization} onChange={(v) => onInputChange('firstMtgAmortization', v)} suffix="Years" />
+                <label className="block text-sm font-medium text-gray-700 mb-1">Interest-Only Period:</label>
+                <NumberInput value={inputs?.interestOnlyYears ?? 10} onChange={(v) => onInputChange('interestOnlyYears', v)} suffix="Years" />
+                <p className="text-xs text-gray-500 mt-1">
+                  Amortizes over the remaining {Math.max(0, (inputs?.firstMtgAmortization || DEFAULTS.amortization) - (inputs?.interestOnlyYears ?? 10))} years after the IO period
+                </p>
+              </div>
+            )}
+
+            {loanType === 'arm' && (
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Initial Fixed Period:</label>
+                  <NumberInput value={inputs?.armInitialPeriodYears ?? 5} onChange={(v) => onInputChange('armInitialPeriodYears', v)} suffix="Years" />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Adjusts Every:</label>
+                  <NumberInput value={inputs?.armAdjustmentYears ?? 1} onChange={(v) => onInputChange('armAdjustmentYears', v)} suffix="Years" />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Index Rate:</label>
+                  <PercentInput value={inputs?.armIndexRate ?? 4.5} onChange={(v) => onInputChange('armIndexRate', v)} />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Margin:</label>
+                  <PercentInput value={inputs?.armMargin ?? 2.75} onChange={(v) => onInputChange('armMargin', v)} />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Initial Cap:</label>
+                  <PercentInput value={inputs?.armInitialCap ?? 2} onChange={(v) => onInputChange('armInitialCap', v)} />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Periodic Cap:</label>
+                  <PercentInput value={inputs?.armPeriodicCap ?? 2} onChange={(v) => onInputChange('armPeriodicCap', v)} />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Lifetime Cap:</label>
+                  <PercentInput value={inputs?.armLifetimeCap ?? 5} onChange={(v) => onInputChange('armLifetimeCap', v)} />
+                </div>
+                <div className="flex items-end">
+                  <p className="text-xs text-gray-500">
+                    Fully indexed rate: {((inputs?.armIndexRate ?? 4.5) + (inputs?.armMargin ?? 2.75)).toFixed(2)}%
+                  </p>
+                </div>
               </div>
             )}
 
             <Toggle enabled={enablePMI} onChange={setEnablePMI} label="PMI" desc="Mortgage insurance for <20% down" />
+            {enablePMI && (
+              results?.financing?.mortgageInsurance?.type === 'pmi' ? (
+                <div className="grid grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">PMI Rate (annual):</label>
+                    <PercentInput
+                      value={results.financing.mortgageInsurance.annualRate}
+                      onChange={(v) => onInputChange('pmiRate', v)}
+                    />
+                    <p className="text-xs text-gray-500 mt-1">
+                      {inputs?.pmiRate > 0 ? 'Custom rate' : `Typical for ${inputs?.firstMtgLTV || DEFAULTS.ltv}% LTV`}
+                    </p>
+                  </div>
+                  <div className="text-sm space-y-1 pt-6">
+                    <div className="flex justify-between">
+                      <span className="text-gray-600">Monthly PMI:</span>
+                      <span className="font-semibold">{formatCurrency(results.financing.mortgageInsurance.monthlyPremium)}</span>
+                    </div>
+                    <div className="flex justify-between">
+                      <span className="text-gray-600">Drops off at 78% LTV:</span>
+                      <span className="font-semibold">
+                        {results.financing.mortgageInsurance.months < results.financing.firstMtg.amortization * 12
+                          ? `Year ${Math.floor(results.financing.mortgageInsurance.months / 12) + 1} (payment ${results.financing.mortgageInsurance.months + 1})`
+                          : 'Not reached'}
+                      </span>
+                    </div>
+                  </div>
+                </div>
+              ) : (
+                <p className="text-xs text-gray-500">
+                  {inputs?.loanProgram === 'fha'
+                    ? 'FHA loans pay MIP instead of PMI (see House Hack).'
+                    : 'No PMI at 20% or more down.'}
+                </p>
+              )
+            )}
           </div>
         )}
       </div>
 
+      {/* Deal Structure */}
+      {useFinancing && <CreativeFinancing inputs={inputs} onInputChange={onInputChange} results={results} />}
+
+      {/* House Hack */}
+      <HouseHack property={property} inputs={inputs} onInputChange={onInputChange} results={results} />
+
       {/* Purchase Costs */}
       <div className="bg-white rounded-xl border border-gray-200 p-6 shadow-sm">
         <h2 className="text-lg font-bold text-blue-600 mb-2">PURCHASE COSTS (Closing Costs)</h2>
@@ -1004,6 +1125,63 @@ export default function PurchaseWorksheet({ property, inputs, onInputChange, onS
               <span className="font-bold">Total:</span>
               <span className="font-bold text-green-600 text-lg">{formatCurrency(rehabCostsTotal)}</span>
             </div>
+
+            {/* Renovation Schedule */}
+            <div className="mt-6">
+              <h3 className="text-sm font-bold text-gray-700 mb-1">Renovation Schedule</h3>
+              <p className="text-xs text-gray-500 mb-3">
+                Tie an item to units to model the renovation: those units are offline from the start month
+                for the downtime, then re-lease at the higher rent.
+              </p>
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="border-b text-gray-600">
+                      <th className="text-left py-2">Item</th>
+                      <th className="text-right py-2 px-1">Month</th>
+                      <th className="text-left py-2 px-1">Unit Type</th>
+                      <th className="text-right py-2 px-1">Units</th>
+                      <th className="text-right py-2 px-1">Rent Lift / Unit</th>
+                      <th className="text-right py-2 px-1">Downtime</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {rehabCostItems.map((item, i) => item.value > 0 && (
+                      <tr key={i} className="border-b">
+                        <td className="py-2 text-gray-700">{item.name}</td>
+                        <td className="py-2 px-1 text-right">
+                          <InlineInput type="number" value={item.month || 0} onChange={(v) => handleRehabScheduleChange(i, 'month', v)} className="justify-end" />
+                        </td>
+                        <td className="py-2 px-1">
+                          <select
+                            value={item.unitType || ''}
+                            onChange={(e) => handleRehabScheduleChange(i, 'unitType', e.target.value)}
+                            className="px-2 py-1 border border-gray-300 rounded text-sm"
+                          >
+                            <option value="">All units</option>
+                            {(inputs?.unitMix || []).filter(type => type.name).map(type => (
+                              <option key={type.name} value={type.name}>{type.name}</option>
+                            ))}
+                          </select>
+                        </td>
+                        <td className="py-2 px-1 text-right">
+                          <InlineInput type="number" value={item.units || 0} onChange={(v) => handleRehabScheduleChange(i, 'units', v)} className="justify-end" />
+                        </td>
+                        <td className="py-2 px-1 text-right">
+                          <InlineInput value={item.rentIncrease || 0} onChange={(v) => handleRehabScheduleChange(i, 'rentIncrease', v)} prefix="$" className="justify-end" />
+                        </td>
+                        <td className="py-2 px-1 text-right">
+                          <InlineInput type="number" value={item.downtimeMonths ?? 1} onChange={(v) => handleRehabScheduleChange(i, 'downtimeMonths', v)} suffix="mo" className="justify-end" />
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              {!rehabCostItems.some(item => item.value > 0) && (
+                <p className="text-sm text-gray-500 mt-2">Enter item costs above to schedule them.</p>
+              )}
+            </div>
           </div>
         ) : (
           <div className="mt-4">
@@ -1019,17 +1197,27 @@ export default function PurchaseWorksheet({ property, inputs, onInputChange, onS
         <div className="space-y-4">
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-1">Monthly Rent:</label>
-            <div className="flex items-center gap-3">
-              <div className="flex-1">
-                <CurrencyInput 
-                  value={Math.round((inputs?.grossRents || 0) / 12)} 
-                  onChange={(v) => onInputChange('grossRents', v * 12)} 
-                />
+            {inputs?.unitMix?.length > 0 ? (
+              <div className="flex items-center gap-3">
+                <span className="flex-1 px-3 py-2 bg-gray-50 border border-gray-200 rounded-lg font-semibold">
+                  {formatCurrency((inputs?.grossRents || 0) / 12)}
+                </span>
+                <span className="text-gray-500">/ month from unit mix</span>
               </div>
-              <span className="text-gray-500">/ month</span>
-            </div>
+            ) : (
+              <div className="flex items-center gap-3">
+                <div className="flex-1">
+                  <CurrencyInput 
+                    value={Math.round((inputs?.grossRents || 0) / 12)} 
+                    onChange={(v) => onInputChange('grossRents', v * 12)} 
+                  />
+                </div>
+                <span className="text-gray-500">/ month</span>
+              </div>
+            )}
             <p className="text-xs text-gray-500 mt-1">Annual: {formatCurrency(inputs?.grossRents || 0)}</p>
           </div>
+          <UnitMixEditor inputs={inputs} onInputChange={onInputChange} />
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-1">Vacancy Rate:</label>
             <PercentInput value={inputs?.vacancyRate || DEFAULTS.vacancyRate} onChange={(v) => onInputChange('vacancyRate', v)} />
@@ -1037,6 +1225,51 @@ export default function PurchaseWorksheet({ property, inputs, onInputChange, onS
         </div>
       </div>
 
+      {/* Stabilized Value */}
+      <div className="bg-white rounded-xl border border-gray-200 p-6 shadow-sm">
+        <h2 className="text-lg font-bold text-blue-600 mb-2">STABILIZED VALUE</h2>
+        <p className="text-sm text-gray-600 mb-4">
+          NOI once the value-add plan and scheduled renovations are complete, capitalized at your target cap rate.
+          Leave the cap rate at 0 to use the ARV.
+        </p>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Target Cap Rate:</label>
+            <PercentInput value={inputs?.targetCapRate || 0} onChange={(v) => onInputChange('targetCapRate', v)} />
+          </div>
+          {results?.stabilization && (
+            <div className="space-y-2 text-sm">
+              <div className="flex justify-between">
+                <span className="text-gray-600">Year-1 NOI:</span>
+                <span className="font-semibold">{formatCurrency(results.stabilization.currentNOI)}</span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-gray-600">
+                  Stabilized NOI{results.stabilization.stabilizationMonth > 0 && ` (month ${results.stabilization.stabilizationMonth})`}:
+                </span>
+                <span className="font-semibold">{formatCurrency(results.stabilization.stabilizedNOI)}</span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-gray-600">
+                  {results.stabilization.targetCapRate ? `Value at ${results.stabilization.targetCapRate}% Cap:` : 'Value (ARV):'}
+                </span>
+                <span className="font-semibold">{formatCurrency(results.stabilization.stabilizedValue)}</span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-gray-600">Yield on Cost:</span>
+                <span className="font-semibold">{results.stabilization.yieldOnCost.toFixed(2)}%</span>
+              </div>
+              <div className="flex justify-between pt-2 border-t">
+                <span className="font-bold">Forced Appreciation:</span>
+                <span className={`font-bold ${results.stabilization.forcedAppreciation < 0 ? 'text-red-600' : 'text-green-600'}`}>
+                  {formatCurrency(results.stabilization.forcedAppreciation)}
+                </span>
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+
       {/* Operating Expenses */}
       <div className="bg-white rounded-xl border border-gray-200 p-6 shadow-sm">
         <h2 className="text-lg font-bold text-blue-600 mb-4">OPERATING EXPENSES</h2>
@@ -1074,19 +1307,19 @@ export default function PurchaseWorksheet({ property, inputs, onInputChange, onS
         <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-1">Appreciation (% / year):</label>
-            <PercentInput value={inputs?.appreciationRate || DEFAULTS.appreciationRate} onChange={(v) => onInputChange('appreciationRate', v)} />
+            <PercentInput value={inputs?.appreciationRate ?? DEFAULTS.appreciationRate} onChange={(v) => onInputChange('appreciationRate', v)} />
           </div>
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-1">Income Growth (% / year):</label>
-            <PercentInput value={inputs?.incomeGrowthRate || 2} onChange={(v) => onInputChange('incomeGrowthRate', v)} />
+            <PercentInput value={inputs?.incomeGrowthRate ?? 2} onChange={(v) => onInputChange('incomeGrowthRate', v)} />
           </div>
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-1">Expense Growth (% / year):</label>
-            <PercentInput value={inputs?.expenseGrowthRate || 2} onChange={(v) => onInputChange('expenseGrowthRate', v)} />
+            <PercentInput value={inputs?.expenseGrowthRate ?? 2} onChange={(v) => onInputChange('expenseGrowthRate', v)} />
           </div>
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-1">Selling Costs (%):</label>
-            <PercentInput value={inputs?.sellingCosts || 6} onChange={(v) => onInputChange('sellingCosts', v)} />
+            <PercentInput value={inputs?.sellingCosts ?? 6} onChange={(v) => onInputChange('sellingCosts', v)} />
           </div>
         </div>
       </div>
@@ -0,0 +1,222 @@
+/**
+ * @file Rent roll importer component
+ * @module components/analysis/RentRollImporter
+ * @description Imports a broker rent roll (CSV or XLSX) for a multifamily
+ * property. Shows the parsed units with in-place and market rent, occupancy
+ * and loss-to-lease, and applies the roll to the analysis: the unit count
+ * and gross rents then come from the rent roll instead of unit detection.
+ *
+ * Persistence is handled by the parent page (updatePropertyRentRoll).
+ *
+ * @requires react
+ * @requires lucide-react
+ * @requires ../../utils/rentRoll
+ */
+import { useState, useMemo } from 'react';
+import { Upload, Check, Trash2, Loader2 } from 'lucide-react';
+import { readRentRollFile, summarizeRentRoll } from '../../utils/rentRoll';
+
+/**
+ * Rent Roll Importer Component
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Object|null} props.rentRoll - Rent roll applied to the analysis ({ fileName, units, importedAt })
+ * @param {Function} props.onApply - Apply a parsed rent roll ({ fileName, units })
+ * @param {Function} props.onRemove - Remove the applied rent roll
+ * @param {boolean} [props.saving=false] - Disable actions while saving
+ * @returns {React.ReactElement} Rent roll upload, preview and summary
+ *
+ * @example
+ * <RentRollImporter rentRoll={rentRoll} onApply={handleApplyRentRoll} onRemove={handleRemoveRentRoll} />
+ */
+export default function RentRollImporter({ rentRoll, onApply, onRemove, saving = false }) {
+  const [pending, setPending] = useState(null);
+  const [parseError, setParseError] = useState(null);
+  const [reading, setReading] = useState(false);
+
+  const shown = pending || rentRoll;
+  const summary = useMemo(() => (shown ? summarizeRentRoll(shown.units) : null), [shown]);
+
+  const formatCurrency = (value) => {
+    if (value === null || value === undefined || isNaN(value)) return 'N/A';
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: 'USD',
+      minimumFractionDigits: 0,
+      maximumFractionDigits: 0,
+    }).format(value);
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setReading(true);
+    setParseError(null);
+    try {
+      setPending(await readRentRollFile(file));
+    } catch (err) {
+      console.error('Error reading rent roll:', err);
+      setParseError(err.message);
+      setPending(null);
+    } finally {
+      setReading(false);
+    }
+  };
+
+  const handleApply = async () => {
+    await onApply({ fileName: pending.fileName, units: pending.units });
+    setPending(null);
+  };
+
+  const handleRemove = () => {
+    if (window.confirm('Remove the rent roll? Units and rent go back to auto-detection.')) {
+      onRemove();
+    }
+  };
+
+  return (
+    <div className="max-w-7xl mx-auto p-6 space-y-6">
+      {/* Header */}
+      <div>
+        <h1 className="text-3xl font-bold text-gray-900 mb-2">Rent Roll</h1>
+        <p className="text-gray-600">
+          Import the broker's rent roll to use actual units and rents instead of estimates.
+        </p>
+      </div>
+
+      {/* Upload */}
+      <div className="bg-white rounded-xl border border-gray-200 p-6 shadow-sm">
+        <h2 className="text-lg font-bold text-blue-600 mb-2">IMPORT</h2>
+        <p className="text-sm text-gray-600 mb-4">
+          CSV or Excel (.xlsx, first sheet). Recognized columns: Unit, Beds, Baths, Sq Ft, Current Rent, Lease End,
+          Market Rent. Title rows above the header and total rows are skipped.
+        </p>
+        <div className="flex items-center gap-3">
+          <label className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 font-medium cursor-pointer">
+            {reading ? <Loader2 className="w-4 h-4 animate-spin" /> : <Upload className="w-4 h-4" />}
+            Choose File
+            <input type="file" accept=".csv,.xlsx,.txt" onChange={handleFile} className="hidden" />
+          </label>
+          {rentRoll && !pending && (
+            <>
+              <span className="text-sm text-gray-600">
+                Applied: <strong>{rentRoll.fileName}</strong>
+                {rentRoll.importedAt && ` · ${new Date(rentRoll.importedAt).toLocaleDateString()}`}
+              </span>
+              <button
+                onClick={handleRemove}
+                disabled={saving}
+                className="flex items-center gap-1 px-3 py-2 text-sm text-red-600 hover:bg-red-50 rounded-lg disabled:opacity-50"
+              >
+                <Trash2 className="w-4 h-4" />
+                Remove
+              </button>
+            </>
+          )}
+        </div>
+        {parseError && (
+          <div className="mt-4 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">{parseError}</div>
+        )}
+        {pending && (
+          <div className="mt-4 p-3 bg-blue-50 border border-blue-200 rounded-lg flex items-center justify-between gap-3">
+            <span className="text-sm text-blue-800">
+              <strong>{pending.fileName}</strong>: {pending.units.length} units read
+              {pending.skipped > 0 && `, ${pending.skipped} rows skipped`}. Applying resets the worksheet to
+              {` ${pending.units.length} units and ${formatCurrency(summary.grossRents)}/yr gross rents.`}
+            </span>
+            <div className="flex items-center gap-2 flex-shrink-0">
+              <button
+                onClick={() => setPending(null)}
+                className="px-3 py-2 text-sm text-gray-600 hover:bg-gray-100 rounded-lg"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleApply}
+                disabled={saving}
+                className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 font-medium disabled:opacity-50"
+              >
+                <Check className="w-4 h-4" />
+                Apply to Analysis
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+
+      {summary && (
+        <>
+          {/* Summary */}
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+            {[
+              { label: 'Units', value: summary.unitCount, sub: `${summary.occupancy.toFixed(0)}% occupied` },
+              { label: 'In-Place Rent', value: `${formatCurrency(summary.inPlaceMonthly)}/mo`, sub: `${formatCurrency(summary.averageRent)} avg/unit` },
+              { label: 'Market Rent', value: `${formatCurrency(summary.marketMonthly)}/mo`, sub: 'All units' },
+              {
+                label: 'Loss-to-Lease',
+                value: `${formatCurrency(summary.lossToLeaseAnnual)}/yr`,
+                sub: `${summary.lossToLeasePercent.toFixed(1)}% below market`
+              },
+              { label: 'Gross Rents', value: `${formatCurrency(summary.grossRents)}/yr`, sub: 'Vacant units at market' }
+            ].map(card => (
+              <div key={card.label} className="bg-white p-4 rounded-xl border border-gray-200 shadow-sm">
+                <div className="text-sm text-gray-600 mb-1">{card.label}</div>
+                <div className="text-xl font-bold text-gray-900">{card.value}</div>
+                <div className="text-xs text-gray-500">{card.sub}</div>
+              </div>
+            ))}
+          </div>
+
+          {/* Units */}
+          <div className="bg-white rounded-xl border border-gray-200 p-6 shadow-sm">
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-lg font-bold text-blue-600">UNITS</h2>
+              {summary.expiringWithin12Months > 0 && (
+                <span className="text-sm text-gray-600">
+                  {summary.expiringWithin12Months} lease{summary.expiringWithin12Months === 1 ? '' : 's'} expiring within 12 months
+                </span>
+              )}
+            </div>
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="border-b text-gray-600">
+                    <th className="text-left py-2">Unit</th>
+                    <th className="text-right py-2">Beds</th>
+                    <th className="text-right py-2">Baths</th>
+                    <th className="text-right py-2">Sq Ft</th>
+                    <th className="text-right py-2">Current Rent</th>
+                    <th className="text-right py-2">Market Rent</th>
+                    <th className="text-right py-2">Loss-to-Lease</th>
+                    <th className="text-right py-2">Lease End</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {shown.units.map((unit, idx) => (
+                    <tr key={`${unit.unit}-${idx}`} className="border-b">
+                      <td className="py-2 font-medium text-gray-900">{unit.unit}</td>
+                      <td className="py-2 text-right">{unit.beds || '—'}</td>
+                      <td className="py-2 text-right">{unit.baths || '—'}</td>
+                      <td className="py-2 text-right">{unit.sqft ? unit.sqft.toLocaleString() : '—'}</td>
+                      <td className="py-2 text-right">
+                        {unit.vacant ? <span className="text-orange-600 font-medium">Vacant</span> : formatCurrency(unit.currentRent)}
+                      </td>
+                      <td className="py-2 text-right">{unit.marketRent ? formatCurrency(unit.marketRent) : '—'}</td>
+                      <td className="py-2 text-right">
+                        {!unit.vacant && unit.marketRent > 0 ? formatCurrency(unit.marketRent - unit.currentRent) : '—'}
+                      </td>
+                      <td className="py-2 text-right">{unit.leaseEnd || '—'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
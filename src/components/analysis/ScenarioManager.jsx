@@ -0,0 +1,364 @@
+/**
+ * @file Scenario manager component
+ * @module components/analysis/ScenarioManager
+ * @description Named versions of one property's analysis, such as
+ * "Asking price / 25% down" and "Counter offer / DSCR loan". Saves the current
+ * inputs as a scenario, loads a scenario back into the worksheet, and supports
+ * rename, duplicate and delete. Selected scenarios are compared side by side
+ * across every computed section with the best value in each row highlighted.
+ *
+ * Scenarios are stored under the saved property in Firestore; persistence is
+ * handled by the parent page through the usePropertyScenarios hook.
+ *
+ * @requires react
+ * @requires lucide-react
+ * @requires ../../utils/investmentCalculations
+ */
+import { Fragment, useState, useMemo } from 'react';
+import { Save, Upload, Pencil, Copy, Trash2, Check, X, Loader2 } from 'lucide-react';
+import { compareScenarios } from '../../utils/investmentCalculations';
+
+const CURRENT_ID = 'current';
+
+/**
+ * Scenario Manager Component
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Object} props.property - Property data object
+ * @param {Object} props.inputs - Current calculation inputs
+ * @param {Array<Object>} props.scenarios - Saved scenarios ({ id, name, inputs, summary })
+ * @param {string|null} props.activeScenarioId - Scenario currently loaded in the worksheet
+ * @param {boolean} props.loading - True while scenarios load or save
+ * @param {string|null} props.error - Last scenario error message
+ * @param {Function} props.onSaveNew - Save current inputs as a new scenario (name)
+ * @param {Function} props.onUpdate - Save current inputs to the active scenario
+ * @param {Function} props.onLoad - Load a scenario's inputs (scenario)
+ * @param {Function} props.onRename - Rename a scenario (scenarioId, name)
+ * @param {Function} props.onDuplicate - Duplicate a scenario (scenarioId)
+ * @param {Function} props.onDelete - Delete a scenario (scenarioId)
+ * @returns {React.ReactElement} Scenario list and comparison
+ *
+ * @example
+ * <ScenarioManager
+ *   property={property}
+ *   inputs={inputs}
+ *   scenarios={scenarios}
+ *   activeScenarioId={activeScenarioId}
+ *   onSaveNew={handleSaveScenario}
+ *   onLoad={handleLoadScenario}
+ *   ...
+ * />
+ */
+export default function ScenarioManager({
+  property,
+  inputs,
+  scenarios,
+  activeScenarioId,
+  loading,
+  error,
+  onSaveNew,
+  onUpdate,
+  onLoad,
+  onRename,
+  onDuplicate,
+  onDelete
+}) {
+  const [newName, setNewName] = useState('');
+  const [editingId, setEditingId] = useState(null);
+  const [editingName, setEditingName] = useState('');
+  // Track exclusions rather than selections so new scenarios are compared by default
+  const [excludedIds, setExcludedIds] = useState([CURRENT_ID]);
+
+  const formatCurrency = (value) => {
+    if (value === null || value === undefined || isNaN(value)) return 'N/A';
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: 'USD',
+      minimumFractionDigits: 0,
+      maximumFractionDigits: 0,
+    }).format(value);
+  };
+
+  const formatPercent = (value) => {
+    if (value === null || value === undefined || isNaN(value)) return 'N/A';
+    return `${Number(value).toFixed(2)}%`;
+  };
+
+  const formatValue = (value, format) => {
+    if (value === null) return 'N/A';
+    if (format === 'currency') return formatCurrency(value);
+    if (format === 'percent') return formatPercent(value);
+    if (format === 'ratio') return Number(value).toFixed(2);
+    return Math.round(value).toString();
+  };
+
+  const activeScenario = scenarios.find(s => s.id === activeScenarioId);
+
+  const compared = useMemo(() => {
+    const list = scenarios.filter(s => !excludedIds.includes(s.id));
+    if (!excludedIds.includes(CURRENT_ID)) {
+      list.unshift({ id: CURRENT_ID, name: 'Current inputs', inputs });
+    }
+    return list;
+  }, [scenarios, excludedIds, inputs]);
+
+  const comparison = useMemo(
+    () => (compared.length > 0 ? compareScenarios(property, compared) : null),
+    [property, compared]
+  );
+
+  const toggleCompared = (id) => {
+    setExcludedIds(prev => (prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id]));
+  };
+
+  // Failed writes are shown through `error`; catch the rethrow so it isn't unhandled
+  const attempt = async (action) => {
+    try {
+      await action();
+      return true;
+    } catch (err) {
+      console.error('Scenario action failed:', err);
+      return false;
+    }
+  };
+
+  const handleSaveNew = async () => {
+    if (await attempt(() => onSaveNew(newName.trim() || `Scenario ${scenarios.length + 1}`))) {
+      setNewName('');
+    }
+  };
+
+  const handleUpdate = () => attempt(onUpdate);
+
+  const handleDuplicate = (scenarioId) => attempt(() => onDuplicate(scenarioId));
+
+  const startRename = (scenario) => {
+    setEditingId(scenario.id);
+    setEditingName(scenario.name);
+  };
+
+  const commitRename = async () => {
+    if (editingName.trim()) {
+      await attempt(() => onRename(editingId, editingName.trim()));
+    }
+    setEditingId(null);
+  };
+
+  const handleDelete = (scenario) => {
+    if (window.confirm(`Delete scenario "${scenario.name}"?`)) {
+      attempt(() => onDelete(scenario.id));
+    }
+  };
+
+  const iconButton = 'p-1.5 rounded text-gray-500 hover:text-blue-600 hover:bg-blue-50 disabled:opacity-50';
+
+  return (
+    <div className="max-w-7xl mx-auto p-6 space-y-6">
+      {/* Header */}
+      <div>
+        <h1 className="text-3xl font-bold text-gray-900 mb-2">Scenarios</h1>
+        <p className="text-gray-600">
+          Save different offers and financing structures for this property and compare them side by side.
+        </p>
+      </div>
+
+      {error && (
+        <div className="p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">{error}</div>
+      )}
+
+      {/* Save Current Inputs */}
+      <div className="bg-white rounded-xl border border-gray-200 p-6 shadow-sm">
+        <h2 className="text-lg font-bold text-blue-600 mb-4">SAVE CURRENT INPUTS</h2>
+        <div className="flex items-center gap-3">
+          <input
+            type="text"
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && handleSaveNew()}
+            placeholder="e.g. Counter offer / DSCR loan"
+            className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+          <button
+            onClick={handleSaveNew}
+            disabled={loading}
+            className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 font-medium disabled:opacity-50"
+          >
+            <Save className="w-4 h-4" />
+            Save as New
+          </button>
+          {activeScenario && (
+            <button
+              onClick={handleUpdate}
+              disabled={loading}
+              className="flex items-center gap-2 px-4 py-2 border border-blue-600 text-blue-600 rounded-lg hover:bg-blue-50 font-medium disabled:opacity-50"
+            >
+              <Save className="w-4 h-4" />
+              Update "{activeScenario.name}"
+            </button>
+          )}
+        </div>
+      </div>
+
+      {/* Scenario List */}
+      <div className="bg-white rounded-xl border border-gray-200 p-6 shadow-sm">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-lg font-bold text-blue-600">SAVED SCENARIOS</h2>
+          {loading && <Loader2 className="w-4 h-4 animate-spin text-blue-600" />}
+        </div>
+        {scenarios.length === 0 ? (
+          <p className="text-sm text-gray-500">
+            No scenarios yet. Adjust the worksheet, then save the inputs above to start comparing.
+          </p>
+        ) : (
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b text-gray-600">
+                <th className="text-left py-2 w-16">Compare</th>
+                <th className="text-left py-2">Name</th>
+                <th className="text-right py-2">Offer</th>
+                <th className="text-right py-2">Cash Flow</th>
+                <th className="text-right py-2">CoC ROI</th>
+                <th className="text-right py-2">IRR</th>
+                <th className="text-right py-2 w-40"></th>
+              </tr>
+            </thead>
+            <tbody>
+              <tr className="border-b">
+                <td className="py-2">
+                  <input
+                    type="checkbox"
+                    checked={!excludedIds.includes(CURRENT_ID)}
+                    onChange={() => toggleCompared(CURRENT_ID)}
+                    className="w-4 h-4 text-blue-600 rounded"
+                  />
+                </td>
+                <td className="py-2 text-gray-500 italic" colSpan={6}>Current inputs (unsaved)</td>
+              </tr>
+              {scenarios.map(scenario => (
+                <tr key={scenario.id} className={`border-b ${scenario.id === activeScenarioId ? 'bg-blue-50' : ''}`}>
+                  <td className="py-2">
+                    <input
+                      type="checkbox"
+                      checked={!excludedIds.includes(scenario.id)}
+                      onChange={() => toggleCompared(scenario.id)}
+                      className="w-4 h-4 text-blue-600 rounded"
+                    />
+                  </td>
+                  <td className="py-2">
+                    {editingId === scenario.id ? (
+                      <div className="flex items-center gap-1">
+                        <input
+                          type="text"
+                          value={editingName}
+                          onChange={(e) => setEditingName(e.target.value)}
+                          onKeyDown={(e) => {
+                            if (e.key === 'Enter') commitRename();
+                            if (e.key === 'Escape') setEditingId(null);
+                          }}
+                          autoFocus
+                          className="flex-1 px-2 py-1 border border-gray-300 rounded"
+                        />
+                        <button onClick={commitRename} className={iconButton} title="Save name">
+                          <Check className="w-4 h-4" />
+                        </button>
+                        <button onClick={() => setEditingId(null)} className={iconButton} title="Cancel">
+                          <X className="w-4 h-4" />
+                        </button>
+                      </div>
+                    ) : (
+                      <div className="font-medium text-gray-900">
+                        {scenario.name}
+                        {scenario.id === activeScenarioId && (
+                          <span className="ml-2 px-2 py-0.5 rounded text-xs font-semibold bg-blue-600 text-white">ACTIVE</span>
+                        )}
+                      </div>
+                    )}
+                  </td>
+                  <td className="py-2 text-right">{formatCurrency(scenario.inputs?.offerPrice)}</td>
+                  <td className={`py-2 text-right ${(scenario.summary?.monthlyCashFlow ?? 0) >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                    {scenario.summary ? `${formatCurrency(scenario.summary.monthlyCashFlow)}/mo` : 'N/A'}
+                  </td>
+                  <td className="py-2 text-right">{formatPercent(scenario.summary?.cashOnCash)}</td>
+                  <td className="py-2 text-right">{formatPercent(scenario.summary?.irr)}</td>
+                  <td className="py-2">
+                    <div className="flex items-center justify-end gap-1">
+                      <button onClick={() => onLoad(scenario)} disabled={loading} className={iconButton} title="Load into worksheet">
+                        <Upload className="w-4 h-4" />
+                      </button>
+                      <button onClick={() => startRename(scenario)} disabled={loading} className={iconButton} title="Rename">
+                        <Pencil className="w-4 h-4" />
+                      </button>
+                      <button onClick={() => handleDuplicate(scenario.id)} disabled={loading} className={iconButton} title="Duplicate">
+                        <Copy className="w-4 h-4" />
+                      </button>
+                      <button
+                        onClick={() => handleDelete(scenario)}
+                        disabled={loading}
+                        className="p-1.5 rounded text-gray-500 hover:text-red-600 hover:bg-red-50 disabled:opacity-50"
+                        title="Delete"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {/* Side-by-Side Comparison */}
+      <div className="bg-white rounded-xl border border-gray-200 p-6 shadow-sm">
+        <h2 className="text-lg font-bold text-blue-600 mb-4">SIDE-BY-SIDE COMPARISON</h2>
+        {!comparison || comparison.scenarios.length < 2 ? (
+          <p className="text-sm text-gray-500">Select at least two scenarios above to compare them.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b text-gray-600">
+                  <th className="text-left py-2"></th>
+                  {comparison.scenarios.map(scenario => (
+                    <th key={scenario.id} className="text-right py-2 px-3">
+                      <div className="font-bold text-gray-900">{scenario.name}</div>
+                      <div className="text-xs font-normal text-gray-500">{scenario.holdingPeriod}-year hold</div>
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {comparison.sections.map(section => (
+                  <Fragment key={section.title}>
+                    <tr>
+                      <td colSpan={comparison.scenarios.length + 1} className="pt-4 pb-1 text-xs font-semibold text-gray-500 uppercase tracking-wider">
+                        {section.title}
+                      </td>
+                    </tr>
+                    {section.rows.map(row => (
+                      <tr key={row.key} className="border-b">
+                        <td className="py-2 text-gray-700">{row.label}</td>
+                        {row.values.map((value, i) => (
+                          <td
+                            key={comparison.scenarios[i].id}
+                            className={`py-2 px-3 text-right ${row.best === i ? 'bg-green-50 text-green-700 font-semibold' : ''}`}
+                          >
+                            {formatValue(value, row.format)}
+                          </td>
+                        ))}
+                      </tr>
+                    ))}
+                  </Fragment>
+                ))}
+              </tbody>
+            </table>
+            <p className="text-xs text-gray-500 mt-3">
+              Highlighted cells are the best value in each row. Returns at sale use each scenario's own holding period.
+            </p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,262 @@
+/**
+ * @file Short-term rental component
+ * @module components/analysis/ShortTermRental
+ * @description Short-term (Airbnb) rental assumptions and an LTR vs. STR
+ * comparison for the same property. Edits nightly ADR and occupancy by
+ * month, cleaning and platform fees, furnishing, utilities, supplies and
+ * the STR management rate (inputs.shortTermRental), switches the analysis
+ * between long-term and short-term (inputs.rentalStrategy), and compares
+ * both strategies side by side with the best value in each row highlighted.
+ *
+ * @requires react
+ * @requires lucide-react
+ * @requires ../../utils/investmentCalculations
+ */
+import { Fragment, useMemo } from 'react';
+import { Home, Hotel } from 'lucide-react';
+import { CurrencyInput, PercentInput, NumberInput, InlineInput } from './Inputcomponents';
+import {
+  calculateShortTermRental,
+  compareScenarios,
+  createShortTermRentalInputs
+} from '../../utils/investmentCalculations';
+
+const MONTH_LABELS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Short-Term Rental Component
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Object} props.property - Property data object
+ * @param {Object} props.inputs - Current calculation inputs
+ * @param {Function} props.onInputChange - Update a single input (field, value)
+ * @returns {React.ReactElement} Strategy toggle, STR assumptions and LTR vs. STR comparison
+ *
+ * @example
+ * <ShortTermRental property={property} inputs={inputs} onInputChange={handleInputChange} />
+ */
+export default function ShortTermRental({ property, inputs, onInputChange }) {
+  const isSTR = inputs?.rentalStrategy === 'str';
+  const str = useMemo(
+    () => inputs?.shortTermRental || createShortTermRentalInputs((inputs?.grossRents || 0) / 12 / (inputs?.numberOfUnits || 1)),
+    [inputs?.shortTermRental, inputs?.grossRents, inputs?.numberOfUnits]
+  );
+  const revenue = useMemo(() => calculateShortTermRental(str), [str]);
+
+  const comparison = useMemo(() => compareScenarios(property, [
+    { id: 'ltr', name: 'Long-Term Rental', inputs: { ...inputs, rentalStrategy: 'ltr' } },
+    { id: 'str', name: 'Short-Term Rental', inputs: { ...inputs, rentalStrategy: 'str', shortTermRental: str } }
+  ]), [property, inputs, str]);
+
+  const formatCurrency = (value) => {
+    if (value === null || value === undefined || isNaN(value)) return 'N/A';
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: 'USD',
+      minimumFractionDigits: 0,
+      maximumFractionDigits: 0,
+    }).format(value);
+  };
+
+  const formatPercent = (value) => {
+    if (value === null || value === undefined || isNaN(value)) return 'N/A';
+    return `${Number(value).toFixed(2)}%`;
+  };
+
+  const formatValue = (value, format) => {
+    if (value === null) return 'N/A';
+    if (format === 'currency') return formatCurrency(value);
+    if (format === 'percent') return formatPercent(value);
+    if (format === 'ratio') return Number(value).toFixed(2);
+    return Math.round(value).toString();
+  };
+
+  const update = (field, value) => onInputChange('shortTermRental', { ...str, [field]: value });
+
+  const updateMonth = (index, field, value) => {
+    update('months', str.months.map((month, i) => (i === index ? { ...month, [field]: value } : month)));
+  };
+
+  const setStrategy = (strategy) => {
+    if (strategy === 'str' && !inputs?.shortTermRental) onInputChange('shortTermRental', str);
+    onInputChange('rentalStrategy', strategy);
+  };
+
+  return (
+    <div className="max-w-7xl mx-auto p-6 space-y-6">
+      {/* Header */}
+      <div className="flex items-start justify-between gap-4">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900 mb-2">Short-Term Rental</h1>
+          <p className="text-gray-600">
+            Model this property as an Airbnb-style rental and compare it with renting long-term.
+          </p>
+        </div>
+        <div className="flex rounded-lg border border-gray-300 overflow-hidden flex-shrink-0">
+          {[
+            { id: 'ltr', label: 'Long-Term', icon: Home },
+            { id: 'str', label: 'Short-Term', icon: Hotel }
+          ].map(option => {
+            const Icon = option.icon;
+            return (
+              <button
+                key={option.id}
+                onClick={() => setStrategy(option.id)}
+                className={`flex items-center gap-2 px-4 py-2 text-sm font-medium ${
+                  (option.id === 'str') === isSTR ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'
+                }`}
+              >
+                <Icon className="w-4 h-4" />
+                {option.label}
+              </button>
+            );
+          })}
+        </div>
+      </div>
+      <p className="text-sm text-gray-500 -mt-4">
+        {isSTR
+          ? 'The analysis, projections and scenarios use the short-term rental assumptions below.'
+          : 'The analysis uses long-term rent. Switch to Short-Term to analyze the property with the assumptions below.'}
+      </p>
+
+      {/* Summary */}
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+        {[
+          { label: 'Gross Revenue', value: `${formatCurrency(revenue.grossRevenue)}/yr`, sub: `${formatCurrency(revenue.grossRevenue / 12)}/mo avg` },
+          { label: 'Occupancy', value: formatPercent(revenue.occupancy), sub: `${Math.round(revenue.nightsBooked)} nights booked` },
+          { label: 'ADR', value: formatCurrency(revenue.averageDailyRate), sub: 'Per booked night' },
+          { label: 'RevPAR', value: formatCurrency(revenue.revPAR), sub: 'Per available night' },
+          { label: 'Stays', value: Math.round(revenue.stays), sub: `${str.averageStay}-night average` }
+        ].map(card => (
+          <div key={card.label} className="bg-white p-4 rounded-xl border border-gray-200 shadow-sm">
+            <div className="text-sm text-gray-600 mb-1">{card.label}</div>
+            <div className="text-xl font-bold text-gray-900">{card.value}</div>
+            <div className="text-xs text-gray-500">{card.sub}</div>
+          </div>
+        ))}
+      </div>
+
+      {/* Seasonality */}
+      <div className="bg-white rounded-xl border border-gray-200 p-6 shadow-sm">
+        <h2 className="text-lg font-bold text-blue-600 mb-1">SEASONALITY</h2>
+        <p className="text-sm text-gray-500 mb-4">Nightly rate and occupancy for each month, from comparable listings.</p>
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b text-gray-600">
+                <th className="text-left py-2">Month</th>
+                <th className="text-right py-2 px-2">ADR</th>
+                <th className="text-right py-2 px-2">Occupancy</th>
+                <th className="text-right py-2 px-2">Nights</th>
+                <th className="text-right py-2 px-2">Revenue</th>
+              </tr>
+            </thead>
+            <tbody>
+              {revenue.months.map((month, i) => (
+                <tr key={MONTH_LABELS[i]} className="border-b">
+                  <td className="py-2 font-medium text-gray-900">{MONTH_LABELS[i]}</td>
+                  <td className="py-2 px-2 text-right">
+                    <InlineInput value={month.adr} onChange={(v) => updateMonth(i, 'adr', v)} prefix="$" className="justify-end" />
+                  </td>
+                  <td className="py-2 px-2 text-right">
+                    <InlineInput type="percent" value={month.occupancy} onChange={(v) => updateMonth(i, 'occupancy', v)} suffix="%" className="justify-end" />
+                  </td>
+                  <td className="py-2 px-2 text-right">{month.nights.toFixed(1)}</td>
+                  <td className="py-2 px-2 text-right">{formatCurrency(month.revenue)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {/* Fees & Operating Costs */}
+      <div className="bg-white rounded-xl border border-gray-200 p-6 shadow-sm">
+        <h2 className="text-lg font-bold text-blue-600 mb-4">FEES & OPERATING COSTS</h2>
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <NumberInput
+            label="Average Stay"
+            value={str.averageStay}
+            onChange={(v) => update('averageStay', v)}
+            min={1}
+            max={30}
+            suffix="nights"
+          />
+          <CurrencyInput label="Cleaning Fee (charged per stay)" value={str.cleaningFee} onChange={(v) => update('cleaningFee', v)} />
+          <CurrencyInput label="Cleaning Cost (per turnover)" value={str.cleaningCost} onChange={(v) => update('cleaningCost', v)} />
+          <PercentInput label="Platform Fee" value={str.platformFeePercent} onChange={(v) => update('platformFeePercent', v)} />
+          <PercentInput label="STR Management" value={str.managementRate} onChange={(v) => update('managementRate', v)} />
+          <CurrencyInput label="Furnishing & Setup" value={str.furnishingCost} onChange={(v) => update('furnishingCost', v)} />
+          <CurrencyInput label="Utilities & Internet (monthly)" value={str.utilitiesMonthly} onChange={(v) => update('utilitiesMonthly', v)} />
+          <CurrencyInput label="Supplies (monthly)" value={str.suppliesMonthly} onChange={(v) => update('suppliesMonthly', v)} />
+        </div>
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mt-6 text-sm">
+          {[
+            { label: 'Platform Fees', value: revenue.platformFees },
+            { label: 'Cleaning', value: revenue.cleaningCosts },
+            { label: 'Utilities', value: revenue.utilities },
+            { label: 'Supplies', value: revenue.supplies }
+          ].map(cost => (
+            <div key={cost.label} className="p-3 bg-gray-50 rounded-lg">
+              <div className="text-gray-600">{cost.label}</div>
+              <div className="font-semibold text-gray-900">{formatCurrency(cost.value)}/yr</div>
+            </div>
+          ))}
+        </div>
+        <p className="text-xs text-gray-500 mt-3">
+          Management is charged on gross revenue (nightly rent plus cleaning fees). Furnishing is paid in cash at
+          purchase. Taxes, insurance, maintenance and CapEx come from the worksheet.
+        </p>
+      </div>
+
+      {/* LTR vs STR */}
+      <div className="bg-white rounded-xl border border-gray-200 p-6 shadow-sm">
+        <h2 className="text-lg font-bold text-blue-600 mb-4">LONG-TERM VS. SHORT-TERM</h2>
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b text-gray-600">
+                <th className="text-left py-2"></th>
+                {comparison.scenarios.map(column => (
+                  <th key={column.id} className="text-right py-2 px-3">
+                    <div className="font-bold text-gray-900">{column.name}</div>
+                    <div className="text-xs font-normal text-gray-500">{column.holdingPeriod}-year hold</div>
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {comparison.sections.map(section => (
+                <Fragment key={section.title}>
+                  <tr>
+                    <td colSpan={comparison.scenarios.length + 1} className="pt-4 pb-1 text-xs font-semibold text-gray-500 uppercase tracking-wider">
+                      {section.title}
+                    </td>
+                  </tr>
+                  {section.rows.map(row => (
+                    <tr key={row.key} className="border-b">
+                      <td className="py-2 text-gray-700">{row.label}</td>
+                      {row.values.map((value, i) => (
+                        <td
+                          key={comparison.scenarios[i].id}
+                          className={`py-2 px-3 text-right ${row.best === i ? 'bg-green-50 text-green-700 font-semibold' : ''}`}
+                        >
+                          {formatValue(value, row.format)}
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </Fragment>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        <p className="text-xs text-gray-500 mt-3">
+          Both columns use the same purchase, financing and fixed expenses. Long-term uses the worksheet rent and
+          vacancy; short-term uses the revenue, fees and costs above.
+        </p>
+      </div>
+    </div>
+  );
+}
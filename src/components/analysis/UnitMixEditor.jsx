@@ -0,0 +1,256 @@
+/**
+ * @file Unit mix editor component
+ * @module components/analysis/UnitMixEditor
+ * @description Editor for a multifamily unit mix: unit types with count,
+ * beds/baths, square footage, current rent, market rent and other income
+ * per unit. When a mix is present it drives the analysis — gross rents,
+ * unit count and square footage are synced from it on every change — and
+ * an optional value-add plan moves units from current to market rent over
+ * a number of months.
+ *
+ * @requires react
+ * @requires lucide-react
+ * @requires ../../utils/investmentCalculations
+ */
+import { useMemo } from 'react';
+import { Plus, Trash2, Layers } from 'lucide-react';
+import { InlineInput, NumberInput } from './Inputcomponents';
+import { summarizeUnitMix } from '../../utils/investmentCalculations';
+
+const emptyType = () => ({
+  name: '',
+  count: 1,
+  beds: 0,
+  baths: 0,
+  sqft: 0,
+  currentRent: 0,
+  marketRent: 0,
+  otherIncome: 0
+});
+
+const NUMBER_COLUMNS = [
+  { key: 'count', label: 'Units', type: 'number' },
+  { key: 'beds', label: 'Beds', type: 'number' },
+  { key: 'baths', label: 'Baths', type: 'number' },
+  { key: 'sqft', label: 'Sq Ft', type: 'number' },
+  { key: 'currentRent', label: 'Current Rent', type: 'currency' },
+  { key: 'marketRent', label: 'Market Rent', type: 'currency' },
+  { key: 'otherIncome', label: 'Other Income', type: 'currency' }
+];
+
+/**
+ * Unit Mix Editor Component
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Object} props.inputs - Current calculation inputs (unitMix, valueAddPlan, grossRents, numberOfUnits)
+ * @param {Function} props.onInputChange - Update a single input (field, value)
+ * @returns {React.ReactElement} Unit type table, totals and value-add plan
+ *
+ * @example
+ * <UnitMixEditor inputs={inputs} onInputChange={onInputChange} />
+ */
+export default function UnitMixEditor({ inputs, onInputChange }) {
+  const unitMix = useMemo(() => inputs?.unitMix || [], [inputs?.unitMix]);
+  const valueAddPlan = inputs?.valueAddPlan || { enabled: false, months: 12 };
+  const summary = useMemo(() => summarizeUnitMix(unitMix), [unitMix]);
+
+  const formatCurrency = (value) => {
+    if (value === null || value === undefined || isNaN(value)) return 'N/A';
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: 'USD',
+      minimumFractionDigits: 0,
+      maximumFractionDigits: 0,
+    }).format(value);
+  };
+
+  // Store the mix and sync the inputs it drives
+  const commit = (nextMix) => {
+    const next = summarizeUnitMix(nextMix);
+    onInputChange('unitMix', nextMix);
+    if (next.unitCount > 0) {
+      onInputChange('grossRents', next.monthlyRent * 12);
+      onInputChange('numberOfUnits', next.unitCount);
+      if (next.totalSqft > 0) onInputChange('sqft', next.totalSqft);
+    }
+  };
+
+  // Seed the first type from the current unit count and rent
+  const handleStart = () => {
+    const units = inputs?.numberOfUnits || 1;
+    const rent = Math.round((inputs?.grossRents || 0) / 12 / units);
+    commit([{ ...emptyType(), name: 'Type A', count: units, currentRent: rent, marketRent: rent }]);
+  };
+
+  const updateType = (index, field, value) => {
+    commit(unitMix.map((type, i) => (i === index ? { ...type, [field]: value } : type)));
+  };
+
+  const addType = () => {
+    commit([...unitMix, { ...emptyType(), name: `Type ${String.fromCharCode(65 + unitMix.length)}` }]);
+  };
+
+  const removeType = (index) => {
+    commit(unitMix.filter((_, i) => i !== index));
+  };
+
+  const handleClear = () => {
+    if (!window.confirm('Remove the unit mix? Monthly rent keeps its current total.')) return;
+    onInputChange('unitMix', []);
+    onInputChange('valueAddPlan', { ...valueAddPlan, enabled: false });
+  };
+
+  const updatePlan = (field, value) => {
+    onInputChange('valueAddPlan', { ...valueAddPlan, [field]: value });
+  };
+
+  if (unitMix.length === 0) {
+    return (
+      <div className="flex items-center justify-between p-4 bg-gray-50 border border-gray-200 rounded-lg">
+        <p className="text-sm text-gray-600">
+          Break rent down by unit type to track market rent, loss-to-lease and rent per sq ft.
+        </p>
+        <button
+          onClick={handleStart}
+          className="flex items-center gap-2 px-4 py-2 text-sm text-blue-600 border border-blue-300 rounded-lg hover:bg-blue-50 font-medium flex-shrink-0"
+        >
+          <Layers className="w-4 h-4" />
+          Use Unit Mix
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="border-b text-gray-600">
+              <th className="text-left py-2">Type</th>
+              {NUMBER_COLUMNS.map(({ key, label }) => (
+                <th key={key} className="text-right py-2 px-1">{label}</th>
+              ))}
+              <th className="py-2 w-8"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {unitMix.map((type, index) => (
+              <tr key={index} className="border-b">
+                <td className="py-2 pr-2">
+                  <input
+                    type="text"
+                    value={type.name}
+                    onChange={(e) => updateType(index, 'name', e.target.value)}
+                    placeholder="2BR/1BA"
+                    className="w-28 px-2 py-1 border border-gray-300 rounded text-sm focus:ring-1 focus:ring-blue-500 focus:border-transparent"
+                  />
+                </td>
+                {NUMBER_COLUMNS.map(({ key, type: inputType }) => (
+                  <td key={key} className="py-2 px-1 text-right">
+                    <InlineInput
+                      value={type[key]}
+                      onChange={(v) => updateType(index, key, v)}
+                      type={inputType}
+                      prefix={inputType === 'currency' ? '$' : ''}
+                      className="justify-end"
+                    />
+                  </td>
+                ))}
+                <td className="py-2 text-right">
+                  <button
+                    onClick={() => removeType(index)}
+                    className="p-1.5 rounded text-gray-500 hover:text-red-600 hover:bg-red-50"
+                    title="Remove type"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </td>
+              </tr>
+            ))}
+            <tr className="font-semibold text-gray-900">
+              <td className="py-2">Total</td>
+              <td className="py-2 px-1 text-right">{summary.unitCount}</td>
+              <td className="py-2 px-1" colSpan={2}></td>
+              <td className="py-2 px-1 text-right">{summary.totalSqft > 0 ? summary.totalSqft.toLocaleString() : '—'}</td>
+              <td className="py-2 px-1 text-right">{formatCurrency(summary.monthlyRent)}</td>
+              <td className="py-2 px-1 text-right">{formatCurrency(summary.marketMonthlyRent)}</td>
+              <td className="py-2 px-1 text-right">{formatCurrency(summary.monthlyOtherIncome)}</td>
+              <td></td>
+            </tr>
+          </tbody>
+        </table>
+      </div>
+
+      <div className="flex items-center justify-between">
+        <button
+          onClick={addType}
+          className="flex items-center gap-1 text-sm text-blue-600 hover:text-blue-700 font-medium"
+        >
+          <Plus className="w-4 h-4" />
+          Add Unit Type
+        </button>
+        <button onClick={handleClear} className="text-sm text-gray-500 hover:text-red-600">
+          Remove Unit Mix
+        </button>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3 text-sm">
+        <div className="p-3 bg-gray-50 rounded-lg">
+          <div className="text-gray-600">Avg Rent / Unit</div>
+          <div className="font-semibold text-gray-900">{formatCurrency(summary.averageRent)}</div>
+        </div>
+        <div className="p-3 bg-gray-50 rounded-lg">
+          <div className="text-gray-600">Rent / Sq Ft</div>
+          <div className="font-semibold text-gray-900">
+            {summary.totalSqft > 0 ? `$${summary.rentPerSqft.toFixed(2)}` : 'N/A'}
+          </div>
+        </div>
+        <div className="p-3 bg-gray-50 rounded-lg">
+          <div className="text-gray-600">Loss-to-Lease</div>
+          <div className="font-semibold text-orange-600">{formatCurrency(summary.lossToLeaseMonthly * 12)}/yr</div>
+        </div>
+        <div className="p-3 bg-gray-50 rounded-lg">
+          <div className="text-gray-600">Other Income</div>
+          <div className="font-semibold text-gray-900">{formatCurrency(summary.monthlyOtherIncome * 12)}/yr</div>
+        </div>
+      </div>
+
+      {/* Value-Add Plan */}
+      <div className="p-4 border border-gray-200 rounded-lg">
+        <label className="flex items-center gap-2 text-sm font-medium text-gray-700">
+          <input
+            type="checkbox"
+            checked={!!valueAddPlan.enabled}
+            onChange={(e) => updatePlan('enabled', e.target.checked)}
+            disabled={summary.lossToLeaseMonthly <= 0}
+            className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+          />
+          Value-add plan: move units to market rent
+        </label>
+        {summary.lossToLeaseMonthly <= 0 && (
+          <p className="text-xs text-gray-500 mt-1">Enter market rents above current rents to plan a rent lift.</p>
+        )}
+        {valueAddPlan.enabled && summary.lossToLeaseMonthly > 0 && (
+          <div className="flex items-end gap-4 mt-3">
+            <NumberInput
+              label="Months to Market"
+              value={valueAddPlan.months || 12}
+              onChange={(v) => updatePlan('months', v)}
+              min={1}
+              max={120}
+              allowDecimal={false}
+              suffix="mo"
+              className="w-40"
+            />
+            <p className="text-sm text-gray-600 pb-2">
+              Rent rises from {formatCurrency(summary.monthlyRent)} to {formatCurrency(summary.marketMonthlyRent)}/mo
+              as leases turn over. The projection and year-1 income include the lift.
+            </p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
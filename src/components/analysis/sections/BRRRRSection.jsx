@@ -0,0 +1,196 @@
+import { Info, Infinity as InfinityIcon } from 'lucide-react';
+import { CurrencyInput, PercentInput, NumberInput } from '../Inputcomponents';
+import { DEFAULTS } from '../../../utils/investmentCalculations';
+
+export default function BRRRRSection({ results, inputs, onInputChange }) {
+  const formatCurrency = (value) => {
+    if (value === null || value === undefined || isNaN(value)) return '$0';
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: 'USD',
+      minimumFractionDigits: 0,
+      maximumFractionDigits: 0,
+    }).format(value);
+  };
+
+  const formatPercent = (value) => {
+    if (value === null || value === undefined || isNaN(value)) return '0.00%';
+    return `${Number(value).toFixed(2)}%`;
+  };
+
+  const enabled = !!inputs?.brrrrMode;
+  const brrrr = results?.brrrr || {};
+  const purchaseCashFlow = results?.cashflow?.totalMonthlyProfitOrLoss || 0;
+
+  const handleChange = (field) => (value) => {
+    if (onInputChange) onInputChange(field, value);
+  };
+
+  return (
+    <div className="bg-white rounded-lg border border-gray-200">
+      <div className="p-6">
+        <div className="flex items-center justify-between mb-6">
+          <h2 className="text-xl font-bold text-blue-600">BRRRR (Refinance)</h2>
+          <label className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={enabled}
+              onChange={(e) => handleChange('brrrrMode')(e.target.checked)}
+              className="w-4 h-4 text-blue-600 rounded"
+            />
+            BRRRR Mode
+          </label>
+        </div>
+
+        {!enabled ? (
+          <p className="text-sm text-gray-500">
+            Turn on BRRRR mode to model a cash-out refinance at the After Repair Value once the
+            property is rehabbed, rented and seasoned.
+          </p>
+        ) : (
+          <>
+            {/* Refinance Inputs */}
+            <div className="grid grid-cols-5 gap-4 mb-6">
+              <CurrencyInput
+                label="After Repair Value"
+                value={inputs.afterRepairValue || brrrr.afterRepairValue}
+                onChange={handleChange('afterRepairValue')}
+              />
+              <PercentInput
+                label="Refi LTV"
+                value={inputs.refiLTV ?? DEFAULTS.refiLTV}
+                onChange={handleChange('refiLTV')}
+              />
+              <PercentInput
+                label="Refi Rate"
+                value={inputs.refiRate ?? brrrr.refiRate}
+                onChange={handleChange('refiRate')}
+                max={30}
+              />
+              <NumberInput
+                label="Refi Term"
+                value={inputs.refiAmortization ?? DEFAULTS.refiAmortization}
+                onChange={handleChange('refiAmortization')}
+                min={1}
+                max={40}
+                allowNegative={false}
+                allowDecimal={false}
+                suffix="yrs"
+              />
+              <NumberInput
+                label="Seasoning"
+                value={inputs.refiSeasoningMonths ?? DEFAULTS.refiSeasoningMonths}
+                onChange={handleChange('refiSeasoningMonths')}
+                min={0}
+                max={60}
+                allowNegative={false}
+                allowDecimal={false}
+                suffix="mos"
+              />
+            </div>
+
+            <div className="grid grid-cols-2 gap-x-12 gap-y-4">
+              {/* Left Column - Refinance */}
+              <div className="space-y-4">
+                <div className="flex items-center justify-between">
+                  <div className="flex items-center gap-2">
+                    <Info className="w-4 h-4 text-gray-400 cursor-help" title="ARV × Refi LTV" />
+                    <span className="text-gray-700">New Loan Amount:</span>
+                  </div>
+                  <span className="font-semibold">{formatCurrency(brrrr.refiLoanAmount)}</span>
+                </div>
+
+                <div className="flex items-center justify-between">
+                  <div className="flex items-center gap-2">
+                    <Info className="w-4 h-4 text-gray-400 cursor-help" title="Purchase loan balances at the end of seasoning" />
+                    <span className="text-gray-700">Payoff Existing Loans:</span>
+                  </div>
+                  <span className="font-semibold">({formatCurrency(brrrr.existingLoanPayoff)})</span>
+                </div>
+
+                <div className="flex items-center justify-between">
+                  <div className="flex items-center gap-2">
+                    <Info className="w-4 h-4 text-gray-400 cursor-help" title={`${brrrr.refiClosingCostsPercent}% of new loan`} />
+                    <span className="text-gray-700">Refi Closing Costs:</span>
+                  </div>
+                  <span className="font-semibold">({formatCurrency(brrrr.refiClosingCosts)})</span>
+                </div>
+
+                <div className="flex items-center justify-between">
+                  <span className="text-gray-700 font-medium">Cash-Out Proceeds:</span>
+                  <span className={`font-semibold ${brrrr.cashOutProceeds >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                    {formatCurrency(brrrr.cashOutProceeds)}
+                  </span>
+                </div>
+
+                <div className="flex items-center justify-between">
+                  <div className="flex items-center gap-2">
+                    <Info className="w-4 h-4 text-gray-400 cursor-help" title={`${formatCurrency(purchaseCashFlow)}/mo × ${brrrr.seasoningMonths} months`} />
+                    <span className="text-gray-700">Cash Flow During Seasoning:</span>
+                  </div>
+                  <span className="font-semibold">{formatCurrency(brrrr.seasoningCashFlow)}</span>
+                </div>
+              </div>
+
+              {/* Right Column - Post-Refi Performance */}
+              <div className="space-y-4">
+                <div className="flex items-center justify-between">
+                  <span className="text-gray-700">New Monthly P&I:</span>
+                  <span className="font-semibold text-blue-600">{formatCurrency(brrrr.monthlyPayment)}</span>
+                </div>
+
+                <div className="flex items-center justify-between">
+                  <span className="text-gray-700">Post-Refi Cash Flow:</span>
+                  <span className={`font-semibold ${brrrr.monthlyCashFlow >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                    {formatCurrency(brrrr.monthlyCashFlow)}/mo
+                  </span>
+                </div>
+
+                <div className="flex items-center justify-between">
+                  <span className="text-gray-700">Post-Refi DCR:</span>
+                  <span className={`font-semibold ${brrrr.dcr >= 1.2 ? 'text-green-600' : 'text-red-600'}`}>
+                    {(brrrr.dcr || 0).toFixed(2)}
+                  </span>
+                </div>
+
+                <div className="flex items-center justify-between">
+                  <span className="text-gray-700">Equity After Refi:</span>
+                  <span className="font-semibold">{formatCurrency(brrrr.equityAfterRefi)}</span>
+                </div>
+
+                <div className="flex items-center justify-between">
+                  <span className="text-gray-700">Post-Refi Cash on Cash:</span>
+                  <span className="font-semibold text-green-600">
+                    {brrrr.infiniteReturn ? '∞' : formatPercent(brrrr.cashOnCashROI)}
+                  </span>
+                </div>
+              </div>
+            </div>
+
+            {/* Cash Left In Deal Summary */}
+            <div className="mt-6 pt-4 border-t border-gray-200 bg-blue-50 -mx-6 -mb-6 px-6 py-4 rounded-b-lg">
+              <div className="flex items-center justify-between">
+                <div>
+                  <span className="font-semibold text-blue-900">Cash Left In Deal:</span>
+                  <span className="ml-3 text-sm text-blue-800">
+                    {formatPercent(brrrr.capitalRecoveredPercent)} of {formatCurrency(brrrr.totalCashInvested)} recovered
+                  </span>
+                </div>
+                {brrrr.infiniteReturn ? (
+                  <span className="flex items-center gap-2 font-bold text-xl text-green-600">
+                    <InfinityIcon className="w-6 h-6" />
+                    Infinite Return ({formatCurrency(Math.abs(brrrr.cashLeftInDeal))} extra)
+                  </span>
+                ) : (
+                  <span className="font-bold text-xl text-blue-600">
+                    {formatCurrency(brrrr.cashLeftInDeal)}
+                  </span>
+                )}
+              </div>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -48,13 +48,16 @@ export default function CashFlowSection({ results, inputs, onInputChange }) {
   const firstMtgPayment = results?.financing?.firstMtg?.monthlyPayment || 0;
   const secondMtgPayment = results?.financing?.secondMtg?.monthlyPayment || 0;
   const interestOnlyPayment = results?.financing?.interestOnly?.monthlyPayment || 0;
+  const mortgageInsurance = results?.financing?.mortgageInsurance?.monthlyPremium || 0;
+  const mortgageInsuranceLabel = results?.financing?.mortgageInsurance?.type === 'fha' ? 'FHA MIP' : 'PMI';
   const otherFinancing = results?.financing?.otherMonthlyFinancingCosts || 0;
   
-  const totalMonthlyLoanPayment = firstMtgPayment + secondMtgPayment + interestOnlyPayment + otherFinancing;
+  const totalMonthlyLoanPayment = firstMtgPayment + secondMtgPayment + interestOnlyPayment + mortgageInsurance + otherFinancing;
   const loanPayment = totalMonthlyLoanPayment * (viewMode === 'monthly' ? 1 : 12);
   
   const cashFlow = noi - loanPayment;
-  const postTaxCashFlow = cashFlow; // Simplified - would need tax calculation
+  const incomeTax = (results?.taxes?.taxLiability || 0) * (viewMode === 'monthly' ? 1 / 12 : 1);
+  const postTaxCashFlow = cashFlow - incomeTax;
 
   // Calculate pie chart data
   const chartExpenses = [
@@ -265,6 +268,12 @@ export default function CashFlowSection({ results, inputs, onInputChange }) {
                       <span>{formatCurrency(interestOnlyPayment * (viewMode === 'monthly' ? 1 : 12))}</span>
                     </div>
                   )}
+                  {mortgageInsurance > 0 && (
+                    <div className="flex justify-between text-gray-600">
+                      <span>{mortgageInsuranceLabel}:</span>
+                      <span>{formatCurrency(mortgageInsurance * (viewMode === 'monthly' ? 1 : 12))}</span>
+                    </div>
+                  )}
                   {otherFinancing > 0 && (
                     <div className="flex justify-between text-gray-600">
                       <span>Other Financing:</span>
@@ -287,6 +296,18 @@ export default function CashFlowSection({ results, inputs, onInputChange }) {
               </span>
             </div>
 
+            {/* Income Tax */}
+            <div className="flex items-center justify-between px-2 text-sm">
+              <span className="text-gray-600" title={results?.taxes?.suspendedLoss > 0
+                ? `${formatCurrency(results.taxes.suspendedLoss)} passive loss suspended and carried forward`
+                : `Depreciation ${formatCurrency(results?.taxes?.depreciation)}/yr at ${results?.taxes?.marginalRate ?? 0}% marginal rate`}>
+                {incomeTax < 0 ? 'Tax Savings:' : 'Income Tax:'}
+              </span>
+              <span className={incomeTax < 0 ? 'text-green-600' : 'text-gray-600'}>
+                {incomeTax < 0 ? '+' : '-'} {formatCurrency(Math.abs(incomeTax))}
+              </span>
+            </div>
+
             {/* Post-Tax Cash Flow */}
             <div className="flex items-center justify-between px-2">
               <span className={`${postTaxCashFlow >= 0 ? 'text-gray-700' : 'text-red-600'}`}>
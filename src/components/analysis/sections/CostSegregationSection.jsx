@@ -0,0 +1,215 @@
+import { Info } from 'lucide-react';
+import { PercentInput } from '../Inputcomponents';
+import { calculateBuyHoldProjections, DEFAULTS } from '../../../utils/investmentCalculations';
+
+export default function CostSegregationSection({ results, inputs, onInputChange }) {
+  const formatCurrency = (value) => {
+    if (value === null || value === undefined || isNaN(value)) return '$0';
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: 'USD',
+      minimumFractionDigits: 0,
+      maximumFractionDigits: 0,
+    }).format(value);
+  };
+
+  const formatPercent = (value) => {
+    if (value === null || value === undefined || isNaN(value)) return 'N/A';
+    return `${Number(value).toFixed(2)}%`;
+  };
+
+  const enabled = !!inputs?.costSegregation;
+  const taxes = results?.taxes || {};
+  const classes = taxes.depreciationSchedule?.classes || {};
+  const purchasePrice = results?.purchase?.offerPrice || inputs?.offerPrice || 0;
+  const recoveryYears = inputs?.depreciationYears || DEFAULTS.depreciationYears;
+
+  const handleChange = (field) => (value) => {
+    if (onInputChange) onInputChange(field, value);
+  };
+
+  // Compare against the same analysis depreciated straight-line, through the holding period sale
+  const holdingPeriod = Math.min(30, Math.max(1, Math.round(inputs?.holdingPeriod || DEFAULTS.holdingPeriod)));
+  const costSegYears = enabled && results ? calculateBuyHoldProjections(inputs, results, holdingPeriod) : [];
+  const straightLineYears = enabled && results
+    ? calculateBuyHoldProjections({ ...inputs, costSegregation: false }, results, holdingPeriod)
+    : [];
+  const rows = costSegYears.map((year, i) => ({
+    year: year.year,
+    depreciation: year.depreciation,
+    straightLine: straightLineYears[i].depreciation,
+    taxSaved: straightLineYears[i].incomeTax - year.incomeTax
+  }));
+  const exitCostSeg = costSegYears[holdingPeriod - 1] || {};
+  const exitStraightLine = straightLineYears[holdingPeriod - 1] || {};
+  const totalTaxSaved = rows.reduce((sum, row) => sum + row.taxSaved, 0);
+  const extraSaleTax = (exitCostSeg.saleTax || 0) - (exitStraightLine.saleTax || 0);
+
+  return (
+    <div className="bg-white rounded-lg border border-gray-200">
+      <div className="p-6">
+        <div className="flex items-center justify-between mb-6">
+          <h2 className="text-xl font-bold text-blue-600">COST SEGREGATION</h2>
+          <label className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={enabled}
+              onChange={(e) => handleChange('costSegregation')(e.target.checked)}
+              className="w-4 h-4 text-blue-600 rounded"
+            />
+            Cost Segregation Study
+          </label>
+        </div>
+
+        {!enabled ? (
+          <div className="text-sm text-gray-500 space-y-2">
+            <p>
+              Depreciating the building straight-line over {recoveryYears} years gives{' '}
+              {formatCurrency(taxes.depreciation)} of depreciation in year 1. A cost segregation study
+              reclassifies part of the basis into 5, 7 and 15-year property eligible for bonus depreciation.
+            </p>
+            {purchasePrice >= 1000000 && (
+              <p className="text-blue-700">
+                At {formatCurrency(purchasePrice)}, this property is large enough that a study usually pays for itself.
+              </p>
+            )}
+          </div>
+        ) : (
+          <>
+            {/* Class Allocation Inputs */}
+            <div className="grid grid-cols-5 gap-4 mb-6">
+              <PercentInput
+                label="5-Year Property"
+                value={inputs.costSeg5YearPercent ?? DEFAULTS.costSeg5YearPercent}
+                onChange={handleChange('costSeg5YearPercent')}
+              />
+              <PercentInput
+                label="7-Year Property"
+                value={inputs.costSeg7YearPercent ?? DEFAULTS.costSeg7YearPercent}
+                onChange={handleChange('costSeg7YearPercent')}
+              />
+              <PercentInput
+                label="15-Year Property"
+                value={inputs.costSeg15YearPercent ?? DEFAULTS.costSeg15YearPercent}
+                onChange={handleChange('costSeg15YearPercent')}
+              />
+              <PercentInput
+                label="Bonus Depreciation"
+                value={inputs.bonusDepreciationPercent ?? DEFAULTS.bonusDepreciationPercent}
+                onChange={handleChange('bonusDepreciationPercent')}
+              />
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Building Class</label>
+                <select
+                  value={recoveryYears}
+                  onChange={(e) => handleChange('depreciationYears')(parseFloat(e.target.value))}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                >
+                  <option value={27.5}>27.5-yr Residential</option>
+                  <option value={39}>39-yr Commercial</option>
+                </select>
+              </div>
+            </div>
+
+            {/* Basis by Class */}
+            <div className="grid grid-cols-4 gap-4 mb-6">
+              {[
+                { label: '5-Year', value: classes.fiveYear },
+                { label: '7-Year', value: classes.sevenYear },
+                { label: '15-Year', value: classes.fifteenYear },
+                { label: `${recoveryYears}-Year Building`, value: classes.building }
+              ].map(item => (
+                <div key={item.label} className="bg-gray-50 rounded-lg p-3">
+                  <div className="text-xs text-gray-500">{item.label}</div>
+                  <div className="font-semibold">{formatCurrency(item.value)}</div>
+                </div>
+              ))}
+            </div>
+
+            <div className="grid grid-cols-2 gap-x-12 gap-y-4 mb-6">
+              <div className="space-y-4">
+                <div className="flex items-center justify-between">
+                  <div className="flex items-center gap-2">
+                    <Info className="w-4 h-4 text-gray-400 cursor-help" title="Bonus on 5, 7 and 15-year property in year 1" />
+                    <span className="text-gray-700">Bonus Depreciation:</span>
+                  </div>
+                  <span className="font-semibold">{formatCurrency(taxes.depreciationSchedule?.bonusDepreciation)}</span>
+                </div>
+                <div className="flex items-center justify-between">
+                  <span className="text-gray-700">Year 1 Depreciation:</span>
+                  <span className="font-semibold text-green-600">{formatCurrency(taxes.depreciation)}</span>
+                </div>
+                <div className="flex items-center justify-between">
+                  <span className="text-gray-700">Straight-Line Year 1:</span>
+                  <span className="font-semibold">{formatCurrency(taxes.straightLineDepreciation)}</span>
+                </div>
+              </div>
+
+              <div className="space-y-4">
+                <div className="flex items-center justify-between">
+                  <span className="text-gray-700">Tax Saved Through Year {holdingPeriod}:</span>
+                  <span className="font-semibold text-green-600">{formatCurrency(totalTaxSaved)}</span>
+                </div>
+                <div className="flex items-center justify-between">
+                  <div className="flex items-center gap-2">
+                    <Info className="w-4 h-4 text-gray-400 cursor-help" title="5 and 7-year property is recaptured at ordinary rates; 15-year and building at up to the recapture rate" />
+                    <span className="text-gray-700">Extra Tax at Sale (Year {holdingPeriod}):</span>
+                  </div>
+                  <span className="font-semibold text-red-600">{formatCurrency(extraSaleTax)}</span>
+                </div>
+                <div className="flex items-center justify-between">
+                  <span className="text-gray-700">After-Tax IRR:</span>
+                  <span className="font-semibold">
+                    {formatPercent(exitCostSeg.afterTaxIrr)}
+                    <span className="text-xs text-gray-500 ml-2">vs {formatPercent(exitStraightLine.afterTaxIrr)} straight-line</span>
+                  </span>
+                </div>
+              </div>
+            </div>
+
+            {/* Year-by-Year Impact */}
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="border-b text-gray-600">
+                    <th className="text-left py-2">Year</th>
+                    <th className="text-right py-2">Cost Seg Depreciation</th>
+                    <th className="text-right py-2">Straight-Line</th>
+                    <th className="text-right py-2">Difference</th>
+                    <th className="text-right py-2">Tax Saved (Deferred)</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {rows.map(row => (
+                    <tr key={row.year} className="border-b">
+                      <td className="py-2">{row.year}</td>
+                      <td className="text-right">{formatCurrency(row.depreciation)}</td>
+                      <td className="text-right">{formatCurrency(row.straightLine)}</td>
+                      <td className={`text-right ${row.depreciation >= row.straightLine ? 'text-green-600' : 'text-red-600'}`}>
+                        {formatCurrency(row.depreciation - row.straightLine)}
+                      </td>
+                      <td className={`text-right ${row.taxSaved >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                        {formatCurrency(row.taxSaved)}
+                      </td>
+                    </tr>
+                  ))}
+                  <tr className="bg-blue-50 font-semibold">
+                    <td className="py-2" colSpan={4}>Sale in year {holdingPeriod}: recapture tax</td>
+                    <td className="text-right text-red-600">
+                      {formatCurrency(exitCostSeg.recaptureTax)}
+                      <span className="text-xs text-gray-500 ml-1">vs {formatCurrency(exitStraightLine.recaptureTax)}</span>
+                    </td>
+                  </tr>
+                </tbody>
+              </table>
+            </div>
+            <p className="text-xs text-gray-500 mt-3">
+              Tax savings depend on your passive loss status; losses you cannot use are suspended until sale.
+              Allocation percentages should come from an engineering-based study.
+            </p>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -1,8 +1,304 @@
 import { useState } from 'react';
-import { ChevronDown, ChevronUp, Info } from 'lucide-react';
+import { ChevronDown, ChevronUp, Info, Download, Plus, Trash2 } from 'lucide-react';
+import { amortizationScheduleToCSV } from '../../../utils/investmentCalculations';
+
+const LOAN_LABELS = {
+  firstMtg: 'First Mortgage',
+  secondMtg: 'Second Mortgage',
+  interestOnly: 'Interest-Only Loan'
+};
+
+const formatMonth = (value) => {
+  if (!value) return 'N/A';
+  const [year, month] = value.split('-').map(Number);
+  return new Date(year, month - 1, 1).toLocaleDateString('en-US', { month: 'short', year: 'numeric' });
+};
+
+function AmortizationSchedule({ amortization, inputs, onInputChange, formatCurrency, formatPercent }) {
+  const [loanKey, setLoanKey] = useState('firstMtg');
+  const [viewMode, setViewMode] = useState('yearly');
+
+  const availableLoans = Object.keys(LOAN_LABELS).filter(key => amortization?.[key]?.schedule?.length > 0);
+  const activeKey = availableLoans.includes(loanKey) ? loanKey : availableLoans[0];
+  const loan = amortization?.[activeKey];
+
+  const setInput = (field, value) => {
+    if (onInputChange) onInputChange(field, value);
+  };
+
+  const toNumber = (value) => parseFloat(value) || 0;
+
+  const oneTimeExtras = inputs?.oneTimeExtraPayments || [];
+  const rateChanges = inputs?.firstMtgRateChanges || [];
+
+  const updateListItem = (field, list, index, key, value) => {
+    setInput(field, list.map((item, i) => (i === index ? { ...item, [key]: toNumber(value) } : item)));
+  };
+
+  const balloonField = {
+    firstMtg: 'firstMtgBalloonYears',
+    secondMtg: 'secondMtgBalloonYears',
+    interestOnly: 'interestOnlyTermYears'
+  }[activeKey];
+
+  const handleDownload = () => {
+    const csv = amortizationScheduleToCSV(loan.schedule);
+    const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `amortization-${activeKey}.csv`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  if (!loan) {
+    return <p className="text-sm text-gray-500">No financed loans to amortize.</p>;
+  }
+
+  const rows = viewMode === 'yearly' ? loan.yearly : loan.schedule;
+  const inputClass = 'w-full px-2 py-1.5 border border-gray-300 rounded text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+  return (
+    <div>
+      {/* Loan Tabs */}
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex gap-2">
+          {availableLoans.map(key => (
+            <button
+              key={key}
+              onClick={() => setLoanKey(key)}
+              className={`px-3 py-1.5 rounded text-sm font-medium ${
+                key === activeKey ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+              }`}
+            >
+              {LOAN_LABELS[key]}
+            </button>
+          ))}
+        </div>
+        <button
+          onClick={handleDownload}
+          className="text-blue-600 hover:text-blue-800 text-sm flex items-center gap-1"
+        >
+          <Download className="w-4 h-4" />
+          Download CSV
+        </button>
+      </div>
+
+      {/* Schedule Options */}
+      <div className="grid grid-cols-4 gap-4 mb-4 text-sm">
+        <div>
+          <label className="block text-gray-600 mb-1">
+            {activeKey === 'interestOnly' ? 'Term (years):' : 'Balloon After (years):'}
+          </label>
+          <input
+            type="number"
+            min="0"
+            value={inputs?.[balloonField] || ''}
+            placeholder={activeKey === 'interestOnly' ? '30' : 'None'}
+            onChange={(e) => setInput(balloonField, toNumber(e.target.value))}
+            className={inputClass}
+          />
+        </div>
+        {activeKey === 'firstMtg' && (
+          <>
+            <div>
+              <label className="block text-gray-600 mb-1">Extra Principal / Month:</label>
+              <input
+                type="number"
+                min="0"
+                value={inputs?.extraMonthlyPrincipal || ''}
+                placeholder="0"
+                onChange={(e) => setInput('extraMonthlyPrincipal', toNumber(e.target.value))}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-gray-600 mb-1">Starting Month:</label>
+              <input
+                type="number"
+                min="1"
+                value={inputs?.extraPaymentStartMonth || ''}
+                placeholder="1"
+                onChange={(e) => setInput('extraPaymentStartMonth', Math.max(1, toNumber(e.target.value)))}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-gray-600 mb-1">First Payment Date:</label>
+              <input
+                type="date"
+                value={inputs?.firstPaymentDate || ''}
+                onChange={(e) => setInput('firstPaymentDate', e.target.value)}
+                className={inputClass}
+              />
+            </div>
+          </>
+        )}
+      </div>
+
+      {activeKey === 'firstMtg' && (
+        <div className="grid grid-cols-2 gap-6 mb-4 text-sm">
+          {/* One-time Extra Payments */}
+          <div>
+            <div className="font-medium text-gray-700 mb-2">One-Time Extra Payments</div>
+            {oneTimeExtras.map((item, i) => (
+              <div key={i} className="flex items-center gap-2 mb-2">
+                <span className="text-gray-600">Month</span>
+                <input
+                  type="number"
+                  min="1"
+                  value={item.month}
+                  onChange={(e) => updateListItem('oneTimeExtraPayments', oneTimeExtras, i, 'month', e.target.value)}
+                  className={`${inputClass} w-20`}
+                />
+                <span className="text-gray-600">$</span>
+                <input
+                  type="number"
+                  min="0"
+                  value={item.amount}
+                  onChange={(e) => updateListItem('oneTimeExtraPayments', oneTimeExtras, i, 'amount', e.target.value)}
+                  className={`${inputClass} w-28`}
+                />
+                <button
+                  onClick={() => setInput('oneTimeExtraPayments', oneTimeExtras.filter((_, j) => j !== i))}
+                  className="text-gray-400 hover:text-red-600"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            ))}
+            <button
+              onClick={() => setInput('oneTimeExtraPayments', [...oneTimeExtras, { month: 12, amount: 0 }])}
+              className="text-blue-600 text-sm font-medium flex items-center gap-1"
+            >
+              <Plus className="w-4 h-4" /> Add Payment
+            </button>
+          </div>
+
+          {/* Rate Changes */}
+          <div>
+            <div className="font-medium text-gray-700 mb-2">Rate Changes</div>
+            {rateChanges.map((item, i) => (
+              <div key={i} className="flex items-center gap-2 mb-2">
+                <span className="text-gray-600">Month</span>
+                <input
+                  type="number"
+                  min="1"
+                  value={item.month}
+                  onChange={(e) => updateListItem('firstMtgRateChanges', rateChanges, i, 'month', e.target.value)}
+                  className={`${inputClass} w-20`}
+                />
+                <input
+                  type="number"
+                  min="0"
+                  step="0.125"
+                  value={item.rate}
+                  onChange={(e) => updateListItem('firstMtgRateChanges', rateChanges, i, 'rate', e.target.value)}
+                  className={`${inputClass} w-20`}
+                />
+                <span className="text-gray-600">%</span>
+                <button
+                  onClick={() => setInput('firstMtgRateChanges', rateChanges.filter((_, j) => j !== i))}
+                  className="text-gray-400 hover:text-red-600"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            ))}
+            <button
+              onClick={() => setInput('firstMtgRateChanges', [...rateChanges, { month: 61, rate: inputs?.firstMtgRate || 7 }])}
+              className="text-blue-600 text-sm font-medium flex items-center gap-1"
+            >
+              <Plus className="w-4 h-4" /> Add Rate Change
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Summary */}
+      <div className="grid grid-cols-4 gap-4 mb-4">
+        <div className="bg-gray-50 rounded p-3">
+          <div className="text-xs text-gray-500">Total Interest</div>
+          <div className="font-semibold">{formatCurrency(loan.totalInterest)}</div>
+        </div>
+        <div className="bg-gray-50 rounded p-3">
+          <div className="text-xs text-gray-500">Payoff Date</div>
+          <div className="font-semibold">{formatMonth(loan.payoffDate)}</div>
+        </div>
+        {loan.balloonPayment > 0 && (
+          <div className="bg-orange-50 rounded p-3">
+            <div className="text-xs text-orange-700">Balloon Payment</div>
+            <div className="font-semibold text-orange-700">{formatCurrency(loan.balloonPayment)}</div>
+          </div>
+        )}
+        {loan.interestSaved > 0 && (
+          <div className="bg-green-50 rounded p-3">
+            <div className="text-xs text-green-700">Interest Saved</div>
+            <div className="font-semibold text-green-700">
+              {formatCurrency(loan.interestSaved)}
+              <span className="text-xs font-normal ml-1">
+                ({loan.monthsSaved} mo sooner, was {formatMonth(loan.baselinePayoffDate)})
+              </span>
+            </div>
+          </div>
+        )}
+      </div>
+
+      {/* View Toggle */}
+      <div className="flex gap-2 mb-2 text-sm">
+        {['yearly', 'monthly'].map(mode => (
+          <button
+            key={mode}
+            onClick={() => setViewMode(mode)}
+            className={`px-3 py-1 rounded ${viewMode === mode ? 'bg-gray-800 text-white' : 'bg-gray-100 text-gray-700'}`}
+          >
+            {mode === 'yearly' ? 'Yearly' : 'Monthly'}
+          </button>
+        ))}
+      </div>
+
+      {/* Schedule Table */}
+      <div className="max-h-96 overflow-y-auto border border-gray-200 rounded">
+        <table className="w-full text-sm">
+          <thead className="bg-gray-50 sticky top-0">
+            <tr className="text-gray-600">
+              <th className="text-left py-2 px-3">{viewMode === 'yearly' ? 'Year' : 'Month'}</th>
+              {viewMode === 'monthly' && <th className="text-left py-2 px-3">Date</th>}
+              {viewMode === 'monthly' && <th className="text-right py-2 px-3">Rate</th>}
+              <th className="text-right py-2 px-3">Payment</th>
+              <th className="text-right py-2 px-3">Interest</th>
+              <th className="text-right py-2 px-3">Principal</th>
+              <th className="text-right py-2 px-3">Extra</th>
+              <th className="text-right py-2 px-3">Balance</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(row => (
+              <tr key={viewMode === 'yearly' ? row.year : row.month} className={`border-t border-gray-100 ${row.balloon > 0 ? 'bg-orange-50' : ''}`}>
+                <td className="py-1.5 px-3">{viewMode === 'yearly' ? row.year : row.month}</td>
+                {viewMode === 'monthly' && <td className="py-1.5 px-3">{formatMonth(row.date)}</td>}
+                {viewMode === 'monthly' && <td className="text-right py-1.5 px-3">{formatPercent(row.rate)}</td>}
+                <td className="text-right py-1.5 px-3">{formatCurrency(row.payment)}</td>
+                <td className="text-right py-1.5 px-3">{formatCurrency(row.interest)}</td>
+                <td className="text-right py-1.5 px-3">
+                  {formatCurrency(row.principal)}
+                  {row.balloon > 0 && <span className="text-orange-700"> + {formatCurrency(row.balloon)} balloon</span>}
+                </td>
+                <td className="text-right py-1.5 px-3">{formatCurrency(row.extra)}</td>
+                <td className="text-right py-1.5 px-3">{formatCurrency(row.balance)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
 
 export default function FinancingSection({ results, inputs, onInputChange }) {
   const [expanded, setExpanded] = useState(false);
+  const [showSchedule, setShowSchedule] = useState(false);
 
   const formatCurrency = (value) => {
     if (value === null || value === undefined || isNaN(value)) return '$0';
@@ -23,6 +319,7 @@ export default function FinancingSection({ results, inputs, onInputChange }) {
   const financing = results?.financing || {};
   const firstMtg = financing.firstMtg || {};
   const secondMtg = financing.secondMtg || {};
+  const amortization = results?.amortization || {};
   const quickAnalysis = results?.quickAnalysis || {};
 
   // Calculate values
@@ -34,6 +331,21 @@ export default function FinancingSection({ results, inputs, onInputChange }) {
   const ltv = quickAnalysis.firstMtgLTV || inputs?.firstMtgLTV || 80;
   const ltpp = quickAnalysis.firstMtgLTPP || ltv;
 
+  // Loan type description
+  const loanType = firstMtg.loanType || inputs?.firstMtgLoanType || 'amortizing';
+  const ioYears = Math.round((firstMtg.interestOnlyMonths || 0) / 12);
+  const structureLabel = {
+    'subject-to': `Subject-To Existing Loan, ${loanTerm} Yr Remaining`,
+    'wrap': `Seller Wrap-Around, ${loanTerm} Year`
+  }[financing.structure];
+  const loanTypeLabel = structureLabel || {
+    'amortizing': `Amortizing, ${loanTerm} Year`,
+    'interest-only': `Interest-Only, ${loanTerm} Year`,
+    'io-amortizing': `Interest-Only ${ioYears} Yr, then ${loanTerm - ioYears} Yr Amortizing`,
+    'arm': `${inputs?.armInitialPeriodYears ?? 5}/${inputs?.armAdjustmentYears ?? 1} ARM, ${loanTerm} Year`
+  }[loanType] || `Amortizing, ${loanTerm} Year`;
+  const rateChanges = firstMtg.rateChanges || [];
+
   // Second mortgage info
   const hasSecondMtg = secondMtg.principal > 0;
 
@@ -67,7 +379,7 @@ export default function FinancingSection({ results, inputs, onInputChange }) {
             <div className="flex items-center justify-between">
               <div className="flex items-center gap-2">
                 <Info className="w-4 h-4 text-gray-400" />
-                <span className="text-gray-700">Monthly P&I Payment:</span>
+                <span className="text-gray-700">{loanType === 'amortizing' ? 'Monthly P&I Payment:' : 'Initial Monthly Payment:'}</span>
               </div>
               <span className="font-semibold text-blue-600">{formatCurrency(monthlyPayment)}</span>
             </div>
@@ -102,13 +414,20 @@ export default function FinancingSection({ results, inputs, onInputChange }) {
             {/* Loan Type */}
             <div className="flex items-center justify-between">
               <span className="text-gray-700">Loan Type:</span>
-              <span className="font-semibold">Amortizing, {loanTerm} Year</span>
+              <span className="font-semibold">{loanTypeLabel}</span>
             </div>
 
             {/* Interest Rate */}
             <div className="flex items-center justify-between">
               <span className="text-gray-700">Interest Rate:</span>
-              <span className="font-semibold">{formatPercent(interestRate)}</span>
+              <span className="font-semibold">
+                {formatPercent(interestRate)}
+                {rateChanges.length > 0 && (
+                  <span className="text-sm font-normal text-gray-500">
+                    {' '}→ {formatPercent(rateChanges[rateChanges.length - 1].rate)} (yr {Math.ceil(rateChanges[rateChanges.length - 1].month / 12)})
+                  </span>
+                )}
+              </span>
             </div>
 
             {/* Annual Debt Service */}
@@ -150,8 +469,8 @@ export default function FinancingSection({ results, inputs, onInputChange }) {
                   <span>{formatCurrency(annualDebtService)}</span>
                 </div>
                 <div className="flex justify-between">
-                  <span className="text-gray-600">Total Interest (30yr):</span>
-                  <span>{formatCurrency((monthlyPayment * loanTerm * 12) - loanAmount)}</span>
+                  <span className="text-gray-600">Total Interest:</span>
+                  <span>{formatCurrency(amortization.firstMtg?.totalInterest ?? (monthlyPayment * loanTerm * 12) - loanAmount)}</span>
                 </div>
               </div>
             </div>
@@ -173,12 +492,84 @@ export default function FinancingSection({ results, inputs, onInputChange }) {
                     <span className="text-gray-600">Monthly Payment:</span>
                     <span>{formatCurrency(secondMtg.monthlyPayment)}</span>
                   </div>
+                  <div className="flex justify-between">
+                    <span className="text-gray-600">Terms:</span>
+                    <span>
+                      {secondMtg.sellerCarryBack ? 'Seller carry-back, ' : ''}
+                      {secondMtg.interestOnly ? 'Interest-only' : `${secondMtg.amortization} yr amortization`}
+                    </span>
+                  </div>
+                  {secondMtg.balloonMonth && (
+                    <div className="flex justify-between">
+                      <span className="text-gray-600">Balloon (Year {Math.ceil(secondMtg.balloonMonth / 12)}):</span>
+                      <span className="font-semibold text-orange-600">{formatCurrency(secondMtg.balloonAmount)}</span>
+                    </div>
+                  )}
+                </div>
+              </div>
+            )}
+
+            {/* Seller's Existing Mortgage (subject-to / wrap) */}
+            {financing.existingMtg && (
+              <div className="mt-4 pt-4 border-t border-gray-100">
+                <h4 className="font-medium text-gray-700 mb-2">
+                  {financing.wrap ? 'Underlying Mortgage (paid by the seller)' : 'Existing Mortgage (taken subject-to)'}
+                </h4>
+                <div className="grid grid-cols-2 gap-4 text-sm">
+                  <div className="flex justify-between">
+                    <span className="text-gray-600">Balance:</span>
+                    <span>{formatCurrency(financing.existingMtg.balance)}</span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span className="text-gray-600">Rate:</span>
+                    <span>{formatPercent(financing.existingMtg.rate)}</span>
+                  </div>
+                  <div className="flex justify-between">
+                    <span className="text-gray-600">Monthly Payment:</span>
+                    <span>{formatCurrency(financing.existingMtg.monthlyPayment)}</span>
+                  </div>
+                  {financing.wrap ? (
+                    <div className="flex justify-between">
+                      <span className="text-gray-600">Seller Spread:</span>
+                      <span>{formatCurrency(financing.wrap.monthlySpread)}/mo</span>
+                    </div>
+                  ) : financing.existingMtg.arrears > 0 && (
+                    <div className="flex justify-between">
+                      <span className="text-gray-600">Arrears Reinstated:</span>
+                      <span>{formatCurrency(financing.existingMtg.arrears)}</span>
+                    </div>
+                  )}
                 </div>
               </div>
             )}
           </div>
         )}
 
+        {/* Amortization Schedule */}
+        <div className="mt-6 pt-6 border-t border-gray-200">
+          <button
+            onClick={() => setShowSchedule(!showSchedule)}
+            className="w-full flex items-center justify-between font-semibold text-gray-900"
+          >
+            <span>Amortization Schedule</span>
+            <span className="text-blue-600 text-sm font-normal flex items-center gap-1">
+              {showSchedule ? 'Hide Schedule' : 'Show Schedule'}
+              {showSchedule ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+            </span>
+          </button>
+          {showSchedule && (
+            <div className="mt-4">
+              <AmortizationSchedule
+                amortization={amortization}
+                inputs={inputs}
+                onInputChange={onInputChange}
+                formatCurrency={formatCurrency}
+                formatPercent={formatPercent}
+              />
+            </div>
+          )}
+        </div>
+
         {/* Cash Required Summary */}
         <div className="mt-6 pt-4 border-t border-gray-200 bg-blue-50 -mx-6 -mb-6 px-6 py-4 rounded-b-lg">
           <div className="flex items-center justify-between">
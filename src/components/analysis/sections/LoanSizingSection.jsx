@@ -0,0 +1,151 @@
+import { Info, Scale } from 'lucide-react';
+import { PercentInput, NumberInput } from '../Inputcomponents';
+import { DEFAULTS } from '../../../utils/investmentCalculations';
+
+export default function LoanSizingSection({ results, inputs, onInputChange }) {
+  const formatCurrency = (value) => {
+    if (value === null || value === undefined || isNaN(value)) return '$0';
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: 'USD',
+      minimumFractionDigits: 0,
+      maximumFractionDigits: 0,
+    }).format(value);
+  };
+
+  const formatPercent = (value) => {
+    if (value === null || value === undefined || isNaN(value)) return '0.00%';
+    return `${Number(value).toFixed(2)}%`;
+  };
+
+  const formatTarget = (key, value) => (key === 'dscr' ? `${Number(value).toFixed(2)}x` : formatPercent(value));
+
+  const sizing = results?.loanSizing;
+  const subjectTo = inputs?.financingStructure === 'subject-to';
+
+  const handleChange = (field) => (value) => {
+    if (onInputChange) onInputChange(field, value);
+  };
+
+  // Round down so the sized loan stays inside every constraint
+  const handleSizeToLender = () => {
+    handleChange('firstMtgLTV')(Math.floor(sizing.ltv * 100) / 100);
+  };
+
+  if (!sizing) return null;
+
+  const difference = sizing.maxLoan - sizing.currentLoan;
+
+  return (
+    <div className="bg-white rounded-lg border border-gray-200">
+      <div className="p-6">
+        <div className="flex items-center justify-between mb-6">
+          <h2 className="text-xl font-bold text-blue-600">LENDER SIZING (DSCR)</h2>
+          <button
+            onClick={handleSizeToLender}
+            disabled={!onInputChange || subjectTo || sizing.maxLoan <= 0}
+            className="flex items-center gap-2 px-4 py-2 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 font-medium disabled:opacity-50"
+            title={subjectTo ? 'Subject-to deals keep the existing loan' : `Set the loan to ${formatPercent(sizing.ltv)} LTV`}
+          >
+            <Scale className="w-4 h-4" />
+            Size to Lender
+          </button>
+        </div>
+
+        {/* Lender Constraints */}
+        <div className="grid grid-cols-5 gap-4 mb-6">
+          <PercentInput
+            label="Max LTV"
+            value={inputs?.lenderMaxLTV ?? DEFAULTS.lenderMaxLTV}
+            onChange={handleChange('lenderMaxLTV')}
+          />
+          <NumberInput
+            label="Min DSCR"
+            value={inputs?.lenderMinDSCR ?? DEFAULTS.lenderMinDSCR}
+            onChange={handleChange('lenderMinDSCR')}
+            min={0}
+            max={5}
+            allowNegative={false}
+            suffix="x"
+          />
+          <PercentInput
+            label="Min Debt Yield"
+            value={inputs?.lenderMinDebtYield ?? DEFAULTS.lenderMinDebtYield}
+            onChange={handleChange('lenderMinDebtYield')}
+          />
+          <PercentInput
+            label="Lender Rate"
+            value={sizing.rate}
+            onChange={handleChange('lenderRate')}
+            max={30}
+          />
+          <NumberInput
+            label="Amortization"
+            value={sizing.amortization}
+            onChange={handleChange('lenderAmortization')}
+            min={1}
+            max={40}
+            allowNegative={false}
+            allowDecimal={false}
+            suffix="yrs"
+          />
+        </div>
+
+        <div className="grid grid-cols-2 gap-x-12 gap-y-4">
+          {/* Left Column - Max Loan by Constraint */}
+          <div className="space-y-4">
+            {sizing.constraints.map(constraint => (
+              <div key={constraint.key} className="flex items-center justify-between">
+                <span className={constraint.binding ? 'text-gray-900 font-medium' : 'text-gray-700'}>
+                  {constraint.label} ({formatTarget(constraint.key, constraint.target)}):
+                </span>
+                <span className={`font-semibold ${constraint.binding ? 'text-orange-600' : ''}`}>
+                  {formatCurrency(constraint.maxLoan)}
+                  {constraint.binding && <span className="ml-2 text-xs font-medium uppercase">Binding</span>}
+                </span>
+              </div>
+            ))}
+            {sizing.constraints.length === 0 && (
+              <p className="text-sm text-gray-500">Enter at least one lender constraint.</p>
+            )}
+          </div>
+
+          {/* Right Column - Sized Loan */}
+          <div className="space-y-4">
+            <div className="flex items-center justify-between">
+              <div className="flex items-center gap-2">
+                <Info className="w-4 h-4 text-gray-400 cursor-help" title="Smallest loan across the lender's constraints" />
+                <span className="text-gray-700 font-medium">Max Loan:</span>
+              </div>
+              <span className="font-bold text-blue-600">{formatCurrency(sizing.maxLoan)}</span>
+            </div>
+
+            <div className="flex items-center justify-between">
+              <span className="text-gray-700">LTV / Monthly P&I:</span>
+              <span className="font-semibold">{formatPercent(sizing.ltv)} / {formatCurrency(sizing.monthlyPayment)}</span>
+            </div>
+
+            <div className="flex items-center justify-between">
+              <span className="text-gray-700">DSCR / Debt Yield:</span>
+              <span className="font-semibold">
+                {sizing.dscr === null ? 'N/A' : `${sizing.dscr.toFixed(2)}x`} / {sizing.debtYield === null ? 'N/A' : formatPercent(sizing.debtYield)}
+              </span>
+            </div>
+
+            <div className="flex items-center justify-between">
+              <span className="text-gray-700">vs. Current Loan ({formatCurrency(sizing.currentLoan)}):</span>
+              <span className={`font-semibold ${difference >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                {difference >= 0 ? '+' : ''}{formatCurrency(difference)}
+              </span>
+            </div>
+          </div>
+        </div>
+
+        <p className="text-xs text-gray-500 mt-4">
+          Sized on year-1 NOI of {formatCurrency(sizing.noi)} and LTV on the purchase price.
+          {subjectTo && ' Subject-to deals keep the existing loan, so sizing is for reference only.'}
+        </p>
+      </div>
+    </div>
+  );
+}
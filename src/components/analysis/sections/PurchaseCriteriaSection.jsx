@@ -1,5 +1,6 @@
-import { useState } from 'react';
-import { Check, X, Edit2, Save, RotateCcw } from 'lucide-react';
+import { useState, useMemo } from 'react';
+import { Check, X, Edit2, Save, RotateCcw, Target } from 'lucide-react';
+import { solvePurchaseCriteria } from '../../../utils/investmentCalculations';
 
 // Default criteria thresholds - can be customized per investor
 const DEFAULT_CRITERIA = {
@@ -11,11 +12,17 @@ const DEFAULT_CRITERIA = {
   minDCR: 1.2
 };
 
-export default function PurchaseCriteriaSection({ results, investorProfile, onCriteriaChange }) {
+export default function PurchaseCriteriaSection({ results, property, inputs, investorProfile, onCriteriaChange }) {
   const [isEditing, setIsEditing] = useState(false);
   const [criteria, setCriteria] = useState(investorProfile?.purchaseCriteria || DEFAULT_CRITERIA);
   const [tempCriteria, setTempCriteria] = useState(criteria);
 
+  // Offer, rent and down payment that would make each criterion pass
+  const solutions = useMemo(
+    () => (inputs ? solvePurchaseCriteria(property || {}, inputs, criteria) : null),
+    [property, inputs, criteria]
+  );
+
   const formatCurrency = (value) => {
     if (value === null || value === undefined || isNaN(value)) return '$0';
     return new Intl.NumberFormat('en-US', {
@@ -102,6 +109,10 @@ export default function PurchaseCriteriaSection({ results, investorProfile, onCr
     }
   ];
 
+  criteriaChecks.forEach(check => {
+    check.solution = solutions?.criteria[check.id];
+  });
+
   // Count passing criteria
   const passingCount = criteriaChecks.filter(c => c.pass).length;
   const totalCount = criteriaChecks.length;
@@ -124,6 +135,17 @@ export default function PurchaseCriteriaSection({ results, investorProfile, onCr
     setTempCriteria(DEFAULT_CRITERIA);
   };
 
+  // Round toward passing: offers down to $100, rent up to $1, down payment up to 0.1%
+  const passesAt = (solution) => {
+    const parts = [];
+    if (solution.maxOffer !== null) parts.push(`offer ≤ ${formatCurrency(Math.floor(solution.maxOffer / 100) * 100)}`);
+    if (solution.minMonthlyRent !== null) parts.push(`rent ≥ ${formatCurrency(Math.ceil(solution.minMonthlyRent))}/mo`);
+    if (solution.minDownPaymentPercent !== null) parts.push(`down payment ≥ ${(Math.ceil(solution.minDownPaymentPercent * 10) / 10).toFixed(1)}%`);
+    return parts.length > 0
+      ? `Passes at ${parts.join(' or ')}`
+      : 'Not reachable by changing price or rent alone';
+  };
+
   const CriteriaItem = ({ check }) => {
     const formatValue = (value, format) => {
       if (format === 'currency') return formatCurrency(value);
@@ -149,6 +171,12 @@ export default function PurchaseCriteriaSection({ results, investorProfile, onCr
           <div className={`text-sm ${check.pass ? 'text-green-600' : 'text-red-600'}`}>
             Actual: {formatValue(check.actual, check.format)} | Target: {comparisonText}
           </div>
+          {!check.pass && check.solution && (
+            <div className="text-xs text-gray-700 mt-1 flex items-center gap-1 flex-wrap">
+              <Target className="w-3 h-3 text-blue-600" />
+              {passesAt(check.solution)}
+            </div>
+          )}
         </div>
       </div>
     );
@@ -300,9 +328,33 @@ export default function PurchaseCriteriaSection({ results, investorProfile, onCr
           </div>
         )}
 
+        {/* Break-even */}
+        {!isEditing && solutions && (
+          <div className="mt-4 p-3 bg-gray-50 rounded-lg text-sm">
+            <div className="font-medium text-gray-900 mb-1">Break-Even ($0/mo cash flow)</div>
+            <div className="grid grid-cols-3 gap-4 text-gray-700">
+              <div>
+                Max Offer: <span className="font-semibold">
+                  {solutions.breakEven.maxOffer !== null ? formatCurrency(Math.floor(solutions.breakEven.maxOffer / 100) * 100) : 'N/A'}
+                </span>
+              </div>
+              <div>
+                Min Rent: <span className="font-semibold">
+                  {solutions.breakEven.minMonthlyRent !== null ? `${formatCurrency(Math.ceil(solutions.breakEven.minMonthlyRent))}/mo` : 'N/A'}
+                </span>
+              </div>
+              <div>
+                Max Rate: <span className="font-semibold">
+                  {solutions.breakEven.maxRate !== null ? `${solutions.breakEven.maxRate.toFixed(2)}%` : 'N/A'}
+                </span>
+              </div>
+            </div>
+          </div>
+        )}
+
         {/* Help text */}
         <p className="mt-4 text-sm text-gray-500">
-          Use the Offer Calculator to determine a purchase price that will satisfy your criteria.
+          Failing criteria show the offer price or rent that would make them pass, with all other inputs unchanged.
           {investorProfile && (
             <span className="block mt-1">
               Criteria synced with your <a href="#" className="text-blue-600 hover:underline">Investor Profile</a>.
@@ -0,0 +1,222 @@
+import { useState, useMemo } from 'react';
+import { NumberInput } from '../Inputcomponents';
+import {
+  calculateSensitivityTable,
+  calculateTornado,
+  getSensitivityBaseValue,
+  SENSITIVITY_INPUTS,
+  SENSITIVITY_METRICS
+} from '../../../utils/investmentCalculations';
+
+const STEPS = [-2, -1, 0, 1, 2];
+
+// Five values centered on the current input value
+const axisValues = (key, step, inputs, results) => {
+  const base = getSensitivityBaseValue(key, inputs, results);
+  return STEPS.map(k => Math.max(0, base + k * step));
+};
+
+export default function SensitivitySection({ property, results, inputs }) {
+  const [metric, setMetric] = useState('monthlyCashFlow');
+  const [rowKey, setRowKey] = useState('offerPrice');
+  const [columnKey, setColumnKey] = useState('firstMtgRate');
+  const [steps, setSteps] = useState({});
+  const [swingPercent, setSwingPercent] = useState(10);
+
+  const formatCurrency = (value) => {
+    if (value === null || value === undefined || isNaN(value)) return '$0';
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: 'USD',
+      minimumFractionDigits: 0,
+      maximumFractionDigits: 0,
+    }).format(value);
+  };
+
+  const formatPercent = (value) => {
+    if (value === null || value === undefined || isNaN(value)) return 'N/A';
+    return `${Number(value).toFixed(2)}%`;
+  };
+
+  const inputDef = (key) => SENSITIVITY_INPUTS.find(i => i.key === key);
+  const metricDef = SENSITIVITY_METRICS.find(m => m.key === metric);
+  const formatInput = (key, value) => (inputDef(key).format === 'currency' ? formatCurrency(value) : formatPercent(value));
+  const formatMetric = (value) => (metricDef.format === 'currency' ? `${formatCurrency(value)}/mo` : formatPercent(value));
+
+  // Default step: fixed for rates, a rounded share of the base value for dollar amounts
+  const stepFor = (key) => {
+    if (steps[key] !== undefined) return steps[key];
+    const def = inputDef(key);
+    if (def.step) return def.step;
+    const raw = getSensitivityBaseValue(key, inputs, results) * (def.stepPercent / 100);
+    const unit = raw >= 1000 ? 1000 : 10;
+    return Math.max(unit, Math.round(raw / unit) * unit);
+  };
+
+  const rowStep = stepFor(rowKey);
+  const columnStep = stepFor(columnKey);
+
+  const table = useMemo(
+    () => calculateSensitivityTable(property, inputs, {
+      rowKey,
+      rowValues: axisValues(rowKey, rowStep, inputs, results),
+      columnKey,
+      columnValues: axisValues(columnKey, columnStep, inputs, results),
+      metric
+    }),
+    [property, inputs, results, rowKey, columnKey, rowStep, columnStep, metric]
+  );
+
+  const tornado = useMemo(
+    () => calculateTornado(property, inputs, { metric, swingPercent }),
+    [property, inputs, metric, swingPercent]
+  );
+
+  const maxDeviation = Math.max(
+    ...tornado.bars.flatMap(bar => [Math.abs(bar.low - tornado.base), Math.abs(bar.high - tornado.base)]),
+    1e-9
+  );
+  const position = (value) => 50 + ((value - tornado.base) / maxDeviation) * 50;
+
+  const cellClass = (value, isBase) => {
+    if (isBase) return 'bg-blue-100 font-bold text-blue-900';
+    if (value > table.base) return 'bg-green-50 text-green-700';
+    if (value < table.base) return 'bg-red-50 text-red-700';
+    return '';
+  };
+
+  const selectClass = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+  return (
+    <div className="bg-white rounded-lg border border-gray-200">
+      <div className="p-6">
+        <div className="flex items-center justify-between mb-6">
+          <h2 className="text-xl font-bold text-blue-600">SENSITIVITY ANALYSIS</h2>
+          <div className="flex items-center gap-2 text-sm">
+            <span className="text-gray-700">Outcome:</span>
+            <select value={metric} onChange={(e) => setMetric(e.target.value)} className="px-3 py-1 border border-gray-300 rounded-md">
+              {SENSITIVITY_METRICS.map(m => (
+                <option key={m.key} value={m.key}>{m.label}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        {/* Two-Way Table Settings */}
+        <div className="grid grid-cols-4 gap-4 mb-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Rows</label>
+            <select value={rowKey} onChange={(e) => setRowKey(e.target.value)} className={selectClass}>
+              {SENSITIVITY_INPUTS.filter(i => i.key !== columnKey).map(i => (
+                <option key={i.key} value={i.key}>{i.label}</option>
+              ))}
+            </select>
+          </div>
+          <NumberInput
+            label="Row Step"
+            value={rowStep}
+            onChange={(value) => setSteps(prev => ({ ...prev, [rowKey]: value }))}
+            allowNegative={false}
+          />
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Columns</label>
+            <select value={columnKey} onChange={(e) => setColumnKey(e.target.value)} className={selectClass}>
+              {SENSITIVITY_INPUTS.filter(i => i.key !== rowKey).map(i => (
+                <option key={i.key} value={i.key}>{i.label}</option>
+              ))}
+            </select>
+          </div>
+          <NumberInput
+            label="Column Step"
+            value={columnStep}
+            onChange={(value) => setSteps(prev => ({ ...prev, [columnKey]: value }))}
+            allowNegative={false}
+          />
+        </div>
+
+        {/* Two-Way Table */}
+        <div className="overflow-x-auto mb-8">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b text-gray-600">
+                <th className="text-left py-2">
+                  {inputDef(rowKey).label} ↓ / {inputDef(columnKey).label} →
+                </th>
+                {table.columnValues.map((value, i) => (
+                  <th key={i} className="text-right py-2 px-2">{formatInput(columnKey, value)}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {table.rows.map((row, r) => (
+                <tr key={r} className="border-b">
+                  <td className="py-2 font-medium text-gray-700">{formatInput(rowKey, row.value)}</td>
+                  {row.results.map((value, c) => (
+                    <td key={c} className={`text-right py-2 px-2 ${cellClass(value, r === 2 && c === 2)}`}>
+                      {formatMetric(value)}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        {/* Tornado Chart */}
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="font-bold text-gray-900">What Moves {metricDef.label} Most</h3>
+          <div className="flex items-center gap-2 text-sm text-gray-700">
+            Each input ±
+            <NumberInput
+              value={swingPercent}
+              onChange={setSwingPercent}
+              min={1}
+              max={50}
+              allowNegative={false}
+              allowDecimal={false}
+              suffix="%"
+              className="w-24"
+            />
+          </div>
+        </div>
+        <div className="space-y-2">
+          {tornado.bars.map(bar => {
+            const lowEnd = Math.min(bar.low, bar.high);
+            const highEnd = Math.max(bar.low, bar.high);
+            return (
+              <div key={bar.key} className="grid grid-cols-12 gap-3 items-center text-sm">
+                <div className="col-span-3">
+                  <div className="font-medium text-gray-700">{bar.label}</div>
+                  <div className="text-xs text-gray-500">
+                    {formatInput(bar.key, bar.lowValue)} – {formatInput(bar.key, bar.highValue)}
+                  </div>
+                </div>
+                <div className="col-span-2 text-right text-xs text-gray-600">{formatMetric(lowEnd)}</div>
+                <div className="col-span-5 relative h-6 bg-gray-50 rounded">
+                  {lowEnd < tornado.base && (
+                    <div
+                      className="absolute top-0 h-6 bg-red-400 rounded-l"
+                      style={{ left: `${position(lowEnd)}%`, width: `${50 - position(lowEnd)}%` }}
+                    />
+                  )}
+                  {highEnd > tornado.base && (
+                    <div
+                      className="absolute top-0 h-6 bg-green-500 rounded-r"
+                      style={{ left: '50%', width: `${position(highEnd) - 50}%` }}
+                    />
+                  )}
+                  <div className="absolute top-0 left-1/2 h-6 w-px bg-gray-700" />
+                </div>
+                <div className="col-span-2 text-xs text-gray-600">{formatMetric(highEnd)}</div>
+              </div>
+            );
+          })}
+        </div>
+        <p className="text-xs text-gray-500 mt-3">
+          Base case: {formatMetric(tornado.base)}. Each bar moves one input down and up by {swingPercent}% of
+          its current value with everything else unchanged, ranked by the swing in {metricDef.label.toLowerCase()}.
+        </p>
+      </div>
+    </div>
+  );
+}
@@ -21,8 +21,14 @@ export default function ValuationSection({ results, inputs, property, onInputCha
     return `${Number(value).toFixed(2)}%`;
   };
 
-  // Get values from multiple sources with fallbacks
-  const sqft = inputs?.sqft || 
+  // Get financial metrics from results
+  const qa = results?.quickAnalysis || {};
+  const income = results?.income || {};
+  const unitMix = income.unitMix;
+
+  // Get values from multiple sources with fallbacks (unit mix first)
+  const sqft = unitMix?.totalSqft ||
+               inputs?.sqft || 
                property?.sqft || 
                property?.description?.sqft || 
                property?.propertyData?.sqft || 
@@ -38,10 +44,6 @@ export default function ValuationSection({ results, inputs, property, onInputCha
                         property?.unitCount ||
                         1;
 
-  // Get financial metrics from results
-  const qa = results?.quickAnalysis || {};
-  const income = results?.income || {};
-  
   // GRM and other metrics from quickAnalysis
   const grm = qa.grm || (income.grossRents > 0 ? offerPrice / income.grossRents : 0);
   const averageRent = qa.averageRent || (income.grossRents > 0 ? income.grossRents / numberOfUnits / 12 : 0);
@@ -51,7 +53,7 @@ export default function ValuationSection({ results, inputs, property, onInputCha
   const arvPerSqFt = sqft > 0 ? fairMarketValue / sqft : 0;
   const rehabPerSqFt = sqft > 0 ? repairs / sqft : 0;
   const pricePerUnit = numberOfUnits > 0 ? offerPrice / numberOfUnits : offerPrice;
-  const rentPerSqFt = sqft > 0 ? (averageRent / (sqft / numberOfUnits)) : 0;
+  const rentPerSqFt = income.rentPerSqft || (sqft > 0 ? (averageRent / (sqft / numberOfUnits)) : 0);
 
   // Rent to Value ratio (1% rule check)
   const monthlyRent = averageRent * numberOfUnits;
@@ -128,6 +130,28 @@ export default function ValuationSection({ results, inputs, property, onInputCha
               <span className="font-semibold">{formatCurrency(averageRent)}/mo</span>
             </div>
 
+            {/* Rent Per Square Foot */}
+            {sqft > 0 && (
+              <div className="flex items-center justify-between">
+                <span className="text-gray-700">Rent Per Sq Ft:</span>
+                <span className="font-semibold">${formatNumber(rentPerSqFt)}/mo</span>
+              </div>
+            )}
+
+            {/* Market rent and loss-to-lease from the unit mix */}
+            {unitMix?.lossToLeaseMonthly > 0 && (
+              <div className="flex items-center justify-between">
+                <span className="text-gray-700">Avg Market Rent:</span>
+                <span className="font-semibold">{formatCurrency(unitMix.averageMarketRent)}/mo</span>
+              </div>
+            )}
+            {unitMix?.lossToLeaseMonthly > 0 && (
+              <div className="flex items-center justify-between">
+                <span className="text-gray-700">Loss-to-Lease:</span>
+                <span className="font-semibold text-orange-600">{formatCurrency(unitMix.lossToLeaseMonthly * 12)}/yr</span>
+              </div>
+            )}
+
             {/* Number of Units */}
             {numberOfUnits > 1 && (
               <div className="flex items-center justify-between">
@@ -0,0 +1,125 @@
+import React, { useState } from 'react';
+import { Save, X } from 'lucide-react';
+import { CurrencyInput, PercentInput, NumberInput } from '../analysis/Inputcomponents';
+
+const PROPERTY_TYPES = [
+  'Single Family',
+  'Condo',
+  'Townhouse',
+  'Multi-Family (2-4)',
+  'Multi-Family (5+)',
+  'Commercial'
+];
+
+// Prefill from existing ownership, then the saved analysis, then the listing
+const initialOwnership = (saved) => {
+  const inputs = saved.analysis?.inputs || {};
+  const price = inputs.offerPrice || saved.propertyData?.price || 0;
+  return {
+    purchaseDate: new Date().toISOString().slice(0, 10),
+    purchasePrice: price,
+    loanAmount: Math.round(price * (inputs.firstMtgLTV ?? 80) / 100),
+    interestRate: inputs.firstMtgRate ?? 7,
+    loanTermYears: inputs.firstMtgAmortization || 30,
+    monthlyRent: inputs.grossRents ? Math.round(inputs.grossRents / 12) : (saved.rentEstimate || 0),
+    currentValue: 0,
+    propertyType: (saved.unitCount || 1) > 4 ? 'Multi-Family (5+)' : (saved.unitCount || 1) > 1 ? 'Multi-Family (2-4)' : 'Single Family',
+    ...saved.ownership
+  };
+};
+
+/**
+ * Ownership Form Component
+ *
+ * Captures the actual purchase data for a saved property the user owns:
+ * purchase date and price, the loan actually taken, actual rent, an optional
+ * current value estimate and the property type used for concentration.
+ * Fields are prefilled from existing ownership data, the saved analysis or
+ * the listing.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Object} props.saved - Saved property document
+ * @param {Function} props.onSave - Called with the ownership object
+ * @param {Function} props.onCancel - Close without saving
+ * @param {boolean} [props.saving=false] - Disable while saving
+ * @returns {React.ReactElement} Ownership form
+ */
+const OwnershipForm = ({ saved, onSave, onCancel, saving = false }) => {
+  const [ownership, setOwnership] = useState(() => initialOwnership(saved));
+
+  const update = (field, value) => setOwnership(prev => ({ ...prev, [field]: value }));
+
+  const today = new Date().toISOString().slice(0, 10);
+  const futureDate = ownership.purchaseDate > today;
+
+  return (
+    <div className="bg-white rounded-xl border-2 border-blue-200 p-6 shadow-sm">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h3 className="text-lg font-bold text-blue-600">PURCHASE DATA</h3>
+          <p className="text-sm text-gray-600">{saved.propertyData?.address || saved.propertyId}</p>
+        </div>
+        <button onClick={onCancel} className="p-2 text-gray-500 hover:text-gray-700 rounded-lg hover:bg-gray-50">
+          <X className="w-5 h-5" />
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Purchase Date</label>
+          <input
+            type="date"
+            value={ownership.purchaseDate}
+            max={today}
+            onChange={(e) => update('purchaseDate', e.target.value)}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+          {futureDate && <p className="text-xs text-red-600 mt-1">Purchase date can't be in the future.</p>}
+        </div>
+        <CurrencyInput label="Purchase Price" value={ownership.purchasePrice} onChange={(v) => update('purchasePrice', v)} />
+        <CurrencyInput label="Loan Amount" value={ownership.loanAmount} onChange={(v) => update('loanAmount', v)} />
+        <PercentInput label="Interest Rate" value={ownership.interestRate} onChange={(v) => update('interestRate', v)} />
+        <NumberInput
+          label="Loan Term"
+          value={ownership.loanTermYears}
+          onChange={(v) => update('loanTermYears', v)}
+          min={1}
+          max={40}
+          allowDecimal={false}
+          suffix="yrs"
+        />
+        <CurrencyInput label="Actual Monthly Rent" value={ownership.monthlyRent} onChange={(v) => update('monthlyRent', v)} />
+        <CurrencyInput label="Current Value (optional)" value={ownership.currentValue} onChange={(v) => update('currentValue', v)} />
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Property Type</label>
+          <select
+            value={ownership.propertyType}
+            onChange={(e) => update('propertyType', e.target.value)}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          >
+            {PROPERTY_TYPES.map(type => (
+              <option key={type} value={type}>{type}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+      <p className="text-xs text-gray-500 mt-3">
+        Leave current value at $0 to project it from the purchase price at the saved appreciation rate.
+      </p>
+
+      <div className="flex justify-end mt-4">
+        <button
+          onClick={() => onSave(ownership)}
+          disabled={saving || !ownership.purchaseDate || futureDate || !ownership.purchasePrice}
+          className="flex items-center gap-2 px-5 py-2.5 bg-blue-600 text-white rounded-lg hover:bg-blue-700 font-medium disabled:opacity-50"
+        >
+          <Save className="w-4 h-4" />
+          Save Purchase Data
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default OwnershipForm;
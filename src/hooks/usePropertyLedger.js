@@ -0,0 +1,163 @@
+/**
+ * @file Custom hook for managing an owned property's monthly actuals
+ * @module hooks/usePropertyLedger
+ * @description React hook that loads and manages the monthly ledger stored
+ * under one saved property: rent collected, vacancy, repairs, capex,
+ * operating expenses and mortgage payments actually recorded each month.
+ * Wraps the ledger functions in the database service with loading and error
+ * state and reloads the ledger after each change.
+ *
+ * Used by: PropertyAnalysisPage (ActualsTracker)
+ *
+ * @requires react
+ * @requires ./useAuth
+ * @requires ../services/database
+ *
+ * @version 1.0.0
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { useAuth } from './useAuth';
+import {
+  getPropertyLedger,
+  savePropertyLedgerMonth,
+  deletePropertyLedgerMonth
+} from '../services/database';
+
+/**
+ * Custom hook for managing a saved property's monthly ledger
+ *
+ * Loads the property's ledger when the user is signed in and the property
+ * ID is known, and exposes save/delete operations that keep the ledger in
+ * sync with Firestore.
+ *
+ * @hook
+ * @param {string} propertyId - Saved property ID
+ * @returns {Object} Ledger state and methods
+ * @returns {Array<Object>} returns.entries - Ledger months, oldest first (see getPropertyLedger)
+ * @returns {boolean} returns.loading - True while loading or saving
+ * @returns {string|null} returns.error - Error message if the last operation failed
+ * @returns {Function} returns.saveMonth - Create or replace a month of actuals
+ * @returns {Function} returns.deleteMonth - Delete a month of actuals
+ * @returns {Function} returns.refreshLedger - Manually reload the ledger
+ *
+ * @example
+ * const { entries, saveMonth } = usePropertyLedger(property.property_id);
+ * await saveMonth({ month: '2024-03', rentCollected: 2400, repairs: 650 });
+ */
+export const usePropertyLedger = (propertyId) => {
+  const { currentUser } = useAuth();
+  const userId = currentUser?.uid;
+
+  /**
+   * Ledger months, oldest first
+   */
+  const [entries, setEntries] = useState([]);
+  /**
+   * Loading state for any operation
+   */
+  const [loading, setLoading] = useState(false);
+  /**
+   * Error message from last failed operation
+   */
+  const [error, setError] = useState(null);
+
+  /**
+   * Load the ledger from Firebase
+   *
+   * @async
+   * @function
+   * @returns {Promise<void>}
+   */
+  const loadLedger = useCallback(async () => {
+    if (!userId || !propertyId) {
+      setEntries([]);
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      setEntries(await getPropertyLedger(userId, propertyId));
+    } catch (err) {
+      console.error('Error loading ledger:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [userId, propertyId]);
+
+  /**
+   * Load the ledger when the user or property changes
+   *
+   * @listens userId
+   * @listens propertyId
+   */
+  useEffect(() => {
+    loadLedger();
+  }, [loadLedger]);
+
+  /**
+   * Run a ledger operation, reload and surface errors
+   *
+   * @async
+   * @private
+   * @param {Function} operation - Database call returning a promise
+   * @param {string} label - Operation name for logging
+   * @returns {Promise<void>}
+   * @throws {Error} If user not logged in or the operation fails
+   */
+  const run = async (operation, label) => {
+    if (!userId) {
+      throw new Error('User must be logged in');
+    }
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      await operation();
+      await loadLedger();
+    } catch (err) {
+      console.error(`Error ${label}:`, err);
+      setError(err.message);
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * Create or replace one month of actuals
+   *
+   * @async
+   * @function
+   * @param {Object} entry - Month of actuals with `month` as 'YYYY-MM'
+   * @returns {Promise<void>}
+   */
+  const saveMonth = (entry) =>
+    run(() => savePropertyLedgerMonth(userId, propertyId, entry), 'saving ledger month');
+
+  /**
+   * Delete one month of actuals
+   *
+   * @async
+   * @function
+   * @param {string} month - Month 'YYYY-MM'
+   * @returns {Promise<void>}
+   */
+  const deleteMonth = (month) =>
+    run(() => deletePropertyLedgerMonth(userId, propertyId, month), 'deleting ledger month');
+
+  return {
+    entries,
+    loading,
+    error,
+    saveMonth,
+    deleteMonth,
+    refreshLedger: loadLedger
+  };
+};
+
+export default usePropertyLedger;
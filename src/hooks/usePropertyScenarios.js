@@ -0,0 +1,193 @@
+/**
+ * @file Custom hook for managing a saved property's analysis scenarios
+ * @module hooks/usePropertyScenarios
+ * @description React hook that loads and manages the named analysis scenarios
+ * stored under one saved property (e.g. "Asking price / 25% down" and
+ * "Counter offer / DSCR loan"). Wraps the scenario functions in the database
+ * service with loading and error state and reloads the list after each change.
+ *
+ * Used by: PropertyAnalysisPage (ScenarioManager)
+ *
+ * @requires react
+ * @requires ./useAuth
+ * @requires ../services/database
+ *
+ * @version 1.0.0
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { useAuth } from './useAuth';
+import {
+  getPropertyScenarios,
+  savePropertyScenario,
+  renamePropertyScenario,
+  duplicatePropertyScenario,
+  deletePropertyScenario
+} from '../services/database';
+
+/**
+ * Custom hook for managing a saved property's scenarios
+ *
+ * Loads the property's scenarios when the user is signed in and the
+ * property ID is known, and exposes create/update/rename/duplicate/delete
+ * operations that keep the list in sync with Firestore.
+ *
+ * @hook
+ * @param {string} propertyId - Saved property ID
+ * @returns {Object} Scenario state and methods
+ * @returns {Array<Object>} returns.scenarios - Scenarios, oldest first ({ id, name, inputs, summary })
+ * @returns {boolean} returns.loading - True while loading or saving
+ * @returns {string|null} returns.error - Error message if the last operation failed
+ * @returns {Function} returns.saveScenario - Create or update a scenario, resolves to its ID
+ * @returns {Function} returns.renameScenario - Rename a scenario
+ * @returns {Function} returns.duplicateScenario - Copy a scenario, resolves to the new ID
+ * @returns {Function} returns.deleteScenario - Delete a scenario
+ * @returns {Function} returns.refreshScenarios - Manually reload scenarios
+ *
+ * @example
+ * const { scenarios, saveScenario } = usePropertyScenarios(property.property_id);
+ * const id = await saveScenario({ name: 'Counter offer / DSCR loan', inputs, summary });
+ */
+export const usePropertyScenarios = (propertyId) => {
+  const { currentUser } = useAuth();
+  const userId = currentUser?.uid;
+
+  /**
+   * Scenarios for the property, oldest first
+   */
+  const [scenarios, setScenarios] = useState([]);
+  /**
+   * Loading state for any operation
+   */
+  const [loading, setLoading] = useState(false);
+  /**
+   * Error message from last failed operation
+   */
+  const [error, setError] = useState(null);
+
+  /**
+   * Load scenarios from Firebase
+   *
+   * @async
+   * @function
+   * @returns {Promise<void>}
+   */
+  const loadScenarios = useCallback(async () => {
+    if (!userId || !propertyId) {
+      setScenarios([]);
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      setScenarios(await getPropertyScenarios(userId, propertyId));
+    } catch (err) {
+      console.error('Error loading scenarios:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [userId, propertyId]);
+
+  /**
+   * Load scenarios when the user or property changes
+   *
+   * @listens userId
+   * @listens propertyId
+   */
+  useEffect(() => {
+    loadScenarios();
+  }, [loadScenarios]);
+
+  /**
+   * Run a scenario operation, reload the list and surface errors
+   *
+   * @async
+   * @private
+   * @param {Function} operation - Database call returning a promise
+   * @param {string} label - Operation name for logging
+   * @returns {Promise<*>} Result of the operation
+   * @throws {Error} If user not logged in or the operation fails
+   */
+  const run = async (operation, label) => {
+    if (!userId) {
+      throw new Error('User must be logged in');
+    }
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      const result = await operation();
+      await loadScenarios();
+      return result;
+    } catch (err) {
+      console.error(`Error ${label}:`, err);
+      setError(err.message);
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * Create a scenario, or update one when `scenario.id` is set
+   *
+   * @async
+   * @function
+   * @param {Object} scenario - { id?, name, inputs, summary }
+   * @returns {Promise<string>} Scenario ID
+   */
+  const saveScenario = (scenario) =>
+    run(() => savePropertyScenario(userId, propertyId, scenario), 'saving scenario');
+
+  /**
+   * Rename a scenario
+   *
+   * @async
+   * @function
+   * @param {string} scenarioId - Scenario ID
+   * @param {string} name - New name
+   * @returns {Promise<void>}
+   */
+  const renameScenario = (scenarioId, name) =>
+    run(() => renamePropertyScenario(userId, propertyId, scenarioId, name), 'renaming scenario');
+
+  /**
+   * Duplicate a scenario
+   *
+   * @async
+   * @function
+   * @param {string} scenarioId - Scenario ID to copy
+   * @param {string} [name] - Name for the copy
+   * @returns {Promise<string>} New scenario ID
+   */
+  const duplicateScenario = (scenarioId, name) =>
+    run(() => duplicatePropertyScenario(userId, propertyId, scenarioId, name), 'duplicating scenario');
+
+  /**
+   * Delete a scenario
+   *
+   * @async
+   * @function
+   * @param {string} scenarioId - Scenario ID
+   * @returns {Promise<void>}
+   */
+  const deleteScenario = (scenarioId) =>
+    run(() => deletePropertyScenario(userId, propertyId, scenarioId), 'deleting scenario');
+
+  return {
+    scenarios,
+    loading,
+    error,
+    saveScenario,
+    renameScenario,
+    duplicateScenario,
+    deleteScenario,
+    refreshScenarios: loadScenarios
+  };
+};
+
+export default usePropertyScenarios;
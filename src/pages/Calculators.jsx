@@ -1,4 +1,5 @@
 import React from 'react';
+import { Link } from 'react-router-dom';
 
 const Calculators = () => {
   return (
@@ -27,7 +28,10 @@ const Calculators = () => {
             </div>
 
             {/* Fix & Flip */}
-            <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-8">
+            <Link
+              to="/calculators/fix-and-flip"
+              className="bg-white rounded-lg shadow-sm border border-gray-200 p-8 hover:shadow-md hover:border-blue-300 transition-all"
+            >
               <div className="text-5xl mb-4">🔨</div>
               <h3 className="text-xl font-bold text-gray-900 mb-2">
                 Fix & Flip
@@ -35,8 +39,38 @@ const Calculators = () => {
               <p className="text-gray-600 mb-4">
                 Analyze renovation projects and profits
               </p>
-              <span className="text-sm text-gray-500">Coming soon</span>
-            </div>
+              <span className="text-sm font-medium text-blue-600">Open calculator →</span>
+            </Link>
+
+            {/* 1031 Exchange */}
+            <Link
+              to="/calculators/1031-exchange"
+              className="bg-white rounded-lg shadow-sm border border-gray-200 p-8 hover:shadow-md hover:border-blue-300 transition-all"
+            >
+              <div className="text-5xl mb-4">🔁</div>
+              <h3 className="text-xl font-bold text-gray-900 mb-2">
+                1031 Exchange
+              </h3>
+              <p className="text-gray-600 mb-4">
+                Plan boot, deferred gain and exchange deadlines
+              </p>
+              <span className="text-sm font-medium text-blue-600">Open calculator →</span>
+            </Link>
+
+            {/* Hold, Refinance or Sell */}
+            <Link
+              to="/calculators/hold-sell-refinance"
+              className="bg-white rounded-lg shadow-sm border border-gray-200 p-8 hover:shadow-md hover:border-blue-300 transition-all"
+            >
+              <div className="text-5xl mb-4">⚖️</div>
+              <h3 className="text-xl font-bold text-gray-900 mb-2">
+                Hold, Refinance or Sell
+              </h3>
+              <p className="text-gray-600 mb-4">
+                Compare next steps for a property you own
+              </p>
+              <span className="text-sm font-medium text-blue-600">Open calculator →</span>
+            </Link>
 
             {/* Wholesaling */}
             <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-8">
@@ -1,14 +1,23 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { Heart, TrendingUp, DollarSign, Home, Loader2 } from 'lucide-react';
+import { Heart, TrendingUp, DollarSign, Home, Loader2, Briefcase, Pencil, Plus } from 'lucide-react';
 import { useAuth } from '../hooks/useAuth';
-import { getSavedProperties } from '../services/database';  // ✅ Correct import
+import { getSavedProperties, updatePropertyOwnership } from '../services/database';  // ✅ Correct import
+import { getInvestorProfile, getTaxDefaults } from '../services/Investorservice';
+import { calculatePortfolio, getSavedPropertyInputs } from '../utils/investmentCalculations';
+import OwnershipForm from '../components/features/OwnershipForm';
 
 /**
  * Dashboard Page Component
  * 
  * Main dashboard showing user statistics and quick actions.
  * Displays saved properties count, average cap rate, and total portfolio value.
+ *
+ * Saved properties can be marked as owned with actual purchase data. Owned
+ * properties are rolled up into portfolio equity, debt, cash flow, weighted
+ * cap rate, LTV and DSCR, concentration by city and property type, and a
+ * combined 10-year projection built from each property's buy & hold
+ * projections (see calculatePortfolio).
  * 
  * @component
  */
@@ -18,6 +27,11 @@ const Dashboard = () => {
   const [savedCount, setSavedCount] = useState(0);
   const [avgCapRate, setAvgCapRate] = useState(0);
   const [totalValue, setTotalValue] = useState(0);
+  const [properties, setProperties] = useState([]);
+  const [taxInputs, setTaxInputs] = useState(getTaxDefaults());
+  const [editingId, setEditingId] = useState(null);
+  const [ownershipCandidate, setOwnershipCandidate] = useState('');
+  const [savingOwnership, setSavingOwnership] = useState(false);
   const [loading, setLoading] = useState(true);
 
   // Redirect if not authenticated
@@ -34,7 +48,12 @@ const Dashboard = () => {
 
       try {
         setLoading(true);
-        const properties = await getSavedProperties(currentUser.uid);  // ✅ FIXED: Changed from getUserSavedProperties
+        const [properties, profile] = await Promise.all([
+          getSavedProperties(currentUser.uid),  // ✅ FIXED: Changed from getUserSavedProperties
+          getInvestorProfile(currentUser.uid)
+        ]);
+        setProperties(properties);
+        setTaxInputs(getTaxDefaults(profile));
         setSavedCount(properties.length);
 
         // Calculate average cap rate
@@ -65,6 +84,38 @@ const Dashboard = () => {
     loadStats();
   }, [currentUser]);
 
+  const ownedProperties = properties.filter(p => p.ownership);
+
+  const portfolio = useMemo(() => {
+    const owned = properties.filter(p => p.ownership);
+    if (owned.length === 0) return null;
+    return calculatePortfolio(owned.map(saved => ({
+      id: saved.propertyId,
+      name: saved.propertyData?.address || saved.propertyId,
+      city: saved.propertyData?.city ? `${saved.propertyData.city}, ${saved.propertyData.state}` : 'Unknown',
+      propertyType: saved.ownership.propertyType,
+      inputs: getSavedPropertyInputs(saved, taxInputs),
+      ownership: saved.ownership
+    })));
+  }, [properties, taxInputs]);
+
+  // Save (or clear with null) ownership and update the local list
+  const handleSaveOwnership = async (propertyId, ownership) => {
+    setSavingOwnership(true);
+    try {
+      await updatePropertyOwnership(currentUser.uid, propertyId, ownership);
+      setProperties(prev => prev.map(p => (p.propertyId === propertyId ? { ...p, ownership } : p)));
+      setEditingId(null);
+      setOwnershipCandidate('');
+    } catch (error) {
+      console.error('Error saving ownership:', error);
+    } finally {
+      setSavingOwnership(false);
+    }
+  };
+
+  const editing = properties.find(p => p.propertyId === editingId);
+
   // Format currency
   const formatPrice = (value) => {
     if (!value) return '$0';
@@ -82,6 +133,11 @@ const Dashboard = () => {
     return `${value.toFixed(1)}%`;
   };
 
+  const formatSignedPrice = (value) => {
+    if (!value) return '$0';
+    return `${value < 0 ? '-' : ''}${formatPrice(Math.abs(value))}`;
+  };
+
   if (!currentUser) {
     return null;
   }
@@ -142,6 +198,203 @@ const Dashboard = () => {
               </div>
             </div>
 
+            {/* Portfolio */}
+            {savedCount > 0 && (
+              <div className="bg-white rounded-xl p-6 shadow-sm border border-gray-200 mb-8">
+                <div className="flex items-center justify-between mb-4">
+                  <h2 className="text-xl font-bold text-gray-900 flex items-center gap-2">
+                    <Briefcase className="w-6 h-6 text-blue-600" />
+                    Portfolio
+                  </h2>
+                  <div className="flex items-center gap-2">
+                    <select
+                      value={ownershipCandidate}
+                      onChange={(e) => setOwnershipCandidate(e.target.value)}
+                      className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    >
+                      <option value="">Mark a saved property as owned…</option>
+                      {properties.filter(p => !p.ownership).map(p => (
+                        <option key={p.propertyId} value={p.propertyId}>
+                          {p.propertyData?.address || p.propertyId}
+                        </option>
+                      ))}
+                    </select>
+                    <button
+                      onClick={() => setEditingId(ownershipCandidate)}
+                      disabled={!ownershipCandidate}
+                      className="flex items-center gap-1 px-4 py-2 bg-blue-600 text-white rounded-lg text-sm font-semibold hover:bg-blue-700 disabled:opacity-50"
+                    >
+                      <Plus className="w-4 h-4" />
+                      Add
+                    </button>
+                  </div>
+                </div>
+
+                {editing && (
+                  <div className="mb-6">
+                    <OwnershipForm
+                      key={editing.propertyId}
+                      saved={editing}
+                      saving={savingOwnership}
+                      onSave={(ownership) => handleSaveOwnership(editing.propertyId, ownership)}
+                      onCancel={() => setEditingId(null)}
+                    />
+                  </div>
+                )}
+
+                {!portfolio ? (
+                  <p className="text-sm text-gray-600">
+                    Mark the properties you own with their actual purchase data to see portfolio equity, debt,
+                    cash flow and a combined projection.
+                  </p>
+                ) : (
+                  <>
+                    {/* Portfolio Totals */}
+                    <div className="grid grid-cols-2 md:grid-cols-6 gap-4 mb-6">
+                      {[
+                        { label: 'Equity', value: formatPrice(portfolio.totals.equity), color: 'text-green-600' },
+                        { label: 'Debt', value: formatPrice(portfolio.totals.debt), color: 'text-gray-900' },
+                        {
+                          label: 'Monthly Cash Flow',
+                          value: formatSignedPrice(portfolio.totals.monthlyCashFlow),
+                          color: portfolio.totals.monthlyCashFlow >= 0 ? 'text-green-600' : 'text-red-600'
+                        },
+                        { label: 'Weighted Cap Rate', value: formatPercent(portfolio.totals.capRate), color: 'text-purple-600' },
+                        { label: 'LTV', value: formatPercent(portfolio.totals.ltv), color: 'text-blue-600' },
+                        {
+                          label: 'DSCR',
+                          value: portfolio.totals.dscr === null ? 'N/A' : portfolio.totals.dscr.toFixed(2),
+                          color: portfolio.totals.dscr !== null && portfolio.totals.dscr < 1.2 ? 'text-red-600' : 'text-gray-900'
+                        }
+                      ].map(card => (
+                        <div key={card.label} className="bg-white p-4 rounded-lg border-2 border-gray-200">
+                          <div className="text-sm text-gray-600 mb-1">{card.label}</div>
+                          <div className={`text-2xl font-bold ${card.color}`}>{card.value}</div>
+                        </div>
+                      ))}
+                    </div>
+
+                    {/* Holdings */}
+                    <div className="overflow-x-auto mb-6">
+                      <table className="w-full text-sm">
+                        <thead>
+                          <tr className="border-b text-gray-600">
+                            <th className="text-left py-2">Property</th>
+                            <th className="text-right py-2">Owned</th>
+                            <th className="text-right py-2">Value</th>
+                            <th className="text-right py-2">Loan</th>
+                            <th className="text-right py-2">Equity</th>
+                            <th className="text-right py-2">Cash Flow</th>
+                            <th className="text-right py-2">Cap Rate</th>
+                            <th className="text-right py-2">LTV</th>
+                            <th className="text-right py-2">DSCR</th>
+                            <th className="py-2"></th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {portfolio.properties.map(p => (
+                            <tr key={p.id} className="border-b">
+                              <td className="py-2">
+                                <div className="font-medium text-gray-900">{p.name}</div>
+                                <div className="text-xs text-gray-500">{p.propertyType} · {p.city}</div>
+                              </td>
+                              <td className="text-right">{p.yearsOwned} yr</td>
+                              <td className="text-right">{formatPrice(p.value)}</td>
+                              <td className="text-right">{formatPrice(p.loanBalance)}</td>
+                              <td className="text-right">{formatSignedPrice(p.equity)}</td>
+                              <td className={`text-right ${p.monthlyCashFlow < 0 ? 'text-red-600' : 'text-green-600'}`}>
+                                {formatSignedPrice(p.monthlyCashFlow)}/mo
+                              </td>
+                              <td className="text-right">{formatPercent(p.capRate)}</td>
+                              <td className="text-right">{formatPercent(p.ltv)}</td>
+                              <td className="text-right">{p.dscr === null ? 'N/A' : p.dscr.toFixed(2)}</td>
+                              <td className="text-right">
+                                <div className="flex items-center justify-end gap-1">
+                                  <button
+                                    onClick={() => setEditingId(p.id)}
+                                    className="p-1.5 rounded text-gray-500 hover:text-blue-600 hover:bg-blue-50"
+                                    title="Edit purchase data"
+                                  >
+                                    <Pencil className="w-4 h-4" />
+                                  </button>
+                                  <button
+                                    onClick={() => handleSaveOwnership(p.id, null)}
+                                    className="text-xs text-red-600 hover:underline"
+                                  >
+                                    Not owned
+                                  </button>
+                                </div>
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+
+                    {/* Concentration */}
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-6">
+                      {[
+                        { title: 'By City', groups: portfolio.concentration.byCity },
+                        { title: 'By Property Type', groups: portfolio.concentration.byType }
+                      ].map(({ title, groups }) => (
+                        <div key={title}>
+                          <h3 className="font-bold text-gray-900 mb-3">Concentration {title}</h3>
+                          <div className="space-y-2">
+                            {groups.map(group => (
+                              <div key={group.label} className="text-sm">
+                                <div className="flex justify-between mb-1">
+                                  <span className="text-gray-700">{group.label} ({group.count})</span>
+                                  <span className="font-semibold">{formatPercent(group.share)}</span>
+                                </div>
+                                <div className="h-2 bg-gray-100 rounded">
+                                  <div className="h-2 bg-blue-500 rounded" style={{ width: `${group.share}%` }} />
+                                </div>
+                              </div>
+                            ))}
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+
+                    {/* Combined Projection */}
+                    <h3 className="font-bold text-gray-900 mb-3">Combined 10-Year Projection</h3>
+                    <div className="overflow-x-auto">
+                      <table className="w-full text-sm">
+                        <thead>
+                          <tr className="border-b text-gray-600">
+                            <th className="text-left py-2">Year</th>
+                            <th className="text-right py-2">Value</th>
+                            <th className="text-right py-2">Debt</th>
+                            <th className="text-right py-2">Equity</th>
+                            <th className="text-right py-2">NOI</th>
+                            <th className="text-right py-2">Cash Flow</th>
+                            <th className="text-right py-2">After-Tax Cash Flow</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {portfolio.projection.map(row => (
+                            <tr key={row.year} className="border-b">
+                              <td className="py-2">{row.calendarYear}</td>
+                              <td className="text-right">{formatPrice(row.propertyValue)}</td>
+                              <td className="text-right">{formatPrice(row.loanBalance)}</td>
+                              <td className="text-right font-semibold text-green-700">{formatSignedPrice(row.totalEquity)}</td>
+                              <td className="text-right">{formatSignedPrice(row.noi)}</td>
+                              <td className={`text-right ${row.cashFlow < 0 ? 'text-red-600' : ''}`}>{formatSignedPrice(row.cashFlow)}</td>
+                              <td className={`text-right ${row.postTaxCashFlow < 0 ? 'text-red-600' : ''}`}>{formatSignedPrice(row.postTaxCashFlow)}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                    <p className="text-xs text-gray-500 mt-3">
+                      Each property is projected from its purchase date with its saved growth, expense and tax
+                      assumptions, then split into calendar years by purchase month; values are year-end. {ownedProperties.length} owned of {savedCount} saved.
+                    </p>
+                  </>
+                )}
+              </div>
+            )}
+
             {/* Empty State or Quick Actions */}
             {savedCount === 0 ? (
               <div className="bg-white rounded-xl p-12 text-center shadow-sm border border-gray-200">
@@ -0,0 +1,471 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Link } from 'react-router-dom';
+import { ArrowLeft, Plus, Trash2, RotateCcw, CalendarClock, AlertCircle } from 'lucide-react';
+import { CurrencyInput, PercentInput, NumberInput } from '../components/analysis/Inputcomponents';
+import { useAuth } from '../hooks/useAuth';
+import { getSavedProperties } from '../services/database';
+import { getInvestorProfile, getTaxDefaults } from '../services/Investorservice';
+import {
+  calculate1031Exchange,
+  calculateHoldingPosition,
+  getSavedPropertyInputs,
+  DEFAULTS
+} from '../utils/investmentCalculations';
+
+const todayISO = () => new Date().toISOString().slice(0, 10);
+
+const DEFAULT_RELINQUISHED = {
+  propertyId: '',
+  yearsHeld: DEFAULTS.holdingPeriod,
+  salePrice: 0,
+  sellingCostsPercent: DEFAULTS.sellingCosts,
+  adjustedBasis: 0,
+  accumulatedDepreciation: 0,
+  section1245Depreciation: 0,
+  mortgagePayoff: 0
+};
+
+const IDENTIFICATION_RULES = {
+  'three-property': { label: '3-Property Rule', ok: true, text: 'Up to three replacements of any value.' },
+  '200-percent': { label: '200% Rule', ok: true, text: 'Replacements total no more than 200% of the sale price.' },
+  exceeded: { label: 'Identification Limit Exceeded', ok: false, text: 'More than three replacements worth over 200% of the sale price; the 95% rule would apply.' }
+};
+
+const addressOf = (saved) => saved?.propertyData?.address || saved?.propertyId || 'Saved property';
+
+/**
+ * 1031 Exchange Planner Page
+ *
+ * Plans a like-kind exchange from one saved property (relinquished) into
+ * one or more saved or new replacement properties. The relinquished
+ * property's adjusted basis, depreciation and loan payoff are rebuilt from
+ * its saved analysis inputs; the planner then shows cash and mortgage boot,
+ * recognized and deferred gain, the carried-over basis of each replacement,
+ * and the 45/180-day deadlines from the sale date. Tax rates come from the
+ * investor profile.
+ *
+ * @component
+ */
+const Exchange1031Planner = () => {
+  const { currentUser } = useAuth();
+  const [savedProperties, setSavedProperties] = useState([]);
+  const [taxInputs, setTaxInputs] = useState(getTaxDefaults());
+  const [relinquished, setRelinquished] = useState(DEFAULT_RELINQUISHED);
+  const [replacements, setReplacements] = useState([]);
+  const [saleDate, setSaleDate] = useState(todayISO());
+
+  useEffect(() => {
+    if (!currentUser) return;
+
+    const loadData = async () => {
+      try {
+        const [saved, profile] = await Promise.all([
+          getSavedProperties(currentUser.uid),
+          getInvestorProfile(currentUser.uid)
+        ]);
+        setSavedProperties(saved);
+        setTaxInputs(getTaxDefaults(profile));
+      } catch (error) {
+        console.error('Error loading exchange data:', error);
+      }
+    };
+
+    loadData();
+  }, [currentUser]);
+
+  const results = useMemo(
+    () => calculate1031Exchange({
+      relinquished: {
+        ...relinquished,
+        sellingCosts: relinquished.salePrice * (relinquished.sellingCostsPercent / 100)
+      },
+      replacements,
+      saleDate
+    }, taxInputs),
+    [relinquished, replacements, saleDate, taxInputs]
+  );
+
+  const formatCurrency = (value) => {
+    if (value === null || value === undefined || isNaN(value)) return '$0';
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: 'USD',
+      minimumFractionDigits: 0,
+      maximumFractionDigits: 0,
+    }).format(value);
+  };
+
+  const formatDate = (iso) => new Date(`${iso}T00:00:00`).toLocaleDateString('en-US', {
+    month: 'short', day: 'numeric', year: 'numeric'
+  });
+
+  // Rebuild basis, depreciation and payoff from the saved analysis
+  const prefillRelinquished = (propertyId, yearsHeld) => {
+    const saved = savedProperties.find(p => p.propertyId === propertyId);
+    if (!saved) {
+      setRelinquished(prev => ({ ...prev, propertyId: '' }));
+      return;
+    }
+
+    const inputs = { ...taxInputs, ...getSavedPropertyInputs(saved) };
+    const position = calculateHoldingPosition(inputs, yearsHeld);
+    const purchaseValue = inputs.fairMarketValue || inputs.offerPrice || 0;
+    const appreciationRate = inputs.appreciationRate ?? DEFAULTS.appreciationRate;
+
+    setRelinquished({
+      propertyId,
+      yearsHeld: position.yearsHeld,
+      salePrice: Math.round(purchaseValue * Math.pow(1 + appreciationRate / 100, position.yearsHeld)),
+      sellingCostsPercent: inputs.sellingCosts ?? DEFAULTS.sellingCosts,
+      adjustedBasis: Math.round(position.adjustedBasis),
+      accumulatedDepreciation: Math.round(position.accumulatedDepreciation),
+      section1245Depreciation: Math.round(position.section1245Depreciation),
+      mortgagePayoff: Math.round(position.loanBalance)
+    });
+  };
+
+  const handleRelinquishedChange = (field) => (value) => {
+    setRelinquished(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleYearsHeldChange = (value) => {
+    if (relinquished.propertyId) {
+      prefillRelinquished(relinquished.propertyId, value);
+    } else {
+      handleRelinquishedChange('yearsHeld')(value);
+    }
+  };
+
+  const handleAddSavedReplacement = (propertyId) => {
+    const saved = savedProperties.find(p => p.propertyId === propertyId);
+    if (!saved) return;
+
+    const inputs = getSavedPropertyInputs(saved);
+    const price = inputs.offerPrice || saved.propertyData?.price || 0;
+    setReplacements(prev => [...prev, {
+      key: `${propertyId}-${Date.now()}`,
+      propertyId,
+      label: addressOf(saved),
+      price,
+      closingCosts: Math.round(price * ((inputs.purchaseCostsPercent ?? DEFAULTS.purchaseCostsPercent) / 100)),
+      loanAmount: Math.round(price * ((inputs.firstMtgLTV ?? DEFAULTS.firstMtgLTV) / 100))
+    }]);
+  };
+
+  const handleAddNewReplacement = () => {
+    setReplacements(prev => [...prev, {
+      key: `new-${Date.now()}`,
+      propertyId: null,
+      label: `New Property ${prev.filter(r => !r.propertyId).length + 1}`,
+      price: 0,
+      closingCosts: 0,
+      loanAmount: 0
+    }]);
+  };
+
+  const handleReplacementChange = (key, field, value) => {
+    setReplacements(prev => prev.map(r => (r.key === key ? { ...r, [field]: value } : r)));
+  };
+
+  const handleDeleteReplacement = (key) => {
+    setReplacements(prev => prev.filter(r => r.key !== key));
+  };
+
+  const handleReset = () => {
+    setRelinquished(DEFAULT_RELINQUISHED);
+    setReplacements([]);
+    setSaleDate(todayISO());
+  };
+
+  const { deadlines } = results;
+  const rule = IDENTIFICATION_RULES[results.identificationRule];
+  const availableReplacements = savedProperties.filter(p => p.propertyId !== relinquished.propertyId);
+  const basisByKey = Object.fromEntries(results.replacements.map(r => [r.key, r.basis]));
+
+  const deadlineColor = (days) => {
+    if (days < 0) return 'text-gray-400';
+    if (days <= 14) return 'text-red-600';
+    if (days <= 30) return 'text-orange-600';
+    return 'text-green-600';
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="container mx-auto px-4 max-w-6xl">
+        {/* Header */}
+        <div className="mb-8 flex items-start justify-between">
+          <div>
+            <Link to="/calculators" className="text-sm text-blue-600 hover:text-blue-800 flex items-center gap-1 mb-2">
+              <ArrowLeft className="w-4 h-4" />
+              All Calculators
+            </Link>
+            <h1 className="text-3xl font-bold text-gray-900">1031 Exchange Planner</h1>
+            <p className="text-gray-600">Trade up from a saved property while deferring capital gains and recapture</p>
+          </div>
+          <button
+            onClick={handleReset}
+            className="px-4 py-2 text-sm text-gray-600 border border-gray-300 rounded-lg hover:bg-gray-50 flex items-center gap-2"
+          >
+            <RotateCcw className="w-4 h-4" />
+            Reset
+          </button>
+        </div>
+
+        {/* Summary Cards */}
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+          <div className="bg-white p-4 rounded-lg border-2 border-gray-200">
+            <div className="text-sm text-gray-600 mb-1">DEFERRED GAIN</div>
+            <div className="text-2xl font-bold text-green-600">{formatCurrency(results.deferredGain)}</div>
+          </div>
+          <div className="bg-white p-4 rounded-lg border-2 border-gray-200">
+            <div className="text-sm text-gray-600 mb-1">TAX DEFERRED</div>
+            <div className="text-2xl font-bold text-blue-600">{formatCurrency(results.taxDeferred)}</div>
+          </div>
+          <div className="bg-white p-4 rounded-lg border-2 border-gray-200">
+            <div className="text-sm text-gray-600 mb-1">TOTAL BOOT</div>
+            <div className={`text-2xl font-bold ${results.totalBoot > 0 ? 'text-orange-600' : 'text-gray-900'}`}>
+              {formatCurrency(results.totalBoot)}
+            </div>
+          </div>
+          <div className="bg-white p-4 rounded-lg border-2 border-gray-200">
+            <div className="text-sm text-gray-600 mb-1">TAX DUE NOW</div>
+            <div className={`text-2xl font-bold ${results.taxDue > 0 ? 'text-red-600' : 'text-gray-900'}`}>
+              {formatCurrency(results.taxDue)}
+            </div>
+          </div>
+        </div>
+
+        <div className="grid lg:grid-cols-2 gap-6 mb-6">
+          {/* Relinquished Property */}
+          <div className="bg-white rounded-xl border border-gray-200 p-6 shadow-sm">
+            <h2 className="text-lg font-bold text-blue-600 mb-4">RELINQUISHED PROPERTY</h2>
+            <div className="mb-4">
+              <label className="block text-sm font-medium text-gray-700 mb-1">Saved Property</label>
+              <select
+                value={relinquished.propertyId}
+                onChange={(e) => prefillRelinquished(e.target.value, relinquished.yearsHeld)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              >
+                <option value="">Enter manually</option>
+                {savedProperties.map(p => (
+                  <option key={p.propertyId} value={p.propertyId}>{addressOf(p)}</option>
+                ))}
+              </select>
+              {!currentUser && (
+                <p className="text-xs text-gray-500 mt-1">
+                  <Link to="/signin" className="text-blue-600">Sign in</Link> to pick from your saved properties.
+                </p>
+              )}
+            </div>
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Sale Date</label>
+                <input
+                  type="date"
+                  value={saleDate}
+                  onChange={(e) => setSaleDate(e.target.value || todayISO())}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+              </div>
+              <NumberInput
+                label="Years Owned"
+                value={relinquished.yearsHeld}
+                onChange={handleYearsHeldChange}
+                min={1}
+                max={40}
+                allowNegative={false}
+                allowDecimal={false}
+                suffix="yrs"
+              />
+              <CurrencyInput label="Sale Price" value={relinquished.salePrice} onChange={handleRelinquishedChange('salePrice')} />
+              <PercentInput label="Selling Costs" value={relinquished.sellingCostsPercent} onChange={handleRelinquishedChange('sellingCostsPercent')} />
+              <CurrencyInput label="Adjusted Basis" value={relinquished.adjustedBasis} onChange={handleRelinquishedChange('adjustedBasis')} />
+              <CurrencyInput label="Depreciation Taken" value={relinquished.accumulatedDepreciation} onChange={handleRelinquishedChange('accumulatedDepreciation')} />
+              <CurrencyInput label="Mortgage Payoff" value={relinquished.mortgagePayoff} onChange={handleRelinquishedChange('mortgagePayoff')} />
+            </div>
+            {relinquished.propertyId && (
+              <p className="text-xs text-gray-500 mt-3">
+                Basis, depreciation and payoff are rebuilt from the saved analysis; adjust them to match your records.
+              </p>
+            )}
+          </div>
+
+          {/* Deadlines */}
+          <div className="bg-white rounded-xl border border-gray-200 p-6 shadow-sm">
+            <h2 className="text-lg font-bold text-blue-600 mb-4 flex items-center gap-2">
+              <CalendarClock className="w-5 h-5" />
+              DEADLINES
+            </h2>
+            <div className="space-y-4">
+              <div className="flex items-center justify-between">
+                <span className="text-gray-700">Sale Closes:</span>
+                <span className="font-semibold">{formatDate(deadlines.saleDate)}</span>
+              </div>
+              <div className="flex items-center justify-between">
+                <div>
+                  <div className="text-gray-700">Identify Replacements (45 days):</div>
+                  <div className={`text-xs ${deadlineColor(deadlines.daysToIdentify)}`}>
+                    {deadlines.daysToIdentify >= 0 ? `${deadlines.daysToIdentify} days left` : 'Passed'}
+                  </div>
+                </div>
+                <span className="font-semibold">{formatDate(deadlines.identification)}</span>
+              </div>
+              <div className="flex items-center justify-between">
+                <div>
+                  <div className="text-gray-700">Close on Replacements (180 days):</div>
+                  <div className={`text-xs ${deadlineColor(deadlines.daysToClose)}`}>
+                    {deadlines.daysToClose >= 0 ? `${deadlines.daysToClose} days left` : 'Passed'}
+                  </div>
+                </div>
+                <span className="font-semibold">{formatDate(deadlines.exchange)}</span>
+              </div>
+              {deadlines.limitedByReturnDueDate && (
+                <div className="p-3 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800 flex gap-2">
+                  <AlertCircle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+                  The tax return due date comes before day 180. Extend your return to keep the full 180 days.
+                </div>
+              )}
+              <div className={`p-3 rounded-lg text-sm ${rule.ok ? 'bg-green-50 text-green-800' : 'bg-red-50 text-red-800'}`}>
+                <div className="font-semibold">{rule.label} ({replacements.length} identified)</div>
+                <div>{rule.text}</div>
+              </div>
+            </div>
+          </div>
+        </div>
+
+        {/* Replacement Properties */}
+        <div className="bg-white rounded-xl border border-gray-200 p-6 shadow-sm mb-6">
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-lg font-bold text-blue-600">REPLACEMENT PROPERTIES</h2>
+            <div className="flex items-center gap-3">
+              {availableReplacements.length > 0 && (
+                <select
+                  value=""
+                  onChange={(e) => handleAddSavedReplacement(e.target.value)}
+                  className="px-3 py-2 text-sm border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                >
+                  <option value="">Add saved property…</option>
+                  {availableReplacements.map(p => (
+                    <option key={p.propertyId} value={p.propertyId}>{addressOf(p)}</option>
+                  ))}
+                </select>
+              )}
+              <button onClick={handleAddNewReplacement} className="text-blue-600 text-sm font-medium flex items-center gap-1">
+                <Plus className="w-4 h-4" /> New Property
+              </button>
+            </div>
+          </div>
+
+          {replacements.length === 0 ? (
+            <p className="text-sm text-gray-500">
+              Add the properties you plan to identify. To defer all gain, buy at least the net sale price and
+              replace the debt paid off, with new debt or added cash.
+            </p>
+          ) : (
+            <div className="space-y-3">
+              <div className="grid grid-cols-12 gap-3 text-xs font-medium text-gray-500">
+                <div className="col-span-3">Property</div>
+                <div className="col-span-2">Price</div>
+                <div className="col-span-2">Closing Costs</div>
+                <div className="col-span-2">New Loan</div>
+                <div className="col-span-2 text-right">Carried-Over Basis</div>
+              </div>
+              {replacements.map(r => (
+                <div key={r.key} className="grid grid-cols-12 gap-3 items-center">
+                  <input
+                    type="text"
+                    value={r.label}
+                    onChange={(e) => handleReplacementChange(r.key, 'label', e.target.value)}
+                    className="col-span-3 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                  <CurrencyInput className="col-span-2" value={r.price} onChange={(value) => handleReplacementChange(r.key, 'price', value)} />
+                  <CurrencyInput className="col-span-2" value={r.closingCosts} onChange={(value) => handleReplacementChange(r.key, 'closingCosts', value)} />
+                  <CurrencyInput className="col-span-2" value={r.loanAmount} onChange={(value) => handleReplacementChange(r.key, 'loanAmount', value)} />
+                  <div className="col-span-2 text-right font-semibold">{formatCurrency(basisByKey[r.key])}</div>
+                  <button onClick={() => handleDeleteReplacement(r.key)} className="col-span-1 text-gray-400 hover:text-red-600 justify-self-end">
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {/* Exchange Summary */}
+        <div className="bg-white rounded-xl border border-gray-200 p-6 shadow-sm">
+          <h2 className="text-lg font-bold text-blue-600 mb-4">EXCHANGE SUMMARY</h2>
+          <div className="grid md:grid-cols-2 gap-x-12 gap-y-3 text-sm">
+            <div className="space-y-3">
+              <div className="flex justify-between">
+                <span className="text-gray-700">Amount Realized:</span>
+                <span className="font-semibold">{formatCurrency(results.amountRealized)}</span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-gray-600">Adjusted Basis:</span>
+                <span>({formatCurrency(relinquished.adjustedBasis)})</span>
+              </div>
+              <div className="flex justify-between pt-2 border-t border-gray-200">
+                <span className="font-semibold text-gray-900">Realized Gain:</span>
+                <span className="font-semibold">{formatCurrency(results.realizedGain)}</span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-gray-600">Exchange Proceeds (held by QI):</span>
+                <span>{formatCurrency(results.exchangeProceeds)}</span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-gray-600">Replacement Cost:</span>
+                <span>{formatCurrency(results.replacementCost)}</span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-gray-600">New Debt:</span>
+                <span>{formatCurrency(results.replacementDebt)}</span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-gray-600">Additional Cash Needed:</span>
+                <span>{formatCurrency(results.additionalCash)}</span>
+              </div>
+            </div>
+
+            <div className="space-y-3">
+              <div className="flex justify-between">
+                <span className="text-gray-600">Cash Boot (proceeds not reinvested):</span>
+                <span className={results.cashBoot > 0 ? 'text-orange-600' : ''}>{formatCurrency(results.cashBoot)}</span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-gray-600">Mortgage Boot (debt not replaced):</span>
+                <span className={results.mortgageBoot > 0 ? 'text-orange-600' : ''}>{formatCurrency(results.mortgageBoot)}</span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-gray-700">Recognized Gain:</span>
+                <span className="font-semibold">{formatCurrency(results.recognizedGain)}</span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-gray-700">Deferred Gain:</span>
+                <span className="font-semibold text-green-600">{formatCurrency(results.deferredGain)}</span>
+              </div>
+              <div className="flex justify-between pt-2 border-t border-gray-200">
+                <span className="font-semibold text-gray-900">Carried-Over Basis:</span>
+                <span className="font-semibold">{formatCurrency(results.replacementBasis)}</span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-gray-600">Tax if Sold Outright:</span>
+                <span>{formatCurrency(results.taxIfSold)}</span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-gray-600">Tax Due on Boot:</span>
+                <span className={results.taxDue > 0 ? 'text-red-600' : ''}>{formatCurrency(results.taxDue)}</span>
+              </div>
+            </div>
+          </div>
+          <p className="text-xs text-gray-500 mt-4">
+            Taxes use your investor profile rates ({taxInputs.federalTaxRate}% federal, {taxInputs.stateTaxRate}% state,{' '}
+            {taxInputs.capitalGainsRate}% capital gains). Recognized gain is taxed as depreciation recapture first.
+            Deferred depreciation recapture carries into the replacement properties.
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Exchange1031Planner;
@@ -0,0 +1,350 @@
+import React, { useState, useMemo } from 'react';
+import { Link } from 'react-router-dom';
+import { ArrowLeft, Plus, Trash2, RotateCcw } from 'lucide-react';
+import { CurrencyInput, PercentInput, NumberInput } from '../components/analysis/Inputcomponents';
+import { calculateFixAndFlip, DEFAULT_REHAB_ITEMS } from '../utils/investmentCalculations';
+
+const DEFAULT_FLIP_INPUTS = {
+  purchasePrice: 0,
+  afterRepairValue: 0,
+  rehabContingencyPercent: 10,
+  holdingMonths: 6,
+  rehabMonths: 3,
+  closingCostsPercent: 2,
+  useHardMoney: true,
+  loanToPurchasePercent: 90,
+  rehabFinancedPercent: 100,
+  loanRate: 12,
+  loanPoints: 2,
+  propertyTaxes: 0,
+  insurance: 0,
+  utilities: 0,
+  otherCarryingCosts: 0,
+  sellingCostsPercent: 8
+};
+
+/**
+ * Fix & Flip Calculator Page
+ *
+ * Standalone calculator for short-term renovation projects. Uses the same
+ * itemized rehab categories as the purchase worksheet, finances the deal
+ * with a hard-money loan (points + interest-only), and shows profit, ROI,
+ * the 70% rule maximum offer, and a month-by-month draw schedule.
+ *
+ * @component
+ */
+const FixAndFlipCalculator = () => {
+  const [inputs, setInputs] = useState(DEFAULT_FLIP_INPUTS);
+  const [rehabItems, setRehabItems] = useState(DEFAULT_REHAB_ITEMS.map(item => ({ ...item })));
+
+  const results = useMemo(
+    () => calculateFixAndFlip({ ...inputs, rehabItems }),
+    [inputs, rehabItems]
+  );
+
+  const formatCurrency = (value) => {
+    if (value === null || value === undefined || isNaN(value)) return '$0';
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: 'USD',
+      minimumFractionDigits: 0,
+      maximumFractionDigits: 0,
+    }).format(value);
+  };
+
+  const formatPercent = (value) => {
+    if (value === null || value === undefined || isNaN(value) || !isFinite(value)) return '0.0%';
+    return `${Number(value).toFixed(1)}%`;
+  };
+
+  const handleChange = (field) => (value) => {
+    setInputs(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleRehabChange = (index, field, value) => {
+    setRehabItems(prev => prev.map((item, i) => (i === index ? { ...item, [field]: value } : item)));
+  };
+
+  const handleAddRehabItem = () => {
+    setRehabItems(prev => [...prev, { name: 'New Item', value: 0 }]);
+  };
+
+  const handleDeleteRehabItem = (index) => {
+    setRehabItems(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const handleReset = () => {
+    setInputs(DEFAULT_FLIP_INPUTS);
+    setRehabItems(DEFAULT_REHAB_ITEMS.map(item => ({ ...item })));
+  };
+
+  const offerAboveMax = inputs.purchasePrice > results.maxOffer70 && results.afterRepairValue > 0;
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="container mx-auto px-4 max-w-6xl">
+        {/* Header */}
+        <div className="mb-8 flex items-start justify-between">
+          <div>
+            <Link to="/calculators" className="text-sm text-blue-600 hover:text-blue-800 flex items-center gap-1 mb-2">
+              <ArrowLeft className="w-4 h-4" />
+              All Calculators
+            </Link>
+            <h1 className="text-3xl font-bold text-gray-900">Fix & Flip Calculator</h1>
+            <p className="text-gray-600">Estimate renovation profit, financing costs and cash needs</p>
+          </div>
+          <button
+            onClick={handleReset}
+            className="px-4 py-2 text-sm text-gray-600 border border-gray-300 rounded-lg hover:bg-gray-50 flex items-center gap-2"
+          >
+            <RotateCcw className="w-4 h-4" />
+            Reset
+          </button>
+        </div>
+
+        {/* Summary Cards */}
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+          <div className="bg-white p-4 rounded-lg border-2 border-gray-200">
+            <div className="text-sm text-gray-600 mb-1">NET PROFIT</div>
+            <div className={`text-2xl font-bold ${results.netProfit >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+              {formatCurrency(results.netProfit)}
+            </div>
+          </div>
+          <div className="bg-white p-4 rounded-lg border-2 border-gray-200">
+            <div className="text-sm text-gray-600 mb-1">CASH NEEDED</div>
+            <div className="text-2xl font-bold text-blue-600">{formatCurrency(results.totalCashInvested)}</div>
+          </div>
+          <div className="bg-white p-4 rounded-lg border-2 border-gray-200">
+            <div className="text-sm text-gray-600 mb-1">ROI</div>
+            <div className={`text-2xl font-bold ${results.roi >= 0 ? 'text-orange-600' : 'text-red-600'}`}>
+              {formatPercent(results.roi)}
+            </div>
+          </div>
+          <div className="bg-white p-4 rounded-lg border-2 border-gray-200">
+            <div className="text-sm text-gray-600 mb-1">ANNUALIZED ROI</div>
+            <div className={`text-2xl font-bold ${results.annualizedROI >= 0 ? 'text-purple-600' : 'text-red-600'}`}>
+              {formatPercent(results.annualizedROI)}
+            </div>
+          </div>
+        </div>
+
+        <div className="grid lg:grid-cols-2 gap-6 mb-6">
+          {/* Purchase & Sale */}
+          <div className="bg-white rounded-xl border border-gray-200 p-6 shadow-sm">
+            <h2 className="text-lg font-bold text-blue-600 mb-4">PURCHASE & SALE</h2>
+            <div className="grid grid-cols-2 gap-4">
+              <CurrencyInput label="Purchase Price" value={inputs.purchasePrice} onChange={handleChange('purchasePrice')} />
+              <CurrencyInput label="After Repair Value (ARV)" value={inputs.afterRepairValue} onChange={handleChange('afterRepairValue')} />
+              <PercentInput label="Purchase Closing Costs" value={inputs.closingCostsPercent} onChange={handleChange('closingCostsPercent')} />
+              <PercentInput label="Selling Costs" value={inputs.sellingCostsPercent} onChange={handleChange('sellingCostsPercent')} />
+              <NumberInput
+                label="Holding Period"
+                value={inputs.holdingMonths}
+                onChange={handleChange('holdingMonths')}
+                min={1}
+                max={36}
+                allowNegative={false}
+                allowDecimal={false}
+                suffix="mos"
+              />
+              <NumberInput
+                label="Rehab Duration"
+                value={inputs.rehabMonths}
+                onChange={handleChange('rehabMonths')}
+                min={1}
+                max={36}
+                allowNegative={false}
+                allowDecimal={false}
+                suffix="mos"
+              />
+            </div>
+
+            {/* 70% Rule */}
+            <div className={`mt-6 p-4 rounded-lg ${offerAboveMax ? 'bg-red-50' : 'bg-green-50'}`}>
+              <div className="flex items-center justify-between">
+                <span className="font-semibold text-gray-900">70% Rule Max Offer:</span>
+                <span className={`font-bold text-xl ${offerAboveMax ? 'text-red-600' : 'text-green-600'}`}>
+                  {formatCurrency(results.maxOffer70)}
+                </span>
+              </div>
+              <p className="text-xs text-gray-600 mt-1">
+                (ARV × 70%) − Rehab Budget{offerAboveMax && ' — your purchase price is above this limit'}
+              </p>
+            </div>
+          </div>
+
+          {/* Hard Money & Carrying Costs */}
+          <div className="bg-white rounded-xl border border-gray-200 p-6 shadow-sm">
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-lg font-bold text-blue-600">HARD MONEY LOAN</h2>
+              <label className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={inputs.useHardMoney}
+                  onChange={(e) => handleChange('useHardMoney')(e.target.checked)}
+                  className="w-4 h-4 text-blue-600 rounded"
+                />
+                Use Financing
+              </label>
+            </div>
+            {inputs.useHardMoney ? (
+              <div className="grid grid-cols-2 gap-4">
+                <PercentInput label="Loan to Purchase" value={inputs.loanToPurchasePercent} onChange={handleChange('loanToPurchasePercent')} />
+                <PercentInput label="Rehab Financed" value={inputs.rehabFinancedPercent} onChange={handleChange('rehabFinancedPercent')} />
+                <PercentInput label="Interest Rate (IO)" value={inputs.loanRate} onChange={handleChange('loanRate')} max={30} />
+                <PercentInput label="Points" value={inputs.loanPoints} onChange={handleChange('loanPoints')} max={10} />
+              </div>
+            ) : (
+              <p className="text-sm text-gray-500">All-cash purchase and rehab.</p>
+            )}
+
+            <h3 className="font-semibold text-gray-900 mt-6 mb-3">Carrying Costs</h3>
+            <div className="grid grid-cols-2 gap-4">
+              <CurrencyInput label="Property Taxes (annual)" value={inputs.propertyTaxes} onChange={handleChange('propertyTaxes')} />
+              <CurrencyInput label="Insurance (annual)" value={inputs.insurance} onChange={handleChange('insurance')} />
+              <CurrencyInput label="Utilities (monthly)" value={inputs.utilities} onChange={handleChange('utilities')} />
+              <CurrencyInput label="Other (monthly)" value={inputs.otherCarryingCosts} onChange={handleChange('otherCarryingCosts')} />
+            </div>
+          </div>
+        </div>
+
+        <div className="grid lg:grid-cols-2 gap-6 mb-6">
+          {/* Rehab Budget */}
+          <div className="bg-white rounded-xl border border-gray-200 p-6 shadow-sm">
+            <h2 className="text-lg font-bold text-blue-600 mb-4">REHAB BUDGET</h2>
+            <div className="space-y-2">
+              {rehabItems.map((item, i) => (
+                <div key={i} className="flex items-center gap-3">
+                  <input
+                    type="text"
+                    value={item.name}
+                    onChange={(e) => handleRehabChange(i, 'name', e.target.value)}
+                    className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                  <CurrencyInput
+                    className="w-36"
+                    value={item.value}
+                    onChange={(value) => handleRehabChange(i, 'value', value)}
+                  />
+                  <button onClick={() => handleDeleteRehabItem(i)} className="text-gray-400 hover:text-red-600">
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              ))}
+            </div>
+            <button onClick={handleAddRehabItem} className="mt-3 text-blue-600 text-sm font-medium flex items-center gap-1">
+              <Plus className="w-4 h-4" /> Add Item
+            </button>
+            <div className="mt-4 pt-4 border-t border-gray-200 space-y-2">
+              <div className="flex items-center justify-between gap-4">
+                <span className="text-gray-700">Contingency:</span>
+                <PercentInput className="w-28" value={inputs.rehabContingencyPercent} onChange={handleChange('rehabContingencyPercent')} />
+              </div>
+              <div className="flex justify-between">
+                <span className="font-semibold text-gray-900">Total Rehab Budget:</span>
+                <span className="font-bold text-green-600 text-lg">{formatCurrency(results.rehabBudget)}</span>
+              </div>
+            </div>
+          </div>
+
+          {/* Profit Breakdown */}
+          <div className="bg-white rounded-xl border border-gray-200 p-6 shadow-sm">
+            <h2 className="text-lg font-bold text-blue-600 mb-4">PROFIT BREAKDOWN</h2>
+            <div className="space-y-3 text-sm">
+              <div className="flex justify-between">
+                <span className="text-gray-700">After Repair Value:</span>
+                <span className="font-semibold">{formatCurrency(results.afterRepairValue)}</span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-gray-600">Purchase Price:</span>
+                <span>({formatCurrency(results.purchasePrice)})</span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-gray-600">Closing Costs:</span>
+                <span>({formatCurrency(results.closingCosts)})</span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-gray-600">Rehab Budget:</span>
+                <span>({formatCurrency(results.rehabBudget)})</span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-gray-600">Loan Points:</span>
+                <span>({formatCurrency(results.pointsCost)})</span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-gray-600">Loan Interest:</span>
+                <span>({formatCurrency(results.totalInterest)})</span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-gray-600">Carrying Costs:</span>
+                <span>({formatCurrency(results.totalCarryingCosts)})</span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-gray-600">Selling Costs:</span>
+                <span>({formatCurrency(results.sellingCosts)})</span>
+              </div>
+              <div className="flex justify-between pt-3 border-t border-gray-200">
+                <span className="font-semibold text-gray-900">Net Profit:</span>
+                <span className={`font-bold text-lg ${results.netProfit >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                  {formatCurrency(results.netProfit)}
+                </span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-gray-600">Profit Margin (of ARV):</span>
+                <span>{formatPercent(results.profitMargin)}</span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-gray-600">Total Loan Amount:</span>
+                <span>{formatCurrency(results.loanAmount)}</span>
+              </div>
+            </div>
+          </div>
+        </div>
+
+        {/* Draw Schedule */}
+        <div className="bg-white rounded-xl border border-gray-200 p-6 shadow-sm">
+          <h2 className="text-lg font-bold text-blue-600 mb-4">MONTHLY CASH DRAW SCHEDULE</h2>
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b border-gray-200 text-gray-600">
+                  <th className="text-left py-2 pr-4">Period</th>
+                  <th className="text-right py-2 px-2">Rehab Draw</th>
+                  <th className="text-right py-2 px-2">Lender Funded</th>
+                  <th className="text-right py-2 px-2">Interest</th>
+                  <th className="text-right py-2 px-2">Carrying</th>
+                  <th className="text-right py-2 px-2">Your Cash</th>
+                  <th className="text-right py-2 px-2">Loan Balance</th>
+                  <th className="text-right py-2 pl-2">Cumulative Cash</th>
+                </tr>
+              </thead>
+              <tbody>
+                {results.drawSchedule.map((row) => (
+                  <tr key={row.label} className={`border-b border-gray-100 ${row.sale ? 'font-semibold bg-gray-50' : ''}`}>
+                    <td className="py-2 pr-4">{row.label}</td>
+                    <td className="text-right py-2 px-2">{formatCurrency(row.rehabDraw)}</td>
+                    <td className="text-right py-2 px-2">{formatCurrency(row.lenderFunded)}</td>
+                    <td className="text-right py-2 px-2">{formatCurrency(row.interest)}</td>
+                    <td className="text-right py-2 px-2">{formatCurrency(row.carryingCosts)}</td>
+                    <td className={`text-right py-2 px-2 ${row.investorCash < 0 ? 'text-green-600' : ''}`}>
+                      {formatCurrency(row.investorCash)}
+                    </td>
+                    <td className="text-right py-2 px-2">{formatCurrency(row.loanBalance)}</td>
+                    <td className={`text-right py-2 pl-2 ${row.cumulativeCash < 0 ? 'text-green-600' : ''}`}>
+                      {formatCurrency(row.cumulativeCash)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <p className="text-xs text-gray-500 mt-3">
+            Negative amounts are cash returned to you. The sale row repays the loan from the ARV net of selling costs.
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default FixAndFlipCalculator;
@@ -0,0 +1,331 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Link } from 'react-router-dom';
+import { ArrowLeft, Home, Banknote, DollarSign, Award } from 'lucide-react';
+import { CurrencyInput, PercentInput, NumberInput } from '../components/analysis/Inputcomponents';
+import { useAuth } from '../hooks/useAuth';
+import { getSavedProperties } from '../services/database';
+import { getInvestorProfile, getTaxDefaults } from '../services/Investorservice';
+import { calculateHoldSellRefinance, DEFAULTS } from '../utils/investmentCalculations';
+
+const DEFAULT_OPTIONS = {
+  yearsOwned: DEFAULTS.holdingPeriod,
+  horizon: DEFAULTS.holdingPeriod,
+  currentValue: 0,
+  refiLTV: DEFAULTS.refiLTV,
+  refiRate: DEFAULTS.firstMtgRate,
+  refiAmortization: DEFAULTS.refiAmortization,
+  refiClosingCostsPercent: DEFAULTS.refiClosingCostsPercent,
+  redeployReturn: DEFAULTS.redeployReturn
+};
+
+const PATHS = [
+  { key: 'hold', label: 'Hold As-Is', icon: Home, color: 'text-blue-600' },
+  { key: 'refinance', label: 'Cash-Out Refinance', icon: Banknote, color: 'text-purple-600' },
+  { key: 'sell', label: 'Sell & Redeploy', icon: DollarSign, color: 'text-green-600' }
+];
+
+const addressOf = (saved) => saved?.propertyData?.address || saved?.propertyId || 'Saved property';
+
+/**
+ * Hold / Refinance / Sell Page
+ *
+ * Decision tool for a property already owned. Rebuilds the property's
+ * position today from its saved analysis inputs and compares three paths
+ * over a chosen horizon: keep it as-is, take a cash-out refinance, or sell
+ * and redeploy the after-tax equity at a target return. Each path shows
+ * equity, cash flow, after-tax proceeds, IRR on today's equity and ending
+ * wealth; the best path by ending wealth is highlighted. Tax rates come from
+ * the saved inputs, falling back to the investor profile.
+ *
+ * @component
+ */
+const HoldSellRefinance = () => {
+  const { currentUser } = useAuth();
+  const [savedProperties, setSavedProperties] = useState([]);
+  const [taxInputs, setTaxInputs] = useState(getTaxDefaults());
+  const [loading, setLoading] = useState(true);
+  const [propertyId, setPropertyId] = useState('');
+  const [options, setOptions] = useState(DEFAULT_OPTIONS);
+
+  useEffect(() => {
+    if (!currentUser) {
+      setLoading(false);
+      return;
+    }
+
+    const loadData = async () => {
+      try {
+        const [saved, profile] = await Promise.all([
+          getSavedProperties(currentUser.uid),
+          getInvestorProfile(currentUser.uid)
+        ]);
+        // Only properties with a saved analysis can be projected
+        setSavedProperties(saved.filter(p => p.analysis?.inputs));
+        setTaxInputs(getTaxDefaults(profile));
+      } catch (error) {
+        console.error('Error loading saved properties:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadData();
+  }, [currentUser]);
+
+  const selected = savedProperties.find(p => p.propertyId === propertyId);
+
+  const results = useMemo(() => {
+    if (!selected) return null;
+    return calculateHoldSellRefinance(
+      { ...taxInputs, ...selected.analysis.inputs },
+      { ...options, currentValue: options.currentValue || undefined }
+    );
+  }, [selected, taxInputs, options]);
+
+  const formatCurrency = (value) => {
+    if (value === null || value === undefined || isNaN(value)) return '$0';
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: 'USD',
+      minimumFractionDigits: 0,
+      maximumFractionDigits: 0,
+    }).format(value);
+  };
+
+  const formatPercent = (value) => {
+    if (value === null || value === undefined || isNaN(value)) return 'N/A';
+    return `${Number(value).toFixed(2)}%`;
+  };
+
+  const handleOptionChange = (field) => (value) => {
+    setOptions(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handlePropertyChange = (id) => {
+    const saved = savedProperties.find(p => p.propertyId === id);
+    setPropertyId(id);
+    setOptions(prev => ({
+      ...prev,
+      currentValue: 0,
+      refiRate: saved?.analysis?.inputs?.firstMtgRate ?? DEFAULTS.firstMtgRate
+    }));
+  };
+
+  const metricRows = [
+    { label: 'Equity at End', field: 'equity' },
+    { label: 'Pre-Tax Cash Flow', field: 'totalCashFlow' },
+    { label: 'After-Tax Cash Flow', field: 'totalAfterTaxCashFlow' },
+    { label: 'Tax on Sale', field: 'saleTax' },
+    { label: 'After-Tax Proceeds', field: 'afterTaxProceeds' }
+  ];
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="container mx-auto px-4 max-w-6xl">
+        {/* Header */}
+        <div className="mb-8">
+          <Link to="/calculators" className="text-sm text-blue-600 hover:text-blue-800 flex items-center gap-1 mb-2">
+            <ArrowLeft className="w-4 h-4" />
+            All Calculators
+          </Link>
+          <h1 className="text-3xl font-bold text-gray-900">Hold, Refinance or Sell</h1>
+          <p className="text-gray-600">Compare what to do next with a property you already own</p>
+        </div>
+
+        {/* Settings */}
+        <div className="bg-white rounded-xl border border-gray-200 p-6 shadow-sm mb-6">
+          <h2 className="text-lg font-bold text-blue-600 mb-4">PROPERTY & ASSUMPTIONS</h2>
+          <div className="mb-4">
+            <label className="block text-sm font-medium text-gray-700 mb-1">Owned Property</label>
+            <select
+              value={propertyId}
+              onChange={(e) => handlePropertyChange(e.target.value)}
+              disabled={loading || savedProperties.length === 0}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            >
+              <option value="">Select a saved property…</option>
+              {savedProperties.map(p => (
+                <option key={p.propertyId} value={p.propertyId}>{addressOf(p)}</option>
+              ))}
+            </select>
+            {!currentUser ? (
+              <p className="text-xs text-gray-500 mt-1">
+                <Link to="/signin" className="text-blue-600">Sign in</Link> to use your saved properties.
+              </p>
+            ) : !loading && savedProperties.length === 0 && (
+              <p className="text-xs text-gray-500 mt-1">
+                Save an analysis from the property analysis page to compare it here.
+              </p>
+            )}
+          </div>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            <NumberInput
+              label="Years Owned"
+              value={options.yearsOwned}
+              onChange={handleOptionChange('yearsOwned')}
+              min={1}
+              max={30}
+              allowNegative={false}
+              allowDecimal={false}
+              suffix="yrs"
+            />
+            <NumberInput
+              label="Decision Horizon"
+              value={options.horizon}
+              onChange={handleOptionChange('horizon')}
+              min={1}
+              max={30}
+              allowNegative={false}
+              allowDecimal={false}
+              suffix="yrs"
+            />
+            <CurrencyInput
+              label="Current Value"
+              value={options.currentValue || Math.round(results?.current.value || 0)}
+              onChange={handleOptionChange('currentValue')}
+            />
+            <PercentInput label="Redeploy Return (after tax)" value={options.redeployReturn} onChange={handleOptionChange('redeployReturn')} />
+            <PercentInput label="Refinance LTV" value={options.refiLTV} onChange={handleOptionChange('refiLTV')} />
+            <PercentInput label="Refinance Rate" value={options.refiRate} onChange={handleOptionChange('refiRate')} />
+            <NumberInput
+              label="Refinance Term"
+              value={options.refiAmortization}
+              onChange={handleOptionChange('refiAmortization')}
+              min={5}
+              max={40}
+              allowNegative={false}
+              allowDecimal={false}
+              suffix="yrs"
+            />
+            <PercentInput label="Refinance Costs" value={options.refiClosingCostsPercent} onChange={handleOptionChange('refiClosingCostsPercent')} />
+          </div>
+        </div>
+
+        {results && (
+          <>
+            {/* Position Today */}
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+              <div className="bg-white p-4 rounded-lg border-2 border-gray-200">
+                <div className="text-sm text-gray-600 mb-1">VALUE TODAY</div>
+                <div className="text-2xl font-bold text-gray-900">{formatCurrency(results.current.value)}</div>
+              </div>
+              <div className="bg-white p-4 rounded-lg border-2 border-gray-200">
+                <div className="text-sm text-gray-600 mb-1">LOAN BALANCE</div>
+                <div className="text-2xl font-bold text-gray-900">{formatCurrency(results.current.loanBalance)}</div>
+              </div>
+              <div className="bg-white p-4 rounded-lg border-2 border-gray-200">
+                <div className="text-sm text-gray-600 mb-1">EQUITY</div>
+                <div className="text-2xl font-bold text-blue-600">{formatCurrency(results.current.equity)}</div>
+              </div>
+              <div className="bg-white p-4 rounded-lg border-2 border-gray-200">
+                <div className="text-sm text-gray-600 mb-1">AFTER-TAX EQUITY IF SOLD</div>
+                <div className="text-2xl font-bold text-green-600">{formatCurrency(results.current.afterTaxEquity)}</div>
+                <div className="text-xs text-gray-500">{formatCurrency(results.current.saleTax)} tax on sale</div>
+              </div>
+            </div>
+
+            {/* Path Comparison */}
+            <div className="grid md:grid-cols-3 gap-6 mb-6">
+              {PATHS.map(option => {
+                const { key, label, color } = option;
+                const path = results.paths[key];
+                const isBest = results.bestPath === key;
+                return (
+                  <div
+                    key={key}
+                    className={`bg-white rounded-xl p-6 shadow-sm border-2 ${isBest ? 'border-green-500' : 'border-gray-200'}`}
+                  >
+                    <div className="flex items-center justify-between mb-4">
+                      <h2 className={`text-lg font-bold flex items-center gap-2 ${color}`}>
+                        <option.icon className="w-5 h-5" />
+                        {label}
+                      </h2>
+                      {isBest && (
+                        <span className="px-2 py-1 bg-green-100 text-green-800 text-xs font-semibold rounded-full flex items-center gap-1">
+                          <Award className="w-3 h-3" /> Best
+                        </span>
+                      )}
+                    </div>
+                    <div className="space-y-3 text-sm">
+                      {key === 'refinance' && (
+                        <div className="flex justify-between">
+                          <span className="text-gray-600">Cash Out Today:</span>
+                          <span className={`font-semibold ${results.refinance.cashOut < 0 ? 'text-red-600' : ''}`}>
+                            {formatCurrency(results.refinance.cashOut)}
+                          </span>
+                        </div>
+                      )}
+                      {key !== 'sell' && (
+                        <div className="flex justify-between">
+                          <span className="text-gray-600">Year 1 Cash Flow:</span>
+                          <span className={`font-semibold ${path.years[0].cashFlow < 0 ? 'text-red-600' : ''}`}>
+                            {formatCurrency(path.years[0].cashFlow / 12)}/mo
+                          </span>
+                        </div>
+                      )}
+                      {metricRows.map(row => (
+                        <div key={row.field} className="flex justify-between">
+                          <span className="text-gray-600">{row.label}:</span>
+                          <span className="font-semibold">{formatCurrency(path[row.field])}</span>
+                        </div>
+                      ))}
+                      <div className="flex justify-between pt-3 border-t border-gray-200">
+                        <span className="text-gray-700">After-Tax IRR:</span>
+                        <span className="font-bold">{formatPercent(path.irr)}</span>
+                      </div>
+                      <div className="flex justify-between">
+                        <span className="text-gray-700">Ending Wealth:</span>
+                        <span className={`font-bold ${isBest ? 'text-green-600' : ''}`}>{formatCurrency(path.endingWealth)}</span>
+                      </div>
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+
+            {/* Equity by Year */}
+            <div className="bg-white rounded-xl border border-gray-200 p-6 shadow-sm">
+              <h2 className="text-lg font-bold text-blue-600 mb-4">EQUITY & CASH FLOW BY YEAR</h2>
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="border-b text-gray-600">
+                      <th className="text-left py-2">Year</th>
+                      <th className="text-right py-2">Hold Equity</th>
+                      <th className="text-right py-2">Hold Cash Flow</th>
+                      <th className="text-right py-2">Refi Equity</th>
+                      <th className="text-right py-2">Refi Cash Flow</th>
+                      <th className="text-right py-2">Sell & Redeploy</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {results.paths.hold.years.map((row, i) => {
+                      const refi = results.paths.refinance.years[i];
+                      return (
+                        <tr key={row.year} className="border-b">
+                          <td className="py-2">{row.year}</td>
+                          <td className="text-right">{formatCurrency(row.equity)}</td>
+                          <td className={`text-right ${row.afterTaxCashFlow < 0 ? 'text-red-600' : ''}`}>{formatCurrency(row.afterTaxCashFlow)}</td>
+                          <td className="text-right">{formatCurrency(refi.equity)}</td>
+                          <td className={`text-right ${refi.afterTaxCashFlow < 0 ? 'text-red-600' : ''}`}>{formatCurrency(refi.afterTaxCashFlow)}</td>
+                          <td className="text-right">{formatCurrency(results.paths.sell.years[i].equity)}</td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+              <p className="text-xs text-gray-500 mt-3">
+                Cash flows are after tax. IRR measures the return on the after-tax equity you could take out today;
+                cash-out proceeds count as money returned at the start. Ending wealth reinvests cash flow and
+                cash-out proceeds at the redeploy return.
+              </p>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default HoldSellRefinance;
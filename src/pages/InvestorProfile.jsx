@@ -4,6 +4,7 @@
  * Allows users to configure:
  * - Financing defaults
  * - Expense assumptions  
+ * - Tax assumptions (marginal rates, passive loss status, land value)
  * - Investment targets (minimum requirements)
  * - Dynamic scoring configuration (metrics, weights, thresholds)
  */
@@ -12,7 +13,7 @@ import { useNavigate } from 'react-router-dom';
 import { 
   User, Settings, Target, Calculator, TrendingUp, 
   Save, RotateCcw, ChevronDown, ChevronUp, Info,
-  Shield, Scale, Rocket, Check, AlertCircle
+  Shield, Scale, Rocket, Check, AlertCircle, Receipt
 } from 'lucide-react';
 import { useAuth } from '../hooks/useAuth';
 import { 
@@ -37,6 +38,7 @@ export default function InvestorProfile() {
   const [expandedSections, setExpandedSections] = useState({
     financing: true,
     expenses: true,
+    tax: false,
     targets: true,
     scoring: true,
     thresholds: false
@@ -109,6 +111,16 @@ export default function InvestorProfile() {
     }));
   };
   
+  const handleTaxChange = (field, value) => {
+    setProfile(prev => ({
+      ...prev,
+      tax: {
+        ...prev.tax,
+        [field]: typeof value === 'boolean' ? value : parseFloat(value) || 0
+      }
+    }));
+  };
+  
   const handleTargetChange = (field, value) => {
     setProfile(prev => ({
       ...prev,
@@ -615,6 +627,109 @@ export default function InvestorProfile() {
               )}
             </div>
             
+            {/* Tax Assumptions Section */}
+            <div className="bg-white rounded-xl shadow-sm border">
+              <button
+                onClick={() => toggleSection('tax')}
+                className="w-full px-6 py-4 flex items-center justify-between hover:bg-gray-50"
+              >
+                <div className="flex items-center gap-3">
+                  <div className="p-2 bg-amber-100 rounded-lg">
+                    <Receipt className="w-5 h-5 text-amber-600" />
+                  </div>
+                  <div className="text-left">
+                    <h2 className="font-semibold text-gray-900">Tax Assumptions</h2>
+                    <p className="text-sm text-gray-500">US tax rates used for after-tax cash flow and sale proceeds</p>
+                  </div>
+                </div>
+                {expandedSections.tax ? <ChevronUp className="w-5 h-5" /> : <ChevronDown className="w-5 h-5" />}
+              </button>
+              
+              {expandedSections.tax && (
+                <div className="px-6 pb-6 grid grid-cols-2 gap-4">
+                  <div>
+                    <label className="text-sm text-gray-600 mb-1 block">Federal Marginal Rate %</label>
+                    <input
+                      type="number"
+                      value={profile.tax.federalTaxRate}
+                      onChange={(e) => handleTaxChange('federalTaxRate', e.target.value)}
+                      className="w-full px-3 py-2 border rounded-lg"
+                    />
+                  </div>
+                  <div>
+                    <label className="text-sm text-gray-600 mb-1 block">State Marginal Rate %</label>
+                    <input
+                      type="number"
+                      step="0.1"
+                      value={profile.tax.stateTaxRate}
+                      onChange={(e) => handleTaxChange('stateTaxRate', e.target.value)}
+                      className="w-full px-3 py-2 border rounded-lg"
+                    />
+                  </div>
+                  <div>
+                    <label className="text-sm text-gray-600 mb-1 block">Long-Term Capital Gains %</label>
+                    <input
+                      type="number"
+                      value={profile.tax.capitalGainsRate}
+                      onChange={(e) => handleTaxChange('capitalGainsRate', e.target.value)}
+                      className="w-full px-3 py-2 border rounded-lg"
+                    />
+                  </div>
+                  <div>
+                    <label className="text-sm text-gray-600 mb-1 block">Depreciation Recapture %</label>
+                    <input
+                      type="number"
+                      value={profile.tax.recaptureRate}
+                      onChange={(e) => handleTaxChange('recaptureRate', e.target.value)}
+                      className="w-full px-3 py-2 border rounded-lg"
+                    />
+                  </div>
+                  <div>
+                    <label className="text-sm text-gray-600 mb-1 block">Land Value % of Price</label>
+                    <input
+                      type="number"
+                      value={profile.tax.landValuePercent}
+                      onChange={(e) => handleTaxChange('landValuePercent', e.target.value)}
+                      className="w-full px-3 py-2 border rounded-lg"
+                    />
+                  </div>
+                  <div>
+                    <label className="text-sm text-gray-600 mb-1 block">Modified AGI $</label>
+                    <input
+                      type="number"
+                      step="5000"
+                      value={profile.tax.modifiedAGI}
+                      onChange={(e) => handleTaxChange('modifiedAGI', e.target.value)}
+                      className="w-full px-3 py-2 border rounded-lg"
+                    />
+                  </div>
+                  <label className="flex items-center gap-2 text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={profile.tax.activeParticipation}
+                      onChange={(e) => handleTaxChange('activeParticipation', e.target.checked)}
+                      className="w-4 h-4 text-blue-600 rounded"
+                    />
+                    Active participant ($25k loss allowance)
+                  </label>
+                  <label className="flex items-center gap-2 text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={profile.tax.realEstateProfessional}
+                      onChange={(e) => handleTaxChange('realEstateProfessional', e.target.checked)}
+                      className="w-4 h-4 text-blue-600 rounded"
+                    />
+                    Real estate professional
+                  </label>
+                  <p className="col-span-2 text-xs text-gray-500 flex items-start gap-1">
+                    <Info className="w-3 h-3 mt-0.5 flex-shrink-0" />
+                    Rental losses beyond the passive loss allowance are suspended and carried forward until
+                    the property produces income or is sold.
+                  </p>
+                </div>
+              )}
+            </div>
+            
             {/* Investment Targets Section */}
             <div className="bg-white rounded-xl shadow-sm border">
               <button
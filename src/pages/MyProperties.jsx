@@ -1,9 +1,11 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { Search, Filter, ArrowUpDown, Heart, Calculator, Trash2 } from 'lucide-react';
+import { Search, Filter, ArrowUpDown, Heart, Calculator, Trash2, Columns3 } from 'lucide-react';
 import { useAuth } from '../hooks/useAuth';
 import { getSavedProperties, unsaveProperty } from '../services/database';
 
+const MAX_COMPARED_PROPERTIES = 6;
+
 const MyProperties = () => {
   const navigate = useNavigate();
   const { currentUser } = useAuth();
@@ -13,6 +15,7 @@ const MyProperties = () => {
   const [searchTerm, setSearchTerm] = useState('');
   const [sortBy, setSortBy] = useState('newest');
   const [filterBy, setFilterBy] = useState('all');
+  const [compareIds, setCompareIds] = useState([]);
 
   useEffect(() => {
     if (!currentUser) {
@@ -89,6 +92,18 @@ const MyProperties = () => {
     }
   };
 
+  const toggleCompare = (propertyId) => {
+    setCompareIds(prev => {
+      if (prev.includes(propertyId)) return prev.filter(id => id !== propertyId);
+      if (prev.length >= MAX_COMPARED_PROPERTIES) return prev;
+      return [...prev, propertyId];
+    });
+  };
+
+  const openComparison = () => {
+    navigate(`/my-properties/compare?ids=${compareIds.map(encodeURIComponent).join(',')}`);
+  };
+
   const formatPrice = (price) => {
     if (!price) return 'N/A';
     return new Intl.NumberFormat('en-US', {
@@ -263,6 +278,32 @@ const MyProperties = () => {
           </div>
         </div>
 
+        {/* Compare Bar */}
+        {compareIds.length > 0 && (
+          <div className="bg-blue-50 border border-blue-200 rounded-lg p-4 mb-6 flex items-center justify-between">
+            <div className="text-sm text-blue-900">
+              <span className="font-semibold">{compareIds.length}</span> of {MAX_COMPARED_PROPERTIES} selected for comparison
+              {compareIds.length < 2 && <span className="text-blue-700"> · select at least 2</span>}
+            </div>
+            <div className="flex items-center gap-3">
+              <button
+                onClick={() => setCompareIds([])}
+                className="text-sm text-blue-700 hover:underline"
+              >
+                Clear
+              </button>
+              <button
+                onClick={openComparison}
+                disabled={compareIds.length < 2}
+                className="py-2 px-4 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors font-medium flex items-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                <Columns3 className="w-4 h-4" />
+                Compare
+              </button>
+            </div>
+          </div>
+        )}
+
         {/* Results Count */}
         {filteredProperties.length !== properties.length && (
           <div className="mb-4 text-sm text-gray-600">
@@ -274,11 +315,14 @@ const MyProperties = () => {
         <div className="grid sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6">
           {filteredProperties.map((property) => {
             const scoreBadge = getScoreBadge(property);
+            const isCompared = compareIds.includes(property.propertyId);
             
             return (
               <div
                 key={property.id}
-                className="bg-white rounded-lg border border-gray-200 overflow-hidden hover:shadow-lg transition-shadow"
+                className={`bg-white rounded-lg border overflow-hidden hover:shadow-lg transition-shadow ${
+                  isCompared ? 'border-blue-500 ring-2 ring-blue-200' : 'border-gray-200'
+                }`}
               >
                 {/* Image */}
                 <div className="relative h-48 bg-gray-200">
@@ -345,6 +389,15 @@ const MyProperties = () => {
                           </span>
                         </div>
                       )}
+
+                      {property.estimatedIRR !== null && property.estimatedIRR !== undefined && (
+                        <div className="flex items-center justify-between text-sm">
+                          <span className="text-gray-600">IRR ({property.analysis?.holdingPeriod || 5} yr)</span>
+                          <span className="font-semibold text-purple-700">
+                            {property.estimatedIRR.toFixed(1)}%
+                          </span>
+                        </div>
+                      )}
                     </div>
                   )}
 
@@ -371,6 +424,18 @@ const MyProperties = () => {
                     )}
                   </div>
 
+                  {/* Compare Toggle */}
+                  <label className="flex items-center gap-2 text-sm text-gray-700 mb-3 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={isCompared}
+                      onChange={() => toggleCompare(property.propertyId)}
+                      disabled={!isCompared && compareIds.length >= MAX_COMPARED_PROPERTIES}
+                      className="w-4 h-4 text-blue-600 rounded"
+                    />
+                    Compare
+                  </label>
+
                   {/* Analyze Button */}
                   <button
                     onClick={() => navigate(`/property/${property.propertyId}/analyze`, {
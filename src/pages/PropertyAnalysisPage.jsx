@@ -11,7 +11,11 @@
  * - Loads investor profile defaults for calculations
  * - Multi-family property detection and rent calculation
  * - Real-time calculation updates as inputs change
- * - Section navigation (Description, Worksheet, Photos, Analysis, Projections)
+ * - Section navigation (Description, Worksheet, Rent Roll, Photos, Analysis, Short-Term Rental, Projections, Waterfall, Scenarios, Actuals)
+ * - Imported rent rolls replace unit detection and estimated rent
+ * - Long-term / short-term rental toggle with an LTR vs. STR comparison
+ * - Named scenarios saved under the property and compared side by side
+ * - Monthly actuals ledger tracked against the projection with T12 returns
  * - Property sharing functionality
  * 
  * CRITICAL FIXES v2.0:
@@ -33,9 +37,12 @@
  * @requires react-router-dom
  * @requires lucide-react
  * @requires ../hooks/useAuth
+ * @requires ../hooks/usePropertyScenarios
+ * @requires ../hooks/usePropertyLedger
  * @requires ../services/database
  * @requires ../services/Investorservice
  * @requires ../utils/investmentCalculations
+ * @requires ../utils/rentRoll
  * 
  * @version 2.0.0
  */
@@ -45,19 +52,27 @@ import { useParams, useNavigate, useLocation } from 'react-router-dom';
 import { 
   Home, Edit, Image, TrendingUp, BarChart3, 
   Share2, Trash2, ArrowLeft, Check, Loader2,
-  Building, Info
+  Building, Info, Layers, ClipboardList, FileSpreadsheet, Hotel, Handshake
 } from 'lucide-react';
 import { useAuth } from '../hooks/useAuth';
+import { usePropertyScenarios } from '../hooks/usePropertyScenarios';
+import { usePropertyLedger } from '../hooks/usePropertyLedger';
 import { 
-  saveProperty, unsaveProperty, isPropertySaved, getSavedProperty
+  saveProperty, unsaveProperty, isPropertySaved, getSavedProperty, updatePropertyAnalysis, updatePropertyRentRoll
 } from '../services/database';
-import { getInvestorProfile, getFinancingDefaults, getExpenseDefaults } from '../services/Investorservice';
-import { estimateRent, detectMultiFamily } from '../utils/investmentCalculations';
+import { getInvestorProfile, getFinancingDefaults, getExpenseDefaults, getTaxDefaults } from '../services/Investorservice';
+import { estimateRent, detectMultiFamily, summarizeAnalysis } from '../utils/investmentCalculations';
+import { summarizeRentRoll } from '../utils/rentRoll';
 
 // Section Components
 import PropertyAnalysisContent from '../components/analysis/PropertyAnalysisContent';
 import PurchaseWorksheet from '../components/analysis/PurchaseWorksheet';
 import BuyHoldProjections from '../components/analysis/Buyholdprojections';
+import ScenarioManager from '../components/analysis/ScenarioManager';
+import ActualsTracker from '../components/analysis/ActualsTracker';
+import RentRollImporter from '../components/analysis/RentRollImporter';
+import ShortTermRental from '../components/analysis/ShortTermRental';
+import EquityWaterfall from '../components/analysis/EquityWaterfall';
 
 /**
  * Property Analysis Page Component
@@ -74,6 +89,7 @@ import BuyHoldProjections from '../components/analysis/Buyholdprojections';
  * - activeSection: Current view (worksheet/analysis/projections)
  * - isSaved: Whether property is in user's saved collection
  * - manualUnitCount: User override for unit count (v2.0 NEW)
+ * - activeScenarioId: Saved scenario currently loaded into inputs
  * 
  * AUTO-BEHAVIORS:
  * - Auto-saves property when page loads (if user is authenticated)
@@ -162,6 +178,57 @@ export default function PropertyAnalysisPage() {
    */
   const [manualUnitCount, setManualUnitCount] = useState(null);
 
+  /**
+   * Imported rent roll ({ fileName, units, importedAt })
+   * When set, unit count and gross rents come from the rent roll
+   * @type {Array}
+   */
+  const [rentRoll, setRentRoll] = useState(null);
+
+  /**
+   * Rent roll save in progress flag
+   * @type {Array}
+   */
+  const [savingRentRoll, setSavingRentRoll] = useState(false);
+
+  /**
+   * Saved scenario whose inputs are loaded in the worksheet
+   * Saving the analysis also updates this scenario
+   * @type {Array}
+   */
+  const [activeScenarioId, setActiveScenarioId] = useState(null);
+
+  /**
+   * Named analysis scenarios stored under the saved property
+   * Only loaded once the property is in the user's saved collection
+   */
+  const {
+    scenarios,
+    loading: scenariosLoading,
+    error: scenariosError,
+    saveScenario,
+    renameScenario,
+    duplicateScenario,
+    deleteScenario
+  } = usePropertyScenarios(isSaved ? property?.property_id : null);
+
+  /**
+   * Active scenario object (undefined when none is loaded)
+   * @type {Object|undefined}
+   */
+  const activeScenario = scenarios.find(s => s.id === activeScenarioId);
+
+  /**
+   * Monthly actuals logged against the saved property
+   */
+  const {
+    entries: ledger,
+    loading: ledgerLoading,
+    error: ledgerError,
+    saveMonth,
+    deleteMonth
+  } = usePropertyLedger(isSaved ? property?.property_id : null);
+
   /**
    * Detect multi-family property and determine unit count
    * 
@@ -195,7 +262,7 @@ export default function PropertyAnalysisPage() {
    * // Entire duplex
    * // Returns: { isMultiFamily: true, units: 2, isSingleUnit: false, totalUnitsInBuilding: 2 }
    */
-  const multiFamily = useMemo(() => {
+  const listingMultiFamily = useMemo(() => {
     if (!property) return { 
       isMultiFamily: false, 
       units: 1, 
@@ -236,12 +303,65 @@ export default function PropertyAnalysisPage() {
     };
   }, [property]);
 
+  /**
+   * Unit detection with an imported rent roll applied
+   * An imported rent roll is the actual unit count
+   * @type {Object}
+   */
+  const multiFamily = useMemo(() => {
+    if (!(rentRoll?.units?.length > 0)) return listingMultiFamily;
+    return {
+      isMultiFamily: rentRoll.units.length > 1,
+      units: rentRoll.units.length,
+      isSingleUnit: false,
+      totalUnitsInBuilding: rentRoll.units.length,
+      detectionReason: `Rent roll (${rentRoll.fileName || 'imported'})`
+    };
+  }, [listingMultiFamily, rentRoll]);
+
   /**
    * Number of rental units being purchased
-   * Uses manual override if set, otherwise uses detected units
+   * An imported rent roll's unit count wins; otherwise uses manual override
+   * if set, then detected units
    * @type {number}
    */
-  const units = manualUnitCount ?? multiFamily.units;
+  const units = rentRoll?.units?.length > 0 ? multiFamily.units : manualUnitCount ?? multiFamily.units;
+
+  /**
+   * Units the listing-based inputs are seeded with (ignores the rent roll)
+   * @type {number}
+   */
+  const listingUnits = manualUnitCount ?? listingMultiFamily.units;
+
+  /**
+   * Annual gross rents from the listing (RentCast or estimated)
+   * 
+   * v2.0: per-unit rent × units BEING PURCHASED. Ignores the rent roll.
+   * @type {number}
+   * @memoized
+   */
+  const listingGrossRents = useMemo(() => {
+    if (!property) return 0;
+
+    const price = property.price || property.list_price || property.propertyData?.price || 0;
+    const sqft = property.sqft || property.description?.sqft || property.propertyData?.sqft || 1000;
+    const beds = property.beds || property.description?.beds || property.propertyData?.beds || 0;
+
+    // v2.0: Use totalMonthlyRent if available (already correctly calculated)
+    let rentPerUnit;
+    if (property.totalMonthlyRent && listingUnits > 0) {
+      // RentCast already calculated total rent correctly
+      rentPerUnit = property.totalMonthlyRent / listingUnits;
+    } else if (property.rentEstimate) {
+      // This is per-unit rent from RentCast
+      rentPerUnit = property.rentEstimate;
+    } else {
+      // Estimate per-unit rent
+      rentPerUnit = estimateRent(price / listingUnits, beds / listingUnits, sqft / listingUnits);
+    }
+
+    return rentPerUnit * listingUnits * 12;
+  }, [property, listingUnits]);
 
   /**
    * Load investor profile on component mount
@@ -326,6 +446,29 @@ export default function PropertyAnalysisPage() {
     loadProperty();
   }, [propertyId, currentUser, property]);
 
+  /**
+   * Load the rent roll attached to the saved property
+   * 
+   * Runs when: the property is saved or the user changes
+   * 
+   * @listens isSaved
+   * @listens currentUser
+   */
+  useEffect(() => {
+    const propertyKey = property?.property_id;
+    if (!isSaved || !currentUser || !propertyKey) return;
+
+    const loadRentRoll = async () => {
+      try {
+        const savedProp = await getSavedProperty(currentUser.uid, propertyKey);
+        setRentRoll(savedProp?.rentRoll || null);
+      } catch (error) {
+        console.error('Error loading rent roll:', error);
+      }
+    };
+    loadRentRoll();
+  }, [isSaved, currentUser, property?.property_id]);
+
   /**
    * Auto-save property when page opens
    * 
@@ -416,47 +559,36 @@ export default function PropertyAnalysisPage() {
    * - For single condo: units = 1, so no multiplication error
    * - For entire duplex: units = 2, correctly multiplies
    * 
-   * Runs when: property, investorProfile, units, or multiFamily changes
+   * The rent roll is applied separately (see below) so importing one does
+   * not reset the rest of the worksheet.
+   * 
+   * Runs when: property, investorProfile or the listing unit count changes
    * 
    * @listens property
    * @listens investorProfile
-   * @listens units
-   * @listens multiFamily
+   * @listens listingUnits
+   * @listens listingMultiFamily
    */
   useEffect(() => {
   if (!property) return;
 
   const financingDefaults = investorProfile ? getFinancingDefaults(investorProfile) : {};
   const expenseDefaults = investorProfile ? getExpenseDefaults(investorProfile) : {};
+  const taxDefaults = getTaxDefaults(investorProfile || undefined);
 
   const price = property.price || property.list_price || property.propertyData?.price || 0;
   const sqft = property.sqft || property.description?.sqft || property.propertyData?.sqft || 1000;
-  const beds = property.beds || property.description?.beds || property.propertyData?.beds || 0;
-  
-  // v2.0: Use totalMonthlyRent if available (already correctly calculated)
-  let rentPerUnit;
-  if (property.totalMonthlyRent && units > 0) {
-    // RentCast already calculated total rent correctly
-    rentPerUnit = property.totalMonthlyRent / units;
-  } else if (property.rentEstimate) {
-    // This is per-unit rent from RentCast
-    rentPerUnit = property.rentEstimate;
-  } else {
-    // Estimate per-unit rent
-    rentPerUnit = estimateRent(price / units, beds / units, sqft / units);
-  }
+  const totalAnnualRent = listingGrossRents;
 
-  const totalAnnualRent = rentPerUnit * units * 12;
-
-  console.log('🏢 Multi-family detection:', multiFamily);
-  console.log('💰 Rent per unit:', rentPerUnit);
-  console.log('💰 Units being purchased:', units);
+  console.log('🏢 Multi-family detection:', listingMultiFamily);
+  console.log('💰 Rent per unit:', listingUnits > 0 ? totalAnnualRent / listingUnits / 12 : 0);
+  console.log('💰 Units being purchased:', listingUnits);
   console.log('💰 Total annual rent:', totalAnnualRent);
 
   setInputs({
     fairMarketValue: price,
     sqft: sqft,
-    numberOfUnits: units,
+    numberOfUnits: listingUnits,
     offerPrice: price,
     repairs: 0,
     repairsContingency: 0,
@@ -513,10 +645,30 @@ export default function PropertyAnalysisPage() {
     expenseGrowthRate: 2.0,
     sellingCosts: 6.0,
     holdingPeriod: 5,
+    ...taxDefaults,
     deposits: 0,
     lessProRation: 0
   });
-}, [property, investorProfile, units, multiFamily, manualUnitCount]); 
+}, [property, investorProfile, listingUnits, listingMultiFamily, listingGrossRents, manualUnitCount]); 
+
+  /**
+   * Apply the imported rent roll to the worksheet
+   * 
+   * Only gross rents (in-place rent, vacant units at market) and the unit
+   * count change, so edits and loaded scenario inputs are kept. Re-applied
+   * after the inputs are re-seeded from the listing.
+   * 
+   * @listens rentRoll
+   * @listens units
+   */
+  useEffect(() => {
+    if (!property || !(rentRoll?.units?.length > 0)) return;
+    setInputs(prev => ({
+      ...prev,
+      grossRents: summarizeRentRoll(rentRoll.units).grossRents,
+      numberOfUnits: units
+    }));
+  }, [rentRoll, units, property, investorProfile, listingUnits, listingMultiFamily]);
 
   /**
    * Handle input field change
@@ -565,6 +717,115 @@ export default function PropertyAnalysisPage() {
     }
   };
 
+  /**
+   * Handle save analysis
+   * 
+   * Persists the current inputs and an analysis summary (score, cash flow,
+   * cap rate, IRR/NPV/MIRR at the holding period) to the saved property so
+   * saved-property lists report the same figures as this page. When a
+   * scenario is loaded, its saved inputs are updated as well.
+   * 
+   * @async
+   * @function
+   */
+  const handleSaveAnalysis = async () => {
+    if (!currentUser || !property?.property_id) return;
+
+    setSaving(true);
+    try {
+      const summary = summarizeAnalysis(property, inputs);
+      await updatePropertyAnalysis(currentUser.uid, property.property_id, summary);
+      if (activeScenario) {
+        await saveScenario({ id: activeScenario.id, name: activeScenario.name, inputs, summary });
+      }
+      setIsSaved(true);
+      console.log('✅ Analysis saved');
+    } catch (error) {
+      console.error('❌ Error saving analysis:', error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  /**
+   * Save the current inputs as a new named scenario
+   * 
+   * The new scenario becomes the active one, so later saves update it.
+   * 
+   * @async
+   * @function
+   * @param {string} name - Scenario name
+   */
+  const handleSaveScenario = async (name) => {
+    const summary = summarizeAnalysis(property, inputs);
+    const id = await saveScenario({ name, inputs, summary });
+    setActiveScenarioId(id);
+  };
+
+  /**
+   * Save the current inputs to the active scenario
+   * 
+   * @async
+   * @function
+   */
+  const handleUpdateScenario = async () => {
+    if (!activeScenario) return;
+    const summary = summarizeAnalysis(property, inputs);
+    await saveScenario({ id: activeScenario.id, name: activeScenario.name, inputs, summary });
+  };
+
+  /**
+   * Load a scenario's inputs into the worksheet and make it active
+   * 
+   * @function
+   * @param {Object} scenario - Saved scenario ({ id, inputs })
+   */
+  const handleLoadScenario = (scenario) => {
+    setInputs({ ...inputs, ...scenario.inputs });
+    setActiveScenarioId(scenario.id);
+  };
+
+  /**
+   * Delete a scenario, clearing it as active if loaded
+   * 
+   * @async
+   * @function
+   * @param {string} scenarioId - Scenario ID
+   */
+  const handleDeleteScenario = async (scenarioId) => {
+    await deleteScenario(scenarioId);
+    if (scenarioId === activeScenarioId) setActiveScenarioId(null);
+  };
+
+  /**
+   * Apply an imported rent roll, or remove it with null
+   * 
+   * Saves the rent roll with the property when saved. Applying one sets
+   * gross rents and units from it (see the effect above); removing one puts
+   * them back to the listing's. Other worksheet inputs are kept.
+   * 
+   * @async
+   * @function
+   * @param {Object|null} nextRentRoll - Parsed rent roll ({ fileName, units }) or null
+   */
+  const handleRentRollChange = async (nextRentRoll) => {
+    setSavingRentRoll(true);
+    try {
+      if (currentUser && isSaved) {
+        await updatePropertyRentRoll(currentUser.uid, property.property_id, nextRentRoll);
+      }
+      setRentRoll(nextRentRoll && { ...nextRentRoll, importedAt: new Date().toISOString() });
+      if (!nextRentRoll) {
+        setInputs(prev => ({ ...prev, grossRents: listingGrossRents, numberOfUnits: listingUnits }));
+      }
+    } catch (error) {
+      console.error('Error saving rent roll:', error);
+      alert('Failed to save rent roll');
+    } finally {
+      setSavingRentRoll(false);
+    }
+  };
+
   /**
    * Handle share button click
    * 
@@ -701,13 +962,13 @@ export default function PropertyAnalysisPage() {
    * Uses RentCast data if available, otherwise uses total rent divided by units
    * @type {number}
    */
-  const rentPerUnit = property?.rentEstimate || (property?.totalMonthlyRent ? property.totalMonthlyRent / units : inputs.grossRents / units / 12) || 0;
+  const rentPerUnit = rentRoll ? inputs.grossRents / units / 12 || 0 : property?.rentEstimate || (property?.totalMonthlyRent ? property.totalMonthlyRent / units : inputs.grossRents / units / 12) || 0;
   
   /**
    * Rent data source label
    * @type {string}
    */
-  const rentSource = property?.rentEstimate ? 'RentCast' : 'Estimate';
+  const rentSource = rentRoll ? 'Rent Roll' : property?.rentEstimate ? 'RentCast' : 'Estimate';
   
   /**
    * Cap rate from analysis results
@@ -732,11 +993,16 @@ export default function PropertyAnalysisPage() {
     { items: [
       { id: 'description', label: 'Property Description', icon: Home },
       { id: 'worksheet', label: 'Purchase Worksheet', icon: Edit },
+      { id: 'rentroll', label: 'Rent Roll', icon: FileSpreadsheet },
       { id: 'photos', label: 'Photos', icon: Image }
     ]},
     { title: 'ANALYSIS', items: [
       { id: 'analysis', label: 'Property Analysis', icon: TrendingUp },
-      { id: 'projections', label: 'Buy & Hold Projections', icon: BarChart3 }
+      { id: 'str', label: 'Short-Term Rental', icon: Hotel },
+      { id: 'projections', label: 'Buy & Hold Projections', icon: BarChart3 },
+      { id: 'waterfall', label: 'LP / GP Waterfall', icon: Handshake },
+      { id: 'scenarios', label: 'Scenarios', icon: Layers },
+      { id: 'actuals', label: 'Actuals', icon: ClipboardList }
     ]}
   ];
 
@@ -838,11 +1104,36 @@ Sections:
 
 
 
+'rentroll': RentRollImporter for importing a broker rent roll
+
+
+
+
+'str': ShortTermRental for STR assumptions and LTR vs. STR comparison
+
+
+
+
 'projections': BuyHoldProjections component for 5-year forecast
 
 
 
 
+'waterfall': EquityWaterfall for the LP/GP split of projected cash flows
+
+
+
+
+'scenarios': ScenarioManager for named scenarios and comparison
+
+
+
+
+'actuals': ActualsTracker for the monthly ledger vs projection
+
+
+
+
 'photos': Photo grid display
 
 
@@ -858,9 +1149,50 @@ default: PropertyAnalysisContent for full analysis
 const renderContent = () => {
 switch (activeSection) {
 case 'worksheet':
-return <PurchaseWorksheet property={property} inputs={inputs} onInputChange={handleInputChange} />;
+return <PurchaseWorksheet property={property} inputs={inputs} onInputChange={handleInputChange} results={results} onSave={handleSaveAnalysis} />;
+case 'rentroll':
+return (
+  <RentRollImporter
+    rentRoll={rentRoll}
+    saving={savingRentRoll}
+    onApply={handleRentRollChange}
+    onRemove={() => handleRentRollChange(null)}
+  />
+);
+case 'str':
+return <ShortTermRental property={property} inputs={inputs} onInputChange={handleInputChange} />;
 case 'projections':
-return <BuyHoldProjections property={property} inputs={inputs} results={results} />;
+return <BuyHoldProjections property={property} inputs={inputs} results={results} onInputChange={handleInputChange} />;
+case 'waterfall':
+return <EquityWaterfall inputs={inputs} results={results} onInputChange={handleInputChange} />;
+case 'scenarios':
+return (
+  <ScenarioManager
+    property={property}
+    inputs={inputs}
+    scenarios={scenarios}
+    activeScenarioId={activeScenarioId}
+    loading={scenariosLoading}
+    error={scenariosError}
+    onSaveNew={handleSaveScenario}
+    onUpdate={handleUpdateScenario}
+    onLoad={handleLoadScenario}
+    onRename={renameScenario}
+    onDuplicate={duplicateScenario}
+    onDelete={handleDeleteScenario}
+  />
+);
+case 'actuals':
+return (
+  <ActualsTracker
+    inputs={inputs}
+    entries={ledger}
+    loading={ledgerLoading}
+    error={ledgerError}
+    onSave={saveMonth}
+    onDelete={deleteMonth}
+  />
+);
 case 'photos':
 return (
    <div className="max-w-7xl mx-auto p-6">
@@ -965,9 +1297,14 @@ return (
             <Check className="w-3 h-3" /> SAVED
           </span>
         )}
-        <span className={`px-2 py-1 rounded text-xs font-semibold ${rentSource === 'RentCast' ? 'bg-emerald-600 text-white' : 'bg-orange-600 text-white'}`}>
-          {rentSource === 'RentCast' ? 'RENTCAST' : 'RENTAL'}
+        <span className={`px-2 py-1 rounded text-xs font-semibold ${rentSource !== 'Estimate' ? 'bg-emerald-600 text-white' : 'bg-orange-600 text-white'}`}>
+          {rentSource === 'Estimate' ? 'RENTAL' : rentSource.toUpperCase()}
         </span>
+        {inputs.rentalStrategy === 'str' && (
+          <span className="px-2 py-1 rounded text-xs font-semibold bg-pink-600 text-white flex items-center gap-1">
+            <Hotel className="w-3 h-3" /> STR
+          </span>
+        )}
         {/* v2.0 UPDATED: Show unit badge */}
         {multiFamily.isSingleUnit && (
           <span className="px-2 py-1 rounded text-xs font-semibold bg-blue-600 text-white flex items-center gap-1">
@@ -1007,13 +1344,18 @@ return (
         <span className="text-2xl font-bold text-blue-600">{formatPrice(price)}</span>
         {capRate > 0 && <span className="text-sm text-gray-500">{formatPercent(capRate)} Cap Rate</span>}
       </div>
+      {activeScenario && (
+        <div className="mt-2 flex items-center gap-1 text-xs font-medium text-blue-700">
+          <Layers className="w-3 h-3" /> Scenario: {activeScenario.name}
+        </div>
+      )}
       {rentPerUnit > 0 && (
         <div className="mt-2 space-y-1">
           <div className="flex items-center gap-2">
             <span className="text-sm text-gray-600">
               {multiFamily.isMultiFamily ? 'Rent/Unit:' : multiFamily.isSingleUnit ? 'Unit Rent:' : 'Est. Rent:'}
             </span>
-            <span className={`text-sm font-semibold ${rentSource === 'RentCast' ? 'text-emerald-600' : 'text-blue-600'}`}>
+            <span className={`text-sm font-semibold ${rentSource !== 'Estimate' ? 'text-emerald-600' : 'text-blue-600'}`}>
               {formatPrice(rentPerUnit)}/mo
             </span>
             {rentSource === 'RentCast' && <span className="text-xs text-emerald-600">✓ API</span>}
@@ -1027,8 +1369,8 @@ return (
         </div>
       )}
       
-      {/* v2.0 NEW: Manual unit count override */}
-      {(multiFamily.isMultiFamily || multiFamily.isSingleUnit) && (
+      {/* v2.0 NEW: Manual unit count override (the rent roll's count wins while one is imported) */}
+      {!rentRoll && (multiFamily.isMultiFamily || multiFamily.isSingleUnit) && (
         <div className="mt-3 pt-3 border-t">
           <label className="text-xs font-medium text-gray-700 block mb-1">
             Unit Count Override
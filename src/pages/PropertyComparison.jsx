@@ -0,0 +1,205 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { ArrowLeft, Printer, Award } from 'lucide-react';
+import { useAuth } from '../hooks/useAuth';
+import { getSavedProperties } from '../services/database';
+import { getInvestorProfile, getTaxDefaults } from '../services/Investorservice';
+import { compareProperties, getSavedPropertyInputs } from '../utils/investmentCalculations';
+
+const MAX_COMPARED_PROPERTIES = 6;
+
+const addressOf = (saved) => saved?.propertyData?.address || saved?.propertyId || 'Saved property';
+
+/**
+ * Property Comparison Page
+ *
+ * Side-by-side matrix for 2–6 saved properties picked on My Properties
+ * (`/my-properties/compare?ids=a,b,c`). Every property is recomputed through
+ * BuyRentHoldCalculator from its saved analysis inputs so all columns use the
+ * same math; properties never analyzed fall back to the listing price and
+ * rent estimate with default assumptions and are flagged. The best value in
+ * each row is highlighted, and the page prints as a clean report.
+ *
+ * @component
+ */
+const PropertyComparison = () => {
+  const { currentUser } = useAuth();
+  const [searchParams] = useSearchParams();
+  const [savedProperties, setSavedProperties] = useState([]);
+  const [taxInputs, setTaxInputs] = useState(getTaxDefaults());
+  const [loading, setLoading] = useState(true);
+
+  const ids = useMemo(
+    () => (searchParams.get('ids') || '').split(',').filter(Boolean).slice(0, MAX_COMPARED_PROPERTIES),
+    [searchParams]
+  );
+
+  useEffect(() => {
+    if (!currentUser) {
+      setLoading(false);
+      return;
+    }
+
+    const loadData = async () => {
+      try {
+        const [saved, profile] = await Promise.all([
+          getSavedProperties(currentUser.uid),
+          getInvestorProfile(currentUser.uid)
+        ]);
+        setSavedProperties(saved);
+        setTaxInputs(getTaxDefaults(profile));
+      } catch (error) {
+        console.error('Error loading saved properties:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadData();
+  }, [currentUser]);
+
+  // Keep the order the properties were picked in
+  const selected = useMemo(
+    () => ids.map(id => savedProperties.find(p => p.propertyId === id)).filter(Boolean),
+    [ids, savedProperties]
+  );
+
+  const comparison = useMemo(() => {
+    if (selected.length < 2) return null;
+    return compareProperties(selected.map(saved => ({
+      id: saved.propertyId,
+      name: addressOf(saved),
+      property: { property_id: saved.propertyId, ...saved.propertyData },
+      inputs: getSavedPropertyInputs(saved, taxInputs)
+    })));
+  }, [selected, taxInputs]);
+
+  const formatCurrency = (value) => {
+    if (value === null || value === undefined || isNaN(value)) return 'N/A';
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: 'USD',
+      minimumFractionDigits: 0,
+      maximumFractionDigits: 0,
+    }).format(value);
+  };
+
+  const formatValue = (value, format) => {
+    if (value === null) return 'N/A';
+    if (format === 'currency') return formatCurrency(value);
+    if (format === 'percent') return `${Number(value).toFixed(2)}%`;
+    if (format === 'ratio') return Number(value).toFixed(2);
+    return Math.round(value).toString();
+  };
+
+  const bestCounts = comparison
+    ? comparison.properties.map((_, i) =>
+        comparison.sections.reduce((count, section) => count + section.rows.filter(row => row.best === i).length, 0))
+    : [];
+  const mostWins = Math.max(0, ...bestCounts);
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8 print:bg-white print:py-0">
+      <div className="container mx-auto px-4 max-w-7xl">
+        {/* Header */}
+        <div className="mb-8 flex items-end justify-between">
+          <div>
+            <Link to="/my-properties" className="text-sm text-blue-600 hover:text-blue-800 flex items-center gap-1 mb-2 print:hidden">
+              <ArrowLeft className="w-4 h-4" />
+              My Properties
+            </Link>
+            <h1 className="text-3xl font-bold text-gray-900">Property Comparison</h1>
+            <p className="text-gray-600">
+              {selected.length} properties, recomputed from their saved analyses
+              <span className="hidden print:inline"> · {new Date().toLocaleDateString()}</span>
+            </p>
+          </div>
+          {comparison && (
+            <button
+              onClick={() => window.print()}
+              className="flex items-center gap-2 px-5 py-2.5 bg-blue-600 text-white rounded-lg hover:bg-blue-700 font-medium print:hidden"
+            >
+              <Printer className="w-4 h-4" />
+              Print / Save PDF
+            </button>
+          )}
+        </div>
+
+        {loading && <p className="text-gray-600">Loading saved properties…</p>}
+
+        {!loading && !currentUser && (
+          <div className="bg-white rounded-xl border border-gray-200 p-6 shadow-sm text-gray-600">
+            Sign in to compare your saved properties.
+          </div>
+        )}
+
+        {!loading && currentUser && !comparison && (
+          <div className="bg-white rounded-xl border border-gray-200 p-6 shadow-sm text-gray-600">
+            Select 2 to {MAX_COMPARED_PROPERTIES} saved properties on{' '}
+            <Link to="/my-properties" className="text-blue-600 hover:underline">My Properties</Link> to compare them.
+          </div>
+        )}
+
+        {comparison && (
+          <div className="bg-white rounded-xl border border-gray-200 p-6 shadow-sm print:shadow-none print:border-0 print:p-0">
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="border-b text-gray-600">
+                    <th className="text-left py-2"></th>
+                    {selected.map((saved, i) => (
+                      <th key={saved.propertyId} className="text-right py-2 px-3 align-bottom">
+                        {bestCounts[i] === mostWins && mostWins > 0 && (
+                          <span className="inline-flex items-center gap-1 px-2 py-0.5 mb-1 bg-green-100 text-green-800 text-xs font-semibold rounded-full">
+                            <Award className="w-3 h-3" /> Most wins
+                          </span>
+                        )}
+                        <div className="font-bold text-gray-900">{addressOf(saved)}</div>
+                        <div className="text-xs font-normal text-gray-500">
+                          {saved.propertyData?.city}, {saved.propertyData?.state}
+                        </div>
+                        {!saved.analysis?.inputs && (
+                          <div className="text-xs font-normal text-orange-600">Not analyzed · default assumptions</div>
+                        )}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {comparison.sections.map(section => (
+                    <React.Fragment key={section.title}>
+                      <tr>
+                        <td colSpan={selected.length + 1} className="pt-4 pb-1 text-xs font-semibold text-gray-500 uppercase tracking-wider">
+                          {section.title}
+                        </td>
+                      </tr>
+                      {section.rows.map(row => (
+                        <tr key={row.key} className="border-b">
+                          <td className="py-2 text-gray-700">{row.label}</td>
+                          {row.values.map((value, i) => (
+                            <td
+                              key={comparison.properties[i].id}
+                              className={`py-2 px-3 text-right ${row.best === i ? 'bg-green-50 text-green-700 font-semibold' : ''}`}
+                            >
+                              {formatValue(value, row.format)}
+                            </td>
+                          ))}
+                        </tr>
+                      ))}
+                    </React.Fragment>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <p className="text-xs text-gray-500 mt-3">
+              Highlighted cells are the best value in each row. Year 5 and year 10 figures assume a sale at the
+              end of that year using each property's saved growth and selling-cost assumptions.
+            </p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PropertyComparison;
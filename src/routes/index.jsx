@@ -7,8 +7,13 @@ import Home from '../pages/Home';
 import About from '../pages/About';
 import Properties from '../pages/Properties';
 import MyProperties from '../pages/MyProperties';
+import PropertyComparison from '../pages/PropertyComparison';
 import PropertyDetails from '../pages/PropertyDetails';
 import PropertyAnalysisPage from '../pages/PropertyAnalysisPage';
+import Calculators from '../pages/Calculators';
+import FixAndFlipCalculator from '../pages/FixAndFlipCalculator';
+import Exchange1031Planner from '../pages/Exchange1031Planner';
+import HoldSellRefinance from '../pages/HoldSellRefinance';
 import SignIn from '../pages/Auth/SignIn';
 
 // User Pages
@@ -25,6 +30,11 @@ import Profile from '../pages/Profile';
  * /property/:id - Property details page (brief view)
  * /property/:propertyId/analyze - Full investment analysis (DealCheck-style)
  * /my-properties - Saved properties (requires auth)
+ * /my-properties/compare?ids=a,b - Side-by-side comparison of 2-6 saved properties
+ * /calculators - Investment calculator index
+ * /calculators/fix-and-flip - Fix & flip project calculator
+ * /calculators/1031-exchange - 1031 exchange planner from saved properties
+ * /calculators/hold-sell-refinance - Hold vs refinance vs sell for owned properties
  * /investor-profile - Investor profile & scoring settings
  * /dashboard - User dashboard
  * /profile - User account profile
@@ -65,11 +75,33 @@ const router = createBrowserRouter([
         element: <PropertyAnalysisPage />,
       },
       
+      // Investment Calculators
+      {
+        path: 'calculators',
+        element: <Calculators />,
+      },
+      {
+        path: 'calculators/fix-and-flip',
+        element: <FixAndFlipCalculator />,
+      },
+      {
+        path: 'calculators/1031-exchange',
+        element: <Exchange1031Planner />,
+      },
+      {
+        path: 'calculators/hold-sell-refinance',
+        element: <HoldSellRefinance />,
+      },
+      
       // My Saved Properties
       {
         path: 'my-properties',
         element: <MyProperties />,
       },
+      {
+        path: 'my-properties/compare',
+        element: <PropertyComparison />,
+      },
       
       // Investor Profile & Scoring Settings
       {
@@ -39,6 +39,18 @@ export const DEFAULT_PROFILE = {
     insuranceRate: 0.5
   },
   
+  // Tax assumptions (US) for after-tax cash flow and sale proceeds
+  tax: {
+    federalTaxRate: 24,
+    stateTaxRate: 5,
+    capitalGainsRate: 15,
+    recaptureRate: 25,
+    landValuePercent: 20,
+    modifiedAGI: 100000,
+    activeParticipation: true,
+    realEstateProfessional: false
+  },
+  
   // Investment targets
   targets: {
     minCapRate: 6,
@@ -125,6 +137,7 @@ export const getInvestorProfile = async (userId) => {
         ...saved,
         financing: { ...DEFAULT_PROFILE.financing, ...saved.financing },
         expenses: { ...DEFAULT_PROFILE.expenses, ...saved.expenses },
+        tax: { ...DEFAULT_PROFILE.tax, ...saved.tax },
         targets: { ...DEFAULT_PROFILE.targets, ...saved.targets },
         preferences: { ...DEFAULT_PROFILE.preferences, ...saved.preferences },
         scoringWeights: { ...DEFAULT_PROFILE.scoringWeights, ...saved.scoringWeights },
@@ -208,6 +221,23 @@ export const getExpenseDefaults = (profile = DEFAULT_PROFILE) => {
   };
 };
 
+/**
+ * Get tax defaults from profile
+ */
+export const getTaxDefaults = (profile = DEFAULT_PROFILE) => {
+  const t = profile?.tax || DEFAULT_PROFILE.tax;
+  return {
+    federalTaxRate: t.federalTaxRate ?? 24,
+    stateTaxRate: t.stateTaxRate ?? 5,
+    capitalGainsRate: t.capitalGainsRate ?? 15,
+    recaptureRate: t.recaptureRate ?? 25,
+    landValuePercent: t.landValuePercent ?? 20,
+    modifiedAGI: t.modifiedAGI ?? 100000,
+    activeParticipation: t.activeParticipation ?? true,
+    realEstateProfessional: t.realEstateProfessional ?? false
+  };
+};
+
 /**
  * Get investment targets from profile
  */
@@ -424,6 +454,19 @@ export const validateProfile = (profile) => {
     };
   }
   
+  if (profile.tax) {
+    validated.tax = {
+      federalTaxRate: Math.max(0, Math.min(50, profile.tax.federalTaxRate ?? 24)),
+      stateTaxRate: Math.max(0, Math.min(20, profile.tax.stateTaxRate ?? 5)),
+      capitalGainsRate: Math.max(0, Math.min(30, profile.tax.capitalGainsRate ?? 15)),
+      recaptureRate: Math.max(0, Math.min(50, profile.tax.recaptureRate ?? 25)),
+      landValuePercent: Math.max(0, Math.min(90, profile.tax.landValuePercent ?? 20)),
+      modifiedAGI: Math.max(0, profile.tax.modifiedAGI ?? 100000),
+      activeParticipation: profile.tax.activeParticipation ?? true,
+      realEstateProfessional: profile.tax.realEstateProfessional ?? false
+    };
+  }
+  
   if (profile.targets) {
     validated.targets = {
       minCapRate: Math.max(0, profile.targets.minCapRate || 6),
@@ -445,6 +488,7 @@ export default {
   saveInvestorProfile,
   getFinancingDefaults,
   getExpenseDefaults,
+  getTaxDefaults,
   getInvestmentTargets,
   getInvestmentThresholds,
   hasPreferredLocation,
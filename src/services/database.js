@@ -8,6 +8,8 @@
  * 
  * Document ID Pattern: {userId}_{propertyId}
  * Collection: savedProperties
+ * Subcollection: savedProperties/{docId}/scenarios (named analysis scenarios)
+ * Subcollection: savedProperties/{docId}/ledger (monthly actuals, doc ID 'YYYY-MM')
  * 
  * Used by: PropertyCard, ExpandedPropertyView, PropertyAnalysisPage, MyProperties,
  * useSavedProperties hook, and PropertyDetails components.
@@ -22,6 +24,7 @@ import {
   collection, 
   doc, 
   setDoc, 
+  addDoc,
   getDoc, 
   getDocs, 
   deleteDoc, 
@@ -36,6 +39,8 @@ import {
 import { db } from '../config/firebase';
 
 const COLLECTION_NAME = 'savedProperties';
+const SCENARIOS_COLLECTION = 'scenarios';
+const LEDGER_COLLECTION = 'ledger';
 
 /**
  * Save a property to user's favorites
@@ -253,7 +258,7 @@ export const isPropertySaved = async (userId, propertyId) => {
  * Remove property from saved collection
  * 
  * Deletes a property from user's saved properties. Permanently removes
- * the document from Firestore.
+ * the document and its saved scenarios from Firestore.
  * 
  * @memberof module:services/database 
  * @async
@@ -276,6 +281,14 @@ export const unsaveProperty = async (userId, propertyId) => {
     
     const docId = `${userId}_${propertyId}`;
     const docRef = doc(db, COLLECTION_NAME, docId);
+
+    // Firestore does not delete subcollections with their parent
+    const [scenarios, ledger] = await Promise.all([
+      getDocs(collection(db, COLLECTION_NAME, docId, SCENARIOS_COLLECTION)),
+      getDocs(collection(db, COLLECTION_NAME, docId, LEDGER_COLLECTION))
+    ]);
+    await Promise.all([...scenarios.docs, ...ledger.docs].map(child => deleteDoc(child.ref)));
+
     await deleteDoc(docRef);
     console.log('✅ Property removed:', docId);
   } catch (error) {
@@ -496,13 +509,14 @@ export const updatePropertyWithRentData = async (userId, propertyId, rentData) =
  * @param {number} [analysis.score] - Investment score (0-100)
  * @param {number} [analysis.monthlyCashFlow] - Monthly cash flow
  * @param {number} [analysis.capRate] - Cap rate percentage
+ * @param {number} [analysis.irr] - IRR at the holding period (from summarizeAnalysis)
  * @param {Object} [analysis.quickAnalysis] - All investment ratios
  * @param {Object} [analysis.cashflow] - Cash flow details
  * @returns {Promise<void>}
  * @throws {Error} If userId or propertyId is invalid
  * 
  * @example
- * const analysis = calculator.getCompleteAnalysis();
+ * const analysis = summarizeAnalysis(property, inputs);
  * await updatePropertyAnalysis(user.uid, propertyId, analysis);
  */
 export const updatePropertyAnalysis = async (userId, propertyId, analysis) => {
@@ -519,6 +533,7 @@ export const updatePropertyAnalysis = async (userId, propertyId, analysis) => {
       quickScore: analysis?.score || analysis?.investmentScore || null,
       estimatedCashFlow: analysis?.monthlyCashFlow || null,
       estimatedCapRate: analysis?.capRate || null,
+      estimatedIRR: analysis?.irr ?? null,
       analysisUpdatedAt: serverTimestamp(),
       updatedAt: serverTimestamp()
     };
@@ -653,6 +668,443 @@ export const updatePropertyThumbnail = async (userId, propertyId, thumbnailUrl)
     throw error;
   }
 };
+
+/**
+ * Update property ownership
+ * 
+ * Marks a saved property as owned with the actual purchase data used for
+ * portfolio totals on the Dashboard, or clears it when `ownership` is null.
+ * 
+ * @memberof module:services/database 
+ * @async
+ * @function
+ * @param {string} userId - Firebase user ID
+ * @param {string} propertyId - Property ID
+ * @param {Object|null} ownership - Actual purchase data, or null if not owned
+ * @param {string} ownership.purchaseDate - Purchase date 'YYYY-MM-DD'
+ * @param {number} ownership.purchasePrice - Price paid
+ * @param {number} ownership.loanAmount - Original loan amount (0 if paid cash)
+ * @param {number} ownership.interestRate - Loan interest rate percentage
+ * @param {number} ownership.loanTermYears - Loan term in years
+ * @param {number} [ownership.monthlyRent] - Actual total monthly rent
+ * @param {number} [ownership.currentValue] - Estimated value today
+ * @param {string} [ownership.propertyType] - Property type for concentration
+ * @returns {Promise<void>}
+ * @throws {Error} If userId or propertyId is invalid
+ * 
+ * @example
+ * await updatePropertyOwnership(user.uid, propertyId, {
+ *   purchaseDate: '2021-03-01', purchasePrice: 280000,
+ *   loanAmount: 224000, interestRate: 3.25, loanTermYears: 30
+ * });
+ */
+export const updatePropertyOwnership = async (userId, propertyId, ownership) => {
+  try {
+    if (!userId || typeof userId !== 'string' || !propertyId) {
+      throw new Error('Valid User ID and Property ID required');
+    }
+    
+    const docId = `${userId}_${propertyId}`;
+    const docRef = doc(db, COLLECTION_NAME, docId);
+    
+    await updateDoc(docRef, { 
+      ownership: ownership || null,
+      updatedAt: serverTimestamp() 
+    });
+    console.log('✅ Property ownership updated:', docId);
+  } catch (error) {
+    console.error('❌ Update ownership error:', error);
+    throw error;
+  }
+};
+
+/**
+ * Attach an imported rent roll to a saved property
+ * 
+ * Stores the unit rows parsed from a broker rent roll so the analysis can
+ * use actual unit count and rents. Pass null to remove the rent roll.
+ * 
+ * @memberof module:services/database 
+ * @async
+ * @function
+ * @param {string} userId - Firebase user ID
+ * @param {string} propertyId - Property ID
+ * @param {Object|null} rentRoll - Rent roll, or null to remove
+ * @param {string} rentRoll.fileName - Imported file name
+ * @param {Array<Object>} rentRoll.units - Units (see parseRentRoll in utils/rentRoll)
+ * @returns {Promise<void>}
+ * @throws {Error} If userId or propertyId is invalid
+ * 
+ * @example
+ * await updatePropertyRentRoll(user.uid, propertyId, { fileName: 'rent-roll.xlsx', units });
+ */
+export const updatePropertyRentRoll = async (userId, propertyId, rentRoll) => {
+  try {
+    if (!userId || typeof userId !== 'string' || !propertyId) {
+      throw new Error('Valid User ID and Property ID required');
+    }
+    
+    const docId = `${userId}_${propertyId}`;
+    const docRef = doc(db, COLLECTION_NAME, docId);
+    
+    await updateDoc(docRef, { 
+      rentRoll: rentRoll
+        ? { fileName: rentRoll.fileName || '', units: rentRoll.units || [], importedAt: new Date().toISOString() }
+        : null,
+      updatedAt: serverTimestamp() 
+    });
+    console.log('✅ Property rent roll updated:', docId);
+  } catch (error) {
+    console.error('❌ Update rent roll error:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get analysis scenarios for a saved property
+ * 
+ * Retrieves the named scenarios (e.g. "Asking price / 25% down",
+ * "Counter offer / DSCR loan") stored under a saved property, oldest first.
+ * Each scenario holds a complete set of calculation inputs plus the
+ * summarizeAnalysis figures from when it was last saved.
+ * 
+ * @memberof module:services/database 
+ * @async
+ * @function
+ * @param {string} userId - Firebase user ID
+ * @param {string} propertyId - Property ID
+ * @returns {Promise<Array<Object>>} Array of scenario objects
+ * @returns {string} returns[].id - Scenario document ID
+ * @returns {string} returns[].name - Scenario name
+ * @returns {Object} returns[].inputs - Calculation inputs
+ * @returns {Object} returns[].summary - Analysis summary (see summarizeAnalysis)
+ * 
+ * @example
+ * const scenarios = await getPropertyScenarios(user.uid, 'M123456789');
+ * scenarios.forEach(s => console.log(s.name, s.summary.monthlyCashFlow));
+ */
+export const getPropertyScenarios = async (userId, propertyId) => {
+  try {
+    if (!userId || typeof userId !== 'string' || !propertyId) {
+      return [];
+    }
+
+    const docId = `${userId}_${propertyId}`;
+    const q = query(
+      collection(db, COLLECTION_NAME, docId, SCENARIOS_COLLECTION),
+      orderBy('createdAt', 'asc')
+    );
+    const querySnapshot = await getDocs(q);
+    const scenarios = [];
+    querySnapshot.forEach((doc) => {
+      scenarios.push({ id: doc.id, ...doc.data() });
+    });
+    console.log(`✅ Got ${scenarios.length} scenarios`);
+    return scenarios;
+  } catch (error) {
+    if (error.code === 'permission-denied') {
+      return [];
+    }
+    console.error('❌ Get scenarios error:', error);
+    throw error;
+  }
+};
+
+/**
+ * Save an analysis scenario
+ * 
+ * Creates a new scenario under the saved property, or overwrites the inputs
+ * and summary of an existing one when `scenario.id` is given.
+ * 
+ * @memberof module:services/database 
+ * @async
+ * @function
+ * @param {string} userId - Firebase user ID
+ * @param {string} propertyId - Property ID
+ * @param {Object} scenario - Scenario to save
+ * @param {string} [scenario.id] - Existing scenario ID (omit to create)
+ * @param {string} scenario.name - Scenario name
+ * @param {Object} scenario.inputs - Calculation inputs
+ * @param {Object} [scenario.summary] - Analysis summary from summarizeAnalysis
+ * @returns {Promise<string>} Scenario document ID
+ * @throws {Error} If userId or propertyId is invalid
+ * @throws {Error} If Firestore operation fails
+ * 
+ * @example
+ * const id = await savePropertyScenario(user.uid, propertyId, {
+ *   name: 'Counter offer / DSCR loan',
+ *   inputs,
+ *   summary: summarizeAnalysis(property, inputs)
+ * });
+ */
+export const savePropertyScenario = async (userId, propertyId, scenario) => {
+  try {
+    if (!userId || typeof userId !== 'string' || !propertyId) {
+      throw new Error('Valid User ID and Property ID required');
+    }
+
+    const docId = `${userId}_${propertyId}`;
+    const scenarios = collection(db, COLLECTION_NAME, docId, SCENARIOS_COLLECTION);
+    const data = {
+      name: scenario.name || 'Untitled scenario',
+      inputs: scenario.inputs || {},
+      summary: scenario.summary || null,
+      updatedAt: serverTimestamp()
+    };
+
+    if (scenario.id) {
+      await setDoc(doc(scenarios, scenario.id), data, { merge: true });
+      console.log('✅ Scenario updated:', scenario.id);
+      return scenario.id;
+    }
+
+    const scenarioRef = await addDoc(scenarios, { ...data, createdAt: serverTimestamp() });
+    console.log('✅ Scenario created:', scenarioRef.id);
+    return scenarioRef.id;
+  } catch (error) {
+    console.error('❌ Save scenario error:', error);
+    throw error;
+  }
+};
+
+/**
+ * Rename an analysis scenario
+ * 
+ * @memberof module:services/database 
+ * @async
+ * @function
+ * @param {string} userId - Firebase user ID
+ * @param {string} propertyId - Property ID
+ * @param {string} scenarioId - Scenario ID
+ * @param {string} name - New scenario name
+ * @returns {Promise<void>}
+ * @throws {Error} If userId, propertyId or scenarioId is invalid
+ * 
+ * @example
+ * await renamePropertyScenario(user.uid, propertyId, scenarioId, 'Asking price / 25% down');
+ */
+export const renamePropertyScenario = async (userId, propertyId, scenarioId, name) => {
+  try {
+    if (!userId || typeof userId !== 'string' || !propertyId || !scenarioId) {
+      throw new Error('Valid User ID, Property ID and Scenario ID required');
+    }
+
+    const docId = `${userId}_${propertyId}`;
+    const scenarioRef = doc(db, COLLECTION_NAME, docId, SCENARIOS_COLLECTION, scenarioId);
+    await updateDoc(scenarioRef, {
+      name: name,
+      updatedAt: serverTimestamp()
+    });
+    console.log('✅ Scenario renamed:', scenarioId);
+  } catch (error) {
+    console.error('❌ Rename scenario error:', error);
+    throw error;
+  }
+};
+
+/**
+ * Duplicate an analysis scenario
+ * 
+ * Copies a scenario's inputs and summary into a new scenario so it can be
+ * changed without touching the original.
+ * 
+ * @memberof module:services/database 
+ * @async
+ * @function
+ * @param {string} userId - Firebase user ID
+ * @param {string} propertyId - Property ID
+ * @param {string} scenarioId - Scenario ID to copy
+ * @param {string} [name] - Name for the copy (defaults to "<name> (copy)")
+ * @returns {Promise<string>} New scenario document ID
+ * @throws {Error} If userId, propertyId or scenarioId is invalid
+ * @throws {Error} If the scenario does not exist
+ * 
+ * @example
+ * const copyId = await duplicatePropertyScenario(user.uid, propertyId, scenarioId);
+ */
+export const duplicatePropertyScenario = async (userId, propertyId, scenarioId, name) => {
+  try {
+    if (!userId || typeof userId !== 'string' || !propertyId || !scenarioId) {
+      throw new Error('Valid User ID, Property ID and Scenario ID required');
+    }
+
+    const docId = `${userId}_${propertyId}`;
+    const scenarioSnap = await getDoc(doc(db, COLLECTION_NAME, docId, SCENARIOS_COLLECTION, scenarioId));
+    if (!scenarioSnap.exists()) {
+      throw new Error('Scenario not found');
+    }
+
+    const original = scenarioSnap.data();
+    return await savePropertyScenario(userId, propertyId, {
+      name: name || `${original.name} (copy)`,
+      inputs: original.inputs,
+      summary: original.summary
+    });
+  } catch (error) {
+    console.error('❌ Duplicate scenario error:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete an analysis scenario
+ * 
+ * @memberof module:services/database 
+ * @async
+ * @function
+ * @param {string} userId - Firebase user ID
+ * @param {string} propertyId - Property ID
+ * @param {string} scenarioId - Scenario ID to delete
+ * @returns {Promise<void>}
+ * @throws {Error} If userId, propertyId or scenarioId is invalid
+ * 
+ * @example
+ * await deletePropertyScenario(user.uid, propertyId, scenarioId);
+ */
+export const deletePropertyScenario = async (userId, propertyId, scenarioId) => {
+  try {
+    if (!userId || typeof userId !== 'string' || !propertyId || !scenarioId) {
+      throw new Error('Valid User ID, Property ID and Scenario ID required');
+    }
+
+    const docId = `${userId}_${propertyId}`;
+    await deleteDoc(doc(db, COLLECTION_NAME, docId, SCENARIOS_COLLECTION, scenarioId));
+    console.log('✅ Scenario deleted:', scenarioId);
+  } catch (error) {
+    console.error('❌ Delete scenario error:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get the monthly actuals ledger for an owned property
+ * 
+ * Retrieves the months logged against a saved property, oldest first. Each
+ * month is one document keyed by 'YYYY-MM' holding what was actually
+ * collected and spent that month.
+ * 
+ * @memberof module:services/database 
+ * @async
+ * @function
+ * @param {string} userId - Firebase user ID
+ * @param {string} propertyId - Property ID
+ * @returns {Promise<Array<Object>>} Array of ledger months
+ * @returns {string} returns[].month - Month 'YYYY-MM' (also the document ID)
+ * @returns {number} returns[].rentCollected - Rent and other income collected
+ * @returns {number} returns[].vacancyLoss - Rent lost to vacancy and non-payment
+ * @returns {number} returns[].repairs - Repairs and maintenance
+ * @returns {number} returns[].capex - Capital expenditures
+ * @returns {number} returns[].operatingExpenses - Taxes, insurance, utilities, management and other operating costs
+ * @returns {number} returns[].mortgagePayment - Mortgage payments (principal and interest)
+ * @returns {string} returns[].notes - Notes for the month
+ * 
+ * @example
+ * const ledger = await getPropertyLedger(user.uid, 'M123456789');
+ * ledger.forEach(m => console.log(m.month, m.rentCollected));
+ */
+export const getPropertyLedger = async (userId, propertyId) => {
+  try {
+    if (!userId || typeof userId !== 'string' || !propertyId) {
+      return [];
+    }
+
+    const docId = `${userId}_${propertyId}`;
+    const q = query(
+      collection(db, COLLECTION_NAME, docId, LEDGER_COLLECTION),
+      orderBy('month', 'asc')
+    );
+    const querySnapshot = await getDocs(q);
+    const ledger = [];
+    querySnapshot.forEach((doc) => {
+      ledger.push({ id: doc.id, ...doc.data() });
+    });
+    console.log(`✅ Got ${ledger.length} ledger months`);
+    return ledger;
+  } catch (error) {
+    if (error.code === 'permission-denied') {
+      return [];
+    }
+    console.error('❌ Get ledger error:', error);
+    throw error;
+  }
+};
+
+/**
+ * Save one month of actuals
+ * 
+ * Creates or overwrites the ledger document for `entry.month`, so logging a
+ * month twice replaces the earlier figures.
+ * 
+ * @memberof module:services/database 
+ * @async
+ * @function
+ * @param {string} userId - Firebase user ID
+ * @param {string} propertyId - Property ID
+ * @param {Object} entry - Month of actuals (see getPropertyLedger)
+ * @param {string} entry.month - Month 'YYYY-MM'
+ * @returns {Promise<void>}
+ * @throws {Error} If userId, propertyId or month is invalid
+ * @throws {Error} If Firestore operation fails
+ * 
+ * @example
+ * await savePropertyLedgerMonth(user.uid, propertyId, {
+ *   month: '2024-03', rentCollected: 2400, repairs: 650, mortgagePayment: 1210
+ * });
+ */
+export const savePropertyLedgerMonth = async (userId, propertyId, entry) => {
+  try {
+    if (!userId || typeof userId !== 'string' || !propertyId || !/^\d{4}-\d{2}$/.test(entry?.month || '')) {
+      throw new Error('Valid User ID, Property ID and month (YYYY-MM) required');
+    }
+
+    const docId = `${userId}_${propertyId}`;
+    await setDoc(doc(db, COLLECTION_NAME, docId, LEDGER_COLLECTION, entry.month), {
+      month: entry.month,
+      rentCollected: entry.rentCollected || 0,
+      vacancyLoss: entry.vacancyLoss || 0,
+      repairs: entry.repairs || 0,
+      capex: entry.capex || 0,
+      operatingExpenses: entry.operatingExpenses || 0,
+      mortgagePayment: entry.mortgagePayment || 0,
+      notes: entry.notes || '',
+      updatedAt: serverTimestamp()
+    });
+    console.log('✅ Ledger month saved:', entry.month);
+  } catch (error) {
+    console.error('❌ Save ledger month error:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete one month of actuals
+ * 
+ * @memberof module:services/database 
+ * @async
+ * @function
+ * @param {string} userId - Firebase user ID
+ * @param {string} propertyId - Property ID
+ * @param {string} month - Month 'YYYY-MM'
+ * @returns {Promise<void>}
+ * @throws {Error} If userId, propertyId or month is invalid
+ * 
+ * @example
+ * await deletePropertyLedgerMonth(user.uid, propertyId, '2024-03');
+ */
+export const deletePropertyLedgerMonth = async (userId, propertyId, month) => {
+  try {
+    if (!userId || typeof userId !== 'string' || !propertyId || !month) {
+      throw new Error('Valid User ID, Property ID and month required');
+    }
+
+    const docId = `${userId}_${propertyId}`;
+    await deleteDoc(doc(db, COLLECTION_NAME, docId, LEDGER_COLLECTION, month));
+    console.log('✅ Ledger month deleted:', month);
+  } catch (error) {
+    console.error('❌ Delete ledger month error:', error);
+    throw error;
+  }
+};
 /**
  * Default module export with all database functions
  * 
@@ -669,6 +1121,16 @@ export const updatePropertyThumbnail = async (userId, propertyId, thumbnailUrl)
  * @property {Function} updatePropertyNotes - Update user notes
  * @property {Function} updatePropertyTags - Update user tags
  * @property {Function} updatePropertyThumbnail - Update thumbnail URL
+ * @property {Function} updatePropertyOwnership - Mark as owned with purchase data
+ * @property {Function} updatePropertyRentRoll - Attach or remove an imported rent roll
+ * @property {Function} getPropertyScenarios - Get a property's analysis scenarios
+ * @property {Function} savePropertyScenario - Create or update a scenario
+ * @property {Function} renamePropertyScenario - Rename a scenario
+ * @property {Function} duplicatePropertyScenario - Copy a scenario
+ * @property {Function} deletePropertyScenario - Delete a scenario
+ * @property {Function} getPropertyLedger - Get a property's monthly actuals
+ * @property {Function} savePropertyLedgerMonth - Create or replace a month of actuals
+ * @property {Function} deletePropertyLedgerMonth - Delete a month of actuals
  */
 export default {
   saveProperty,
@@ -681,5 +1143,15 @@ export default {
   updatePropertyAnalysis,
   updatePropertyNotes,
   updatePropertyTags,
-  updatePropertyThumbnail
+  updatePropertyThumbnail,
+  updatePropertyOwnership,
+  updatePropertyRentRoll,
+  getPropertyScenarios,
+  savePropertyScenario,
+  renamePropertyScenario,
+  duplicatePropertyScenario,
+  deletePropertyScenario,
+  getPropertyLedger,
+  savePropertyLedgerMonth,
+  deletePropertyLedgerMonth
 };
\ No newline at end of file
@@ -71,6 +71,975 @@ function calculatePrincipalPaidYear1(loanAmount, monthlyPayment, annualRate) {
   return totalPrincipal;
 }
 
+/**
+ * Calculate remaining loan balance after a number of payments
+ *
+ * Amortizes the loan month-by-month and returns the outstanding principal.
+ * Used to determine the payoff amount when a loan is refinanced or sold.
+ *
+ * @function
+ * @param {number} loanAmount - Initial loan amount in dollars
+ * @param {number} monthlyPayment - Monthly payment amount in dollars
+ * @param {number} annualRate - Annual interest rate as percentage
+ * @param {number} months - Number of payments made
+ * @returns {number} Remaining principal balance in dollars
+ *
+ * @example
+ * const balance = calculateRemainingBalance(200000, 1330.60, 7.0, 12);
+ * console.log(balance); // ~197,968
+ */
+function calculateRemainingBalance(loanAmount, monthlyPayment, annualRate, months) {
+  if (!loanAmount) return 0;
+
+  let balance = loanAmount;
+  const monthlyRate = (annualRate || 0) / 100 / 12;
+
+  for (let month = 1; month <= months; month++) {
+    const interestPayment = balance * monthlyRate;
+    balance -= Math.max(0, monthlyPayment - interestPayment);
+    if (balance <= 0) return 0;
+  }
+
+  return balance;
+}
+
+/**
+ * Calculate the rate path of an adjustable-rate mortgage
+ *
+ * The rate is fixed for the initial period, then adjusts every adjustment
+ * interval toward the fully indexed rate (index + margin). The first
+ * adjustment is limited by the initial cap, later ones by the periodic cap,
+ * and the rate never exceeds the start rate plus the lifetime cap or falls
+ * below the margin. The index is assumed to stay at its current level.
+ *
+ * @function
+ * @param {number} initialRate - Initial (teaser) annual rate as percentage
+ * @param {number} termYears - Loan term in years
+ * @param {Object} arm - ARM terms
+ * @param {number} [arm.initialPeriodYears=5] - Fixed period before first adjustment (e.g. 5 for a 5/1)
+ * @param {number} [arm.adjustmentYears=1] - Years between adjustments
+ * @param {number} [arm.indexRate=4.5] - Current index rate as percentage
+ * @param {number} [arm.margin=2.75] - Margin over the index as percentage
+ * @param {number} [arm.initialCap=2] - Maximum change at first adjustment
+ * @param {number} [arm.periodicCap=2] - Maximum change at later adjustments
+ * @param {number} [arm.lifetimeCap=5] - Maximum increase over the initial rate
+ * @returns {Array<Object>} Rate changes ({ month, rate })
+ *
+ * @example
+ * calculateARMRateChanges(6.0, 30, { initialPeriodYears: 5, indexRate: 4.5, margin: 2.75 });
+ * // [{ month: 61, rate: 7.25 }]
+ */
+function calculateARMRateChanges(initialRate, termYears, arm = {}) {
+  const {
+    initialPeriodYears = 5,
+    adjustmentYears = 1,
+    indexRate = 4.5,
+    margin = 2.75,
+    initialCap = 2,
+    periodicCap = 2,
+    lifetimeCap = 5
+  } = arm;
+
+  const ceiling = initialRate + lifetimeCap;
+  const floor = Math.min(margin, initialRate);
+  const target = Math.min(ceiling, Math.max(floor, indexRate + margin));
+  const changes = [];
+  let rate = initialRate;
+  const interval = Math.max(1, Math.round(adjustmentYears * 12));
+
+  for (let month = Math.round(initialPeriodYears * 12) + 1; month <= termYears * 12; month += interval) {
+    if (Math.abs(rate - target) < 1e-9) break;
+    const cap = changes.length === 0 ? initialCap : periodicCap;
+    const nextRate = Math.min(rate + cap, Math.max(rate - cap, target));
+    changes.push({ month, rate: nextRate });
+    rate = nextRate;
+  }
+
+  return changes;
+}
+
+// =============================================================================
+// AMORTIZATION SCHEDULES
+// =============================================================================
+
+/**
+ * Add months to a YYYY-MM-DD date string
+ *
+ * @function
+ * @param {string} startDate - Date of the first payment (YYYY-MM-DD)
+ * @param {number} months - Months to add
+ * @returns {string} Payment month as YYYY-MM
+ */
+function addMonths(startDate, months) {
+  const [year, month] = startDate.split('-').map(Number);
+  const total = (year * 12 + (month - 1)) + months;
+  return `${Math.floor(total / 12)}-${String((total % 12) + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Get the first day of next month as YYYY-MM-DD
+ *
+ * @function
+ * @returns {string} Default first payment date
+ */
+function defaultFirstPaymentDate() {
+  const now = new Date();
+  const next = new Date(now.getFullYear(), now.getMonth() + 1, 1);
+  return `${next.getFullYear()}-${String(next.getMonth() + 1).padStart(2, '0')}-01`;
+}
+
+/**
+ * Build a month-by-month schedule for a single loan
+ *
+ * @function
+ * @param {Object} loan - Loan terms (see generateAmortizationSchedule)
+ * @param {boolean} includeExtras - Whether to apply extra principal payments
+ * @returns {Array<Object>} Schedule rows
+ */
+function buildSchedule(loan, includeExtras) {
+  const {
+    principal,
+    annualRate,
+    years,
+    interestOnlyMonths = 0,
+    rateChanges = [],
+    balloonMonth = null,
+    extraMonthly = 0,
+    extraStartMonth = 1,
+    oneTimeExtras = [],
+    firstPaymentDate
+  } = loan;
+
+  const termMonths = Math.round(years * 12);
+  const lastMonth = balloonMonth ? Math.min(balloonMonth, termMonths) : termMonths;
+  const changes = [...rateChanges].sort((a, b) => a.month - b.month);
+
+  const rows = [];
+  let balance = principal;
+  let rate = annualRate;
+  let payment = interestOnlyMonths > 0
+    ? balance * rate / 100 / 12
+    : calculateMonthlyPayment(balance, rate, years);
+
+  for (let month = 1; month <= lastMonth && balance > 0.005; month++) {
+    let recast = month === interestOnlyMonths + 1 && interestOnlyMonths > 0;
+
+    // Apply any rate change effective this month
+    for (const change of changes) {
+      if (change.month === month) {
+        rate = change.rate;
+        recast = true;
+      }
+    }
+
+    const remainingMonths = termMonths - month + 1;
+    const isInterestOnly = month <= interestOnlyMonths;
+    if (isInterestOnly) {
+      payment = balance * rate / 100 / 12;
+    } else if (recast) {
+      payment = calculateMonthlyPayment(balance, rate, remainingMonths / 12);
+    }
+
+    const interest = balance * rate / 100 / 12;
+    let principalPaid = isInterestOnly ? 0 : Math.min(balance, payment - interest);
+
+    let extra = 0;
+    if (includeExtras) {
+      if (month >= extraStartMonth) extra += extraMonthly;
+      extra += oneTimeExtras
+        .filter(e => e.month === month)
+        .reduce((sum, e) => sum + (e.amount || 0), 0);
+      extra = Math.min(extra, balance - principalPaid);
+    }
+
+    balance -= principalPaid + extra;
+
+    let balloon = 0;
+    if (month === lastMonth && balloonMonth && balance > 0.005) {
+      balloon = balance;
+      principalPaid += balloon;
+      balance = 0;
+    }
+
+    rows.push({
+      month,
+      year: Math.ceil(month / 12),
+      date: addMonths(firstPaymentDate, month - 1),
+      rate,
+      payment: interest + principalPaid - balloon,
+      interest,
+      principal: principalPaid - balloon,
+      extra,
+      balloon,
+      totalPayment: interest + principalPaid + extra,
+      balance: Math.max(0, balance)
+    });
+  }
+
+  return rows;
+}
+
+/**
+ * Generate a full amortization schedule for a loan
+ *
+ * Produces a month-by-month schedule with interest, principal and balance.
+ * Supports an interest-only period, scheduled rate changes (the payment is
+ * re-amortized over the remaining term when the rate changes), a balloon
+ * payment, and recurring and one-time extra principal payments. When extra
+ * payments are present, a baseline schedule without extras is also computed
+ * to report interest saved and the earlier payoff date.
+ *
+ * @function
+ * @param {Object} loan - Loan terms
+ * @param {number} loan.principal - Loan amount in dollars
+ * @param {number} loan.annualRate - Initial annual interest rate as percentage
+ * @param {number} loan.years - Amortization term in years
+ * @param {number} [loan.interestOnlyMonths=0] - Months of interest-only payments before amortizing
+ * @param {Array<Object>} [loan.rateChanges=[]] - Rate changes ({ month, rate })
+ * @param {number|null} [loan.balloonMonth=null] - Month the remaining balance is due
+ * @param {number} [loan.extraMonthly=0] - Recurring extra principal per month
+ * @param {number} [loan.extraStartMonth=1] - Month recurring extra payments begin
+ * @param {Array<Object>} [loan.oneTimeExtras=[]] - One-time extra payments ({ month, amount })
+ * @param {string} [loan.firstPaymentDate] - First payment date (YYYY-MM-DD), defaults to next month
+ * @returns {Object} Amortization schedule
+ * @returns {Array<Object>} returns.schedule - Monthly rows (month, year, date, rate, payment, interest, principal, extra, balloon, totalPayment, balance)
+ * @returns {Array<Object>} returns.yearly - Rows aggregated by loan year
+ * @returns {number} returns.totalInterest - Total interest paid
+ * @returns {number} returns.totalPaid - Total of all payments
+ * @returns {number} returns.balloonPayment - Balloon amount due (0 if none)
+ * @returns {number} returns.payoffMonth - Month the loan is paid off
+ * @returns {string} returns.payoffDate - Payoff month as YYYY-MM
+ * @returns {number} returns.interestSaved - Interest saved by extra payments
+ * @returns {number} returns.monthsSaved - Months shaved off by extra payments
+ * @returns {string|null} returns.baselinePayoffDate - Payoff month without extra payments
+ *
+ * @example
+ * const { interestSaved, payoffDate } = generateAmortizationSchedule({
+ *   principal: 200000,
+ *   annualRate: 7,
+ *   years: 30,
+ *   extraMonthly: 200
+ * });
+ * console.log(interestSaved); // ~101,000
+ */
+export function generateAmortizationSchedule(loan) {
+  const terms = {
+    ...loan,
+    firstPaymentDate: loan.firstPaymentDate || defaultFirstPaymentDate()
+  };
+
+  const empty = {
+    schedule: [],
+    yearly: [],
+    totalInterest: 0,
+    totalPaid: 0,
+    balloonPayment: 0,
+    payoffMonth: 0,
+    payoffDate: null,
+    interestSaved: 0,
+    monthsSaved: 0,
+    baselinePayoffDate: null
+  };
+  if (!terms.principal || terms.principal <= 0 || !terms.years) return empty;
+
+  const schedule = buildSchedule(terms, true);
+  const hasExtras = (terms.extraMonthly || 0) > 0 ||
+    (terms.oneTimeExtras || []).some(e => e.amount > 0);
+  const baseline = hasExtras ? buildSchedule(terms, false) : schedule;
+
+  const sum = (rows, field) => rows.reduce((total, row) => total + row[field], 0);
+  const totalInterest = sum(schedule, 'interest');
+  const baselineInterest = sum(baseline, 'interest');
+
+  const yearly = [];
+  for (const row of schedule) {
+    let yearRow = yearly[row.year - 1];
+    if (!yearRow) {
+      yearRow = { year: row.year, payment: 0, interest: 0, principal: 0, extra: 0, balloon: 0, totalPayment: 0, balance: 0 };
+      yearly.push(yearRow);
+    }
+    yearRow.payment += row.payment;
+    yearRow.interest += row.interest;
+    yearRow.principal += row.principal;
+    yearRow.extra += row.extra;
+    yearRow.balloon += row.balloon;
+    yearRow.totalPayment += row.totalPayment;
+    yearRow.balance = row.balance;
+  }
+
+  const last = schedule[schedule.length - 1];
+  const baselineLast = baseline[baseline.length - 1];
+
+  return {
+    schedule,
+    yearly,
+    totalInterest,
+    totalPaid: sum(schedule, 'totalPayment'),
+    balloonPayment: sum(schedule, 'balloon'),
+    payoffMonth: last.month,
+    payoffDate: last.date,
+    interestSaved: baselineInterest - totalInterest,
+    monthsSaved: baselineLast.month - last.month,
+    baselinePayoffDate: baselineLast.date
+  };
+}
+
+/**
+ * Convert an amortization schedule to CSV
+ *
+ * @function
+ * @param {Array<Object>} schedule - Monthly rows from generateAmortizationSchedule
+ * @returns {string} CSV text with a header row
+ *
+ * @example
+ * const csv = amortizationScheduleToCSV(result.schedule);
+ */
+export function amortizationScheduleToCSV(schedule) {
+  const header = ['Month', 'Date', 'Rate', 'Payment', 'Interest', 'Principal', 'Extra Principal', 'Balloon', 'Total Payment', 'Balance'];
+  const lines = schedule.map(row => [
+    row.month,
+    row.date,
+    row.rate.toFixed(3),
+    row.payment.toFixed(2),
+    row.interest.toFixed(2),
+    row.principal.toFixed(2),
+    row.extra.toFixed(2),
+    row.balloon.toFixed(2),
+    row.totalPayment.toFixed(2),
+    row.balance.toFixed(2)
+  ].join(','));
+  return [header.join(','), ...lines].join('\n');
+}
+
+// =============================================================================
+// MORTGAGE INSURANCE (PMI / FHA MIP)
+// =============================================================================
+
+/**
+ * Conventional PMI annual rates by loan-to-value band
+ *
+ * Typical borrower-paid monthly PMI for a 30-year fixed loan with good
+ * credit. The first band whose maxLTV is at or above the loan's LTV
+ * applies; loans at 80% LTV or less carry no PMI.
+ *
+ * @constant {Array<Object>}
+ * @property {number} [].maxLTV - Highest LTV percentage in the band
+ * @property {number} [].rate - Annual premium as percentage of the original loan
+ */
+export const PMI_RATE_BANDS = [
+  { maxLTV: 85, rate: 0.3 },
+  { maxLTV: 90, rate: 0.5 },
+  { maxLTV: 95, rate: 0.75 },
+  { maxLTV: 97, rate: 1.0 },
+  { maxLTV: 100, rate: 1.2 }
+];
+
+/**
+ * Annual PMI rate for a loan-to-value ratio
+ *
+ * @function
+ * @param {number} ltv - Loan-to-value percentage at origination
+ * @returns {number} Annual premium percentage (0 at 80% LTV or less)
+ *
+ * @example
+ * getPMIRate(90);   // 0.5
+ * getPMIRate(96.5); // 1.0
+ */
+export function getPMIRate(ltv) {
+  if (!(ltv > 80)) return 0;
+  const band = PMI_RATE_BANDS.find(b => ltv <= b.maxLTV) || PMI_RATE_BANDS[PMI_RATE_BANDS.length - 1];
+  return band.rate;
+}
+
+/**
+ * Month PMI ends automatically on a loan's scheduled payment path
+ *
+ * Under the Homeowners Protection Act PMI terminates once the balance is
+ * scheduled to reach 78% of the original value. The schedule is the
+ * original one (interest-only period and ARM resets included, extra
+ * payments not).
+ *
+ * @private
+ * @param {Object} loan - Loan terms (see generateAmortizationSchedule)
+ * @param {number} originalValue - Purchase price or appraised value
+ * @returns {number} Months PMI is paid (the full term when never reached)
+ */
+function pmiDropOffMonth(loan, originalValue) {
+  const { schedule } = generateAmortizationSchedule(loan);
+  const row = schedule.find(r => r.balance <= originalValue * 0.78);
+  return row ? row.month : schedule.length;
+}
+
+/**
+ * Mortgage insurance premium on the first mortgage for a loan year
+ *
+ * Conventional PMI is a level premium on the original loan amount; FHA
+ * annual MIP is charged on the balance at the start of each year. Either
+ * stops after mortgageInsurance.months payments (PMI's 78% drop-off, or
+ * 11 years / the life of the loan for FHA).
+ *
+ * @private
+ * @param {Object} mortgageInsurance - financing.mortgageInsurance
+ * @param {number} startingBalance - First mortgage balance at the start of the year
+ * @param {number} year - Loan year (1-based)
+ * @returns {number} Annual premium
+ */
+function mortgageInsurancePremium(mortgageInsurance, startingBalance, year) {
+  if (!mortgageInsurance?.type) return 0;
+  const months = Math.min(12, Math.max(0, mortgageInsurance.months - (year - 1) * 12));
+  const base = mortgageInsurance.type === 'pmi' ? mortgageInsurance.loanAmount : startingBalance;
+  return base * (mortgageInsurance.annualRate / 100) * (months / 12);
+}
+
+// =============================================================================
+// CREATIVE FINANCING (SUBJECT-TO / WRAP-AROUND)
+// =============================================================================
+
+/**
+ * Deal structures for the first mortgage
+ *
+ * - 'new-loan': A new first mortgage at the worksheet LTV, rate and term (default)
+ * - 'subject-to': The seller's existing mortgage stays in place and the buyer
+ *   makes its payments (assumed balance, rate and remaining term)
+ * - 'wrap': The seller carries a wrap-around note for the financed amount and
+ *   keeps paying the existing mortgage out of the buyer's payments
+ *
+ * @constant {Array<string>}
+ */
+export const FINANCING_STRUCTURES = ['new-loan', 'subject-to', 'wrap'];
+
+/**
+ * Seller's existing mortgage for a subject-to or wrap-around deal
+ *
+ * @private
+ * @param {Object} inputs - Calculation inputs (existingMtgBalance, existingMtgRate, existingMtgRemainingYears, existingMtgArrears)
+ * @returns {Object} { balance, rate, remainingYears, monthlyPayment, arrears }
+ */
+function existingMortgage(inputs) {
+  const balance = inputs.existingMtgBalance || 0;
+  const rate = inputs.existingMtgRate ?? 4.0;
+  const remainingYears = inputs.existingMtgRemainingYears || 25;
+  return {
+    balance,
+    rate,
+    remainingYears,
+    monthlyPayment: calculateMonthlyPayment(balance, rate, remainingYears),
+    arrears: inputs.existingMtgArrears || 0
+  };
+}
+
+// =============================================================================
+// UNIT MIX
+// =============================================================================
+
+/**
+ * Whether inputs carry a unit mix with at least one unit
+ *
+ * @private
+ * @param {Object} inputs - Calculation inputs
+ * @returns {boolean} True when inputs.unitMix has units
+ */
+function hasUnitMix(inputs) {
+  return Array.isArray(inputs?.unitMix) && inputs.unitMix.some(type => type.count > 0);
+}
+
+/**
+ * Summarize a multifamily unit mix
+ *
+ * Each unit type is a group of identical units. Rents and other income are
+ * per unit per month; square footage is per unit.
+ *
+ * @function
+ * @param {Array<Object>} unitMix - Unit types
+ * @param {string} unitMix[].name - Type label (e.g. '2BR/1BA')
+ * @param {number} unitMix[].count - Number of units of this type
+ * @param {number} [unitMix[].beds] - Bedrooms per unit
+ * @param {number} [unitMix[].baths] - Bathrooms per unit
+ * @param {number} [unitMix[].sqft] - Square feet per unit
+ * @param {number} unitMix[].currentRent - In-place monthly rent per unit
+ * @param {number} [unitMix[].marketRent] - Market monthly rent per unit
+ * @param {number} [unitMix[].otherIncome] - Other monthly income per unit (parking, pet, RUBS)
+ * @returns {Object} Unit mix summary
+ * @returns {number} returns.unitCount - Total units
+ * @returns {number} returns.totalSqft - Total rentable square feet
+ * @returns {number} returns.monthlyRent - In-place monthly rent
+ * @returns {number} returns.marketMonthlyRent - Market monthly rent (in-place where no market rent)
+ * @returns {number} returns.monthlyOtherIncome - Other monthly income
+ * @returns {number} returns.lossToLeaseMonthly - Market minus in-place monthly rent
+ * @returns {number} returns.averageRent - In-place rent per unit per month
+ * @returns {number} returns.averageMarketRent - Market rent per unit per month
+ * @returns {number} returns.rentPerSqft - In-place monthly rent per square foot
+ * @returns {number} returns.marketRentPerSqft - Market monthly rent per square foot
+ * @returns {Array<Object>} returns.types - Unit types with monthlyRent, marketMonthlyRent and rentPerSqft
+ *
+ * @example
+ * const mix = summarizeUnitMix([
+ *   { name: '1BR/1BA', count: 4, sqft: 650, currentRent: 1050, marketRent: 1200 },
+ *   { name: '2BR/1BA', count: 8, sqft: 850, currentRent: 1300, marketRent: 1450 }
+ * ]);
+ * console.log(mix.unitCount, mix.lossToLeaseMonthly); // 12, 1800
+ */
+export function summarizeUnitMix(unitMix = []) {
+  const types = unitMix
+    .filter(type => type.count > 0)
+    .map(type => {
+      const monthlyRent = type.count * (type.currentRent || 0);
+      const marketMonthlyRent = type.count * (type.marketRent || type.currentRent || 0);
+      return {
+        ...type,
+        monthlyRent,
+        marketMonthlyRent,
+        rentPerSqft: type.sqft > 0 ? (type.currentRent || 0) / type.sqft : 0
+      };
+    });
+
+  const sum = (field) => types.reduce((total, type) => total + (type[field] || 0), 0);
+  const unitCount = sum('count');
+  const totalSqft = types.reduce((total, type) => total + type.count * (type.sqft || 0), 0);
+  const monthlyRent = sum('monthlyRent');
+  const marketMonthlyRent = sum('marketMonthlyRent');
+
+  return {
+    unitCount,
+    totalSqft,
+    monthlyRent,
+    marketMonthlyRent,
+    monthlyOtherIncome: types.reduce((total, type) => total + type.count * (type.otherIncome || 0), 0),
+    lossToLeaseMonthly: marketMonthlyRent - monthlyRent,
+    averageRent: unitCount > 0 ? monthlyRent / unitCount : 0,
+    averageMarketRent: unitCount > 0 ? marketMonthlyRent / unitCount : 0,
+    rentPerSqft: totalSqft > 0 ? monthlyRent / totalSqft : 0,
+    marketRentPerSqft: totalSqft > 0 ? marketMonthlyRent / totalSqft : 0,
+    types
+  };
+}
+
+/**
+ * Unit mix rent for one month of ownership
+ *
+ * With an enabled value-add plan, units move from current to market rent
+ * evenly over `valueAddPlan.months` (as leases turn over), so month m of
+ * an N-month plan collects m/N of the rent lift.
+ *
+ * @private
+ * @param {Array<Object>} unitMix - Unit types (see summarizeUnitMix)
+ * @param {Object} [valueAddPlan] - { enabled, months }
+ * @param {number} month - Month of ownership (1 = first month)
+ * @returns {number} Monthly rent before income growth
+ */
+function unitMixMonthlyRent(unitMix, valueAddPlan, month) {
+  const mix = summarizeUnitMix(unitMix);
+  if (!valueAddPlan?.enabled) return mix.monthlyRent;
+  const progress = Math.min(1, month / Math.max(1, valueAddPlan.months || 1));
+  return mix.monthlyRent + (mix.marketMonthlyRent - mix.monthlyRent) * progress;
+}
+
+/**
+ * Rent in a projection year relative to in-place rent
+ *
+ * Multiplier applied to `inputs.grossRents` (the in-place rent) for a given
+ * year, before income growth. It is 1 unless a unit mix with an enabled
+ * value-add plan is present. Keeping grossRents as the base means
+ * sensitivity, goal seek and simulations that vary grossRents scale the
+ * unit mix with it.
+ *
+ * @function
+ * @param {Object} inputs - Calculation inputs
+ * @param {Array<Object>} [inputs.unitMix] - Unit types (see summarizeUnitMix)
+ * @param {Object} [inputs.valueAddPlan] - { enabled, months }
+ * @param {number} year - Projection year (1 = first year)
+ * @returns {number} Year rent / (in-place monthly rent × 12)
+ *
+ * @example
+ * // 12 units moving to market over 18 months
+ * getRentLiftFactor({ unitMix, valueAddPlan: { enabled: true, months: 18 } }, 1); // e.g. 1.042
+ */
+export function getRentLiftFactor(inputs, year) {
+  if (!hasUnitMix(inputs) || !inputs.valueAddPlan?.enabled) return 1;
+  const inPlace = summarizeUnitMix(inputs.unitMix).monthlyRent * 12;
+  if (inPlace <= 0) return 1;
+
+  let yearRent = 0;
+  for (let month = (year - 1) * 12 + 1; month <= year * 12; month++) {
+    yearRent += unitMixMonthlyRent(inputs.unitMix, inputs.valueAddPlan, month);
+  }
+  return yearRent / inPlace;
+}
+
+// =============================================================================
+// VALUE-ADD RENOVATION
+// =============================================================================
+
+/**
+ * Rehab items that change rents, with their unit rent and timing
+ *
+ * An itemized rehab cost (inputs.itemizedRehabCosts) is tied to rents when
+ * it renovates units (`units` > 0) for a monthly rent increase. Work starts
+ * in `month` of ownership; each renovated unit is offline for
+ * `downtimeMonths` and then re-leases at its rent plus `rentIncrease`.
+ * The offline unit's rent comes from its unit mix type when `unitType`
+ * names one, otherwise from the average in-place rent.
+ *
+ * @private
+ * @param {Object} inputs - Calculation inputs
+ * @param {number} inPlaceRents - Annual in-place gross rents
+ * @returns {Array<Object>} Items ({ units, rentIncrease, start, liftMonth, unitRent })
+ */
+function renovationRentItems(inputs, inPlaceRents) {
+  const items = (inputs.itemizedRehabCosts || []).filter(item => item.units > 0);
+  if (items.length === 0) return [];
+
+  const unitCount = hasUnitMix(inputs) ? summarizeUnitMix(inputs.unitMix).unitCount : inputs.numberOfUnits || 1;
+  const averageRent = unitCount > 0 ? inPlaceRents / 12 / unitCount : 0;
+
+  return items.map(item => {
+    const type = item.unitType && (inputs.unitMix || []).find(t => t.name === item.unitType);
+    const start = Math.max(1, Math.round(item.month || 1));
+    return {
+      units: item.units,
+      rentIncrease: item.rentIncrease || 0,
+      start,
+      liftMonth: start + Math.max(0, Math.round(item.downtimeMonths ?? 1)),
+      unitRent: type?.currentRent || averageRent
+    };
+  });
+}
+
+/**
+ * Renovation rent lift and downtime for a projection year
+ *
+ * Staged rent lifts and the rent lost while renovated units sit offline,
+ * in today's dollars (before income growth). Both are 0 without rehab
+ * items tied to units (see renovationRentItems).
+ *
+ * @function
+ * @param {Object} inputs - Calculation inputs
+ * @param {Array<Object>} [inputs.itemizedRehabCosts] - Rehab items with month, unitType, units, rentIncrease, downtimeMonths
+ * @param {number} inPlaceRents - Annual in-place gross rents
+ * @param {number} year - Projection year (1 = first year)
+ * @returns {Object} Year totals
+ * @returns {number} returns.rentLift - Added annual rent from renovated units
+ * @returns {number} returns.downtimeLoss - Annual rent lost to units offline
+ *
+ * @example
+ * // 4 units renovated in month 3, 2 months offline, +$150/mo each
+ * getRenovationRents({ itemizedRehabCosts: [{ name: 'Kitchen', value: 40000, month: 3, units: 4, rentIncrease: 150, downtimeMonths: 2 }], numberOfUnits: 12 }, 144000, 1);
+ * // { rentLift: 4800, downtimeLoss: 8000 }
+ */
+export function getRenovationRents(inputs, inPlaceRents, year) {
+  let rentLift = 0;
+  let downtimeLoss = 0;
+
+  for (const item of renovationRentItems(inputs, inPlaceRents)) {
+    for (let month = (year - 1) * 12 + 1; month <= year * 12; month++) {
+      if (month >= item.liftMonth) {
+        rentLift += item.units * item.rentIncrease;
+      } else if (month >= item.start) {
+        downtimeLoss += item.units * item.unitRent;
+      }
+    }
+  }
+
+  return { rentLift, downtimeLoss };
+}
+
+/**
+ * Month the value-add plan and renovations are complete
+ *
+ * @private
+ * @param {Object} inputs - Calculation inputs
+ * @param {number} inPlaceRents - Annual in-place gross rents
+ * @returns {number} First month at stabilized rents (0 without a plan)
+ */
+function stabilizationMonth(inputs, inPlaceRents) {
+  const months = renovationRentItems(inputs, inPlaceRents).map(item => item.liftMonth);
+  if (hasUnitMix(inputs) && inputs.valueAddPlan?.enabled) {
+    months.push(Math.max(1, inputs.valueAddPlan.months || 1));
+  }
+  return months.length > 0 ? Math.max(...months) : 0;
+}
+
+// =============================================================================
+// SHORT-TERM RENTAL
+// =============================================================================
+
+const STR_DAYS_IN_MONTH = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+/**
+ * Default short-term rental assumptions
+ *
+ * Occupancy follows a typical leisure-market season (summer peak, winter
+ * trough). ADR is left at 0 so callers seed it for the property (the
+ * worksheet starts from the long-term rent).
+ *
+ * @constant {Object}
+ * @property {Array<Object>} months - January to December ({ adr, occupancy })
+ * @property {number} averageStay - Average nights per booking
+ * @property {number} cleaningFee - Cleaning fee charged to the guest per stay
+ * @property {number} cleaningCost - Cleaning cost paid per turnover
+ * @property {number} platformFeePercent - Platform host fee as % of booking revenue
+ * @property {number} managementRate - STR management as % of gross revenue
+ * @property {number} furnishingCost - One-time furnishing and setup cost
+ * @property {number} utilitiesMonthly - Utilities and internet paid by the owner
+ * @property {number} suppliesMonthly - Guest supplies and consumables
+ */
+export const DEFAULT_STR_INPUTS = {
+  months: [55, 58, 65, 68, 72, 80, 85, 82, 70, 65, 58, 60].map(occupancy => ({ adr: 0, occupancy })),
+  averageStay: 3,
+  cleaningFee: 125,
+  cleaningCost: 100,
+  platformFeePercent: 3,
+  managementRate: 20,
+  furnishingCost: 15000,
+  utilitiesMonthly: 350,
+  suppliesMonthly: 100
+};
+
+/**
+ * Seed short-term rental inputs for a property
+ *
+ * Starts from DEFAULT_STR_INPUTS with one ADR for every month, chosen so
+ * booking revenue at the default occupancy is about twice the long-term
+ * rent (a common first-pass STR premium). Users refine ADR and occupancy
+ * by month from market data.
+ *
+ * @function
+ * @param {number} monthlyRent - Long-term monthly rent for the property
+ * @returns {Object} Short-term rental inputs (see DEFAULT_STR_INPUTS)
+ *
+ * @example
+ * createShortTermRentalInputs(2000).months[0].adr; // 195
+ */
+export function createShortTermRentalInputs(monthlyRent) {
+  const averageOccupancy = DEFAULT_STR_INPUTS.months.reduce((sum, m) => sum + m.occupancy, 0) / 12 / 100;
+  const adr = monthlyRent > 0 ? Math.round((monthlyRent * 2) / (30.4 * averageOccupancy) / 5) * 5 : 0;
+  return {
+    ...DEFAULT_STR_INPUTS,
+    months: DEFAULT_STR_INPUTS.months.map(month => ({ ...month, adr }))
+  };
+}
+
+/**
+ * Whether inputs use the short-term rental strategy
+ *
+ * @private
+ * @param {Object} inputs - Calculation inputs
+ * @returns {boolean} True when inputs.rentalStrategy is 'str'
+ */
+function isShortTermRental(inputs) {
+  return inputs?.rentalStrategy === 'str';
+}
+
+/**
+ * Calculate short-term rental revenue and operating costs
+ *
+ * Each month books days × occupancy nights at that month's ADR. Bookings
+ * are nights / average stay; each one collects the guest cleaning fee and
+ * pays for a turnover clean. The platform host fee applies to booking
+ * revenue (nightly rent plus cleaning fees). Management is left to the
+ * calculator since it applies the STR management rate to gross revenue.
+ *
+ * @function
+ * @param {Object} [str=DEFAULT_STR_INPUTS] - Short-term rental inputs (see DEFAULT_STR_INPUTS)
+ * @returns {Object} Annual short-term rental figures
+ * @returns {Array<Object>} returns.months - Per month: { month, adr, occupancy, nights, stays, rentRevenue, cleaningRevenue, revenue }
+ * @returns {number} returns.nightsBooked - Nights booked per year
+ * @returns {number} returns.stays - Bookings per year
+ * @returns {number} returns.occupancy - Annual occupancy percentage
+ * @returns {number} returns.averageDailyRate - Rent revenue per booked night
+ * @returns {number} returns.revPAR - Rent revenue per available night
+ * @returns {number} returns.rentRevenue - Annual nightly rent revenue
+ * @returns {number} returns.cleaningFees - Annual cleaning fees collected
+ * @returns {number} returns.grossRevenue - Rent revenue plus cleaning fees
+ * @returns {number} returns.platformFees - Annual platform host fees
+ * @returns {number} returns.cleaningCosts - Annual turnover cleaning costs
+ * @returns {number} returns.utilities - Annual utilities
+ * @returns {number} returns.supplies - Annual supplies
+ * @returns {number} returns.operatingCosts - Platform fees, cleaning, utilities and supplies
+ *
+ * @example
+ * const str = calculateShortTermRental({
+ *   ...DEFAULT_STR_INPUTS,
+ *   months: DEFAULT_STR_INPUTS.months.map(m => ({ ...m, adr: 185 }))
+ * });
+ * console.log(str.occupancy, str.grossRevenue); // e.g. 68.2, 56458
+ */
+export function calculateShortTermRental(str = DEFAULT_STR_INPUTS) {
+  const settings = { ...DEFAULT_STR_INPUTS, ...str };
+  const averageStay = Math.max(1, settings.averageStay || 1);
+
+  const months = STR_DAYS_IN_MONTH.map((days, i) => {
+    const { adr = 0, occupancy = 0 } = settings.months?.[i] || {};
+    const nights = days * Math.min(100, Math.max(0, occupancy)) / 100;
+    const stays = nights / averageStay;
+    const rentRevenue = nights * adr;
+    const cleaningRevenue = stays * (settings.cleaningFee || 0);
+    return { month: i + 1, adr, occupancy, nights, stays, rentRevenue, cleaningRevenue, revenue: rentRevenue + cleaningRevenue };
+  });
+
+  const sum = (field) => months.reduce((total, month) => total + month[field], 0);
+  const nightsBooked = sum('nights');
+  const stays = sum('stays');
+  const rentRevenue = sum('rentRevenue');
+  const cleaningFees = sum('cleaningRevenue');
+  const grossRevenue = rentRevenue + cleaningFees;
+  const platformFees = grossRevenue * ((settings.platformFeePercent || 0) / 100);
+  const cleaningCosts = stays * (settings.cleaningCost || 0);
+  const utilities = (settings.utilitiesMonthly || 0) * 12;
+  const supplies = (settings.suppliesMonthly || 0) * 12;
+
+  return {
+    months,
+    nightsBooked,
+    stays,
+    occupancy: (nightsBooked / 365) * 100,
+    averageDailyRate: nightsBooked > 0 ? rentRevenue / nightsBooked : 0,
+    revPAR: rentRevenue / 365,
+    rentRevenue,
+    cleaningFees,
+    grossRevenue,
+    platformFees,
+    cleaningCosts,
+    utilities,
+    supplies,
+    operatingCosts: platformFees + cleaningCosts + utilities + supplies
+  };
+}
+
+// =============================================================================
+// HOUSE HACKING (OWNER-OCCUPIED)
+// =============================================================================
+
+/**
+ * Whether the owner lives in one of the units in a projection year
+ *
+ * @private
+ * @param {Object} inputs - Calculation inputs (ownerOccupied, ownerOccupancyYears)
+ * @param {number} [year=1] - Projection year (1-based)
+ * @returns {boolean} True while inside the owner occupancy period
+ */
+function isOwnerOccupied(inputs, year = 1) {
+  return !!inputs?.ownerOccupied && year <= (inputs.ownerOccupancyYears ?? DEFAULTS.ownerOccupancyYears);
+}
+
+/**
+ * Monthly rent of the unit the owner lives in
+ *
+ * With a unit mix, inputs.ownerUnit names a unit type and its current rent
+ * is used; otherwise (or when the name doesn't match) it is the average
+ * rent per unit.
+ *
+ * @private
+ * @param {Object} inputs - Calculation inputs (ownerUnit, unitMix, numberOfUnits)
+ * @param {number} inPlaceRents - Annual in-place rents
+ * @returns {number} Monthly rent given up by living in the unit
+ */
+function ownerUnitMonthlyRent(inputs, inPlaceRents) {
+  const type = hasUnitMix(inputs) ? inputs.unitMix.find(t => t.name === inputs.ownerUnit && t.count > 0) : null;
+  if (type) return type.currentRent || 0;
+  const units = hasUnitMix(inputs) ? summarizeUnitMix(inputs.unitMix).unitCount : inputs?.numberOfUnits || 1;
+  return inPlaceRents / 12 / Math.max(1, units);
+}
+
+/**
+ * Share of gross rents given up to the owner's unit in a projection year
+ *
+ * @private
+ * @param {Object} inputs - Calculation inputs
+ * @param {number} inPlaceRents - Annual in-place rents
+ * @param {number} [year=1] - Projection year (1-based)
+ * @returns {number} Fraction of rents excluded (0 after the occupancy period)
+ */
+function ownerOccupiedShare(inputs, inPlaceRents, year = 1) {
+  if (!isOwnerOccupied(inputs, year) || inPlaceRents <= 0) return 0;
+  return Math.min(1, (ownerUnitMonthlyRent(inputs, inPlaceRents) * 12) / inPlaceRents);
+}
+
+// =============================================================================
+// LENDER LOAN SIZING (LTV / DSCR / DEBT YIELD)
+// =============================================================================
+
+/**
+ * Lender sizing constraints, in the order they are reported
+ * @private
+ */
+const LOAN_SIZING_CONSTRAINTS = [
+  { key: 'ltv', label: 'Max LTV' },
+  { key: 'dscr', label: 'Min DSCR' },
+  { key: 'debtYield', label: 'Min Debt Yield' }
+];
+
+/**
+ * Size a loan to commercial / DSCR lender constraints
+ *
+ * Each constraint gives a maximum loan and the smallest one binds:
+ * - Max LTV: value × max LTV
+ * - Min DSCR: the loan whose payment at the lender's rate and amortization
+ *   is NOI / min DSCR
+ * - Min debt yield: NOI / min debt yield
+ *
+ * A constraint set to 0 (or left out) is ignored. With no NOI the DSCR and
+ * debt yield constraints allow no loan.
+ *
+ * @function
+ * @param {Object} terms - Sizing inputs
+ * @param {number} terms.noi - Annual net operating income
+ * @param {number} terms.value - Value the LTV applies to (purchase price)
+ * @param {number} [terms.maxLTV] - Maximum loan-to-value percentage
+ * @param {number} [terms.minDSCR] - Minimum debt service coverage ratio
+ * @param {number} [terms.minDebtYield] - Minimum debt yield percentage
+ * @param {number} terms.rate - Annual interest rate percentage
+ * @param {number} terms.amortization - Amortization in years
+ * @returns {Object} Loan sizing
+ * @returns {number} returns.maxLoan - Largest loan meeting every constraint
+ * @returns {string|null} returns.bindingConstraint - Constraint that sets the loan (ltv/dscr/debtYield; null if none)
+ * @returns {Array<Object>} returns.constraints - Per constraint: { key, label, target, maxLoan, binding }
+ * @returns {number} returns.ltv - Sized loan's LTV percentage
+ * @returns {number} returns.monthlyPayment - Sized loan's monthly P&I payment
+ * @returns {number} returns.annualDebtService - Sized loan's annual debt service
+ * @returns {number|null} returns.dscr - Sized loan's DSCR (null without a loan)
+ * @returns {number|null} returns.debtYield - Sized loan's debt yield percentage (null without a loan)
+ *
+ * @example
+ * const sizing = sizeLoan({ noi: 60000, value: 1000000, maxLTV: 75, minDSCR: 1.25, minDebtYield: 8, rate: 7, amortization: 30 });
+ * console.log(sizing.maxLoan, sizing.bindingConstraint); // 601,230 'dscr'
+ */
+export function sizeLoan({ noi, value, maxLTV, minDSCR, minDebtYield, rate, amortization }) {
+  const monthlyRate = rate / 100 / 12;
+  const months = amortization * 12;
+  const maxMonthlyPayment = minDSCR > 0 ? Math.max(0, noi) / minDSCR / 12 : 0;
+
+  const targets = { ltv: maxLTV, dscr: minDSCR, debtYield: minDebtYield };
+  const maxLoans = {
+    ltv: (value || 0) * ((maxLTV || 0) / 100),
+    dscr: monthlyRate > 0
+      ? maxMonthlyPayment * (1 - Math.pow(1 + monthlyRate, -months)) / monthlyRate
+      : maxMonthlyPayment * months,
+    debtYield: minDebtYield > 0 ? Math.max(0, noi) / (minDebtYield / 100) : 0
+  };
+
+  const active = LOAN_SIZING_CONSTRAINTS.filter(({ key }) => targets[key] > 0);
+  const binding = active.reduce((min, c) => (min === null || maxLoans[c.key] < maxLoans[min.key] ? c : min), null);
+  const maxLoan = binding ? maxLoans[binding.key] : 0;
+  const monthlyPayment = calculateMonthlyPayment(maxLoan, rate, amortization);
+
+  return {
+    maxLoan,
+    bindingConstraint: binding ? binding.key : null,
+    constraints: active.map(c => ({
+      ...c,
+      target: targets[c.key],
+      maxLoan: maxLoans[c.key],
+      binding: c.key === binding.key
+    })),
+    ltv: value > 0 ? (maxLoan / value) * 100 : 0,
+    monthlyPayment,
+    annualDebtService: monthlyPayment * 12,
+    dscr: maxLoan > 0 ? noi / (monthlyPayment * 12) : null,
+    debtYield: maxLoan > 0 ? (noi / maxLoan) * 100 : null
+  };
+}
+
 // =============================================================================
 // MAIN CALCULATOR CLASS
 // =============================================================================
@@ -140,20 +1109,24 @@ export class BuyRentHoldCalculator {
    * @returns {Object} Property information
    * @returns {string} returns.address - Property address
    * @returns {number} returns.fairMarketValue - Fair market value
-   * @returns {number} returns.vacancyRate - Vacancy rate percentage
-   * @returns {number} returns.managementRate - Management rate percentage
+   * @returns {number} returns.vacancyRate - Vacancy rate percentage (0 for a short-term rental; occupancy is in the revenue)
+   * @returns {number} returns.managementRate - Management rate percentage (the STR rate for a short-term rental)
    * @returns {number} returns.advertisingCost - Advertising cost
-   * @returns {number} returns.numberOfUnits - Number of rental units
+   * @returns {number} returns.numberOfUnits - Number of rental units (from the unit mix when present)
    * @returns {number} returns.appreciationRate - Annual appreciation percentage
    */
   getPropertyInfo() {
     return {
       address: this.property.address || '',
       fairMarketValue: this.inputs.fairMarketValue || this.inputs.offerPrice || this.property.price || 0,
-      vacancyRate: this.inputs.vacancyRate ?? 5.0,
-      managementRate: this.inputs.managementRate ?? 10.0,
+      vacancyRate: isShortTermRental(this.inputs) ? 0 : this.inputs.vacancyRate ?? 5.0,
+      managementRate: isShortTermRental(this.inputs)
+        ? this.inputs.shortTermRental?.managementRate ?? DEFAULT_STR_INPUTS.managementRate
+        : this.inputs.managementRate ?? 10.0,
       advertisingCost: this.inputs.advertisingCost ?? 100,
-      numberOfUnits: this.inputs.numberOfUnits || 1,
+      numberOfUnits: hasUnitMix(this.inputs)
+        ? summarizeUnitMix(this.inputs.unitMix).unitCount
+        : this.inputs.numberOfUnits || 1,
       appreciationRate: this.inputs.appreciationRate ?? 3.0
     };
   }
@@ -167,12 +1140,14 @@ export class BuyRentHoldCalculator {
    * closing costs.
    * 
    * Formula: RPP = Offer Price + Repairs + Repairs Contingency + Closing Costs
+   * (+ Furnishing for a short-term rental)
    * 
    * @returns {Object} Purchase details
    * @returns {number} returns.offerPrice - Proposed offer price
    * @returns {number} returns.repairs - Repair costs
    * @returns {number} returns.repairsContingency - Additional repair buffer
    * @returns {number} returns.closingCosts - Total closing costs
+   * @returns {number} returns.furnishing - Short-term rental furnishing and setup (0 for long-term)
    * @returns {number} returns.realPurchasePrice - Total acquisition cost (RPP)
    * @returns {number} returns.lenderFee - Lender fees
    * @returns {number} returns.brokerFee - Broker fees
@@ -209,7 +1184,10 @@ export class BuyRentHoldCalculator {
                      appraisals + misc + transferTax + legal;
     }
 
-    const realPurchasePrice = offerPrice + repairs + repairsContingency + closingCosts;
+    const furnishing = isShortTermRental(this.inputs)
+      ? this.inputs.shortTermRental?.furnishingCost ?? DEFAULT_STR_INPUTS.furnishingCost
+      : 0;
+    const realPurchasePrice = offerPrice + repairs + repairsContingency + closingCosts + furnishing;
 
     return {
       offerPrice,
@@ -224,6 +1202,7 @@ export class BuyRentHoldCalculator {
       transferTax,
       legal,
       closingCosts,
+      furnishing,
       realPurchasePrice
     };
   }
@@ -236,19 +1215,78 @@ export class BuyRentHoldCalculator {
    * determines total cash needed at closing.
    * 
    * Supports CMHC insurance fees (Canadian mortgage insurance).
+   *
+   * FHA loans (inputs.loanProgram 'fha', usually owner-occupied at 96.5% LTV)
+   * finance the upfront MIP (inputs.fhaUpfrontMIP, 1.75%) into the loan like
+   * the CMHC fee and add annual MIP (inputs.fhaAnnualMIP, 0.55%) to the
+   * monthly financing costs.
+   *
+   * Conventional loans above 80% LTV pay PMI when inputs.enablePMI is on, at
+   * the LTV band rate (see getPMIRate) or inputs.pmiRate, until the scheduled
+   * balance reaches 78% of the purchase price.
+   *
+   * Deal structures (inputs.financingStructure, see FINANCING_STRUCTURES):
+   * - 'subject-to': the first mortgage is the seller's existing loan
+   *   (inputs.existingMtgBalance, existingMtgRate, existingMtgRemainingYears);
+   *   reinstating missed payments (inputs.existingMtgArrears) adds to cash to close
+   * - 'wrap': the first mortgage is the seller's wrap note at the worksheet LTV
+   *   and rate; the seller keeps the spread over the existing loan's payment
+   * Neither carries CMHC, FHA or PMI insurance.
+   *
+   * The second mortgage can be a seller carry-back note
+   * (inputs.secondMtgSellerCarry). inputs.secondMtgAmortization of 0 makes it
+   * interest-only, and inputs.secondMtgBalloonYears sets when the balance is due.
+   *
+   * First mortgage loan types (inputs.firstMtgLoanType):
+   * - 'amortizing': Fixed-rate, fully amortizing (default)
+   * - 'interest-only': Interest-only for the full term, balance due at maturity
+   * - 'io-amortizing': Interest-only for inputs.interestOnlyYears, then amortizes
+   *   over the remaining term (e.g. DSCR loans)
+   * - 'arm': Fixed for inputs.armInitialPeriodYears, then adjusts toward
+   *   index + margin subject to initial, periodic and lifetime caps
+   * 
+   * The monthly payment reported is the initial (year 1) payment; the full
+   * payment path is available from calculateAmortization().
    * 
    * @returns {Object} Financing details
    * @returns {Object} returns.firstMtg - First mortgage details
-   * @returns {number} returns.firstMtg.principalBorrowed - Amount borrowed (before CMHC)
+   * @returns {number} returns.firstMtg.principalBorrowed - Amount borrowed (before CMHC), or the assumed balance
    * @returns {number} returns.firstMtg.rate - Interest rate percentage
    * @returns {number} returns.firstMtg.amortization - Loan term in years
    * @returns {number} returns.firstMtg.cmhcFeePercent - CMHC fee percentage
    * @returns {number} returns.firstMtg.cmhcAmount - CMHC fee amount
-   * @returns {number} returns.firstMtg.totalPrincipal - Total loan including CMHC
+   * @returns {number} returns.firstMtg.upfrontMIPPercent - FHA upfront MIP percentage (0 for conventional)
+   * @returns {number} returns.firstMtg.upfrontMIP - FHA upfront MIP financed into the loan
+   * @returns {number} returns.firstMtg.totalPrincipal - Total loan including CMHC and upfront MIP
    * @returns {number} returns.firstMtg.monthlyPayment - Monthly P&I payment
    * @returns {number} returns.firstMtg.ltv - Loan-to-value percentage
+   * @returns {string} returns.firstMtg.loanProgram - Loan program (conventional/fha)
+   * @returns {string} returns.firstMtg.loanType - Loan type (amortizing/interest-only/io-amortizing/arm)
+   * @returns {number} returns.firstMtg.interestOnlyMonths - Months of interest-only payments
+   * @returns {Array<Object>} returns.firstMtg.rateChanges - Scheduled ARM rate changes ({ month, rate })
+   * @returns {number|null} returns.firstMtg.balloonMonth - Month the remaining balance is due (null = none)
+   * @returns {string} returns.structure - Deal structure (new-loan/subject-to/wrap)
+   * @returns {Object|null} returns.existingMtg - Seller's existing mortgage (subject-to and wrap): { balance, rate, remainingYears, monthlyPayment, arrears }
+   * @returns {Object|null} returns.wrap - Wrap-around details (wrap only)
+   * @returns {number} returns.wrap.underlyingBalance - Existing loan balance the note wraps
+   * @returns {number} returns.wrap.underlyingPayment - Existing loan monthly payment (paid by the seller)
+   * @returns {number} returns.wrap.monthlySpread - Seller's monthly spread income (wrap payment less underlying payment)
+   * @returns {number} returns.wrap.rateSpread - Wrap rate less the underlying rate
+   * @returns {number} returns.wrap.equityWrapped - Wrap note amount less the underlying balance
    * @returns {Object} returns.secondMtg - Second mortgage details
+   * @returns {number} returns.secondMtg.amortization - Amortization in years (0 = interest-only)
+   * @returns {number} returns.secondMtg.termYears - Years until the loan is paid off or due
+   * @returns {boolean} returns.secondMtg.interestOnly - Whether payments are interest-only
+   * @returns {number|null} returns.secondMtg.balloonMonth - Month the remaining balance is due (null = none)
+   * @returns {number} returns.secondMtg.balloonAmount - Balance due at the balloon
+   * @returns {boolean} returns.secondMtg.sellerCarryBack - Whether the seller carries the note
    * @returns {Object} returns.interestOnly - Interest-only loan details
+   * @returns {Object} returns.mortgageInsurance - Mortgage insurance on the first mortgage
+   * @returns {string|null} returns.mortgageInsurance.type - 'pmi', 'fha' or null (none)
+   * @returns {number} returns.mortgageInsurance.annualRate - Annual premium percentage (of the original loan for PMI, the balance for FHA)
+   * @returns {number} returns.mortgageInsurance.loanAmount - Original first mortgage amount
+   * @returns {number} returns.mortgageInsurance.monthlyPremium - Year 1 monthly premium
+   * @returns {number} returns.mortgageInsurance.months - Payments the premium is charged for (PMI drops off at 78% LTV)
    * @returns {number} returns.otherMonthlyFinancingCosts - Other monthly costs
    * @returns {number} returns.cashRequiredToClose - Total cash needed at closing
    */
@@ -256,25 +1294,95 @@ export class BuyRentHoldCalculator {
     const purchase = this.calculatePurchaseInfo();
     const { offerPrice } = this.inputs;
 
-    const firstMtgLTV = this.inputs.firstMtgLTV ?? 80;
-    const firstMtgRate = this.inputs.firstMtgRate ?? 7.0;
-    const firstMtgAmortization = this.inputs.firstMtgAmortization ?? 30;
-    const firstMtgCMHCFeePercent = this.inputs.firstMtgCMHCFee ?? 0;
+    // Deal structure: a new loan, the seller's loan taken subject-to, or a wrap note over it
+    const structure = FINANCING_STRUCTURES.includes(this.inputs.financingStructure) ? this.inputs.financingStructure : 'new-loan';
+    const newLoan = structure === 'new-loan';
+    const subjectTo = structure === 'subject-to';
+    const existingMtg = newLoan ? null : existingMortgage(this.inputs);
+
+    const firstMtgLTV = subjectTo
+      ? (offerPrice > 0 ? (existingMtg.balance / offerPrice) * 100 : 0)
+      : this.inputs.firstMtgLTV ?? 80;
+    const firstMtgRate = subjectTo ? existingMtg.rate : this.inputs.firstMtgRate ?? 7.0;
+    const firstMtgAmortization = subjectTo ? existingMtg.remainingYears : this.inputs.firstMtgAmortization ?? 30;
+    const firstMtgCMHCFeePercent = newLoan ? this.inputs.firstMtgCMHCFee ?? 0 : 0;
+    const loanProgram = newLoan && this.inputs.loanProgram === 'fha' ? 'fha' : 'conventional';
+    const fha = loanProgram === 'fha';
+    const upfrontMIPPercent = fha ? this.inputs.fhaUpfrontMIP ?? DEFAULTS.fhaUpfrontMIP : 0;
 
-    const firstMtgPrincipalBorrowed = offerPrice * (firstMtgLTV / 100);
+    const firstMtgPrincipalBorrowed = subjectTo ? existingMtg.balance : offerPrice * (firstMtgLTV / 100);
     const firstMtgCMHCAmount = firstMtgPrincipalBorrowed * (firstMtgCMHCFeePercent / 100);
-    const firstMtgTotalPrincipal = firstMtgPrincipalBorrowed + firstMtgCMHCAmount;
-    const firstMtgMonthlyPayment = calculateMonthlyPayment(
-      firstMtgTotalPrincipal,
-      firstMtgRate,
-      firstMtgAmortization
-    );
+    const upfrontMIP = firstMtgPrincipalBorrowed * (upfrontMIPPercent / 100);
+    const firstMtgTotalPrincipal = firstMtgPrincipalBorrowed + firstMtgCMHCAmount + upfrontMIP;
+
+    // Loan type determines the payment path (IO period and/or rate resets); seller loans amortize
+    const firstMtgLoanType = newLoan ? this.inputs.firstMtgLoanType || 'amortizing' : 'amortizing';
+    let firstMtgInterestOnlyMonths = 0;
+    let firstMtgRateChanges = [];
+    if (firstMtgLoanType === 'interest-only') {
+      firstMtgInterestOnlyMonths = Math.round(firstMtgAmortization * 12);
+    } else if (firstMtgLoanType === 'io-amortizing') {
+      firstMtgInterestOnlyMonths = Math.round(Math.min(this.inputs.interestOnlyYears ?? 10, firstMtgAmortization) * 12);
+    } else if (firstMtgLoanType === 'arm') {
+      firstMtgRateChanges = calculateARMRateChanges(firstMtgRate, firstMtgAmortization, {
+        initialPeriodYears: this.inputs.armInitialPeriodYears ?? 5,
+        adjustmentYears: this.inputs.armAdjustmentYears ?? 1,
+        indexRate: this.inputs.armIndexRate ?? 4.5,
+        margin: this.inputs.armMargin ?? 2.75,
+        initialCap: this.inputs.armInitialCap ?? 2,
+        periodicCap: this.inputs.armPeriodicCap ?? 2,
+        lifetimeCap: this.inputs.armLifetimeCap ?? 5
+      });
+    }
+
+    const firstMtgMonthlyPayment = firstMtgInterestOnlyMonths > 0
+      ? firstMtgTotalPrincipal * firstMtgRate / 100 / 12
+      : calculateMonthlyPayment(firstMtgTotalPrincipal, firstMtgRate, firstMtgAmortization);
+    const firstMtgBalloonMonth = this.inputs.firstMtgBalloonYears > 0
+      ? Math.round(this.inputs.firstMtgBalloonYears * 12)
+      : firstMtgLoanType === 'interest-only' ? firstMtgInterestOnlyMonths : null;
 
+    // Mortgage insurance: FHA MIP for the life of the loan above 90% LTV (otherwise
+    // 11 years); conventional PMI above 80% LTV until the scheduled 78% drop-off
+    const pmi = newLoan && !fha && !!this.inputs.enablePMI && firstMtgLTV > 80;
+    const termMonths = Math.round(firstMtgAmortization * 12);
+    const mortgageInsurance = {
+      type: fha ? 'fha' : pmi ? 'pmi' : null,
+      annualRate: 0,
+      loanAmount: firstMtgTotalPrincipal,
+      monthlyPremium: 0,
+      months: 0
+    };
+    if (fha) {
+      mortgageInsurance.annualRate = this.inputs.fhaAnnualMIP ?? DEFAULTS.fhaAnnualMIP;
+      mortgageInsurance.months = firstMtgLTV > 90 ? termMonths : Math.min(132, termMonths);
+    } else if (pmi) {
+      mortgageInsurance.annualRate = this.inputs.pmiRate > 0 ? this.inputs.pmiRate : getPMIRate(firstMtgLTV);
+      mortgageInsurance.months = pmiDropOffMonth({
+        principal: firstMtgTotalPrincipal,
+        annualRate: firstMtgRate,
+        years: firstMtgAmortization,
+        interestOnlyMonths: firstMtgInterestOnlyMonths,
+        rateChanges: [...firstMtgRateChanges, ...(this.inputs.firstMtgRateChanges || [])]
+      }, offerPrice);
+    }
+    mortgageInsurance.monthlyPremium = mortgageInsurancePremium(mortgageInsurance, firstMtgTotalPrincipal, 1) / 12;
+
+    // Second mortgage / seller carry-back: amortization 0 is interest-only, due at the balloon (or 30 years)
     const secondMtgPrincipal = this.inputs.secondMtgPrincipal || 0;
     const secondMtgRate = this.inputs.secondMtgRate ?? 12.0;
-    const secondMtgAmortization = this.inputs.secondMtgAmortization || 9999;
-    const secondMtgMonthlyPayment = secondMtgPrincipal > 0
-      ? calculateMonthlyPayment(secondMtgPrincipal, secondMtgRate, Math.min(secondMtgAmortization, 30))
+    const secondMtgAmortization = Math.max(0, this.inputs.secondMtgAmortization ?? 30);
+    const secondMtgInterestOnly = secondMtgAmortization === 0;
+    const secondMtgBalloonYears = this.inputs.secondMtgBalloonYears || 0;
+    const secondMtgTermYears = secondMtgInterestOnly ? secondMtgBalloonYears || 30 : secondMtgAmortization;
+    const secondMtgMonthlyPayment = secondMtgPrincipal <= 0 ? 0
+      : secondMtgInterestOnly ? secondMtgPrincipal * secondMtgRate / 100 / 12
+      : calculateMonthlyPayment(secondMtgPrincipal, secondMtgRate, secondMtgAmortization);
+    const secondMtgBalloonMonth = secondMtgBalloonYears > 0 && secondMtgBalloonYears < secondMtgTermYears
+      ? Math.round(secondMtgBalloonYears * 12)
+      : secondMtgInterestOnly ? Math.round(secondMtgTermYears * 12) : null;
+    const secondMtgBalloonAmount = secondMtgBalloonMonth
+      ? calculateRemainingBalance(secondMtgPrincipal, secondMtgMonthlyPayment, secondMtgRate, secondMtgBalloonMonth)
       : 0;
 
     const interestOnlyPrincipal = this.inputs.interestOnlyPrincipal || 0;
@@ -284,7 +1392,17 @@ export class BuyRentHoldCalculator {
       : 0;
 
     const otherMonthlyFinancingCosts = this.inputs.otherMonthlyFinancingCosts || 0;
-    const cashRequiredToClose = purchase.realPurchasePrice - firstMtgPrincipalBorrowed - secondMtgPrincipal;
+    const cashRequiredToClose = purchase.realPurchasePrice - firstMtgPrincipalBorrowed - secondMtgPrincipal
+      + (subjectTo ? existingMtg.arrears : 0);
+
+    // The seller keeps paying the underlying loan out of the wrap payment
+    const wrap = structure === 'wrap' ? {
+      underlyingBalance: existingMtg.balance,
+      underlyingPayment: existingMtg.monthlyPayment,
+      monthlySpread: firstMtgMonthlyPayment - existingMtg.monthlyPayment,
+      rateSpread: firstMtgRate - existingMtg.rate,
+      equityWrapped: firstMtgTotalPrincipal - existingMtg.balance
+    } : null;
 
     return {
       firstMtg: {
@@ -293,21 +1411,37 @@ export class BuyRentHoldCalculator {
         amortization: firstMtgAmortization,
         cmhcFeePercent: firstMtgCMHCFeePercent,
         cmhcAmount: firstMtgCMHCAmount,
+        upfrontMIPPercent,
+        upfrontMIP,
         totalPrincipal: firstMtgTotalPrincipal,
         monthlyPayment: firstMtgMonthlyPayment,
-        ltv: firstMtgLTV
+        ltv: firstMtgLTV,
+        loanProgram,
+        loanType: firstMtgLoanType,
+        interestOnlyMonths: firstMtgInterestOnlyMonths,
+        rateChanges: firstMtgRateChanges,
+        balloonMonth: firstMtgBalloonMonth
       },
+      structure,
+      existingMtg,
+      wrap,
       secondMtg: {
         principal: secondMtgPrincipal,
         rate: secondMtgRate,
         amortization: secondMtgAmortization,
-        monthlyPayment: secondMtgMonthlyPayment
+        termYears: secondMtgTermYears,
+        interestOnly: secondMtgInterestOnly,
+        monthlyPayment: secondMtgMonthlyPayment,
+        balloonMonth: secondMtgBalloonMonth,
+        balloonAmount: secondMtgBalloonAmount,
+        sellerCarryBack: !!this.inputs.secondMtgSellerCarry
       },
       interestOnly: {
         principal: interestOnlyPrincipal,
         rate: interestOnlyRate,
         monthlyPayment: interestOnlyMonthlyPayment
       },
+      mortgageInsurance,
       otherMonthlyFinancingCosts,
       cashRequiredToClose
     };
@@ -321,41 +1455,78 @@ export class BuyRentHoldCalculator {
    * 
    * Formula: EGI = Total Income - (Total Income × Vacancy Rate)
    * 
+   * With a unit mix (inputs.unitMix), per-unit other income is added to
+   * other income and an enabled value-add plan lifts year-1 rents toward
+   * market (see getRentLiftFactor). Rehab items tied to units add their
+   * year-1 rent lifts, and rent lost while those units are offline is added
+   * to the vacancy loss (see getRenovationRents).
+   * 
+   * For a short-term rental (inputs.rentalStrategy 'str') gross rents are
+   * the nightly and cleaning-fee revenue from calculateShortTermRental();
+   * occupancy is already in the revenue, so there is no vacancy loss.
+   * 
+   * When the owner lives in one of the units (inputs.ownerOccupied), that
+   * unit's rent (inputs.ownerUnit, see ownerUnitMonthlyRent) is excluded
+   * from gross rents for the occupancy period.
+   * 
    * @returns {Object} Income details
-   * @returns {number} returns.grossRents - Annual gross rents
+   * @returns {number} returns.grossRents - Annual gross rents (excluding the owner's unit)
+   * @returns {number} returns.inPlaceRents - Annual in-place rents before value-add and renovation lifts
+   * @returns {number} returns.ownerUnitRent - Annual rent excluded for the owner-occupied unit (0 when not owner-occupied)
    * @returns {number} returns.parking - Annual parking income
    * @returns {number} returns.storage - Annual storage income
    * @returns {number} returns.laundry - Annual laundry income
    * @returns {number} returns.otherIncome - Other annual income
    * @returns {number} returns.totalIncome - Total annual income (before vacancy)
-   * @returns {number} returns.vacancyLoss - Expected vacancy loss
+   * @returns {number} returns.vacancyLoss - Expected vacancy loss (including renovation downtime)
+   * @returns {number} returns.renovationDowntime - Year-1 rent lost to units offline for renovation
    * @returns {number} returns.vacancyRate - Vacancy rate percentage
    * @returns {number} returns.effectiveGrossIncome - EGI (total income minus vacancy)
+   * @returns {number} returns.rentPerSqft - Monthly rent per square foot (0 without square footage)
+   * @returns {Object|null} returns.unitMix - Unit mix summary (see summarizeUnitMix), null without a mix
+   * @returns {Object|null} returns.shortTermRental - STR revenue and costs (see calculateShortTermRental), null for long-term
    */
   calculateIncome() {
     const {
-      grossRents = 0,
       parking = 0,
       storage = 0,
-      laundry = 0,
-      otherIncome = 0
+      laundry = 0
     } = this.inputs;
 
+    // With a unit mix, grossRents is its in-place rent; the value-add plan and renovations lift year 1
+    const unitMix = hasUnitMix(this.inputs) ? summarizeUnitMix(this.inputs.unitMix) : null;
+    const shortTermRental = isShortTermRental(this.inputs) ? calculateShortTermRental(this.inputs.shortTermRental) : null;
+    const inPlaceRents = shortTermRental
+      ? shortTermRental.grossRevenue
+      : this.inputs.grossRents || (unitMix ? unitMix.monthlyRent * 12 : 0);
+    const renovation = shortTermRental ? { rentLift: 0, downtimeLoss: 0 } : getRenovationRents(this.inputs, inPlaceRents, 1);
+    const leasedRents = shortTermRental ? inPlaceRents : inPlaceRents * getRentLiftFactor(this.inputs, 1) + renovation.rentLift;
+    const ownerShare = shortTermRental ? 0 : ownerOccupiedShare(this.inputs, inPlaceRents, 1);
+    const grossRents = leasedRents * (1 - ownerShare);
+    const otherIncome = (this.inputs.otherIncome || 0) + (unitMix ? unitMix.monthlyOtherIncome * 12 : 0);
+    const sqft = unitMix?.totalSqft || this.inputs.sqft || 0;
+
     const propertyInfo = this.getPropertyInfo();
     const totalIncome = grossRents + parking + storage + laundry + otherIncome;
-    const vacancyLoss = totalIncome * (propertyInfo.vacancyRate / 100);
+    const vacancyLoss = totalIncome * (propertyInfo.vacancyRate / 100) + renovation.downtimeLoss;
     const effectiveGrossIncome = totalIncome - vacancyLoss;
 
     return {
       grossRents,
+      inPlaceRents,
+      ownerUnitRent: leasedRents - grossRents,
       parking,
       storage,
       laundry,
       otherIncome,
       totalIncome,
       vacancyLoss,
+      renovationDowntime: renovation.downtimeLoss,
       vacancyRate: propertyInfo.vacancyRate,
-      effectiveGrossIncome
+      effectiveGrossIncome,
+      rentPerSqft: sqft > 0 ? grossRents / 12 / sqft : 0,
+      unitMix,
+      shortTermRental
     };
   }
 
@@ -366,6 +1537,9 @@ export class BuyRentHoldCalculator {
    * are calculated as percentages of gross rents (Excel methodology).
    * All other expenses are entered as fixed annual amounts.
    * 
+   * A short-term rental adds platform fees, turnover cleaning, utilities and
+   * supplies (see calculateShortTermRental); management uses the STR rate.
+   * 
    * @returns {Object} Operating expenses breakdown
    * @returns {number} returns.propertyTaxes - Annual property taxes
    * @returns {number} returns.insurance - Annual insurance cost
@@ -378,6 +1552,10 @@ export class BuyRentHoldCalculator {
    * @returns {number} returns.waterSewer - Annual water/sewer cost
    * @returns {number} returns.cable - Annual cable/internet cost
    * @returns {number} returns.associationFees - Annual HOA/condo fees
+   * @returns {number} returns.platformFees - Annual STR platform fees (0 for long-term)
+   * @returns {number} returns.cleaningCosts - Annual STR turnover cleaning (0 for long-term)
+   * @returns {number} returns.strUtilities - Annual STR utilities (0 for long-term)
+   * @returns {number} returns.supplies - Annual STR guest supplies (0 for long-term)
    * @returns {number} returns.totalExpenses - Total annual operating expenses
    */
   calculateOperatingExpenses() {
@@ -413,12 +1591,20 @@ export class BuyRentHoldCalculator {
     const repairs = income.grossRents * (repairsPercent / 100);
     const management = income.grossRents * (propertyInfo.managementRate / 100);
 
+    // Short-term rental operating costs
+    const str = income.shortTermRental;
+    const platformFees = str?.platformFees || 0;
+    const cleaningCosts = str?.cleaningCosts || 0;
+    const strUtilities = str?.utilities || 0;
+    const supplies = str?.supplies || 0;
+
     const totalExpenses = 
       propertyTaxes + insurance + repairs + electricity + gas + 
       lawnMaintenance + waterSewer + cable + management + caretaking + 
       advertising + associationFees + pestControl + security + 
       trashRemoval + miscellaneous + commonArea + capitalImprovements + 
-      accounting + legalExpenses + badDebts + otherExpenses + evictions;
+      accounting + legalExpenses + badDebts + otherExpenses + evictions +
+      platformFees + cleaningCosts + strUtilities + supplies;
 
     return {
       propertyTaxes,
@@ -446,6 +1632,10 @@ export class BuyRentHoldCalculator {
       badDebts,
       otherExpenses,
       evictions,
+      platformFees,
+      cleaningCosts,
+      strUtilities,
+      supplies,
       totalExpenses
     };
   }
@@ -516,7 +1706,7 @@ export class BuyRentHoldCalculator {
    * @returns {number} returns.effectiveGrossIncome - Annual EGI
    * @returns {number} returns.operatingExpenses - Annual operating expenses
    * @returns {number} returns.netOperatingIncome - Annual NOI
-   * @returns {number} returns.debtServicingCosts - Annual debt service (all loans)
+   * @returns {number} returns.debtServicingCosts - Annual debt service (all loans and mortgage insurance)
    * @returns {number} returns.annualProfitOrLoss - Annual cash flow
    * @returns {number} returns.totalMonthlyProfitOrLoss - Monthly cash flow
    * @returns {number} returns.cashflowPerUnitPerMonth - Monthly cash flow per unit
@@ -532,6 +1722,7 @@ export class BuyRentHoldCalculator {
       financing.firstMtg.monthlyPayment + 
       financing.secondMtg.monthlyPayment + 
       financing.interestOnly.monthlyPayment +
+      financing.mortgageInsurance.monthlyPremium +
       financing.otherMonthlyFinancingCosts
     ) * 12;
 
@@ -572,7 +1763,8 @@ export class BuyRentHoldCalculator {
    * @returns {number} returns.equityROI - Equity buildup return percentage
    * @returns {number} returns.appreciationROI - Appreciation return percentage
    * @returns {number} returns.totalROI - Total return on investment percentage
-   * @returns {number} returns.forcedAppROI - Forced appreciation return
+   * @returns {number} returns.forcedAppROI - Forced appreciation (stabilized value less all-in cost) return
+   * @returns {number} returns.forcedAppreciation - Stabilized value less all-in cost (see calculateStabilization)
    * @returns {number} returns.expenseToIncomeRatio - Expense ratio percentage
    * @returns {number} returns.principalPaidYear1 - Total principal paid in year 1
    * @returns {number} returns.appreciationValue - Dollar appreciation in year 1
@@ -629,8 +1821,9 @@ export class BuyRentHoldCalculator {
     const appreciationROI = cashReq.totalCashRequired > 0 
       ? (appreciationValue / cashReq.totalCashRequired) * 100 : 0;
     const totalROI = cashOnCashROI + equityROI + appreciationROI;
+    const stabilization = this.calculateStabilization();
     const forcedAppROI = cashReq.totalCashRequired > 0 
-      ? ((propertyInfo.fairMarketValue - purchase.realPurchasePrice) / cashReq.totalCashRequired) * 100 : 0;
+      ? (stabilization.forcedAppreciation / cashReq.totalCashRequired) * 100 : 0;
     const expenseToIncomeRatio = income.totalIncome > 0 
       ? (expenses.totalExpenses / income.totalIncome) * 100 : 0;
 
@@ -649,6 +1842,7 @@ export class BuyRentHoldCalculator {
       appreciationROI,
       totalROI,
       forcedAppROI,
+      forcedAppreciation: stabilization.forcedAppreciation,
       expenseToIncomeRatio,
       principalPaidYear1: totalPrincipalYear1,
       appreciationValue
@@ -741,9 +1935,409 @@ export class BuyRentHoldCalculator {
     return { score, maxScore: 100, badge, description };
   }
 
+  // SECTION 10: Amortization Schedules
   /**
-   * Get complete investment analysis
-   * 
+   * Calculate amortization schedules for all loans
+   *
+   * Generates month-by-month schedules for the first mortgage, second
+   * mortgage and interest-only loan. The first mortgage follows its loan
+   * type (interest-only period, ARM resets); extra principal payments and
+   * manual rate changes also apply to it. Balloon terms are given in years
+   * from the first payment.
+   *
+   * @returns {Object} Amortization schedules (see generateAmortizationSchedule)
+   * @returns {Object} returns.firstMtg - First mortgage schedule
+   * @returns {Object} returns.secondMtg - Second mortgage schedule
+   * @returns {Object} returns.interestOnly - Interest-only loan schedule
+   */
+  calculateAmortization() {
+    const financing = this.calculateFinancing();
+    const {
+      firstPaymentDate,
+      extraMonthlyPrincipal = 0,
+      extraPaymentStartMonth = 1,
+      oneTimeExtraPayments = [],
+      firstMtgRateChanges = []
+    } = this.inputs;
+    const interestOnlyTermYears = this.inputs.interestOnlyTermYears || 30;
+
+    return {
+      firstMtg: generateAmortizationSchedule({
+        principal: financing.firstMtg.totalPrincipal,
+        annualRate: financing.firstMtg.rate,
+        years: financing.firstMtg.amortization,
+        interestOnlyMonths: financing.firstMtg.interestOnlyMonths,
+        rateChanges: [...financing.firstMtg.rateChanges, ...firstMtgRateChanges],
+        balloonMonth: financing.firstMtg.balloonMonth,
+        extraMonthly: extraMonthlyPrincipal,
+        extraStartMonth: extraPaymentStartMonth,
+        oneTimeExtras: oneTimeExtraPayments,
+        firstPaymentDate
+      }),
+      secondMtg: generateAmortizationSchedule({
+        principal: financing.secondMtg.principal,
+        annualRate: financing.secondMtg.rate,
+        years: financing.secondMtg.termYears,
+        interestOnlyMonths: financing.secondMtg.interestOnly ? Math.round(financing.secondMtg.termYears * 12) : 0,
+        balloonMonth: financing.secondMtg.balloonMonth,
+        firstPaymentDate
+      }),
+      interestOnly: generateAmortizationSchedule({
+        principal: financing.interestOnly.principal,
+        annualRate: financing.interestOnly.rate,
+        years: interestOnlyTermYears,
+        interestOnlyMonths: Math.round(interestOnlyTermYears * 12),
+        balloonMonth: Math.round(interestOnlyTermYears * 12),
+        firstPaymentDate
+      })
+    };
+  }
+
+  // SECTION 11: BRRRR (Buy, Rehab, Rent, Refinance, Repeat)
+  /**
+   * Calculate BRRRR cash-out refinance analysis
+   *
+   * Models a cash-out refinance against the After Repair Value (ARV) once the
+   * seasoning period has passed. The new loan pays off the purchase financing
+   * and returns capital to the investor; whatever is not returned is the cash
+   * left in the deal, which becomes the denominator for post-refi returns.
+   *
+   * Cash flow earned during seasoning (rent less purchase debt service) is
+   * credited against the cash left in the deal.
+   *
+   * Formula: Cash Left In Deal = Total Cash Invested - Cash-Out Proceeds - Seasoning Cash Flow
+   *
+   * @returns {Object} BRRRR refinance details
+   * @returns {number} returns.afterRepairValue - ARV used for the refinance appraisal
+   * @returns {number} returns.refiLTV - Refinance loan-to-value percentage
+   * @returns {number} returns.refiRate - Refinance interest rate percentage
+   * @returns {number} returns.refiAmortization - Refinance loan term in years
+   * @returns {number} returns.seasoningMonths - Months held before refinancing
+   * @returns {number} returns.refiLoanAmount - New loan amount (ARV × LTV)
+   * @returns {number} returns.refiClosingCosts - Refinance closing costs
+   * @returns {number} returns.existingLoanPayoff - Purchase loan balances paid off
+   * @returns {number} returns.cashOutProceeds - Cash returned at refinance (negative if cash is due)
+   * @returns {number} returns.totalCashInvested - Total cash invested at purchase
+   * @returns {number} returns.seasoningCashFlow - Cash flow earned during seasoning
+   * @returns {number} returns.cashLeftInDeal - Investor capital remaining in the property
+   * @returns {number} returns.capitalRecoveredPercent - Percentage of cash invested returned
+   * @returns {number} returns.monthlyPayment - Refinance monthly P&I payment
+   * @returns {number} returns.annualDebtService - Post-refi annual debt service
+   * @returns {number} returns.annualCashFlow - Post-refi annual cash flow
+   * @returns {number} returns.monthlyCashFlow - Post-refi monthly cash flow
+   * @returns {number} returns.dcr - Post-refi Debt Coverage Ratio
+   * @returns {number} returns.equityAfterRefi - Equity remaining after refinance (ARV - new loan)
+   * @returns {number|null} returns.cashOnCashROI - Post-refi CoC (null when infinite)
+   * @returns {boolean} returns.infiniteReturn - True when all invested capital is recovered
+   *
+   * @example
+   * const calculator = new BuyRentHoldCalculator(property, {
+   *   ...inputs,
+   *   afterRepairValue: 320000,
+   *   refiLTV: 75,
+   *   refiSeasoningMonths: 6
+   * });
+   * const brrrr = calculator.calculateBRRRR();
+   * console.log(brrrr.cashLeftInDeal); // 4,250
+   */
+  calculateBRRRR() {
+    const propertyInfo = this.getPropertyInfo();
+    const financing = this.calculateFinancing();
+    const noiResult = this.calculateNOI();
+    const cashflow = this.calculateCashflowSummary();
+    const cashReq = this.calculateCashRequirements();
+
+    const afterRepairValue = this.inputs.afterRepairValue || propertyInfo.fairMarketValue;
+    const refiLTV = this.inputs.refiLTV ?? 75;
+    const refiRate = this.inputs.refiRate ?? financing.firstMtg.rate;
+    const refiAmortization = this.inputs.refiAmortization ?? 30;
+    const refiClosingCostsPercent = this.inputs.refiClosingCostsPercent ?? 2.0;
+    const seasoningMonths = this.inputs.refiSeasoningMonths ?? 6;
+
+    const refiLoanAmount = afterRepairValue * (refiLTV / 100);
+    const refiClosingCosts = refiLoanAmount * (refiClosingCostsPercent / 100);
+
+    const existingLoanPayoff =
+      calculateRemainingBalance(
+        financing.firstMtg.totalPrincipal,
+        financing.firstMtg.monthlyPayment,
+        financing.firstMtg.rate,
+        seasoningMonths
+      ) +
+      calculateRemainingBalance(
+        financing.secondMtg.principal,
+        financing.secondMtg.monthlyPayment,
+        financing.secondMtg.rate,
+        seasoningMonths
+      ) +
+      financing.interestOnly.principal;
+
+    const cashOutProceeds = refiLoanAmount - existingLoanPayoff - refiClosingCosts;
+    const totalCashInvested = cashReq.totalCashRequired;
+    const seasoningCashFlow = cashflow.totalMonthlyProfitOrLoss * seasoningMonths;
+    const cashLeftInDeal = totalCashInvested - cashOutProceeds - seasoningCashFlow;
+    const capitalRecoveredPercent = totalCashInvested > 0
+      ? ((totalCashInvested - cashLeftInDeal) / totalCashInvested) * 100 : 0;
+
+    const monthlyPayment = calculateMonthlyPayment(refiLoanAmount, refiRate, refiAmortization);
+    const annualDebtService = (monthlyPayment + financing.otherMonthlyFinancingCosts) * 12;
+    const annualCashFlow = noiResult.netOperatingIncome - annualDebtService;
+    const dcr = annualDebtService > 0 ? noiResult.netOperatingIncome / annualDebtService : 0;
+
+    const infiniteReturn = cashLeftInDeal <= 0;
+    const cashOnCashROI = infiniteReturn ? null : (annualCashFlow / cashLeftInDeal) * 100;
+
+    return {
+      afterRepairValue,
+      refiLTV,
+      refiRate,
+      refiAmortization,
+      refiClosingCostsPercent,
+      seasoningMonths,
+      refiLoanAmount,
+      refiClosingCosts,
+      existingLoanPayoff,
+      cashOutProceeds,
+      totalCashInvested,
+      seasoningCashFlow,
+      cashLeftInDeal,
+      capitalRecoveredPercent,
+      monthlyPayment,
+      annualDebtService,
+      annualCashFlow,
+      monthlyCashFlow: annualCashFlow / 12,
+      dcr,
+      equityAfterRefi: afterRepairValue - refiLoanAmount,
+      cashOnCashROI,
+      infiniteReturn
+    };
+  }
+
+  // SECTION 12: Income Taxes (Year 1)
+  /**
+   * Calculate year 1 income taxes and after-tax cash flow
+   *
+   * Deducts mortgage interest (from the amortization schedules), other
+   * financing costs and depreciation (including cost segregation and bonus
+   * depreciation when inputs.costSegregation is on) from NOI, then applies the passive
+   * loss rules and the investor's marginal federal and state rates. See
+   * calculateIncomeTax() for the passive loss treatment.
+   *
+   * Formula: After-Tax Cash Flow = Cash Flow - Income Tax
+   *
+   * @returns {Object} Year 1 tax details
+   * @returns {number} returns.totalBasis - Cost basis including land
+   * @returns {number} returns.landValue - Non-depreciable land value
+   * @returns {number} returns.buildingBasis - Depreciable building basis
+   * @returns {number} returns.depreciation - Year 1 depreciation (with cost segregation when enabled)
+   * @returns {number} returns.straightLineDepreciation - Year 1 depreciation without cost segregation
+   * @returns {Object} returns.depreciationSchedule - 30-year schedule (see calculateDepreciationSchedule)
+   * @returns {number} returns.mortgageInterest - Year 1 interest across all loans
+   * @returns {number} returns.otherFinancingCosts - Deductible other financing costs (including mortgage insurance)
+   * @returns {number} returns.taxableIncome - Rental income (loss) before passive rules
+   * @returns {number} returns.allowedLoss - Loss deducted against other income
+   * @returns {number} returns.suspendedLoss - Passive loss carried forward
+   * @returns {number} returns.taxLiability - Income tax (negative = tax saved)
+   * @returns {number} returns.afterTaxCashFlow - Annual cash flow after tax
+   * @returns {number} returns.monthlyAfterTaxCashFlow - Monthly cash flow after tax
+   * @returns {number} returns.marginalRate - Combined federal + state rate percentage
+   */
+  calculateTaxes() {
+    const purchase = this.calculatePurchaseInfo();
+    const financing = this.calculateFinancing();
+    const noiResult = this.calculateNOI();
+    const cashflow = this.calculateCashflowSummary();
+    const amortization = this.calculateAmortization();
+    const tax = resolveTaxSettings(this.inputs);
+
+    const basis = calculateDepreciableBasis(purchase, tax.landValuePercent);
+    const depreciationSchedule = taxDepreciationSchedule(basis.buildingBasis, tax, 30);
+    const depreciation = depreciationSchedule.schedule[0].total;
+    const mortgageInterest = Object.values(amortization)
+      .reduce((sum, loan) => sum + (loan?.yearly?.[0]?.interest || 0), 0);
+    const otherFinancingCosts = (financing.otherMonthlyFinancingCosts + financing.mortgageInsurance.monthlyPremium) * 12;
+
+    const taxableIncome = noiResult.netOperatingIncome - mortgageInterest - otherFinancingCosts - depreciation;
+    const incomeTax = calculateIncomeTax(taxableIncome, 0, this.inputs);
+    const afterTaxCashFlow = cashflow.annualProfitOrLoss - incomeTax.taxLiability;
+
+    return {
+      ...basis,
+      depreciation,
+      straightLineDepreciation: depreciationSchedule.schedule[0].straightLine,
+      depreciationSchedule,
+      mortgageInterest,
+      otherFinancingCosts,
+      taxableIncome,
+      allowedLoss: incomeTax.allowedLoss,
+      suspendedLoss: incomeTax.suspendedLoss,
+      taxLiability: incomeTax.taxLiability,
+      afterTaxCashFlow,
+      monthlyAfterTaxCashFlow: afterTaxCashFlow / 12,
+      marginalRate: tax.federalTaxRate + tax.stateTaxRate
+    };
+  }
+
+  // SECTION 13: Stabilized NOI → Forced Appreciation
+  /**
+   * Calculate stabilized NOI and the value it supports
+   *
+   * Stabilized rents are the in-place rents with the value-add plan at
+   * market and every renovation rent lift in place, with no units offline.
+   * The stabilized NOI capitalized at the target cap rate
+   * (inputs.targetCapRate) gives the stabilized value; without a target cap
+   * rate the fair market value (ARV) is used. Forced appreciation is the
+   * stabilized value less the all-in cost (RPP).
+   *
+   * @returns {Object} Stabilization details
+   * @returns {number} returns.stabilizedGrossRents - Annual rents once stabilized (today's dollars)
+   * @returns {number} returns.stabilizedNOI - NOI once stabilized
+   * @returns {number} returns.currentNOI - Year-1 NOI (during the renovation period)
+   * @returns {number} returns.stabilizationMonth - First month at stabilized rents (0 without a plan)
+   * @returns {number|null} returns.targetCapRate - Cap rate used to value the property (null = ARV)
+   * @returns {number} returns.stabilizedValue - Implied value once stabilized
+   * @returns {number} returns.allInCost - Real purchase price (offer, rehab and closing costs)
+   * @returns {number} returns.forcedAppreciation - Stabilized value minus all-in cost
+   * @returns {number} returns.yieldOnCost - Stabilized NOI / all-in cost as percentage
+   */
+  calculateStabilization() {
+    const income = this.calculateIncome();
+    const purchase = this.calculatePurchaseInfo();
+    const propertyInfo = this.getPropertyInfo();
+    const { inPlaceRents } = income;
+
+    // Short-term rental revenue is not lifted by the unit mix or renovations
+    const longTerm = !isShortTermRental(this.inputs);
+    const marketLift = longTerm && hasUnitMix(this.inputs) && this.inputs.valueAddPlan?.enabled
+      ? summarizeUnitMix(this.inputs.unitMix).lossToLeaseMonthly * 12 : 0;
+    const renovationLift = longTerm ? renovationRentItems(this.inputs, inPlaceRents)
+      .reduce((sum, item) => sum + item.units * item.rentIncrease * 12, 0) : 0;
+    const stabilizedGrossRents = inPlaceRents + marketLift + renovationLift;
+
+    // Same expenses and vacancy at stabilized rents, nothing left to renovate
+    const stabilizedNOI = new BuyRentHoldCalculator(this.property, {
+      ...this.inputs,
+      grossRents: stabilizedGrossRents,
+      valueAddPlan: { ...this.inputs.valueAddPlan, enabled: false },
+      itemizedRehabCosts: []
+    }).calculateNOI().netOperatingIncome;
+
+    const targetCapRate = this.inputs.targetCapRate > 0 ? this.inputs.targetCapRate : null;
+    const stabilizedValue = targetCapRate ? stabilizedNOI / (targetCapRate / 100) : propertyInfo.fairMarketValue;
+
+    return {
+      stabilizedGrossRents,
+      stabilizedNOI,
+      currentNOI: this.calculateNOI().netOperatingIncome,
+      stabilizationMonth: longTerm ? stabilizationMonth(this.inputs, inPlaceRents) : 0,
+      targetCapRate,
+      stabilizedValue,
+      allInCost: purchase.realPurchasePrice,
+      forcedAppreciation: stabilizedValue - purchase.realPurchasePrice,
+      yieldOnCost: purchase.realPurchasePrice > 0 ? (stabilizedNOI / purchase.realPurchasePrice) * 100 : 0
+    };
+  }
+
+  // SECTION 14: House Hacking → Effective Housing Cost
+  /**
+   * Calculate the owner's housing cost while living in one of the units
+   *
+   * The effective housing cost is what the owner pays each month after the
+   * other units' rent has covered expenses and debt service (the negative of
+   * the monthly cash flow; negative means the tenants pay the owner to live
+   * there). Net of year-1 principal paydown it is compared with renting a
+   * similar place elsewhere (inputs.comparableRent, defaulting to the owner
+   * unit's rent). Full-rental cash flow is the same property in year-1
+   * dollars once the owner moves out and the unit is leased.
+   *
+   * @returns {Object|null} House hacking details, null unless inputs.ownerOccupied
+   * @returns {string} returns.ownerUnit - Unit (or unit type) the owner lives in
+   * @returns {number} returns.ownerUnitRent - Monthly rent given up on that unit
+   * @returns {number} returns.occupancyYears - Years the owner lives in the property
+   * @returns {number} returns.effectiveHousingCost - Monthly out-of-pocket housing cost
+   * @returns {number} returns.principalPaydown - Monthly year-1 principal paydown across all loans
+   * @returns {number} returns.netHousingCost - Effective housing cost less principal paydown
+   * @returns {number} returns.comparableRent - Monthly rent for a similar place elsewhere
+   * @returns {number} returns.monthlySavings - Comparable rent less effective housing cost
+   * @returns {number} returns.fullRentalCashFlow - Monthly cash flow once the owner's unit is rented
+   */
+  calculateHouseHack() {
+    if (!this.inputs.ownerOccupied) return null;
+
+    const income = this.calculateIncome();
+    const cashflow = this.calculateCashflowSummary();
+    const amortization = this.calculateAmortization();
+
+    const ownerUnitRent = income.ownerUnitRent / 12;
+    const effectiveHousingCost = -cashflow.totalMonthlyProfitOrLoss;
+    const principalPaydown = Object.values(amortization)
+      .reduce((sum, loan) => sum + (loan?.yearly?.[0]?.principal || 0), 0) / 12;
+    const comparableRent = this.inputs.comparableRent > 0 ? this.inputs.comparableRent : ownerUnitRent;
+
+    const fullRentalCashFlow = new BuyRentHoldCalculator(this.property, {
+      ...this.inputs,
+      ownerOccupied: false
+    }).calculateCashflowSummary().totalMonthlyProfitOrLoss;
+
+    return {
+      ownerUnit: this.inputs.ownerUnit || 'Unit 1',
+      ownerUnitRent,
+      occupancyYears: this.inputs.ownerOccupancyYears ?? DEFAULTS.ownerOccupancyYears,
+      effectiveHousingCost,
+      principalPaydown,
+      netHousingCost: effectiveHousingCost - principalPaydown,
+      comparableRent,
+      monthlySavings: comparableRent - effectiveHousingCost,
+      fullRentalCashFlow
+    };
+  }
+
+  // SECTION 15: Lender Loan Sizing → Max Loan and Binding Constraint
+  /**
+   * Size the first mortgage to a commercial / DSCR lender
+   *
+   * Applies the lender's max LTV, min DSCR and min debt yield to year-1 NOI
+   * (see sizeLoan). LTV is measured on the offer price, like firstMtgLTV, so
+   * returns.ltv can be used directly as the worksheet LTV. The lender's rate
+   * and amortization default to the first mortgage's.
+   *
+   * @returns {Object} Loan sizing (see sizeLoan), plus:
+   * @returns {number} returns.noi - Year-1 NOI the loan was sized on
+   * @returns {number} returns.rate - Lender interest rate percentage
+   * @returns {number} returns.amortization - Lender amortization in years
+   * @returns {number} returns.currentLoan - Current first mortgage amount (before CMHC/MIP)
+   *
+   * @example
+   * const calculator = new BuyRentHoldCalculator(property, { ...inputs, lenderMinDSCR: 1.3 });
+   * const sizing = calculator.calculateLoanSizing();
+   * console.log(sizing.maxLoan, sizing.bindingConstraint); // 412,000 'dscr'
+   */
+  calculateLoanSizing() {
+    const financing = this.calculateFinancing();
+    const noi = this.calculateNOI().netOperatingIncome;
+    const rate = this.inputs.lenderRate ?? financing.firstMtg.rate;
+    const amortization = this.inputs.lenderAmortization ?? financing.firstMtg.amortization;
+
+    return {
+      ...sizeLoan({
+        noi,
+        value: this.inputs.offerPrice || 0,
+        maxLTV: this.inputs.lenderMaxLTV ?? DEFAULTS.lenderMaxLTV,
+        minDSCR: this.inputs.lenderMinDSCR ?? DEFAULTS.lenderMinDSCR,
+        minDebtYield: this.inputs.lenderMinDebtYield ?? DEFAULTS.lenderMinDebtYield,
+        rate,
+        amortization
+      }),
+      noi,
+      rate,
+      amortization,
+      currentLoan: financing.firstMtg.principalBorrowed
+    };
+  }
+
+  /**
+   * Get complete investment analysis
+   * 
    * Executes all calculation methods and returns a comprehensive analysis
    * object containing property info, purchase details, financing, income,
    * expenses, NOI, cash requirements, cash flow, investment ratios, and
@@ -762,6 +2356,12 @@ export class BuyRentHoldCalculator {
    * @returns {Object} returns.cashflow - Cash flow summary
    * @returns {Object} returns.quickAnalysis - All investment ratios
    * @returns {Object} returns.investmentScore - Investment score (0-100)
+   * @returns {Object} returns.amortization - Monthly amortization schedules for each loan
+   * @returns {Object|null} returns.brrrr - BRRRR refinance analysis (when inputs.brrrrMode is on)
+   * @returns {Object} returns.taxes - Year 1 income taxes and after-tax cash flow
+   * @returns {Object} returns.stabilization - Stabilized NOI, value at the target cap rate and forced appreciation
+   * @returns {Object|null} returns.houseHack - Owner's effective housing cost (when inputs.ownerOccupied is on)
+   * @returns {Object} returns.loanSizing - Max loan for the lender's LTV, DSCR and debt yield limits
    * 
    * @example
    * const calculator = new BuyRentHoldCalculator(property, inputs);
@@ -782,186 +2382,3265 @@ export class BuyRentHoldCalculator {
       cashRequirements: this.calculateCashRequirements(),
       cashflow: this.calculateCashflowSummary(),
       quickAnalysis: this.calculateQuickAnalysis(),
-      investmentScore: this.calculateInvestmentScore()
+      investmentScore: this.calculateInvestmentScore(),
+      amortization: this.calculateAmortization(),
+      brrrr: this.inputs.brrrrMode ? this.calculateBRRRR() : null,
+      taxes: this.calculateTaxes(),
+      stabilization: this.calculateStabilization(),
+      houseHack: this.calculateHouseHack(),
+      loanSizing: this.calculateLoanSizing()
+    };
+  }
+}
+
+// =============================================================================
+// QUICK SCORE FOR PROPERTY CARDS (Original)
+// =============================================================================
+
+/**
+ * Calculate quick investment score for property preview cards
+ * 
+ * Fast calculation using simplified assumptions for property card hover previews.
+ * Uses default financing terms and estimates operating expenses as percentages.
+ * Returns a 0-100 score with badge and breakdown of contributing metrics.
+ * 
+ * This is lighter-weight than the full BuyRentHoldCalculator and suitable
+ * for quick comparisons when browsing property listings.
+ * 
+ * @function
+ * @param {number} price - Property list price
+ * @param {number} rentEstimate - Estimated monthly rent
+ * @param {Object} [propertyData={}] - Optional property data for customization
+ * @param {number} [propertyData.downPaymentPercent=20] - Down payment percentage
+ * @param {number} [propertyData.interestRate=7.0] - Interest rate percentage
+ * @param {number} [propertyData.loanTermYears=30] - Loan term in years
+ * @param {number} [propertyData.vacancyRate=5] - Vacancy rate percentage
+ * @param {number} [propertyData.managementRate=10] - Management fee percentage
+ * @param {number} [propertyData.maintenanceRate=5] - Maintenance percentage
+ * @param {Object|null} [scoringConfig=null] - Custom scoring configuration
+ * @returns {Object} Quick score result
+ * @returns {number} returns.score - Investment score (0-100)
+ * @returns {string} returns.badge - Badge (excellent/good/fair/risky/avoid)
+ * @returns {string} returns.color - Color code (emerald/green/yellow/orange/red)
+ * @returns {string} returns.description - Score description
+ * @returns {Object} returns.breakdown - Score breakdown by metric
+ * @returns {number} returns.monthlyCashFlow - Monthly cash flow estimate
+ * @returns {number} returns.annualCashFlow - Annual cash flow estimate
+ * @returns {number} returns.capRate - Cap rate percentage
+ * @returns {number} returns.cashOnCashROI - Cash-on-Cash ROI percentage
+ * @returns {number} returns.dcr - Debt Coverage Ratio
+ * @returns {number} returns.noi - Net Operating Income (annual)
+ * @returns {number} returns.totalCashRequired - Total cash needed
+ * 
+ * @example
+ * const score = calculateQuickScore(250000, 2000);
+ * console.log(score.score); // 68
+ * console.log(score.badge); // "good"
+ * console.log(score.monthlyCashFlow); // 324
+ */
+export function calculateQuickScore(price, rentEstimate, propertyData = {}, scoringConfig = null) {
+  if (!price || !rentEstimate) {
+    return { 
+      score: 0, 
+      badge: 'insufficient-data', 
+      color: 'gray',
+      description: 'Not enough data to calculate score',
+      monthlyCashFlow: null, 
+      capRate: null,
+      cashOnCashROI: null,
+      dcr: null,
+      breakdown: {}
     };
   }
+
+  // Use passed financing/expense data or defaults
+  const downPaymentPercent = propertyData.downPaymentPercent || 20;
+  const interestRate = propertyData.interestRate || 7.0;
+  const loanTermYears = propertyData.loanTermYears || 30;
+  const vacancyRate = propertyData.vacancyRate || 5;
+  const managementRate = propertyData.managementRate || 10;
+  const maintenanceRate = propertyData.maintenanceRate || 5;
+
+  const downPayment = price * (downPaymentPercent / 100);
+  const loanAmount = price - downPayment;
+  const monthlyMortgage = calculateMonthlyPayment(loanAmount, interestRate, loanTermYears);
+  
+  const annualRent = rentEstimate * 12;
+  const vacancyLoss = annualRent * (vacancyRate / 100);
+  const effectiveIncome = annualRent - vacancyLoss;
+  
+  const propertyTax = price * 0.012;
+  const insurance = price * 0.005;
+  const repairs = annualRent * (maintenanceRate / 100);
+  const management = annualRent * (managementRate / 100);
+  const totalExpenses = propertyTax + insurance + repairs + management;
+  
+  const noi = effectiveIncome - totalExpenses;
+  const annualDebtService = monthlyMortgage * 12;
+  const annualCashFlow = noi - annualDebtService;
+  const monthlyCashFlow = annualCashFlow / 12;
+  
+  const capRate = (noi / price) * 100;
+  const closingCosts = price * 0.03;
+  const totalCashRequired = downPayment + closingCosts;
+  const cashOnCashROI = (annualCashFlow / totalCashRequired) * 100;
+  const dcr = annualDebtService > 0 ? noi / annualDebtService : 0;
+  
+  // Calculate score with breakdown
+  let score = 0;
+  const breakdown = {};
+  
+  // Cap Rate scoring
+  let capRateScore = 0;
+  if (capRate >= 10) capRateScore = 100;
+  else if (capRate >= 7) capRateScore = 75;
+  else if (capRate >= 5) capRateScore = 50;
+  else if (capRate >= 3) capRateScore = 25;
+  else capRateScore = 10;
+  breakdown['Cap Rate'] = { value: capRate, score: capRateScore };
+  score += capRateScore * 0.25;
+  
+  // Cash on Cash scoring
+  let cocScore = 0;
+  if (cashOnCashROI >= 12) cocScore = 100;
+  else if (cashOnCashROI >= 8) cocScore = 75;
+  else if (cashOnCashROI >= 5) cocScore = 50;
+  else if (cashOnCashROI >= 0) cocScore = 25;
+  else cocScore = 10;
+  breakdown['CoC ROI'] = { value: cashOnCashROI, score: cocScore };
+  score += cocScore * 0.25;
+  
+  // Cash Flow scoring
+  let cfScore = 0;
+  if (monthlyCashFlow >= 500) cfScore = 100;
+  else if (monthlyCashFlow >= 300) cfScore = 75;
+  else if (monthlyCashFlow >= 100) cfScore = 50;
+  else if (monthlyCashFlow >= 0) cfScore = 25;
+  else cfScore = 10;
+  breakdown['Cash Flow'] = { value: monthlyCashFlow, score: cfScore };
+  score += cfScore * 0.30;
+  
+  // DCR scoring
+  let dcrScore = 0;
+  if (dcr >= 1.5) dcrScore = 100;
+  else if (dcr >= 1.25) dcrScore = 75;
+  else if (dcr >= 1.1) dcrScore = 50;
+  else if (dcr >= 1.0) dcrScore = 25;
+  else dcrScore = 10;
+  breakdown['DCR'] = { value: dcr, score: dcrScore };
+  score += dcrScore * 0.20;
+  
+  score = Math.round(score);
+
+  let badge, color, description;
+  if (score >= 75) {
+    badge = 'excellent';
+    color = 'emerald';
+    description = 'Strong investment with excellent returns';
+  } else if (score >= 60) {
+    badge = 'good';
+    color = 'green';
+    description = 'Solid investment opportunity';
+  } else if (score >= 45) {
+    badge = 'fair';
+    color = 'yellow';
+    description = 'Average investment, may require negotiation';
+  } else if (score >= 30) {
+    badge = 'risky';
+    color = 'orange';
+    description = 'Below average returns, proceed with caution';
+  } else {
+    badge = 'avoid';
+    color = 'red';
+    description = 'Poor investment metrics';
+  }
+
+  return {
+    score,
+    badge,
+    color,
+    description,
+    breakdown,
+    monthlyCashFlow: Math.round(monthlyCashFlow),
+    annualCashFlow: Math.round(annualCashFlow),
+    capRate: Math.round(capRate * 100) / 100,
+    cashOnCashROI: Math.round(cashOnCashROI * 100) / 100,
+    dcr: Math.round(dcr * 100) / 100,
+    noi: Math.round(noi),
+    totalCashRequired: Math.round(totalCashRequired)
+  };
+}
+
+// =============================================================================
+// DISCOUNTED CASH FLOW RETURNS (IRR / NPV / MIRR)
+// =============================================================================
+
+/**
+ * Calculate Net Present Value of a cash flow series
+ *
+ * Cash flows are annual and the first entry occurs today (t = 0), so it is
+ * not discounted. Matches Excel's `=CF0 + NPV(rate, CF1:CFn)`.
+ *
+ * @function
+ * @param {number} discountRate - Annual discount rate as percentage
+ * @param {Array<number>} cashFlows - Cash flows starting at t = 0
+ * @returns {number} Net present value in dollars
+ *
+ * @example
+ * calculateNPV(10, [-50000, 5000, 5000, 65000]); // ~7,513
+ */
+export function calculateNPV(discountRate, cashFlows) {
+  const rate = (discountRate || 0) / 100;
+  return cashFlows.reduce((npv, cf, t) => npv + cf / Math.pow(1 + rate, t), 0);
+}
+
+/**
+ * Calculate Internal Rate of Return of a cash flow series
+ *
+ * Finds the discount rate at which NPV = 0. Uses Newton-Raphson from the
+ * guess and falls back to bisection when Newton fails to converge or leaves
+ * the valid range (rate > -100%). Returns null when the cash flows never
+ * change sign (no IRR exists).
+ *
+ * @function
+ * @param {Array<number>} cashFlows - Annual cash flows starting at t = 0 (initial equity as a negative)
+ * @param {number} [guess=10] - Starting guess as percentage
+ * @returns {number|null} IRR as percentage, or null if undefined
+ *
+ * @example
+ * calculateIRR([-50000, 5000, 5000, 65000]); // ~15.7
+ */
+export function calculateIRR(cashFlows, guess = 10) {
+  if (!cashFlows?.length) return null;
+  const hasPositive = cashFlows.some(cf => cf > 0);
+  const hasNegative = cashFlows.some(cf => cf < 0);
+  if (!hasPositive || !hasNegative) return null;
+
+  const npvAt = (rate) => cashFlows.reduce((sum, cf, t) => sum + cf / Math.pow(1 + rate, t), 0);
+  const derivativeAt = (rate) => cashFlows.reduce((sum, cf, t) => sum - (t * cf) / Math.pow(1 + rate, t + 1), 0);
+
+  const tolerance = 1e-7;
+
+  // Newton-Raphson
+  let rate = guess / 100;
+  for (let i = 0; i < 50; i++) {
+    const npv = npvAt(rate);
+    const derivative = derivativeAt(rate);
+    if (!isFinite(npv) || !isFinite(derivative) || derivative === 0) break;
+
+    const nextRate = rate - npv / derivative;
+    if (nextRate <= -1) break;
+    if (Math.abs(nextRate - rate) < tolerance) return nextRate * 100;
+    rate = nextRate;
+  }
+
+  // Bisection fallback
+  let low = -0.9999;
+  let high = 10;
+  let npvLow = npvAt(low);
+  const npvHigh = npvAt(high);
+  if (npvLow * npvHigh > 0) return null;
+
+  for (let i = 0; i < 200; i++) {
+    const mid = (low + high) / 2;
+    const npvMid = npvAt(mid);
+    if (Math.abs(npvMid) < tolerance || (high - low) / 2 < tolerance) return mid * 100;
+    if (npvLow * npvMid < 0) {
+      high = mid;
+    } else {
+      low = mid;
+      npvLow = npvMid;
+    }
+  }
+
+  return ((low + high) / 2) * 100;
+}
+
+/**
+ * Calculate Modified Internal Rate of Return
+ *
+ * Negative cash flows are discounted to t = 0 at the finance rate and
+ * positive cash flows are compounded to the final year at the reinvestment
+ * rate, avoiding IRR's assumption that distributions are reinvested at the
+ * IRR itself. Matches Excel's `MIRR()`.
+ *
+ * @function
+ * @param {Array<number>} cashFlows - Annual cash flows starting at t = 0
+ * @param {number} financeRate - Cost of capital for outflows as percentage
+ * @param {number} reinvestmentRate - Reinvestment rate for inflows as percentage
+ * @returns {number|null} MIRR as percentage, or null if undefined
+ *
+ * @example
+ * calculateMIRR([-50000, 5000, 5000, 65000], 7, 5); // ~14.9
+ */
+export function calculateMIRR(cashFlows, financeRate, reinvestmentRate) {
+  const n = (cashFlows?.length || 0) - 1;
+  if (n < 1) return null;
+
+  const finance = (financeRate || 0) / 100;
+  const reinvest = (reinvestmentRate || 0) / 100;
+
+  const pvNegative = cashFlows.reduce(
+    (sum, cf, t) => (cf < 0 ? sum + cf / Math.pow(1 + finance, t) : sum), 0
+  );
+  const fvPositive = cashFlows.reduce(
+    (sum, cf, t) => (cf > 0 ? sum + cf * Math.pow(1 + reinvest, n - t) : sum), 0
+  );
+
+  if (pvNegative === 0 || fvPositive === 0) return null;
+  return (Math.pow(fvPositive / -pvNegative, 1 / n) - 1) * 100;
+}
+
+// =============================================================================
+// US TAX MODEL (DEPRECIATION / PASSIVE LOSSES / SALE)
+// =============================================================================
+
+/**
+ * Resolve tax assumptions from inputs, falling back to DEFAULTS
+ *
+ * @private
+ * @param {Object} [inputs={}] - Calculation inputs
+ * @returns {Object} Tax assumptions (rates as percentages)
+ */
+function resolveTaxSettings(inputs = {}) {
+  return {
+    federalTaxRate: inputs.federalTaxRate ?? DEFAULTS.federalTaxRate,
+    stateTaxRate: inputs.stateTaxRate ?? DEFAULTS.stateTaxRate,
+    capitalGainsRate: inputs.capitalGainsRate ?? DEFAULTS.capitalGainsRate,
+    recaptureRate: inputs.recaptureRate ?? DEFAULTS.recaptureRate,
+    landValuePercent: inputs.landValuePercent ?? DEFAULTS.landValuePercent,
+    depreciationYears: inputs.depreciationYears || DEFAULTS.depreciationYears,
+    placedInServiceMonth: inputs.placedInServiceMonth || 1,
+    modifiedAGI: inputs.modifiedAGI ?? DEFAULTS.modifiedAGI,
+    activeParticipation: inputs.activeParticipation ?? true,
+    realEstateProfessional: inputs.realEstateProfessional ?? false,
+    costSegregation: inputs.costSegregation ?? false,
+    costSeg5YearPercent: inputs.costSeg5YearPercent ?? DEFAULTS.costSeg5YearPercent,
+    costSeg7YearPercent: inputs.costSeg7YearPercent ?? DEFAULTS.costSeg7YearPercent,
+    costSeg15YearPercent: inputs.costSeg15YearPercent ?? DEFAULTS.costSeg15YearPercent,
+    bonusDepreciationPercent: inputs.bonusDepreciationPercent ?? DEFAULTS.bonusDepreciationPercent
+  };
+}
+
+/**
+ * Depreciation schedule for resolved tax settings
+ *
+ * @private
+ * @param {number} buildingBasis - Depreciable basis
+ * @param {Object} tax - Resolved tax settings
+ * @param {number} years - Number of years to schedule
+ * @returns {Object} Output of calculateDepreciationSchedule()
+ */
+function taxDepreciationSchedule(buildingBasis, tax, years) {
+  return calculateDepreciationSchedule(buildingBasis, {
+    recoveryYears: tax.depreciationYears,
+    placedInServiceMonth: tax.placedInServiceMonth,
+    costSegregation: tax.costSegregation,
+    fiveYearPercent: tax.costSeg5YearPercent,
+    sevenYearPercent: tax.costSeg7YearPercent,
+    fifteenYearPercent: tax.costSeg15YearPercent,
+    bonusPercent: tax.bonusDepreciationPercent
+  }, years);
+}
+
+/**
+ * Passive loss allowance under IRC §469
+ *
+ * Real estate professionals deduct rental losses in full. Otherwise an
+ * active participant may deduct up to $25,000, reduced by 50% of modified
+ * AGI over $100,000 (gone at $150,000). The allowance is applied per
+ * property here; investors with several loss properties share one allowance.
+ *
+ * @private
+ * @param {Object} tax - Resolved tax settings
+ * @returns {number} Maximum loss deductible against other income this year
+ */
+function passiveLossAllowance(tax) {
+  if (tax.realEstateProfessional) return Infinity;
+  if (!tax.activeParticipation) return 0;
+  return Math.max(0, 25000 - 0.5 * Math.max(0, tax.modifiedAGI - 100000));
+}
+
+/**
+ * Calculate the depreciable basis of a rental property
+ *
+ * Basis is the purchase price plus closing costs and capitalized rehab.
+ * Land is not depreciable, so the land share of the price and closing costs
+ * is split out; rehab is treated entirely as building improvements.
+ *
+ * @function
+ * @param {Object} purchase - Output of BuyRentHoldCalculator.calculatePurchaseInfo()
+ * @param {number} [landValuePercent=20] - Land share of the purchase price as percentage
+ * @returns {Object} Basis breakdown
+ * @returns {number} returns.totalBasis - Cost basis including land
+ * @returns {number} returns.landValue - Non-depreciable land value
+ * @returns {number} returns.buildingBasis - Depreciable building basis
+ *
+ * @example
+ * calculateDepreciableBasis({ offerPrice: 300000, closingCosts: 9000, repairs: 20000 }, 20);
+ * // { totalBasis: 329000, landValue: 61800, buildingBasis: 267200 }
+ */
+export function calculateDepreciableBasis(purchase = {}, landValuePercent = DEFAULTS.landValuePercent) {
+  const acquisitionCost = (purchase.offerPrice || 0) + (purchase.closingCosts || 0);
+  const improvements = (purchase.repairs || 0) + (purchase.repairsContingency || 0);
+  const landValue = acquisitionCost * (landValuePercent / 100);
+
+  return {
+    totalBasis: acquisitionCost + improvements,
+    landValue,
+    buildingBasis: acquisitionCost - landValue + improvements
+  };
+}
+
+/**
+ * Calculate straight-line depreciation for one tax year
+ *
+ * Uses the MACRS mid-month convention: the first year is prorated from the
+ * middle of the month the property is placed in service, and the remainder
+ * is taken in the year after the recovery period ends.
+ *
+ * @function
+ * @param {number} buildingBasis - Depreciable basis
+ * @param {number} year - Tax year (1 = year placed in service)
+ * @param {number} [recoveryYears=27.5] - Recovery period (27.5 residential, 39 commercial)
+ * @param {number} [placedInServiceMonth=1] - Month placed in service (1-12)
+ * @returns {number} Depreciation deduction for the year
+ *
+ * @example
+ * calculateDepreciation(275000, 1);  // 9,583 (11.5 months)
+ * calculateDepreciation(275000, 2);  // 10,000
+ * calculateDepreciation(275000, 28); // 5,417 (final 6.5 months)
+ */
+export function calculateDepreciation(buildingBasis, year, recoveryYears = DEFAULTS.depreciationYears, placedInServiceMonth = 1) {
+  if (!buildingBasis || buildingBasis <= 0 || year < 1) return 0;
+
+  const annual = buildingBasis / recoveryYears;
+  const firstYear = annual * (12 - placedInServiceMonth + 0.5) / 12;
+  const taken = year === 1 ? 0 : firstYear + annual * (year - 2);
+  const current = year === 1 ? firstYear : annual;
+
+  return Math.max(0, Math.min(current, buildingBasis - taken));
+}
+
+/**
+ * MACRS GDS half-year convention rates (IRS Pub 946, Table A-1) as
+ * percentages of basis. 5- and 7-year property use 200% declining balance;
+ * 15-year land improvements use 150% declining balance.
+ *
+ * @private
+ * @constant {Object<number, Array<number>>}
+ */
+const MACRS_HALF_YEAR_RATES = {
+  5: [20.00, 32.00, 19.20, 11.52, 11.52, 5.76],
+  7: [14.29, 24.49, 17.49, 12.49, 8.93, 8.92, 8.93, 4.46],
+  15: [5.00, 9.50, 8.55, 7.70, 6.93, 6.23, 5.90, 5.90, 5.91, 5.90, 5.91, 5.90, 5.91, 5.90, 5.91, 2.95]
+};
+
+/**
+ * Build a year-by-year depreciation schedule with optional cost segregation
+ *
+ * Without cost segregation the whole building basis is depreciated
+ * straight-line over the recovery period. With cost segregation the basis is
+ * split into 5-year (appliances, carpet, fixtures), 7-year (furniture,
+ * equipment) and 15-year (land improvements) classes, with the remainder
+ * staying in the 27.5 or 39-year building class. Bonus depreciation is taken
+ * in year 1 on the 5, 7 and 15-year classes and the rest follows the MACRS
+ * tables.
+ *
+ * Depreciation on 5 and 7-year property is §1245 property, recaptured at
+ * ordinary rates on sale; 15-year and building depreciation is §1250
+ * property. Each row reports both so sale taxes can be split correctly.
+ *
+ * @function
+ * @param {number} buildingBasis - Depreciable basis (land excluded)
+ * @param {Object} [options={}] - Depreciation options
+ * @param {number} [options.recoveryYears=27.5] - Building recovery period (27.5 or 39)
+ * @param {number} [options.placedInServiceMonth=1] - Month placed in service (1-12)
+ * @param {boolean} [options.costSegregation=false] - Split the basis into asset classes
+ * @param {number} [options.fiveYearPercent=0] - 5-year share of building basis percentage
+ * @param {number} [options.sevenYearPercent=0] - 7-year share of building basis percentage
+ * @param {number} [options.fifteenYearPercent=0] - 15-year share of building basis percentage
+ * @param {number} [options.bonusPercent=0] - Bonus depreciation percentage on 5/7/15-year classes
+ * @param {number} [years=30] - Number of years to schedule
+ * @returns {Object} Depreciation schedule
+ * @returns {Object} returns.classes - Basis by class (fiveYear, sevenYear, fifteenYear, building)
+ * @returns {number} returns.bonusDepreciation - Year 1 bonus depreciation
+ * @returns {Array<Object>} returns.schedule - Yearly rows
+ * @returns {number} returns.schedule[].year - Year number
+ * @returns {number} returns.schedule[].bonus - Bonus depreciation taken
+ * @returns {number} returns.schedule[].fiveYear - 5-year MACRS depreciation
+ * @returns {number} returns.schedule[].sevenYear - 7-year MACRS depreciation
+ * @returns {number} returns.schedule[].fifteenYear - 15-year MACRS depreciation
+ * @returns {number} returns.schedule[].building - Building straight-line depreciation
+ * @returns {number} returns.schedule[].total - Total depreciation for the year
+ * @returns {number} returns.schedule[].section1245 - Portion that is §1245 (personal property)
+ * @returns {number} returns.schedule[].straightLine - Depreciation without cost segregation
+ *
+ * @example
+ * const { schedule } = calculateDepreciationSchedule(800000, {
+ *   costSegregation: true, fiveYearPercent: 15, fifteenYearPercent: 8, bonusPercent: 100
+ * });
+ * console.log(schedule[0].total);        // ~205,467 (bonus + year 1 building)
+ * console.log(schedule[0].straightLine); // ~27,879
+ */
+export function calculateDepreciationSchedule(buildingBasis, options = {}, years = 30) {
+  const {
+    recoveryYears = DEFAULTS.depreciationYears,
+    placedInServiceMonth = 1,
+    costSegregation = false,
+    fiveYearPercent = 0,
+    sevenYearPercent = 0,
+    fifteenYearPercent = 0,
+    bonusPercent = 0
+  } = options;
+
+  const basis = Math.max(0, buildingBasis || 0);
+  const share = (percent) => (costSegregation ? basis * Math.max(0, percent || 0) / 100 : 0);
+  const fiveYear = share(fiveYearPercent);
+  const sevenYear = share(sevenYearPercent);
+  const fifteenYear = Math.min(share(fifteenYearPercent), basis - fiveYear - sevenYear);
+  const building = Math.max(0, basis - fiveYear - sevenYear - fifteenYear);
+
+  const bonusRate = costSegregation ? Math.min(100, Math.max(0, bonusPercent || 0)) / 100 : 0;
+  const bonus = {
+    fiveYear: fiveYear * bonusRate,
+    sevenYear: sevenYear * bonusRate,
+    fifteenYear: fifteenYear * bonusRate
+  };
+  const macrs = (classBasis, life, year) => classBasis * (MACRS_HALF_YEAR_RATES[life][year - 1] || 0) / 100;
+
+  const schedule = [];
+  for (let year = 1; year <= years; year++) {
+    const yearBonus = year === 1 ? bonus.fiveYear + bonus.sevenYear + bonus.fifteenYear : 0;
+    const fiveYearDep = macrs(fiveYear - bonus.fiveYear, 5, year);
+    const sevenYearDep = macrs(sevenYear - bonus.sevenYear, 7, year);
+    const fifteenYearDep = macrs(fifteenYear - bonus.fifteenYear, 15, year);
+    const buildingDep = calculateDepreciation(building, year, recoveryYears, placedInServiceMonth);
+    const section1245 = fiveYearDep + sevenYearDep + (year === 1 ? bonus.fiveYear + bonus.sevenYear : 0);
+
+    schedule.push({
+      year,
+      bonus: yearBonus,
+      fiveYear: fiveYearDep,
+      sevenYear: sevenYearDep,
+      fifteenYear: fifteenYearDep,
+      building: buildingDep,
+      total: yearBonus + fiveYearDep + sevenYearDep + fifteenYearDep + buildingDep,
+      section1245,
+      straightLine: calculateDepreciation(basis, year, recoveryYears, placedInServiceMonth)
+    });
+  }
+
+  return {
+    classes: { fiveYear, sevenYear, fifteenYear, building },
+    bonusDepreciation: bonus.fiveYear + bonus.sevenYear + bonus.fifteenYear,
+    schedule
+  };
+}
+
+/**
+ * Calculate income tax on a year of rental operations
+ *
+ * Rental income is passive. Net income first absorbs losses suspended in
+ * earlier years; a net loss is deductible against other income up to the
+ * passive loss allowance and the rest is suspended until the property
+ * produces income or is sold. Tax is at the combined federal and state
+ * marginal rate, so a negative liability is a tax saving on other income.
+ *
+ * @function
+ * @param {number} taxableIncome - NOI less interest, financing costs and depreciation
+ * @param {number} [suspendedLoss=0] - Passive losses carried forward from prior years
+ * @param {Object} [inputs={}] - Tax inputs
+ * @param {number} [inputs.federalTaxRate=24] - Marginal federal rate percentage
+ * @param {number} [inputs.stateTaxRate=5] - Marginal state rate percentage
+ * @param {number} [inputs.modifiedAGI=100000] - Modified AGI for the $25k allowance phase-out
+ * @param {boolean} [inputs.activeParticipation=true] - Investor actively participates
+ * @param {boolean} [inputs.realEstateProfessional=false] - Qualifies as a real estate professional
+ * @returns {Object} Income tax details
+ * @returns {number} returns.taxableIncome - Rental income (loss) before passive rules
+ * @returns {number} returns.suspendedLossUsed - Prior suspended losses used this year
+ * @returns {number} returns.allowedLoss - Loss deducted against other income
+ * @returns {number} returns.suspendedLoss - Suspended losses carried forward
+ * @returns {number} returns.netTaxableIncome - Income taxed (negative when a loss is allowed)
+ * @returns {number} returns.taxLiability - Tax owed (negative = tax saved)
+ *
+ * @example
+ * calculateIncomeTax(-8000, 0, { federalTaxRate: 24, stateTaxRate: 5, modifiedAGI: 90000 });
+ * // { allowedLoss: 8000, suspendedLoss: 0, taxLiability: -2320, ... }
+ */
+export function calculateIncomeTax(taxableIncome, suspendedLoss = 0, inputs = {}) {
+  const tax = resolveTaxSettings(inputs);
+  const ordinaryRate = (tax.federalTaxRate + tax.stateTaxRate) / 100;
+
+  let suspendedLossUsed = 0;
+  let allowedLoss = 0;
+  let carryforward = suspendedLoss;
+
+  if (taxableIncome >= 0) {
+    suspendedLossUsed = Math.min(suspendedLoss, taxableIncome);
+    carryforward = suspendedLoss - suspendedLossUsed;
+  } else {
+    allowedLoss = Math.min(-taxableIncome, passiveLossAllowance(tax));
+    carryforward = suspendedLoss - taxableIncome - allowedLoss;
+  }
+
+  let netTaxableIncome = 0;
+  if (taxableIncome >= 0) netTaxableIncome = taxableIncome - suspendedLossUsed;
+  else if (allowedLoss > 0) netTaxableIncome = -allowedLoss;
+
+  return {
+    taxableIncome,
+    suspendedLossUsed,
+    allowedLoss,
+    suspendedLoss: carryforward,
+    netTaxableIncome,
+    taxLiability: netTaxableIncome * ordinaryRate
+  };
+}
+
+/**
+ * Calculate tax due on the sale of a rental property
+ *
+ * Gain is the amount realized (price less selling costs) over the adjusted
+ * basis (cost basis less depreciation taken). Gain up to the depreciation
+ * taken on §1245 property (cost-segregated 5 and 7-year assets) is
+ * recaptured at the ordinary rate; gain up to the remaining depreciation is
+ * unrecaptured §1250 gain, taxed at the ordinary rate capped at the
+ * recapture rate; the rest is long-term capital gain. State
+ * tax applies to the whole gain. Suspended passive losses are released on
+ * sale and, with any loss on the sale, offset ordinary income.
+ *
+ * @function
+ * @param {Object} sale - Sale details
+ * @param {number} sale.salePrice - Gross sale price
+ * @param {number} [sale.sellingCosts=0] - Commissions and closing costs
+ * @param {number} sale.adjustedBasis - Cost basis less accumulated depreciation
+ * @param {number} [sale.accumulatedDepreciation=0] - Depreciation taken to date
+ * @param {number} [sale.section1245Depreciation=0] - Portion taken on §1245 property
+ * @param {number} [sale.suspendedLoss=0] - Unused passive losses released on sale
+ * @param {Object} [inputs={}] - Tax inputs
+ * @param {number} [inputs.federalTaxRate=24] - Marginal federal rate percentage
+ * @param {number} [inputs.stateTaxRate=5] - Marginal state rate percentage
+ * @param {number} [inputs.capitalGainsRate=15] - Long-term capital gains rate percentage
+ * @param {number} [inputs.recaptureRate=25] - Maximum unrecaptured §1250 rate percentage
+ * @returns {Object} Sale tax details
+ * @returns {number} returns.amountRealized - Sale price less selling costs
+ * @returns {number} returns.adjustedBasis - Adjusted basis at sale
+ * @returns {number} returns.totalGain - Taxable gain (negative for a loss)
+ * @returns {number} returns.recaptureGain - Gain taxed as depreciation recapture (§1245 + §1250)
+ * @returns {number} returns.section1245Gain - Recapture taxed at the full ordinary rate
+ * @returns {number} returns.capitalGain - Gain taxed as long-term capital gain
+ * @returns {number} returns.recaptureTax - Federal tax on recapture
+ * @returns {number} returns.capitalGainsTax - Federal long-term capital gains tax
+ * @returns {number} returns.stateTax - State tax on the gain
+ * @returns {number} returns.suspendedLossReleased - Suspended passive losses released
+ * @returns {number} returns.lossBenefit - Tax saved on released and sale losses
+ * @returns {number} returns.totalTax - Net tax due on sale
+ *
+ * @example
+ * calculateSaleTax({
+ *   salePrice: 400000, sellingCosts: 24000,
+ *   adjustedBasis: 270000, accumulatedDepreciation: 50000
+ * });
+ * // recaptureTax 12,000 + capitalGainsTax 8,400 + stateTax 5,300 = totalTax 25,700
+ */
+export function calculateSaleTax(sale, inputs = {}) {
+  const tax = resolveTaxSettings(inputs);
+  const {
+    salePrice = 0,
+    sellingCosts = 0,
+    adjustedBasis = 0,
+    accumulatedDepreciation = 0,
+    section1245Depreciation = 0,
+    suspendedLoss = 0
+  } = sale;
+
+  const amountRealized = salePrice - sellingCosts;
+  const totalGain = amountRealized - adjustedBasis;
+  const recaptureGain = Math.max(0, Math.min(totalGain, accumulatedDepreciation));
+  const section1245Gain = Math.min(recaptureGain, section1245Depreciation);
+  const capitalGain = Math.max(0, totalGain - recaptureGain);
+
+  const recaptureTax = section1245Gain * tax.federalTaxRate / 100 +
+    (recaptureGain - section1245Gain) * Math.min(tax.federalTaxRate, tax.recaptureRate) / 100;
+  const capitalGainsTax = capitalGain * tax.capitalGainsRate / 100;
+  const stateTax = Math.max(0, totalGain) * tax.stateTaxRate / 100;
+  const lossBenefit = (suspendedLoss + Math.max(0, -totalGain)) * (tax.federalTaxRate + tax.stateTaxRate) / 100;
+
+  return {
+    amountRealized,
+    adjustedBasis,
+    totalGain,
+    recaptureGain,
+    section1245Gain,
+    capitalGain,
+    recaptureTax,
+    capitalGainsTax,
+    stateTax,
+    suspendedLossReleased: suspendedLoss,
+    lossBenefit,
+    totalTax: recaptureTax + capitalGainsTax + stateTax - lossBenefit
+  };
+}
+
+// =============================================================================
+// BUY & HOLD PROJECTIONS
+// =============================================================================
+
+/**
+ * Calculate multi-year buy & hold projections
+ *
+ * Projects a rental property year-by-year from a completed analysis. Each
+ * year includes income, expenses, NOI, debt service, loan amortization,
+ * equity, sale proceeds if sold at year end, and return metrics.
+ *
+ * IRR, NPV and MIRR for year N use the actual cash flow timing: the initial
+ * cash invested at t = 0, each year's cash flow, and the sale proceeds added
+ * to year N. This is the single source for projection figures used by the
+ * projections page and saved-property summaries.
+ *
+ * Taxes follow the US model: depreciation on the purchase basis (not the
+ * appreciated value), passive losses suspended and carried forward, and
+ * depreciation recapture plus capital gains tax on sale. See
+ * calculateDepreciationSchedule(), calculateIncomeTax() and calculateSaleTax().
+ *
+ * A short-term rental grows its revenue, platform fees and cleaning with
+ * income growth and its utilities and supplies with expense growth; there
+ * is no vacancy line since occupancy is already in the revenue.
+ *
+ * While the owner lives in one of the units (inputs.ownerOccupied) its rent
+ * is excluded; after inputs.ownerOccupancyYears the unit is leased and the
+ * property runs as a full rental. Mortgage insurance (FHA MIP) is charged on
+ * each year's starting first mortgage balance for as long as it applies.
+ *
+ * @function
+ * @param {Object} inputs - Calculation inputs
+ * @param {number} [inputs.appreciationRate=3] - Annual appreciation percentage
+ * @param {number} [inputs.incomeGrowthRate=2] - Annual rent growth percentage
+ * @param {number} [inputs.expenseGrowthRate=2] - Annual expense inflation percentage
+ * @param {number} [inputs.sellingCosts=6] - Selling costs percentage
+ * @param {number} [inputs.discountRate=8] - NPV discount rate percentage
+ * @param {number} [inputs.financeRate=7] - MIRR finance rate percentage
+ * @param {number} [inputs.reinvestmentRate=5] - MIRR reinvestment rate percentage
+ * @param {number} [inputs.landValuePercent=20] - Non-depreciable land share percentage
+ * @param {number} [inputs.federalTaxRate=24] - Marginal federal rate percentage (see calculateIncomeTax for other tax inputs)
+ * @param {Object} results - Output of BuyRentHoldCalculator.getCompleteAnalysis()
+ * @param {number} [years=30] - Number of years to project
+ * @returns {Array<Object>} Yearly projection objects
+ * @returns {number} returns[].year - Year number
+ * @returns {number} returns[].strCosts - STR platform fees, cleaning, utilities and supplies (0 for long-term)
+ * @returns {boolean} returns[].ownerOccupied - Whether the owner's unit is excluded from rents this year
+ * @returns {number} returns[].mortgageInsurance - Mortgage insurance premiums (included in debt service)
+ * @returns {number} returns[].propertyValue - Property value at year end
+ * @returns {number} returns[].noi - Net Operating Income
+ * @returns {number} returns[].cashFlow - Annual pre-tax cash flow
+ * @returns {number} returns[].depreciation - Depreciation deduction (with cost segregation when enabled)
+ * @returns {number} returns[].straightLineDepreciation - Depreciation without cost segregation
+ * @returns {number} returns[].taxableIncome - Rental income (loss) before passive rules
+ * @returns {number} returns[].suspendedLoss - Passive losses carried forward
+ * @returns {number} returns[].accumulatedDepreciation - Depreciation taken through year end
+ * @returns {number} returns[].section1245Depreciation - Depreciation taken on §1245 property
+ * @returns {number} returns[].incomeTax - Income tax (negative = tax saved)
+ * @returns {number} returns[].postTaxCashFlow - Annual after-tax cash flow
+ * @returns {number} returns[].loanBalance - Remaining loan balance
+ * @returns {number} returns[].totalEquity - Equity position
+ * @returns {number} returns[].saleProceeds - Net proceeds if sold at year end
+ * @returns {number} returns[].saleTax - Recapture, capital gains and state tax less loss benefits
+ * @returns {number} returns[].capitalGainsTax - Federal long-term capital gains tax on sale
+ * @returns {number} returns[].stateTax - State income tax on the sale gain
+ * @returns {number} returns[].afterTaxSaleProceeds - Sale proceeds after tax
+ * @returns {number} returns[].totalProfit - Total profit if sold at year end
+ * @returns {number|null} returns[].irr - IRR if sold at year end (percentage)
+ * @returns {number} returns[].npv - NPV at the discount rate if sold at year end
+ * @returns {number|null} returns[].mirr - MIRR if sold at year end (percentage)
+ * @returns {number|null} returns[].afterTaxIrr - After-tax IRR if sold at year end (percentage)
+ *
+ * @example
+ * const analysis = new BuyRentHoldCalculator(property, inputs).getCompleteAnalysis();
+ * const projections = calculateBuyHoldProjections(inputs, analysis);
+ * console.log(projections[4].irr); // Year 5 IRR, e.g. 11.8
+ */
+export function calculateBuyHoldProjections(inputs, results, years = 30) {
+  const projections = [];
+  if (!results?.propertyInfo || !results?.financing) return projections;
+
+  const appreciationRate = (inputs.appreciationRate ?? DEFAULTS.appreciationRate) / 100;
+  const incomeGrowthRate = (inputs.incomeGrowthRate ?? DEFAULTS.incomeGrowthRate) / 100;
+  const expenseGrowthRate = (inputs.expenseGrowthRate ?? DEFAULTS.expenseGrowthRate) / 100;
+  const discountRate = inputs.discountRate ?? DEFAULTS.discountRate;
+  const financeRate = inputs.financeRate ?? DEFAULTS.financeRate;
+  const reinvestmentRate = inputs.reinvestmentRate ?? DEFAULTS.reinvestmentRate;
+
+  let propertyValue = results.propertyInfo.fairMarketValue || inputs.offerPrice || 0;
+
+  // In-place rent before value-add and renovation lifts (see getRentLiftFactor, getRenovationRents)
+  const inPlaceRents = results.income?.inPlaceRents ?? inputs.grossRents ?? 0;
+  const shortTermRental = isShortTermRental(inputs);
+  const vacancyRate = shortTermRental ? 0 : results.propertyInfo?.vacancyRate ?? inputs.vacancyRate ?? DEFAULTS.vacancyRate;
+
+  // Payment path for every loan (IO periods, ARM resets, extra payments, balloons)
+  const schedules = results.amortization || {
+    firstMtg: generateAmortizationSchedule({
+      principal: results.financing.firstMtg?.totalPrincipal || 0,
+      annualRate: results.financing.firstMtg?.rate || 7,
+      years: results.financing.firstMtg?.amortization || 30
+    })
+  };
+  const loans = Object.values(schedules).filter(loan => loan?.schedule?.length > 0);
+  const otherFinancingCosts = (results.financing.otherMonthlyFinancingCosts || 0) * 12;
+  const firstMtgYearly = schedules.firstMtg?.yearly || [];
+  let loanBalance = loans.reduce((sum, loan) => sum + loan.schedule[0].balance + loan.schedule[0].principal + loan.schedule[0].extra, 0);
+
+  const totalCashInvested = results.cashRequirements?.totalCashRequired || 0;
+  const cashFlowSeries = [-totalCashInvested];
+  const afterTaxCashFlowSeries = [-totalCashInvested];
+
+  // Tax basis is fixed at purchase; depreciation never follows market value
+  const tax = resolveTaxSettings(inputs);
+  const basis = calculateDepreciableBasis(results.purchase || { offerPrice: inputs.offerPrice }, tax.landValuePercent);
+  const { schedule: depreciationSchedule } = taxDepreciationSchedule(basis.buildingBasis, tax, years);
+  let accumulatedDepreciation = 0;
+  let section1245Depreciation = 0;
+  let suspendedLoss = 0;
+
+  for (let year = 1; year <= years; year++) {
+    // Property value with appreciation
+    propertyValue = propertyValue * (1 + appreciationRate);
+
+    // Rental income with growth; renovated units are offline before their rent lift
+    // and the owner's unit is rented only after the occupancy period
+    const incomeGrowth = Math.pow(1 + incomeGrowthRate, year - 1);
+    const renovation = shortTermRental ? { rentLift: 0, downtimeLoss: 0 } : getRenovationRents(inputs, inPlaceRents, year);
+    const rentLiftFactor = shortTermRental ? 1 : getRentLiftFactor(inputs, year);
+    const ownerShare = shortTermRental ? 0 : ownerOccupiedShare(inputs, inPlaceRents, year);
+    const grossRents = (inPlaceRents * rentLiftFactor + renovation.rentLift) * (1 - ownerShare) * incomeGrowth;
+    const vacancyLoss = grossRents * (vacancyRate / 100) + renovation.downtimeLoss * incomeGrowth;
+    const operatingIncome = grossRents - vacancyLoss;
+
+    // Operating expenses with growth
+    const propertyTaxes = (results.expenses?.propertyTaxes || inputs.propertyTaxes || 0) * Math.pow(1 + expenseGrowthRate, year - 1);
+    const insurance = (results.expenses?.insurance || inputs.insurance || 0) * Math.pow(1 + expenseGrowthRate, year - 1);
+    const propertyManagement = operatingIncome * ((results.propertyInfo?.managementRate || inputs.managementRate || 8) / 100);
+    const maintenance = grossRents * ((inputs.maintenancePercent || inputs.repairsPercent || 5) / 100);
+    const capEx = grossRents * ((inputs.capExPercent || 5) / 100);
+    const strCosts = ((results.expenses?.platformFees || 0) + (results.expenses?.cleaningCosts || 0)) * incomeGrowth
+      + ((results.expenses?.strUtilities || 0) + (results.expenses?.supplies || 0)) * Math.pow(1 + expenseGrowthRate, year - 1);
+
+    const operatingExpenses = propertyTaxes + insurance + propertyManagement + maintenance + capEx + strCosts;
+
+    // Loan amortization from each loan's payment path; mortgage insurance on the starting balance
+    const firstMtgStartingBalance = year === 1
+      ? results.financing.firstMtg?.totalPrincipal || 0
+      : firstMtgYearly[year - 2]?.balance || 0;
+    const mortgageInsurance = mortgageInsurancePremium(results.financing.mortgageInsurance, firstMtgStartingBalance, year);
+    let debtService = otherFinancingCosts + mortgageInsurance;
+    let yearlyPrincipal = 0;
+    let yearlyInterest = 0;
+    let extraPrincipal = 0;
+    let balloonPayment = 0;
+    const startingBalance = loanBalance;
+    loanBalance = 0;
+
+    for (const loan of loans) {
+      const row = loan.yearly[year - 1];
+      if (!row) continue;
+      debtService += row.payment;
+      yearlyInterest += row.interest;
+      yearlyPrincipal += row.principal + row.extra + row.balloon;
+      extraPrincipal += row.extra;
+      balloonPayment += row.balloon;
+      loanBalance += row.balance;
+    }
+
+    // NOI and cash flow (extra principal and balloons are paid out of pocket)
+    const noi = operatingIncome - operatingExpenses;
+    const loanPayments = debtService + extraPrincipal + balloonPayment;
+    const cashFlow = noi - loanPayments;
+
+    // Income tax (passive losses are suspended and carried forward)
+    const depreciation = depreciationSchedule[year - 1].total;
+    accumulatedDepreciation += depreciation;
+    section1245Depreciation += depreciationSchedule[year - 1].section1245;
+    const financingCosts = yearlyInterest + otherFinancingCosts + mortgageInsurance;
+    const totalDeductions = operatingExpenses + financingCosts + depreciation;
+    const incomeTax = calculateIncomeTax(noi - financingCosts - depreciation, suspendedLoss, inputs);
+    suspendedLoss = incomeTax.suspendedLoss;
+    const postTaxCashFlow = cashFlow - incomeTax.taxLiability;
+
+    // Equity
+    const totalEquity = propertyValue - loanBalance;
+
+    // Sale analysis
+    const sellingCosts = propertyValue * ((inputs.sellingCosts ?? DEFAULTS.sellingCosts) / 100);
+    const saleProceeds = propertyValue - sellingCosts - loanBalance;
+    const cumulativeCashFlow = projections.reduce((sum, p) => sum + p.cashFlow, 0) + cashFlow;
+    const totalProfit = saleProceeds + cumulativeCashFlow - totalCashInvested;
+    const saleTax = calculateSaleTax({
+      salePrice: propertyValue,
+      sellingCosts,
+      adjustedBasis: basis.totalBasis - accumulatedDepreciation,
+      accumulatedDepreciation,
+      section1245Depreciation,
+      suspendedLoss
+    }, inputs);
+    const afterTaxSaleProceeds = saleProceeds - saleTax.totalTax;
+
+    // Investment returns
+    const purchasePrice = results.purchase?.realPurchasePrice || inputs.offerPrice || propertyValue;
+    const capRatePurchase = purchasePrice > 0 ? (noi / purchasePrice) * 100 : 0;
+    const capRateMarket = propertyValue > 0 ? (noi / propertyValue) * 100 : 0;
+    const cashOnCash = totalCashInvested > 0 ? (cashFlow / totalCashInvested) * 100 : 0;
+    const returnOnEquity = totalEquity > 0 ? (cashFlow / totalEquity) * 100 : 0;
+    const roi = totalCashInvested > 0 ? ((cashFlow + yearlyPrincipal) / totalCashInvested) * 100 : 0;
+
+    // Discounted returns if sold at the end of this year
+    cashFlowSeries.push(cashFlow);
+    const saleCashFlows = [...cashFlowSeries.slice(0, -1), cashFlow + saleProceeds];
+    const irr = calculateIRR(saleCashFlows);
+    const npv = calculateNPV(discountRate, saleCashFlows);
+    const mirr = calculateMIRR(saleCashFlows, financeRate, reinvestmentRate);
+    afterTaxCashFlowSeries.push(postTaxCashFlow);
+    const afterTaxIrr = calculateIRR([...afterTaxCashFlowSeries.slice(0, -1), postTaxCashFlow + afterTaxSaleProceeds]);
+
+    // Financial ratios
+    const rentToValue = propertyValue > 0 ? (grossRents / 12 / propertyValue) * 100 : 0;
+    const grm = grossRents > 0 ? propertyValue / grossRents : 0;
+    const dcr = debtService > 0 ? noi / debtService : 0;
+    const breakEvenRatio = operatingIncome > 0 ? ((operatingExpenses + debtService) / operatingIncome) * 100 : 0;
+    const debtYield = startingBalance > 0 ? (noi / startingBalance) * 100 : 0;
+    const equityMultiple = totalCashInvested > 0 ? (saleProceeds + cumulativeCashFlow) / totalCashInvested : 0;
+
+    projections.push({
+      year,
+      ownerOccupied: ownerShare > 0,
+      grossRents,
+      vacancy: vacancyLoss,
+      vacancyRate,
+      operatingIncome,
+      incomeIncrease: incomeGrowthRate * 100,
+      propertyTaxes,
+      insurance,
+      propertyManagement,
+      maintenance,
+      capEx,
+      strCosts,
+      operatingExpenses,
+      expenseIncrease: expenseGrowthRate * 100,
+      expenseRatio: operatingIncome > 0 ? (operatingExpenses / operatingIncome) * 100 : 0,
+      noi,
+      debtService,
+      mortgageInsurance,
+      loanPayments,
+      balloonPayment,
+      cashFlow,
+      postTaxCashFlow,
+      operatingExpensesDeduction: operatingExpenses,
+      loanInterest: financingCosts,
+      depreciation,
+      bonusDepreciation: depreciationSchedule[year - 1].bonus,
+      straightLineDepreciation: depreciationSchedule[year - 1].straightLine,
+      accumulatedDepreciation,
+      section1245Depreciation,
+      totalDeductions,
+      taxableIncome: incomeTax.taxableIncome,
+      allowedLoss: incomeTax.allowedLoss,
+      suspendedLoss,
+      incomeTax: incomeTax.taxLiability,
+      propertyValue,
+      appreciation: appreciationRate * 100,
+      loanBalance,
+      ltvRatio: propertyValue > 0 ? (loanBalance / propertyValue) * 100 : 0,
+      totalEquity,
+      principalPaid: yearlyPrincipal,
+      sellingCosts,
+      saleProceeds,
+      adjustedBasis: saleTax.adjustedBasis,
+      recaptureTax: saleTax.recaptureTax,
+      capitalGainsTax: saleTax.capitalGainsTax,
+      stateTax: saleTax.stateTax,
+      saleTax: saleTax.totalTax,
+      afterTaxSaleProceeds,
+      cumulativeCashFlow,
+      totalCashInvested,
+      totalProfit,
+      capRatePurchase,
+      capRateMarket,
+      cashOnCash,
+      returnOnEquity,
+      roi,
+      irr,
+      npv,
+      mirr,
+      afterTaxIrr,
+      rentToValue,
+      grm,
+      dcr,
+      breakEvenRatio,
+      debtYield,
+      equityMultiple
+    });
+  }
+
+  return projections;
+}
+
+/**
+ * Build a saved-property analysis summary
+ *
+ * Runs the full calculator and projections and condenses them into the
+ * figures stored with a saved property, so saved summaries report exactly
+ * what the analysis and projections pages show. IRR, NPV and MIRR are taken
+ * at the holding period.
+ *
+ * @function
+ * @param {Object} property - Property data object
+ * @param {Object} inputs - Calculation inputs
+ * @param {number} [inputs.holdingPeriod=5] - Years held before sale
+ * @returns {Object} Analysis summary
+ * @returns {Object} returns.inputs - Inputs used for the analysis
+ * @returns {number} returns.score - Investment score (0-100)
+ * @returns {number} returns.monthlyCashFlow - Year 1 monthly cash flow
+ * @returns {number} returns.capRate - Cap rate on purchase price
+ * @returns {number} returns.cashOnCash - Year 1 Cash-on-Cash ROI
+ * @returns {number} returns.dcr - Debt Coverage Ratio
+ * @returns {number} returns.totalCashRequired - Total cash invested
+ * @returns {number} returns.holdingPeriod - Years used for IRR/NPV/MIRR
+ * @returns {number|null} returns.irr - IRR at the holding period
+ * @returns {number} returns.npv - NPV at the holding period
+ * @returns {number|null} returns.mirr - MIRR at the holding period
+ * @returns {number|null} returns.afterTaxIrr - After-tax IRR at the holding period
+ *
+ * @example
+ * const summary = summarizeAnalysis(property, inputs);
+ * await updatePropertyAnalysis(user.uid, propertyId, summary);
+ */
+export function summarizeAnalysis(property, inputs) {
+  const analysis = new BuyRentHoldCalculator(property, inputs).getCompleteAnalysis();
+  const holdingPeriod = Math.min(30, Math.max(1, Math.round(inputs.holdingPeriod || DEFAULTS.holdingPeriod)));
+  const projections = calculateBuyHoldProjections(inputs, analysis, holdingPeriod);
+  const exitYear = projections[holdingPeriod - 1] || {};
+
+  return {
+    inputs,
+    score: analysis.investmentScore.score,
+    monthlyCashFlow: analysis.cashflow.totalMonthlyProfitOrLoss,
+    capRate: analysis.quickAnalysis.capRateOnPP,
+    cashOnCash: analysis.quickAnalysis.cashOnCashROI,
+    dcr: analysis.quickAnalysis.dcr,
+    totalCashRequired: analysis.cashRequirements.totalCashRequired,
+    holdingPeriod,
+    irr: exitYear.irr ?? null,
+    npv: exitYear.npv ?? null,
+    mirr: exitYear.mirr ?? null,
+    afterTaxIrr: exitYear.afterTaxIrr ?? null
+  };
+}
+
+// =============================================================================
+// EQUITY WATERFALL (LP / GP)
+// =============================================================================
+
+/**
+ * Default partnership terms for the equity waterfall
+ *
+ * Promote tiers apply once the investors' IRR reaches each hurdle: with the
+ * defaults the GP takes 20% of cash above an 8% IRR and 30% above 13%.
+ *
+ * @constant {Object}
+ * @property {number} gpCoInvestPercent - GP share of the equity raised
+ * @property {number} preferredReturn - Annual preferred return percentage on unreturned capital
+ * @property {boolean} compoundPreferred - Whether unpaid preferred return earns preferred return
+ * @property {number} acquisitionFeePercent - GP acquisition fee as % of the purchase price (paid at closing from equity)
+ * @property {number} assetManagementFeePercent - Annual GP asset management fee as % of equity raised
+ * @property {Array<Object>} promoteTiers - IRR hurdles and GP promote ({ hurdle, promote } percentages)
+ */
+export const DEFAULT_WATERFALL = {
+  gpCoInvestPercent: 10,
+  preferredReturn: 8,
+  compoundPreferred: false,
+  acquisitionFeePercent: 1,
+  assetManagementFeePercent: 1,
+  promoteTiers: [
+    { hurdle: 8, promote: 20 },
+    { hurdle: 13, promote: 30 }
+  ]
+};
+
+/**
+ * Split a buy & hold projection between limited (LP) and general (GP) partners
+ *
+ * Equity is the projection's total cash invested plus the acquisition fee,
+ * contributed by the LP and GP in proportion to the GP co-invest. Each year's
+ * cash flow, less the asset management fee, plus the sale proceeds in the
+ * final year, is distributed in order:
+ * 1. Preferred return accrued on unreturned capital (simple or compounding)
+ * 2. Return of capital
+ * 3. Pro rata until the investors reach the first IRR hurdle, then split with
+ *    the GP promote of each tier up to the next hurdle; above the last
+ *    hurdle the last tier's promote applies
+ *
+ * Hurdles are tracked as capital accounts compounding annually at the
+ * hurdle rate and reduced by every investor distribution. A year with
+ * negative cash flow is a capital call funded pro rata, which adds to
+ * unreturned capital. The GP's IRR and multiple include fees and promote.
+ *
+ * @function
+ * @param {Object} inputs - Calculation inputs
+ * @param {Object} [inputs.waterfall] - Partnership terms (see DEFAULT_WATERFALL)
+ * @param {number} [inputs.holdingPeriod=5] - Year of the sale
+ * @param {number} [inputs.offerPrice] - Purchase price (acquisition fee basis)
+ * @param {Array<Object>} projections - Output of calculateBuyHoldProjections() covering the holding period
+ * @returns {Object|null} Waterfall, null without projections
+ * @returns {number} returns.holdingPeriod - Year of the sale
+ * @returns {number} returns.totalEquity - Equity raised (cash invested plus acquisition fee)
+ * @returns {number} returns.acquisitionFee - GP acquisition fee paid at closing
+ * @returns {number} returns.assetManagementFee - Annual GP asset management fee
+ * @returns {number|null} returns.projectIrr - Property-level IRR before fees and promote
+ * @returns {Array<Object>} returns.years - Per year: { year, cashFlow, saleProceeds, assetManagementFee, distributable, capitalCall, preferred, returnOfCapital, promote, lpDistribution, gpDistribution, lpCashFlow, gpCashFlow, unpaidPreferred, unreturnedCapital }
+ * @returns {Object} returns.lp - LP totals: { contributed, distributions, profit, irr, equityMultiple, cashFlows }
+ * @returns {Object} returns.gp - GP totals: { contributed, distributions, profit, irr, equityMultiple, cashFlows, fees, promote }
+ * (cashFlows are the partner's net cash flows from year 0, as used for IRR)
+ *
+ * @example
+ * const projections = calculateBuyHoldProjections(inputs, analysis, inputs.holdingPeriod);
+ * const waterfall = calculateEquityWaterfall(inputs, projections);
+ * console.log(waterfall.lp.irr, waterfall.gp.equityMultiple); // e.g. 11.2, 2.9
+ */
+export function calculateEquityWaterfall(inputs, projections) {
+  if (!projections?.length) return null;
+
+  const terms = { ...DEFAULT_WATERFALL, ...(inputs?.waterfall || {}) };
+  const holdingPeriod = Math.min(projections.length, Math.max(1, Math.round(inputs?.holdingPeriod || DEFAULTS.holdingPeriod)));
+  const gpShare = Math.min(100, Math.max(0, terms.gpCoInvestPercent || 0)) / 100;
+  const lpShare = 1 - gpShare;
+  const prefRate = (terms.preferredReturn || 0) / 100;
+  const tiers = (terms.promoteTiers || [])
+    .map(tier => ({ hurdle: tier.hurdle || 0, promote: Math.min(95, Math.max(0, tier.promote || 0)) / 100 }))
+    .sort((a, b) => a.hurdle - b.hurdle);
+
+  const acquisitionFee = (inputs?.offerPrice || 0) * ((terms.acquisitionFeePercent || 0) / 100);
+  const totalEquity = (projections[0].totalCashInvested || 0) + acquisitionFee;
+  const assetManagementFee = totalEquity * ((terms.assetManagementFeePercent || 0) / 100);
+
+  let unreturnedCapital = totalEquity;
+  let unpaidPreferred = 0;
+  let contributed = totalEquity;
+  const hurdleBalances = tiers.map(() => totalEquity);
+  const lpFlows = [-totalEquity * lpShare];
+  const gpFlows = [-totalEquity * gpShare + acquisitionFee];
+  const years = [];
+  let totalPromote = 0;
+
+  const payInvestors = (amount) => {
+    hurdleBalances.forEach((_, i) => { hurdleBalances[i] -= amount; });
+  };
+
+  for (let year = 1; year <= holdingPeriod; year++) {
+    const row = projections[year - 1];
+    const saleProceeds = year === holdingPeriod ? row.saleProceeds || 0 : 0;
+    const available = (row.cashFlow || 0) - assetManagementFee + saleProceeds;
+
+    unpaidPreferred += prefRate * (unreturnedCapital + (terms.compoundPreferred ? unpaidPreferred : 0));
+    tiers.forEach((tier, i) => { hurdleBalances[i] *= 1 + tier.hurdle / 100; });
+
+    let capitalCall = 0;
+    let preferred = 0;
+    let returnOfCapital = 0;
+    let investorSplit = 0;
+    let promote = 0;
+
+    if (available < 0) {
+      capitalCall = -available;
+      unreturnedCapital += capitalCall;
+      contributed += capitalCall;
+      payInvestors(-capitalCall);
+    } else {
+      let remaining = available;
+      preferred = Math.min(remaining, unpaidPreferred);
+      unpaidPreferred -= preferred;
+      remaining -= preferred;
+      returnOfCapital = Math.min(remaining, unreturnedCapital);
+      unreturnedCapital -= returnOfCapital;
+      remaining -= returnOfCapital;
+      payInvestors(preferred + returnOfCapital);
+
+      // Band 0 is pro rata up to the first hurdle; band N uses tier N-1's promote
+      for (let band = 0; band <= tiers.length && remaining > 0; band++) {
+        const promoteShare = band === 0 ? 0 : tiers[band - 1].promote;
+        const investorsNeed = band < tiers.length ? Math.max(0, hurdleBalances[band]) : Infinity;
+        const cash = Math.min(remaining, investorsNeed / (1 - promoteShare));
+        investorSplit += cash * (1 - promoteShare);
+        promote += cash * promoteShare;
+        payInvestors(cash * (1 - promoteShare));
+        remaining -= cash;
+      }
+    }
+
+    const investorCash = preferred + returnOfCapital + investorSplit;
+    const lpDistribution = investorCash * lpShare;
+    const gpDistribution = investorCash * gpShare + promote + assetManagementFee;
+    const lpCashFlow = lpDistribution - capitalCall * lpShare;
+    const gpCashFlow = gpDistribution - capitalCall * gpShare;
+    lpFlows.push(lpCashFlow);
+    gpFlows.push(gpCashFlow);
+    totalPromote += promote;
+
+    years.push({
+      year,
+      cashFlow: row.cashFlow || 0,
+      saleProceeds,
+      assetManagementFee,
+      distributable: Math.max(0, available),
+      capitalCall,
+      preferred,
+      returnOfCapital,
+      promote,
+      lpDistribution,
+      gpDistribution,
+      lpCashFlow,
+      gpCashFlow,
+      unpaidPreferred,
+      unreturnedCapital
+    });
+  }
+
+  const summarize = (share, distributions) => {
+    const partnerContributed = contributed * share;
+    return {
+      contributed: partnerContributed,
+      distributions,
+      profit: distributions - partnerContributed,
+      equityMultiple: partnerContributed > 0 ? distributions / partnerContributed : null
+    };
+  };
+  const sum = (key) => years.reduce((total, y) => total + y[key], 0);
+
+  return {
+    holdingPeriod,
+    totalEquity,
+    acquisitionFee,
+    assetManagementFee,
+    projectIrr: projections[holdingPeriod - 1].irr ?? null,
+    years,
+    lp: {
+      ...summarize(lpShare, sum('lpDistribution')),
+      irr: calculateIRR(lpFlows),
+      cashFlows: lpFlows
+    },
+    gp: {
+      ...summarize(gpShare, sum('gpDistribution') + acquisitionFee),
+      irr: calculateIRR(gpFlows),
+      cashFlows: gpFlows,
+      fees: acquisitionFee + assetManagementFee * holdingPeriod,
+      promote: totalPromote
+    }
+  };
+}
+
+// =============================================================================
+// SCENARIO COMPARISON
+// =============================================================================
+
+/**
+ * Figures compared across scenarios, grouped like the property analysis page
+ *
+ * Each row reads its value from the complete analysis and the projection
+ * row at the holding period. `better` marks which direction wins so the
+ * comparison can highlight the best scenario; rows without it are shown
+ * for context only.
+ *
+ * @constant {Array<Object>}
+ * @property {string} [].title - Section title
+ * @property {Array<Object>} [].rows - Compared figures
+ * @property {string} [].rows[].key - Row identifier
+ * @property {string} [].rows[].label - Display label
+ * @property {string} [].rows[].format - 'currency', 'percent', 'ratio' or 'number'
+ * @property {string} [].rows[].better - 'higher', 'lower' or undefined
+ * @property {Function} [].rows[].value - (analysis, exit) => number|null
+ */
+export const SCENARIO_COMPARISON_SECTIONS = [
+  {
+    title: 'Purchase & Rehab',
+    rows: [
+      { key: 'offerPrice', label: 'Offer Price', format: 'currency', value: (a) => a.purchase.offerPrice },
+      { key: 'repairs', label: 'Repairs', format: 'currency', value: (a) => a.purchase.repairs + a.purchase.repairsContingency },
+      { key: 'closingCosts', label: 'Closing Costs', format: 'currency', value: (a) => a.purchase.closingCosts },
+      { key: 'realPurchasePrice', label: 'Real Purchase Price', format: 'currency', better: 'lower', value: (a) => a.purchase.realPurchasePrice }
+    ]
+  },
+  {
+    title: 'Financing',
+    rows: [
+      { key: 'loanAmount', label: 'First Mortgage', format: 'currency', value: (a) => a.financing.firstMtg.totalPrincipal },
+      { key: 'ltv', label: 'Loan-to-Value', format: 'percent', value: (a) => a.financing.firstMtg.ltv },
+      { key: 'rate', label: 'Interest Rate', format: 'percent', better: 'lower', value: (a) => a.financing.firstMtg.rate },
+      { key: 'monthlyDebtService', label: 'Monthly Debt Service', format: 'currency', better: 'lower', value: (a) => a.cashflow.debtServicingCosts / 12 },
+      { key: 'totalCashRequired', label: 'Total Cash Required', format: 'currency', better: 'lower', value: (a) => a.cashRequirements.totalCashRequired }
+    ]
+  },
+  {
+    title: 'BRRRR',
+    rows: [
+      { key: 'cashOutProceeds', label: 'Cash Out at Refinance', format: 'currency', better: 'higher', value: (a) => a.brrrr?.cashOutProceeds ?? null },
+      { key: 'cashLeftInDeal', label: 'Cash Left in Deal', format: 'currency', better: 'lower', value: (a) => a.brrrr?.cashLeftInDeal ?? null },
+      { key: 'postRefiCashFlow', label: 'Post-Refi Monthly Cash Flow', format: 'currency', better: 'higher', value: (a) => a.brrrr?.monthlyCashFlow ?? null }
+    ]
+  },
+  {
+    title: 'Valuation',
+    rows: [
+      { key: 'pricePerUnit', label: 'Price per Unit', format: 'currency', better: 'lower', value: (a) => a.purchase.offerPrice / (a.propertyInfo.numberOfUnits || 1) },
+      { key: 'grm', label: 'Gross Rent Multiplier', format: 'ratio', better: 'lower', value: (a) => a.quickAnalysis.grm },
+      { key: 'rentToValue', label: 'Rent to Value', format: 'percent', better: 'higher', value: (a) => (a.purchase.offerPrice > 0 ? (a.income.grossRents / 12 / a.purchase.offerPrice) * 100 : 0) }
+    ]
+  },
+  {
+    title: 'Short-Term Rental',
+    rows: [
+      { key: 'adr', label: 'Average Daily Rate', format: 'currency', better: 'higher', value: (a) => a.income.shortTermRental?.averageDailyRate ?? null },
+      { key: 'occupancy', label: 'Occupancy', format: 'percent', better: 'higher', value: (a) => a.income.shortTermRental?.occupancy ?? null },
+      { key: 'revPAR', label: 'RevPAR', format: 'currency', better: 'higher', value: (a) => a.income.shortTermRental?.revPAR ?? null },
+      { key: 'strCosts', label: 'Platform, Cleaning & Supplies', format: 'currency', better: 'lower', value: (a) => a.income.shortTermRental?.operatingCosts ?? null },
+      { key: 'furnishing', label: 'Furnishing', format: 'currency', better: 'lower', value: (a) => (a.income.shortTermRental ? a.purchase.furnishing : null) }
+    ]
+  },
+  {
+    title: 'House Hack',
+    rows: [
+      { key: 'effectiveHousingCost', label: 'Effective Housing Cost', format: 'currency', better: 'lower', value: (a) => a.houseHack?.effectiveHousingCost ?? null },
+      { key: 'housingSavings', label: 'Savings vs. Renting', format: 'currency', better: 'higher', value: (a) => a.houseHack?.monthlySavings ?? null },
+      { key: 'fullRentalCashFlow', label: 'Cash Flow After Move-Out', format: 'currency', better: 'higher', value: (a) => a.houseHack?.fullRentalCashFlow ?? null }
+    ]
+  },
+  {
+    title: 'Cash Flow (Year 1)',
+    rows: [
+      { key: 'effectiveGrossIncome', label: 'Effective Gross Income', format: 'currency', better: 'higher', value: (a) => a.noi.effectiveGrossIncome },
+      { key: 'operatingExpenses', label: 'Operating Expenses', format: 'currency', better: 'lower', value: (a) => a.noi.totalExpenses },
+      { key: 'netOperatingIncome', label: 'Net Operating Income', format: 'currency', better: 'higher', value: (a) => a.noi.netOperatingIncome },
+      { key: 'monthlyCashFlow', label: 'Monthly Cash Flow', format: 'currency', better: 'higher', value: (a) => a.cashflow.totalMonthlyProfitOrLoss },
+      { key: 'monthlyAfterTaxCashFlow', label: 'Monthly After-Tax Cash Flow', format: 'currency', better: 'higher', value: (a) => a.taxes.monthlyAfterTaxCashFlow }
+    ]
+  },
+  {
+    title: 'Taxes & Depreciation',
+    rows: [
+      { key: 'depreciation', label: 'Year 1 Depreciation', format: 'currency', better: 'higher', value: (a) => a.taxes.depreciation },
+      { key: 'taxLiability', label: 'Year 1 Income Tax', format: 'currency', better: 'lower', value: (a) => a.taxes.taxLiability }
+    ]
+  },
+  {
+    title: 'Investment Returns',
+    rows: [
+      { key: 'cashOnCash', label: 'Cash-on-Cash ROI', format: 'percent', better: 'higher', value: (a) => a.quickAnalysis.cashOnCashROI },
+      { key: 'equityROI', label: 'Equity ROI', format: 'percent', better: 'higher', value: (a) => a.quickAnalysis.equityROI },
+      { key: 'appreciationROI', label: 'Appreciation ROI', format: 'percent', better: 'higher', value: (a) => a.quickAnalysis.appreciationROI },
+      { key: 'totalROI', label: 'Total ROI (Year 1)', format: 'percent', better: 'higher', value: (a) => a.quickAnalysis.totalROI },
+      { key: 'irr', label: 'IRR at Holding Period', format: 'percent', better: 'higher', value: (a, exit) => exit.irr ?? null },
+      { key: 'afterTaxIrr', label: 'After-Tax IRR', format: 'percent', better: 'higher', value: (a, exit) => exit.afterTaxIrr ?? null },
+      { key: 'npv', label: 'NPV', format: 'currency', better: 'higher', value: (a, exit) => exit.npv ?? null },
+      { key: 'totalProfit', label: 'Total Profit at Sale', format: 'currency', better: 'higher', value: (a, exit) => exit.totalProfit ?? null }
+    ]
+  },
+  {
+    title: 'Financial Ratios',
+    rows: [
+      { key: 'capRate', label: 'Cap Rate (Purchase Price)', format: 'percent', better: 'higher', value: (a) => a.quickAnalysis.capRateOnPP },
+      { key: 'dcr', label: 'Debt Coverage Ratio', format: 'ratio', better: 'higher', value: (a) => a.quickAnalysis.dcr },
+      { key: 'expenseRatio', label: 'Expense Ratio', format: 'percent', better: 'lower', value: (a) => a.quickAnalysis.expenseToIncomeRatio },
+      { key: 'score', label: 'Investment Score', format: 'number', better: 'higher', value: (a) => a.investmentScore.score }
+    ]
+  }
+];
+
+/**
+ * Figures compared across saved properties
+ *
+ * Same shape as SCENARIO_COMPARISON_SECTIONS. Projection rows read the
+ * year 5 and year 10 rows of the buy & hold projections.
+ *
+ * @constant {Array<Object>}
+ */
+export const PROPERTY_COMPARISON_SECTIONS = [
+  {
+    title: 'Deal',
+    rows: [
+      { key: 'price', label: 'Price', format: 'currency', better: 'lower', value: (a) => a.purchase.offerPrice },
+      { key: 'monthlyRent', label: 'Monthly Rent', format: 'currency', better: 'higher', value: (a) => a.income.grossRents / 12 },
+      { key: 'capRate', label: 'Cap Rate', format: 'percent', better: 'higher', value: (a) => a.quickAnalysis.capRateOnPP },
+      { key: 'cashOnCash', label: 'Cash-on-Cash ROI', format: 'percent', better: 'higher', value: (a) => a.quickAnalysis.cashOnCashROI },
+      { key: 'dcr', label: 'Debt Coverage Ratio', format: 'ratio', better: 'higher', value: (a) => a.quickAnalysis.dcr },
+      { key: 'monthlyCashFlow', label: 'Monthly Cash Flow', format: 'currency', better: 'higher', value: (a) => a.cashflow.totalMonthlyProfitOrLoss },
+      { key: 'cashNeeded', label: 'Cash Needed', format: 'currency', better: 'lower', value: (a) => a.cashRequirements.totalCashRequired },
+      { key: 'score', label: 'Investment Score', format: 'number', better: 'higher', value: (a) => a.investmentScore.score }
+    ]
+  },
+  {
+    title: 'Projections',
+    rows: [
+      { key: 'equity5', label: 'Equity (Year 5)', format: 'currency', better: 'higher', value: (a, exit, p) => p[4]?.totalEquity ?? null },
+      { key: 'equity10', label: 'Equity (Year 10)', format: 'currency', better: 'higher', value: (a, exit, p) => p[9]?.totalEquity ?? null },
+      { key: 'irr5', label: 'IRR (5-Year Sale)', format: 'percent', better: 'higher', value: (a, exit, p) => p[4]?.irr ?? null },
+      { key: 'irr10', label: 'IRR (10-Year Sale)', format: 'percent', better: 'higher', value: (a, exit, p) => p[9]?.irr ?? null }
+    ]
+  }
+];
+
+/**
+ * Analyze entries and line up comparison rows
+ *
+ * Projects each entry for at least 10 years (or its holding period if
+ * longer) so rows can read any year up to 10. Row accessors receive
+ * (analysis, exit, projections) where exit is the holding-period row.
+ *
+ * @private
+ * @param {Array<Object>} entries - { id, name, property, inputs }
+ * @param {Array<Object>} sectionDefs - Comparison section definitions
+ * @returns {Object} { columns: [{ id, name, holdingPeriod }], sections }
+ */
+function compareAnalyses(entries, sectionDefs) {
+  const analyzed = entries.map(entry => {
+    const analysis = new BuyRentHoldCalculator(entry.property, entry.inputs).getCompleteAnalysis();
+    const holdingPeriod = Math.min(30, Math.max(1, Math.round(entry.inputs.holdingPeriod || DEFAULTS.holdingPeriod)));
+    const projections = calculateBuyHoldProjections(entry.inputs, analysis, Math.max(10, holdingPeriod));
+    return { entry, analysis, holdingPeriod, projections, exit: projections[holdingPeriod - 1] || {} };
+  });
+
+  const sections = sectionDefs.map(section => ({
+    title: section.title,
+    rows: section.rows.map(row => {
+      const values = analyzed.map(({ analysis, exit, projections }) => {
+        const value = row.value(analysis, exit, projections);
+        return value === null || value === undefined || !isFinite(value) ? null : value;
+      });
+
+      let best = null;
+      const present = values.filter(v => v !== null);
+      if (row.better && present.length > 1 && Math.max(...present) !== Math.min(...present)) {
+        const target = row.better === 'higher' ? Math.max(...present) : Math.min(...present);
+        best = values.indexOf(target);
+      }
+
+      return { key: row.key, label: row.label, format: row.format, better: row.better, values, best };
+    })
+  })).filter(section => section.rows.some(row => row.values.some(v => v !== null)));
+
+  return {
+    columns: analyzed.map(({ entry, holdingPeriod }) => ({ id: entry.id, name: entry.name, holdingPeriod })),
+    sections
+  };
+}
+
+/**
+ * Compare named scenarios side by side
+ *
+ * Runs the complete analysis and projections for each scenario's inputs and
+ * lines up the figures in SCENARIO_COMPARISON_SECTIONS. Sections with no
+ * value in any scenario (e.g. BRRRR when no scenario uses it) are dropped.
+ * For rows with a `better` direction, `best` is the index of the winning
+ * scenario, or null when all scenarios tie.
+ *
+ * @function
+ * @param {Object} property - Property data object
+ * @param {Array<Object>} scenarios - Scenarios to compare
+ * @param {string} scenarios[].id - Scenario ID
+ * @param {string} scenarios[].name - Scenario name
+ * @param {Object} scenarios[].inputs - Calculation inputs
+ * @returns {Object} Comparison
+ * @returns {Array<Object>} returns.scenarios - { id, name, holdingPeriod } per scenario
+ * @returns {Array<Object>} returns.sections - { title, rows } in display order
+ * @returns {Array<Object>} returns.sections[].rows - { key, label, format, better, values, best }
+ *
+ * @example
+ * const comparison = compareScenarios(property, [
+ *   { id: 'a', name: 'Asking price / 25% down', inputs: askingInputs },
+ *   { id: 'b', name: 'Counter offer / DSCR loan', inputs: counterInputs }
+ * ]);
+ * // comparison.sections[4].rows[3] → { label: 'Monthly Cash Flow', values: [212, 388], best: 1 }
+ */
+export function compareScenarios(property, scenarios) {
+  const { columns, sections } = compareAnalyses(
+    scenarios.map(scenario => ({ ...scenario, property })),
+    SCENARIO_COMPARISON_SECTIONS
+  );
+  return { scenarios: columns, sections };
+}
+
+/**
+ * Compare saved properties side by side
+ *
+ * Recomputes every property through BuyRentHoldCalculator from its saved
+ * analysis inputs, so all columns use the same math regardless of when each
+ * analysis was saved, and lines up PROPERTY_COMPARISON_SECTIONS with the
+ * best value in each row marked.
+ *
+ * @function
+ * @param {Array<Object>} properties - Properties to compare
+ * @param {string} properties[].id - Property ID
+ * @param {string} properties[].name - Column label (usually the address)
+ * @param {Object} properties[].property - Property data object
+ * @param {Object} properties[].inputs - Calculation inputs
+ * @returns {Object} Comparison
+ * @returns {Array<Object>} returns.properties - { id, name, holdingPeriod } per property
+ * @returns {Array<Object>} returns.sections - { title, rows } in display order
+ * @returns {Array<Object>} returns.sections[].rows - { key, label, format, better, values, best }
+ *
+ * @example
+ * const comparison = compareProperties(saved.map(s => ({
+ *   id: s.propertyId,
+ *   name: s.propertyData.address,
+ *   property: s.propertyData,
+ *   inputs: s.analysis.inputs
+ * })));
+ */
+export function compareProperties(properties) {
+  const { columns, sections } = compareAnalyses(properties, PROPERTY_COMPARISON_SECTIONS);
+  return { properties: columns, sections };
+}
+
+// =============================================================================
+// SENSITIVITY ANALYSIS
+// =============================================================================
+
+/**
+ * Inputs available for sensitivity analysis
+ *
+ * `step` is the default table step in input units; `stepPercent` is a
+ * default step as a percentage of the base value (for dollar inputs).
+ *
+ * @constant {Array<Object>}
+ * @property {string} [].key - Input field name
+ * @property {string} [].label - Display label
+ * @property {string} [].format - 'currency' or 'percent'
+ * @property {number} [].step - Default step in input units (percent inputs)
+ * @property {number} [].stepPercent - Default step as % of the base value (dollar inputs)
+ */
+export const SENSITIVITY_INPUTS = [
+  { key: 'offerPrice', label: 'Offer Price', format: 'currency', stepPercent: 5 },
+  { key: 'grossRents', label: 'Gross Rents (Annual)', format: 'currency', stepPercent: 5 },
+  { key: 'firstMtgRate', label: 'Interest Rate', format: 'percent', step: 0.5 },
+  { key: 'vacancyRate', label: 'Vacancy Rate', format: 'percent', step: 2 },
+  { key: 'firstMtgLTV', label: 'Loan-to-Value', format: 'percent', step: 5 },
+  { key: 'propertyTaxes', label: 'Property Taxes', format: 'currency', stepPercent: 10 },
+  { key: 'insurance', label: 'Insurance', format: 'currency', stepPercent: 10 },
+  { key: 'managementRate', label: 'Management Rate', format: 'percent', step: 2 },
+  { key: 'repairsPercent', label: 'Repairs & Maintenance', format: 'percent', step: 2 }
+];
+
+/**
+ * Outcome metrics available for sensitivity analysis
+ *
+ * @constant {Array<Object>}
+ * @property {string} [].key - Metric key
+ * @property {string} [].label - Display label
+ * @property {string} [].format - 'currency' or 'percent'
+ */
+export const SENSITIVITY_METRICS = [
+  { key: 'monthlyCashFlow', label: 'Monthly Cash Flow', format: 'currency' },
+  { key: 'cashOnCash', label: 'Cash-on-Cash ROI', format: 'percent' },
+  { key: 'capRate', label: 'Cap Rate', format: 'percent' }
+];
+
+/**
+ * Read a sensitivity metric from a complete analysis
+ *
+ * @private
+ * @param {Object} analysis - Output of getCompleteAnalysis()
+ * @param {string} metric - Key from SENSITIVITY_METRICS
+ * @returns {number} Metric value
+ */
+function sensitivityMetric(analysis, metric) {
+  switch (metric) {
+    case 'cashOnCash':
+      return analysis.quickAnalysis.cashOnCashROI;
+    case 'capRate':
+      return analysis.quickAnalysis.capRateOnPP;
+    default:
+      return analysis.cashflow.totalMonthlyProfitOrLoss;
+  }
+}
+
+/**
+ * Get the current value of a sensitivity input
+ *
+ * Uses the input when set, otherwise the value the calculator actually
+ * applied (e.g. its default vacancy or management rate). For a short-term
+ * rental, gross rents are its gross revenue, vacancy is 100% less its
+ * occupancy and management is its STR management rate.
+ *
+ * @function
+ * @param {string} key - Key from SENSITIVITY_INPUTS
+ * @param {Object} inputs - Calculation inputs
+ * @param {Object} analysis - Output of getCompleteAnalysis() for those inputs
+ * @returns {number} Base value
+ *
+ * @example
+ * getSensitivityBaseValue('vacancyRate', inputs, analysis); // 5
+ */
+export function getSensitivityBaseValue(key, inputs, analysis) {
+  const applied = {
+    offerPrice: analysis?.purchase?.offerPrice,
+    grossRents: analysis?.income?.grossRents,
+    firstMtgRate: analysis?.financing?.firstMtg?.rate,
+    vacancyRate: analysis?.propertyInfo?.vacancyRate,
+    managementRate: analysis?.propertyInfo?.managementRate,
+    propertyTaxes: analysis?.expenses?.propertyTaxes,
+    insurance: analysis?.expenses?.insurance
+  };
+  if (isShortTermRental(inputs) && ['grossRents', 'vacancyRate', 'managementRate'].includes(key)) {
+    const str = analysis?.income?.shortTermRental;
+    if (key === 'vacancyRate') return str ? 100 - str.occupancy : 0;
+    return applied[key] ?? 0;
+  }
+  return inputs[key] ?? applied[key] ?? DEFAULTS[key] ?? 0;
+}
+
+/**
+ * Apply sensitivity input values to calculation inputs
+ *
+ * A short-term rental ignores the long-term rent, vacancy and management
+ * inputs, so those levers are mapped onto its settings: gross rents scales
+ * every month's ADR until gross revenue (nightly rent plus cleaning fees at
+ * the current occupancy) matches it, vacancy scales every month's occupancy
+ * to 100% less the value, and management sets the STR management rate.
+ *
+ * @private
+ * @param {Object} inputs - Calculation inputs
+ * @param {Object} overrides - Input values by SENSITIVITY_INPUTS key
+ * @returns {Object} Inputs with the overrides applied
+ */
+function applySensitivityInputs(inputs, overrides) {
+  if (!isShortTermRental(inputs)) return { ...inputs, ...overrides };
+
+  const { grossRents, vacancyRate, managementRate, ...rest } = overrides;
+  const settings = { ...DEFAULT_STR_INPUTS, ...inputs.shortTermRental };
+  const str = calculateShortTermRental(settings);
+  const adrScale = grossRents !== undefined && str.rentRevenue > 0
+    ? Math.max(0, grossRents - str.cleaningFees) / str.rentRevenue
+    : 1;
+  const occupancy = (value) => {
+    if (vacancyRate === undefined) return value;
+    const target = Math.min(100, Math.max(0, 100 - vacancyRate));
+    return Math.min(100, str.occupancy > 0 ? (value || 0) * (target / str.occupancy) : target);
+  };
+
+  return {
+    ...inputs,
+    ...rest,
+    shortTermRental: {
+      ...settings,
+      managementRate: managementRate ?? settings.managementRate,
+      months: settings.months.map(month => ({
+        ...month,
+        adr: (month.adr || 0) * adrScale,
+        occupancy: occupancy(month.occupancy)
+      }))
+    }
+  };
+}
+
+/**
+ * Build a two-way sensitivity table
+ *
+ * Re-runs the full analysis for every combination of two inputs and reads
+ * one outcome metric from each run.
+ *
+ * @function
+ * @param {Object} property - Property data passed to BuyRentHoldCalculator
+ * @param {Object} inputs - Base calculation inputs
+ * @param {Object} table - Table definition
+ * @param {string} table.rowKey - Input varied down the rows
+ * @param {Array<number>} table.rowValues - Row input values
+ * @param {string} table.columnKey - Input varied across the columns
+ * @param {Array<number>} table.columnValues - Column input values
+ * @param {string} [table.metric='monthlyCashFlow'] - Key from SENSITIVITY_METRICS
+ * @returns {Object} Sensitivity table
+ * @returns {number} returns.base - Metric at the base inputs
+ * @returns {Array<number>} returns.columnValues - Column input values
+ * @returns {Array<Object>} returns.rows - { value, results } where results[i] is the metric at columnValues[i]
+ *
+ * @example
+ * const table = calculateSensitivityTable(property, inputs, {
+ *   rowKey: 'offerPrice', rowValues: [240000, 250000, 260000],
+ *   columnKey: 'firstMtgRate', columnValues: [6.5, 7, 7.5],
+ *   metric: 'cashOnCash'
+ * });
+ * console.log(table.rows[0].results[0]); // CoC at $240k and 6.5%
+ */
+export function calculateSensitivityTable(property, inputs, table) {
+  const metric = table.metric || 'monthlyCashFlow';
+  const run = (overrides) => sensitivityMetric(
+    new BuyRentHoldCalculator(property, applySensitivityInputs(inputs, overrides)).getCompleteAnalysis(),
+    metric
+  );
+
+  return {
+    base: run({}),
+    columnValues: table.columnValues,
+    rows: table.rowValues.map(value => ({
+      value,
+      results: table.columnValues.map(columnValue => run({
+        [table.rowKey]: value,
+        [table.columnKey]: columnValue
+      }))
+    }))
+  };
+}
+
+/**
+ * Build tornado chart data
+ *
+ * Moves each input down and up by the same percentage of its base value,
+ * one at a time, and ranks the inputs by how far the outcome metric swings.
+ *
+ * @function
+ * @param {Object} property - Property data passed to BuyRentHoldCalculator
+ * @param {Object} inputs - Base calculation inputs
+ * @param {Object} [options={}] - Tornado settings
+ * @param {string} [options.metric='monthlyCashFlow'] - Key from SENSITIVITY_METRICS
+ * @param {number} [options.swingPercent=10] - Relative change applied to each input
+ * @param {Array<string>} [options.keys] - Inputs to test (defaults to all SENSITIVITY_INPUTS)
+ * @returns {Object} Tornado data
+ * @returns {number} returns.base - Metric at the base inputs
+ * @returns {Array<Object>} returns.bars - Sorted by spread: { key, label, baseValue, lowValue, highValue, low, high, spread }
+ *
+ * @example
+ * const { bars } = calculateTornado(property, inputs, { metric: 'cashOnCash' });
+ * console.log(bars[0].label); // input that moves CoC the most, e.g. 'Gross Rents (Annual)'
+ */
+export function calculateTornado(property, inputs, options = {}) {
+  const metric = options.metric || 'monthlyCashFlow';
+  const swing = (options.swingPercent ?? 10) / 100;
+  const keys = options.keys || SENSITIVITY_INPUTS.map(input => input.key);
+
+  const baseAnalysis = new BuyRentHoldCalculator(property, inputs).getCompleteAnalysis();
+  const run = (overrides) => sensitivityMetric(
+    new BuyRentHoldCalculator(property, applySensitivityInputs(inputs, overrides)).getCompleteAnalysis(),
+    metric
+  );
+
+  const bars = keys.map(key => {
+    const input = SENSITIVITY_INPUTS.find(i => i.key === key) || { key, label: key };
+    const baseValue = getSensitivityBaseValue(key, inputs, baseAnalysis);
+    const lowValue = baseValue * (1 - swing);
+    const highValue = baseValue * (1 + swing);
+    const low = run({ [key]: lowValue });
+    const high = run({ [key]: highValue });
+    return { key, label: input.label, baseValue, lowValue, highValue, low, high, spread: Math.abs(high - low) };
+  });
+
+  return {
+    base: sensitivityMetric(baseAnalysis, metric),
+    bars: bars.sort((a, b) => b.spread - a.spread)
+  };
+}
+
+// =============================================================================
+// GOAL SEEK
+// =============================================================================
+
+/**
+ * Default search ranges for goal-seek inputs
+ *
+ * @private
+ * @param {string} input - Input field name
+ * @param {number} base - Current input value
+ * @returns {Array<number>} [min, max]
+ */
+function goalSeekRange(input, base) {
+  switch (input) {
+    case 'firstMtgRate':
+      return [0, 30];
+    case 'firstMtgLTV':
+      return [1, 100];
+    case 'vacancyRate':
+      return [0, 100];
+    default:
+      // Ratios are reported as 0 at a zero price or rent, so start just above it
+      return [1, Math.max(base * 5, 1000000)];
+  }
+}
+
+/**
+ * Read a goal-seek metric from a calculator without running the full analysis
+ *
+ * @private
+ * @param {BuyRentHoldCalculator} calculator - Calculator for the trial inputs
+ * @param {string} metric - Metric key
+ * @returns {number} Metric value
+ */
+function goalSeekMetric(calculator, metric) {
+  switch (metric) {
+    case 'monthlyCashFlow':
+      return calculator.calculateCashflowSummary().totalMonthlyProfitOrLoss;
+    case 'cashNeeded':
+      return calculator.calculateCashRequirements().totalCashRequired;
+    case 'cashOnCash':
+      return calculator.calculateQuickAnalysis().cashOnCashROI;
+    case 'capRate':
+      return calculator.calculateQuickAnalysis().capRateOnPP;
+    case 'dcr':
+      return calculator.calculateQuickAnalysis().dcr;
+    case 'expenseRatio':
+      return calculator.calculateQuickAnalysis().expenseToIncomeRatio;
+    default:
+      throw new Error(`Unknown goal-seek metric: ${metric}`);
+  }
+}
+
+/**
+ * Solve for the input value that produces a target output
+ *
+ * Varies one input of BuyRentHoldCalculator until the chosen metric equals
+ * the target, using false position (Illinois variant) inside a bracketing
+ * range. The metric must move in one direction across the range; when the
+ * target is not crossed within the range the result is null.
+ *
+ * Metrics: 'monthlyCashFlow', 'cashOnCash', 'capRate', 'dcr', 'cashNeeded'
+ * and 'expenseRatio'. For a short-term rental, 'grossRents' is solved as
+ * gross revenue by scaling the monthly ADRs.
+ *
+ * @function
+ * @param {Object} property - Property data passed to BuyRentHoldCalculator
+ * @param {Object} inputs - Base calculation inputs
+ * @param {Object} goal - What to solve
+ * @param {string} goal.input - Input to vary (e.g. 'offerPrice', 'grossRents', 'firstMtgRate', 'firstMtgLTV')
+ * @param {string} goal.metric - Output to hit
+ * @param {number} goal.target - Target output value
+ * @param {number} [goal.min] - Lowest input value to search
+ * @param {number} [goal.max] - Highest input value to search
+ * @param {number} [goal.tolerance] - Input precision (1 for dollars, 0.001 for rates)
+ * @returns {number|null} Input value that hits the target, or null if out of range
+ *
+ * @example
+ * // Highest offer that still cash flows $300/mo
+ * goalSeek(property, inputs, { input: 'offerPrice', metric: 'monthlyCashFlow', target: 300 });
+ * // Highest rate before cash flow goes negative
+ * goalSeek(property, inputs, { input: 'firstMtgRate', metric: 'monthlyCashFlow', target: 0 });
+ */
+export function goalSeek(property, inputs, goal) {
+  const { input, metric, target } = goal;
+  const base = input === 'grossRents' && isShortTermRental(inputs)
+    ? calculateShortTermRental(inputs.shortTermRental).grossRevenue
+    : inputs[input] ?? DEFAULTS[input] ?? 0;
+  const [defaultMin, defaultMax] = goalSeekRange(input, base);
+  const isRate = ['firstMtgRate', 'firstMtgLTV', 'vacancyRate'].includes(input);
+  const tolerance = goal.tolerance ?? (isRate ? 0.001 : 1);
+
+  const f = (value) => goalSeekMetric(new BuyRentHoldCalculator(property, applySensitivityInputs(inputs, { [input]: value })), metric) - target;
+
+  let low = goal.min ?? defaultMin;
+  let high = goal.max ?? defaultMax;
+  let fLow = f(low);
+  let fHigh = f(high);
+  if (!isFinite(fLow) || !isFinite(fHigh) || fLow * fHigh > 0) return null;
+  if (fLow === 0) return low;
+  if (fHigh === 0) return high;
+
+  let side = 0;
+  let previous = null;
+  for (let i = 0; i < 100; i++) {
+    const next = (fLow * high - fHigh * low) / (fLow - fHigh);
+    const fNext = f(next);
+    if (fNext === 0 || (previous !== null && Math.abs(next - previous) < tolerance) || high - low < tolerance) return next;
+    previous = next;
+
+    if (fNext * fHigh > 0) {
+      high = next;
+      fHigh = fNext;
+      // Illinois step: halve the stale endpoint so convergence does not stall
+      if (side === -1) fLow /= 2;
+      side = -1;
+    } else {
+      low = next;
+      fLow = fNext;
+      if (side === 1) fHigh /= 2;
+      side = 1;
+    }
+  }
+
+  return (low + high) / 2;
+}
+
+/**
+ * Find the offer price, rent and loan size that pass each purchase criterion
+ *
+ * For every criterion, solves for the highest offer price, the lowest
+ * monthly rent and (for DCR) the smallest down payment that meet the
+ * target, with other inputs unchanged. Also reports break-even points:
+ * the offer, rent and interest rate at which monthly cash flow is zero.
+ *
+ * @function
+ * @param {Object} property - Property data passed to BuyRentHoldCalculator
+ * @param {Object} inputs - Base calculation inputs
+ * @param {Object} criteria - Purchase criteria (maxCashNeeded, minCashFlow, maxExpenseRatio, minCapRate, minCoCROI, minDCR)
+ * @returns {Object} Solutions
+ * @returns {Object} returns.criteria - By criterion id: { maxOffer, minMonthlyRent, minDownPaymentPercent } (null where not solvable)
+ * @returns {Object} returns.breakEven - { maxOffer, minMonthlyRent, maxRate } for $0 monthly cash flow
+ *
+ * @example
+ * const { criteria, breakEven } = solvePurchaseCriteria(property, inputs, DEFAULT_CRITERIA);
+ * console.log(criteria.cocROI.maxOffer, breakEven.maxRate);
+ */
+export function solvePurchaseCriteria(property, inputs, criteria) {
+  const seek = (input, metric, target) => goalSeek(property, inputs, { input, metric, target });
+  const monthly = (annual) => (annual === null ? null : annual / 12);
+
+  const goals = {
+    cashNeeded: { metric: 'cashNeeded', target: criteria.maxCashNeeded, rent: false },
+    cashFlow: { metric: 'monthlyCashFlow', target: criteria.minCashFlow },
+    expenseRatio: { metric: 'expenseRatio', target: criteria.maxExpenseRatio, price: false },
+    capRate: { metric: 'capRate', target: criteria.minCapRate },
+    cocROI: { metric: 'cashOnCash', target: criteria.minCoCROI },
+    dcr: { metric: 'dcr', target: criteria.minDCR }
+  };
+
+  const solutions = {};
+  for (const [id, goal] of Object.entries(goals)) {
+    const maxLTV = id === 'dcr' ? seek('firstMtgLTV', goal.metric, goal.target) : null;
+    solutions[id] = {
+      maxOffer: goal.price === false ? null : seek('offerPrice', goal.metric, goal.target),
+      minMonthlyRent: goal.rent === false ? null : monthly(seek('grossRents', goal.metric, goal.target)),
+      minDownPaymentPercent: maxLTV === null ? null : 100 - maxLTV
+    };
+  }
+
+  return {
+    criteria: solutions,
+    breakEven: {
+      maxOffer: seek('offerPrice', 'monthlyCashFlow', 0),
+      minMonthlyRent: monthly(seek('grossRents', 'monthlyCashFlow', 0)),
+      maxRate: seek('firstMtgRate', 'monthlyCashFlow', 0)
+    }
+  };
+}
+
+// =============================================================================
+// MONTE CARLO SIMULATION
+// =============================================================================
+
+/**
+ * Create a seedable pseudo-random number generator
+ *
+ * Mulberry32: a small, fast 32-bit generator. The same seed always produces
+ * the same sequence, so simulations are reproducible.
+ *
+ * @function
+ * @param {number} [seed=1] - Integer seed
+ * @returns {Function} Generator returning a float in [0, 1)
+ *
+ * @example
+ * const random = createRandom(42);
+ * random(); // same value on every run with seed 42
+ */
+export function createRandom(seed = 1) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Draw from a normal distribution (Box-Muller)
+ *
+ * @private
+ * @param {Function} random - Uniform generator from createRandom()
+ * @param {number} mean - Distribution mean
+ * @param {number} stdDev - Standard deviation
+ * @returns {number} Normally distributed value
+ */
+function randomNormal(random, mean, stdDev) {
+  const u = 1 - random();
+  const v = random();
+  return mean + stdDev * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+/**
+ * Percentile of a sorted array with linear interpolation
+ *
+ * @private
+ * @param {Array<number>} sorted - Values sorted ascending
+ * @param {number} p - Percentile (0-100)
+ * @returns {number|null} Percentile value, or null for an empty array
+ */
+function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  const index = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(index);
+  const upper = Math.ceil(index);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower);
+}
+
+/**
+ * Percentile bands (10/25/50/75/90) for a set of values
+ *
+ * @private
+ * @param {Array<number|null>} values - Simulated values (nulls are ignored)
+ * @returns {Object} { p10, p25, p50, p75, p90 }
+ */
+function percentileBands(values) {
+  const sorted = values.filter(v => v !== null && isFinite(v)).sort((a, b) => a - b);
+  return {
+    p10: percentile(sorted, 10),
+    p25: percentile(sorted, 25),
+    p50: percentile(sorted, 50),
+    p75: percentile(sorted, 75),
+    p90: percentile(sorted, 90)
+  };
+}
+
+/**
+ * Run a Monte Carlo simulation of the buy & hold projection
+ *
+ * Each run draws appreciation, income growth, expense growth and vacancy
+ * from normal distributions and re-runs calculateBuyHoldProjections() with
+ * those rates held for the run. A short-term rental's projection has no
+ * vacancy (occupancy sets its revenue), so vacancy is not drawn for one. Results are summarized as percentile bands
+ * by year plus the probability of negative cash flow in any year and of
+ * losing money if sold at the end of the horizon (total profit below zero).
+ *
+ * @function
+ * @param {Object} inputs - Calculation inputs
+ * @param {Object} results - Output of BuyRentHoldCalculator.getCompleteAnalysis()
+ * @param {Object} [options={}] - Simulation settings
+ * @param {number} [options.runs=1000] - Number of simulated runs
+ * @param {number} [options.seed=1] - RNG seed for reproducible results
+ * @param {number} [options.years] - Horizon in years (defaults to the holding period)
+ * @param {Object} [options.distributions] - { appreciationRate, incomeGrowthRate, expenseGrowthRate, vacancyRate },
+ *   each { mean, stdDev } in percentage points. Means default to the inputs; standard deviations to DEFAULTS.
+ * @returns {Object} Simulation summary
+ * @returns {number} returns.runs - Runs simulated
+ * @returns {number} returns.seed - Seed used
+ * @returns {Array<Object>} returns.years - Per year: { year, cashFlow, equity, irr }, each a { p10, p25, p50, p75, p90 } band
+ * @returns {Object} returns.exit - Bands at the horizon for totalProfit, afterTaxSaleProceeds and irr
+ * @returns {number} returns.probabilityNegativeCashFlow - Share of runs with a negative cash flow year (0-100)
+ * @returns {number} returns.probabilityLoss - Share of runs that lose money at sale (0-100)
+ *
+ * @example
+ * const sim = simulateBuyHold(inputs, analysis, { runs: 2000, seed: 7 });
+ * console.log(sim.exit.irr.p50, sim.probabilityLoss);
+ */
+export function simulateBuyHold(inputs, results, options = {}) {
+  const runs = Math.max(1, Math.round(options.runs || DEFAULTS.simulationRuns));
+  const seed = options.seed ?? 1;
+  const years = Math.min(30, Math.max(1, Math.round(options.years || inputs.holdingPeriod || DEFAULTS.holdingPeriod)));
+  const random = createRandom(seed);
+  const shortTermRental = isShortTermRental(inputs);
+
+  const vacancyRate = results?.propertyInfo?.vacancyRate ?? inputs.vacancyRate ?? DEFAULTS.vacancyRate;
+  const distributions = {
+    appreciationRate: { mean: inputs.appreciationRate ?? DEFAULTS.appreciationRate, stdDev: DEFAULTS.appreciationStdDev },
+    incomeGrowthRate: { mean: inputs.incomeGrowthRate ?? DEFAULTS.incomeGrowthRate, stdDev: DEFAULTS.incomeGrowthStdDev },
+    expenseGrowthRate: { mean: inputs.expenseGrowthRate ?? DEFAULTS.expenseGrowthRate, stdDev: DEFAULTS.expenseGrowthStdDev },
+    vacancyRate: { mean: vacancyRate, stdDev: DEFAULTS.vacancyStdDev }
+  };
+  for (const [key, dist] of Object.entries(options.distributions || {})) {
+    distributions[key] = { ...distributions[key], ...dist };
+  }
+
+  const byYear = Array.from({ length: years }, () => ({ cashFlow: [], equity: [], irr: [] }));
+  const exit = { totalProfit: [], afterTaxSaleProceeds: [], irr: [] };
+  let negativeCashFlowRuns = 0;
+  let lossRuns = 0;
+
+  for (let run = 0; run < runs; run++) {
+    const draw = (key) => randomNormal(random, distributions[key].mean, distributions[key].stdDev);
+    const runInputs = {
+      ...inputs,
+      appreciationRate: draw('appreciationRate'),
+      incomeGrowthRate: draw('incomeGrowthRate'),
+      expenseGrowthRate: draw('expenseGrowthRate')
+    };
+    const runResults = shortTermRental ? results : {
+      ...results,
+      propertyInfo: { ...results.propertyInfo, vacancyRate: Math.min(100, Math.max(0, draw('vacancyRate'))) }
+    };
+
+    const projections = calculateBuyHoldProjections(runInputs, runResults, years);
+    projections.forEach((p, i) => {
+      byYear[i].cashFlow.push(p.cashFlow);
+      byYear[i].equity.push(p.totalEquity);
+      byYear[i].irr.push(p.irr);
+    });
+
+    const last = projections[years - 1];
+    exit.totalProfit.push(last.totalProfit);
+    exit.afterTaxSaleProceeds.push(last.afterTaxSaleProceeds);
+    exit.irr.push(last.irr);
+    if (projections.some(p => p.cashFlow < 0)) negativeCashFlowRuns++;
+    if (last.totalProfit < 0) lossRuns++;
+  }
+
+  return {
+    runs,
+    seed,
+    distributions,
+    years: byYear.map((year, i) => ({
+      year: i + 1,
+      cashFlow: percentileBands(year.cashFlow),
+      equity: percentileBands(year.equity),
+      irr: percentileBands(year.irr)
+    })),
+    exit: {
+      totalProfit: percentileBands(exit.totalProfit),
+      afterTaxSaleProceeds: percentileBands(exit.afterTaxSaleProceeds),
+      irr: percentileBands(exit.irr)
+    },
+    probabilityNegativeCashFlow: (negativeCashFlowRuns / runs) * 100,
+    probabilityLoss: (lossRuns / runs) * 100
+  };
+}
+
+// =============================================================================
+// FIX & FLIP CALCULATOR
+// =============================================================================
+
+/**
+ * Default rehab budget line items
+ *
+ * Shared by the purchase worksheet and the fix & flip calculator so both
+ * start from the same itemized rehab categories.
+ *
+ * @constant {Array<Object>}
+ * @property {string} [].name - Rehab item name
+ * @property {number} [].value - Rehab item cost in dollars
+ */
+export const DEFAULT_REHAB_ITEMS = [
+  { name: 'Roof', value: 0 },
+  { name: 'Exterior', value: 0 },
+  { name: 'Windows', value: 0 },
+  { name: 'Interior Paint', value: 0 },
+  { name: 'Flooring', value: 0 },
+  { name: 'Kitchen', value: 0 },
+  { name: 'Bathrooms', value: 0 },
+  { name: 'HVAC', value: 0 },
+  { name: 'Electrical', value: 0 },
+  { name: 'Plumbing', value: 0 }
+];
+
+/**
+ * Calculate fix & flip project returns
+ *
+ * Models a short-term renovation project financed with a hard-money loan.
+ * The loan covers a share of the purchase price at closing and reimburses a
+ * share of each rehab draw. Points are paid at closing and interest is
+ * interest-only on the outstanding (drawn) balance. Rehab is spread evenly
+ * over the rehab period and the property sells at ARV at the end of the
+ * holding period.
+ *
+ * Formula: Net Profit = ARV - Selling Costs - Purchase Price - Closing Costs
+ *                       - Rehab - Points - Interest - Carrying Costs
+ *
+ * @function
+ * @param {Object} inputs - Flip inputs
+ * @param {number} inputs.purchasePrice - Purchase price
+ * @param {number} inputs.afterRepairValue - After Repair Value (expected sale price)
+ * @param {Array<Object>} [inputs.rehabItems=[]] - Itemized rehab budget ({ name, value })
+ * @param {number} [inputs.rehabContingencyPercent=10] - Contingency added to rehab budget
+ * @param {number} [inputs.holdingMonths=6] - Months from purchase to sale
+ * @param {number} [inputs.rehabMonths=3] - Months over which rehab is drawn
+ * @param {number} [inputs.closingCostsPercent=2] - Purchase closing costs percentage
+ * @param {boolean} [inputs.useHardMoney=true] - Finance with a hard-money loan
+ * @param {number} [inputs.loanToPurchasePercent=90] - Percentage of purchase price financed
+ * @param {number} [inputs.rehabFinancedPercent=100] - Percentage of rehab draws financed
+ * @param {number} [inputs.loanRate=12] - Annual interest rate percentage
+ * @param {number} [inputs.loanPoints=2] - Origination points (percentage of loan)
+ * @param {number} [inputs.propertyTaxes=0] - Annual property taxes
+ * @param {number} [inputs.insurance=0] - Annual insurance
+ * @param {number} [inputs.utilities=0] - Monthly utilities
+ * @param {number} [inputs.otherCarryingCosts=0] - Other monthly carrying costs
+ * @param {number} [inputs.sellingCostsPercent=8] - Agent commission and seller closing costs
+ * @returns {Object} Flip analysis
+ * @returns {number} returns.rehabBudget - Rehab items plus contingency
+ * @returns {number} returns.closingCosts - Purchase closing costs
+ * @returns {number} returns.loanAmount - Total hard-money loan commitment
+ * @returns {number} returns.pointsCost - Points paid at closing
+ * @returns {number} returns.totalInterest - Interest paid over the hold
+ * @returns {number} returns.totalCarryingCosts - Taxes, insurance, utilities and other holding costs
+ * @returns {number} returns.sellingCosts - Costs of sale
+ * @returns {number} returns.totalProjectCost - All costs excluding the loan
+ * @returns {number} returns.totalCashInvested - Investor cash put into the project
+ * @returns {number} returns.netProfit - Profit after sale
+ * @returns {number} returns.roi - Return on cash invested percentage
+ * @returns {number} returns.annualizedROI - ROI annualized over the holding period
+ * @returns {number} returns.maxOffer70 - Maximum offer under the 70% rule
+ * @returns {number} returns.profitMargin - Net profit as percentage of ARV
+ * @returns {Array<Object>} returns.drawSchedule - Month-by-month cash schedule: closing (month 0), one row
+ *   per holding month, then the sale at the end of the last month (month null, sale true)
+ *
+ * @example
+ * const flip = calculateFixAndFlip({
+ *   purchasePrice: 180000,
+ *   afterRepairValue: 300000,
+ *   rehabItems: [{ name: 'Kitchen', value: 25000 }, { name: 'Flooring', value: 10000 }],
+ *   holdingMonths: 6
+ * });
+ * console.log(flip.netProfit); // ~38,630
+ * console.log(flip.maxOffer70); // 171,500
+ */
+export function calculateFixAndFlip(inputs = {}) {
+  const purchasePrice = inputs.purchasePrice || 0;
+  const afterRepairValue = inputs.afterRepairValue || 0;
+  const rehabItems = inputs.rehabItems || [];
+  const rehabContingencyPercent = inputs.rehabContingencyPercent ?? 10;
+  const holdingMonths = Math.max(1, Math.round(inputs.holdingMonths ?? 6));
+  const rehabMonths = Math.min(holdingMonths, Math.max(1, Math.round(inputs.rehabMonths ?? 3)));
+  const closingCostsPercent = inputs.closingCostsPercent ?? 2.0;
+  const useHardMoney = inputs.useHardMoney ?? true;
+  const loanToPurchasePercent = useHardMoney ? (inputs.loanToPurchasePercent ?? 90) : 0;
+  const rehabFinancedPercent = useHardMoney ? (inputs.rehabFinancedPercent ?? 100) : 0;
+  const loanRate = inputs.loanRate ?? 12.0;
+  const loanPoints = useHardMoney ? (inputs.loanPoints ?? 2.0) : 0;
+  const sellingCostsPercent = inputs.sellingCostsPercent ?? 8.0;
+
+  const rehabItemsTotal = rehabItems.reduce((sum, item) => sum + (item.value || 0), 0);
+  const rehabContingency = rehabItemsTotal * (rehabContingencyPercent / 100);
+  const rehabBudget = rehabItemsTotal + rehabContingency;
+
+  const closingCosts = purchasePrice * (closingCostsPercent / 100);
+  const purchaseLoan = purchasePrice * (loanToPurchasePercent / 100);
+  const rehabLoan = rehabBudget * (rehabFinancedPercent / 100);
+  const loanAmount = purchaseLoan + rehabLoan;
+  const pointsCost = loanAmount * (loanPoints / 100);
+
+  const monthlyCarryingCosts =
+    ((inputs.propertyTaxes || 0) + (inputs.insurance || 0)) / 12 +
+    (inputs.utilities || 0) +
+    (inputs.otherCarryingCosts || 0);
+
+  const sellingCosts = afterRepairValue * (sellingCostsPercent / 100);
+  const monthlyRate = loanRate / 100 / 12;
+  const monthlyRehabDraw = rehabBudget / rehabMonths;
+
+  // Month 0: closing
+  const closingCash = purchasePrice - purchaseLoan + closingCosts + pointsCost;
+  const drawSchedule = [{
+    month: 0,
+    label: 'Closing',
+    rehabDraw: 0,
+    lenderFunded: purchaseLoan,
+    interest: 0,
+    carryingCosts: 0,
+    investorCash: closingCash,
+    loanBalance: purchaseLoan,
+    cumulativeCash: closingCash
+  }];
+
+  let loanBalance = purchaseLoan;
+  let cumulativeCash = closingCash;
+  let totalInterest = 0;
+
+  for (let month = 1; month <= holdingMonths; month++) {
+    const rehabDraw = month <= rehabMonths ? monthlyRehabDraw : 0;
+    const lenderFunded = rehabDraw * (rehabFinancedPercent / 100);
+    // Interest accrues on the balance outstanding during the month
+    const interest = loanBalance * monthlyRate;
+    loanBalance += lenderFunded;
+    totalInterest += interest;
+
+    const investorCash = (rehabDraw - lenderFunded) + interest + monthlyCarryingCosts;
+    cumulativeCash += investorCash;
+
+    drawSchedule.push({
+      month,
+      label: `Month ${month}`,
+      rehabDraw,
+      lenderFunded,
+      interest,
+      carryingCosts: monthlyCarryingCosts,
+      investorCash,
+      loanBalance,
+      cumulativeCash
+    });
+  }
+
+  const totalCarryingCosts = monthlyCarryingCosts * holdingMonths;
+  const totalCashInvested = cumulativeCash;
+  const saleProceeds = afterRepairValue - sellingCosts - loanBalance;
+
+  const totalProjectCost = purchasePrice + closingCosts + rehabBudget +
+    pointsCost + totalInterest + totalCarryingCosts + sellingCosts;
+  const netProfit = afterRepairValue - totalProjectCost;
+
+  const roi = totalCashInvested > 0 ? (netProfit / totalCashInvested) * 100 : 0;
+  const annualizedROI = totalCashInvested > 0 && roi > -100
+    ? (Math.pow(1 + roi / 100, 12 / holdingMonths) - 1) * 100 : roi;
+  const maxOffer70 = Math.max(0, afterRepairValue * 0.7 - rehabBudget);
+  const profitMargin = afterRepairValue > 0 ? (netProfit / afterRepairValue) * 100 : 0;
+
+  drawSchedule.push({
+    month: null,
+    sale: true,
+    label: 'Sale',
+    rehabDraw: 0,
+    lenderFunded: -loanBalance,
+    interest: 0,
+    carryingCosts: 0,
+    investorCash: -saleProceeds,
+    loanBalance: 0,
+    cumulativeCash: cumulativeCash - saleProceeds
+  });
+
+  return {
+    purchasePrice,
+    afterRepairValue,
+    holdingMonths,
+    rehabMonths,
+    rehabItemsTotal,
+    rehabContingency,
+    rehabBudget,
+    closingCosts,
+    purchaseLoan,
+    rehabLoan,
+    loanAmount,
+    pointsCost,
+    totalInterest,
+    monthlyCarryingCosts,
+    totalCarryingCosts,
+    sellingCosts,
+    saleProceeds,
+    totalProjectCost,
+    totalCashInvested,
+    netProfit,
+    roi,
+    annualizedROI,
+    maxOffer70,
+    profitMargin,
+    drawSchedule
+  };
+}
+
+// =============================================================================
+// 1031 EXCHANGE
+// =============================================================================
+
+/**
+ * Parse a 'YYYY-MM-DD' date (or Date) to a UTC timestamp at midnight
+ *
+ * @private
+ * @param {string|Date} value - Date to parse
+ * @returns {number} UTC timestamp in milliseconds
+ */
+function toUTCDate(value) {
+  if (value instanceof Date) {
+    return Date.UTC(value.getFullYear(), value.getMonth(), value.getDate());
+  }
+  const [year, month, day] = String(value).split('-').map(Number);
+  return Date.UTC(year, (month || 1) - 1, day || 1);
+}
+
+/**
+ * Format a UTC timestamp as 'YYYY-MM-DD'
+ *
+ * @private
+ * @param {number} timestamp - UTC timestamp in milliseconds
+ * @returns {string} ISO date
+ */
+function formatUTCDate(timestamp) {
+  return new Date(timestamp).toISOString().slice(0, 10);
+}
+
+/**
+ * Calculate a property's tax and debt position after a number of years held
+ *
+ * Re-runs the purchase, financing and depreciation from saved analysis
+ * inputs to find the adjusted basis, depreciation taken (split into §1245
+ * and §1250 for recapture) and the loan balance at the end of the period.
+ * Used to value an owned property for a sale, exchange or refinance.
+ *
+ * @function
+ * @param {Object} inputs - Saved analysis inputs (as stored by summarizeAnalysis)
+ * @param {number} [yearsHeld=5] - Full years owned
+ * @returns {Object} Holding position
+ * @returns {number} returns.yearsHeld - Years owned
+ * @returns {number} returns.totalBasis - Original cost basis including land
+ * @returns {number} returns.buildingBasis - Depreciable basis
+ * @returns {number} returns.accumulatedDepreciation - Depreciation taken
+ * @returns {number} returns.section1245Depreciation - Depreciation on §1245 property
+ * @returns {number} returns.adjustedBasis - Cost basis less depreciation taken
+ * @returns {number} returns.loanBalance - Remaining balance on all loans
+ *
+ * @example
+ * const position = calculateHoldingPosition(saved.analysis.inputs, 7);
+ * console.log(position.adjustedBasis, position.loanBalance);
+ */
+export function calculateHoldingPosition(inputs = {}, yearsHeld = DEFAULTS.holdingPeriod) {
+  const years = Math.max(1, Math.round(yearsHeld || 1));
+  const calculator = new BuyRentHoldCalculator({}, inputs);
+  const purchase = calculator.calculatePurchaseInfo();
+  const amortization = calculator.calculateAmortization();
+  const tax = resolveTaxSettings(inputs);
+
+  const basis = calculateDepreciableBasis(purchase, tax.landValuePercent);
+  const held = taxDepreciationSchedule(basis.buildingBasis, tax, years).schedule;
+  const accumulatedDepreciation = held.reduce((sum, row) => sum + row.total, 0);
+  const section1245Depreciation = held.reduce((sum, row) => sum + row.section1245, 0);
+  const loanBalance = Object.values(amortization)
+    .reduce((sum, loan) => sum + (loan?.yearly?.[years - 1]?.balance || 0), 0);
+
+  return {
+    yearsHeld: years,
+    totalBasis: basis.totalBasis,
+    buildingBasis: basis.buildingBasis,
+    accumulatedDepreciation,
+    section1245Depreciation,
+    adjustedBasis: basis.totalBasis - accumulatedDepreciation,
+    loanBalance
+  };
+}
+
+/**
+ * Calculate a 1031 like-kind exchange
+ *
+ * Exchange proceeds (sale price less selling costs and loan payoff) are held
+ * by a qualified intermediary and applied to the replacement properties.
+ * Any proceeds not reinvested are cash boot. Debt relief not replaced by new
+ * debt or additional cash is mortgage boot. Gain is recognized up to the
+ * total boot; the rest is deferred and reduces the basis of the replacement
+ * properties, allocated by cost.
+ *
+ * Deadlines run from the sale (transfer) date: replacements must be
+ * identified within 45 days and acquired within 180 days or by the tax
+ * return due date for the year of sale (April 15), whichever is earlier,
+ * unless the return is extended. Identification must satisfy the 3-property
+ * rule or the 200% rule.
+ *
+ * @function
+ * @param {Object} exchange - Exchange details
+ * @param {Object} exchange.relinquished - Property being sold
+ * @param {number} exchange.relinquished.salePrice - Gross sale price
+ * @param {number} [exchange.relinquished.sellingCosts=0] - Commissions and exchange costs
+ * @param {number} exchange.relinquished.adjustedBasis - Adjusted basis at sale
+ * @param {number} [exchange.relinquished.accumulatedDepreciation=0] - Depreciation taken
+ * @param {number} [exchange.relinquished.section1245Depreciation=0] - Depreciation on §1245 property
+ * @param {number} [exchange.relinquished.mortgagePayoff=0] - Loan balance paid at sale
+ * @param {Array<Object>} exchange.replacements - Replacement properties
+ * @param {number} exchange.replacements[].price - Purchase price
+ * @param {number} [exchange.replacements[].closingCosts=0] - Acquisition costs
+ * @param {number} [exchange.replacements[].loanAmount=0] - New debt
+ * @param {string|Date} exchange.saleDate - Closing date of the sale ('YYYY-MM-DD')
+ * @param {string|Date} [exchange.today=new Date()] - Date to count remaining days from
+ * @param {Object} [inputs={}] - Tax inputs (see calculateSaleTax)
+ * @returns {Object} Exchange analysis
+ * @returns {number} returns.amountRealized - Sale price less selling costs
+ * @returns {number} returns.realizedGain - Total gain on the relinquished property
+ * @returns {number} returns.exchangeProceeds - Cash held by the intermediary
+ * @returns {number} returns.replacementCost - Total replacement price plus costs
+ * @returns {number} returns.replacementDebt - Total new debt
+ * @returns {number} returns.additionalCash - Cash added beyond exchange proceeds
+ * @returns {number} returns.cashBoot - Exchange proceeds not reinvested
+ * @returns {number} returns.mortgageBoot - Net debt relief not offset
+ * @returns {number} returns.totalBoot - Cash boot + mortgage boot
+ * @returns {number} returns.recognizedGain - Gain taxable now
+ * @returns {number} returns.deferredGain - Gain deferred into the replacements
+ * @returns {number} returns.replacementBasis - Carried-over basis of all replacements
+ * @returns {Array<Object>} returns.replacements - Replacements with allocated basis
+ * @returns {number} returns.taxDue - Tax on recognized gain
+ * @returns {number} returns.taxIfSold - Tax on an outright sale
+ * @returns {number} returns.taxDeferred - Tax deferred by exchanging
+ * @returns {Object} returns.deadlines - Identification and exchange deadlines
+ * @returns {string} returns.deadlines.identification - 45-day identification deadline
+ * @returns {string} returns.deadlines.exchange - Acquisition deadline
+ * @returns {boolean} returns.deadlines.limitedByReturnDueDate - Return due date precedes day 180
+ * @returns {number} returns.deadlines.daysToIdentify - Days remaining to identify
+ * @returns {number} returns.deadlines.daysToClose - Days remaining to close
+ * @returns {string} returns.identificationRule - 'three-property', '200-percent' or 'exceeded'
+ *
+ * @example
+ * const result = calculate1031Exchange({
+ *   relinquished: { salePrice: 500000, sellingCosts: 30000, adjustedBasis: 250000, mortgagePayoff: 150000 },
+ *   replacements: [{ price: 800000, closingCosts: 16000, loanAmount: 500000 }],
+ *   saleDate: '2025-03-01'
+ * });
+ * console.log(result.deferredGain);            // 216,000 ($4,000 of proceeds left over is cash boot)
+ * console.log(result.deadlines.identification); // '2025-04-15'
+ */
+export function calculate1031Exchange(exchange, inputs = {}) {
+  const {
+    salePrice = 0,
+    sellingCosts = 0,
+    adjustedBasis = 0,
+    accumulatedDepreciation = 0,
+    section1245Depreciation = 0,
+    mortgagePayoff = 0
+  } = exchange.relinquished || {};
+  const replacements = exchange.replacements || [];
+
+  // Gain and exchange proceeds
+  const amountRealized = salePrice - sellingCosts;
+  const realizedGain = amountRealized - adjustedBasis;
+  const exchangeProceeds = Math.max(0, amountRealized - mortgagePayoff);
+
+  // Replacement side
+  const replacementCost = replacements.reduce((sum, r) => sum + (r.price || 0) + (r.closingCosts || 0), 0);
+  const replacementDebt = replacements.reduce((sum, r) => sum + (r.loanAmount || 0), 0);
+  const equityRequired = Math.max(0, replacementCost - replacementDebt);
+
+  // Boot: unspent proceeds, and debt relief not offset by new debt or added cash
+  const cashBoot = exchangeProceeds - Math.min(exchangeProceeds, equityRequired);
+  const additionalCash = Math.max(0, equityRequired - exchangeProceeds);
+  const mortgageBoot = Math.max(0, mortgagePayoff - replacementDebt - additionalCash);
+  const totalBoot = cashBoot + mortgageBoot;
+
+  const recognizedGain = Math.max(0, Math.min(realizedGain, totalBoot));
+  const deferredGain = realizedGain - recognizedGain;
+  const replacementBasis = replacementCost - deferredGain;
+
+  // Taxes: recognized gain is recapture first, then capital gain
+  const depreciation = { accumulatedDepreciation, section1245Depreciation };
+  const taxDue = recognizedGain > 0
+    ? calculateSaleTax({ salePrice: recognizedGain, adjustedBasis: 0, ...depreciation }, inputs).totalTax
+    : 0;
+  const taxIfSold = calculateSaleTax({ salePrice, sellingCosts, adjustedBasis, ...depreciation }, inputs).totalTax;
+
+  // Deadlines
+  const day = 24 * 60 * 60 * 1000;
+  const sale = toUTCDate(exchange.saleDate || new Date());
+  const today = toUTCDate(exchange.today || new Date());
+  const identification = sale + 45 * day;
+  const returnDueDate = Date.UTC(new Date(sale).getUTCFullYear() + 1, 3, 15);
+  const exchangeDeadline = Math.min(sale + 180 * day, returnDueDate);
+
+  const totalReplacementValue = replacements.reduce((sum, r) => sum + (r.price || 0), 0);
+  let identificationRule = 'three-property';
+  if (replacements.length > 3) {
+    identificationRule = totalReplacementValue <= salePrice * 2 ? '200-percent' : 'exceeded';
+  }
+
+  return {
+    amountRealized,
+    realizedGain,
+    exchangeProceeds,
+    replacementCost,
+    replacementDebt,
+    additionalCash,
+    cashBoot,
+    mortgageBoot,
+    totalBoot,
+    recognizedGain,
+    deferredGain,
+    replacementBasis,
+    replacements: replacements.map(r => {
+      const cost = (r.price || 0) + (r.closingCosts || 0);
+      return {
+        ...r,
+        cost,
+        basis: replacementCost > 0 ? replacementBasis * (cost / replacementCost) : 0
+      };
+    }),
+    taxDue,
+    taxIfSold,
+    taxDeferred: taxIfSold - taxDue,
+    deadlines: {
+      saleDate: formatUTCDate(sale),
+      identification: formatUTCDate(identification),
+      exchange: formatUTCDate(exchangeDeadline),
+      limitedByReturnDueDate: returnDueDate < sale + 180 * day,
+      daysToIdentify: Math.round((identification - today) / day),
+      daysToClose: Math.round((exchangeDeadline - today) / day)
+    },
+    identificationRule
+  };
+}
+
+// =============================================================================
+// HOLD / REFINANCE / SELL
+// =============================================================================
+
+/**
+ * Compare holding, cash-out refinancing and selling an owned property
+ *
+ * Projects the property from its saved analysis inputs to today (after
+ * `yearsOwned`) and then over a decision horizon along three paths:
+ *
+ * - **Hold**: keep the property and its existing loans.
+ * - **Refinance**: replace the existing loans with a cash-out loan at
+ *   `refiLTV` of today's value. Closing costs are amortized over the new
+ *   loan term and the unamortized balance is deducted at sale.
+ * - **Sell**: sell today, pay recapture and capital gains tax, and redeploy
+ *   the after-tax proceeds at `redeployReturn`.
+ *
+ * Every path starts from the after-tax equity the owner could walk away with
+ * today, so each IRR is the return on staying invested (cash-out proceeds
+ * count as money taken back at t = 0). Ending wealth reinvests cash flow and
+ * cash-out proceeds at the redeploy return for a like-for-like comparison.
+ * Hold and refinance cash flows come from calculateBuyHoldProjections().
+ *
+ * @function
+ * @param {Object} inputs - Saved analysis inputs (as stored by summarizeAnalysis)
+ * @param {Object} [options={}] - Decision settings
+ * @param {number} [options.yearsOwned=5] - Full years owned so far
+ * @param {number} [options.horizon=5] - Years to compare the paths over
+ * @param {number} [options.currentValue] - Today's value (defaults to the projected value)
+ * @param {number} [options.refiLTV=75] - Cash-out refinance loan-to-value percentage
+ * @param {number} [options.refiRate] - Refinance rate percentage (defaults to the first mortgage rate)
+ * @param {number} [options.refiAmortization=30] - Refinance term in years
+ * @param {number} [options.refiClosingCostsPercent=2] - Refinance closing costs percentage of the loan
+ * @param {number} [options.redeployReturn=8] - After-tax return on redeployed equity percentage
+ * @returns {Object} Decision analysis
+ * @returns {Object} returns.current - Position today (value, loanBalance, equity, adjustedBasis, suspendedLoss, saleTax, afterTaxEquity)
+ * @returns {Object} returns.refinance - New loan terms (loanAmount, rate, amortization, closingCosts, cashOut, monthlyPayment)
+ * @returns {Object} returns.paths - hold, refinance and sell paths
+ * @returns {Array<Object>} returns.paths.hold.years - Yearly rows (year, value, loanBalance, equity, cashFlow, afterTaxCashFlow)
+ * @returns {number} returns.paths.hold.equity - Equity at the end of the horizon
+ * @returns {number} returns.paths.hold.totalCashFlow - Pre-tax cash flow over the horizon
+ * @returns {number} returns.paths.hold.totalAfterTaxCashFlow - After-tax cash flow over the horizon
+ * @returns {number} returns.paths.hold.saleTax - Tax on sale at the end of the horizon
+ * @returns {number} returns.paths.hold.afterTaxProceeds - After-tax sale proceeds at the end of the horizon
+ * @returns {number|null} returns.paths.hold.irr - After-tax IRR on today's equity (percentage)
+ * @returns {number} returns.paths.hold.endingWealth - Proceeds plus reinvested cash flow
+ * @returns {string} returns.bestPath - Path with the highest ending wealth
+ *
+ * @example
+ * const decision = calculateHoldSellRefinance(saved.analysis.inputs, {
+ *   yearsOwned: 6,
+ *   horizon: 5,
+ *   redeployReturn: 8
+ * });
+ * console.log(decision.bestPath, decision.paths.refinance.irr);
+ */
+export function calculateHoldSellRefinance(inputs = {}, options = {}) {
+  const yearsOwned = Math.min(30, Math.max(1, Math.round(options.yearsOwned || DEFAULTS.holdingPeriod)));
+  const horizon = Math.min(30, Math.max(1, Math.round(options.horizon || DEFAULTS.holdingPeriod)));
+  const redeployReturn = options.redeployReturn ?? DEFAULTS.redeployReturn;
+  const sellingCostsRate = (inputs.sellingCosts ?? DEFAULTS.sellingCosts) / 100;
+
+  const analysis = new BuyRentHoldCalculator({}, inputs).getCompleteAnalysis();
+  const projections = calculateBuyHoldProjections(inputs, analysis, yearsOwned + horizon);
+  const today = projections[yearsOwned - 1];
+  const otherFinancingCosts = (analysis.financing.otherMonthlyFinancingCosts || 0) * 12;
+
+  // Today's value; future values keep the projected appreciation path
+  const currentValue = options.currentValue > 0 ? options.currentValue : today.propertyValue;
+  const valueFactor = today.propertyValue > 0 ? currentValue / today.propertyValue : 1;
+
+  const saleTaxAt = (row, value, suspendedLoss) => calculateSaleTax({
+    salePrice: value,
+    sellingCosts: value * sellingCostsRate,
+    adjustedBasis: row.adjustedBasis,
+    accumulatedDepreciation: row.accumulatedDepreciation,
+    section1245Depreciation: row.section1245Depreciation,
+    suspendedLoss
+  }, inputs).totalTax;
+
+  const saleTaxNow = saleTaxAt(today, currentValue, today.suspendedLoss);
+  const afterTaxEquity = currentValue * (1 - sellingCostsRate) - today.loanBalance - saleTaxNow;
+
+  // Cash-out refinance against today's value
+  const refiLTV = options.refiLTV ?? DEFAULTS.refiLTV;
+  const refiRate = options.refiRate ?? analysis.financing.firstMtg?.rate ?? DEFAULTS.firstMtgRate;
+  const refiAmortization = options.refiAmortization ?? DEFAULTS.refiAmortization;
+  const refiLoanAmount = currentValue * (refiLTV / 100);
+  const refiClosingCosts = refiLoanAmount * ((options.refiClosingCostsPercent ?? DEFAULTS.refiClosingCostsPercent) / 100);
+  const cashOut = refiLoanAmount - today.loanBalance - refiClosingCosts;
+  const refiLoan = generateAmortizationSchedule({
+    principal: refiLoanAmount,
+    annualRate: refiRate,
+    years: refiAmortization
+  });
+  const refiCostDeduction = refiAmortization > 0 ? refiClosingCosts / refiAmortization : 0;
+
+  const growth = 1 + redeployReturn / 100;
+  const futureValue = (amount, yearsLeft) => amount * Math.pow(growth, yearsLeft);
+
+  const buildPath = (years, saleTax, startingFlow) => {
+    const last = years[years.length - 1];
+    const afterTaxProceeds = last.value * (1 - sellingCostsRate) - last.loanBalance - saleTax;
+    const flows = years.map(row => row.afterTaxCashFlow);
+    flows[flows.length - 1] += afterTaxProceeds;
+    return {
+      years,
+      equity: last.equity,
+      totalCashFlow: years.reduce((sum, row) => sum + row.cashFlow, 0),
+      totalAfterTaxCashFlow: years.reduce((sum, row) => sum + row.afterTaxCashFlow, 0),
+      saleTax,
+      afterTaxProceeds,
+      irr: calculateIRR([startingFlow, ...flows]),
+      endingWealth: afterTaxProceeds +
+        years.reduce((sum, row) => sum + futureValue(row.afterTaxCashFlow, horizon - row.year), 0)
+    };
+  };
+
+  // Hold: the projection as-is
+  const holdYears = [];
+  for (let t = 1; t <= horizon; t++) {
+    const row = projections[yearsOwned + t - 1];
+    const value = row.propertyValue * valueFactor;
+    holdYears.push({
+      year: t,
+      value,
+      loanBalance: row.loanBalance,
+      equity: value - row.loanBalance,
+      cashFlow: row.cashFlow,
+      afterTaxCashFlow: row.postTaxCashFlow
+    });
+  }
+  const holdExit = projections[yearsOwned + horizon - 1];
+  const hold = buildPath(
+    holdYears,
+    saleTaxAt(holdExit, holdYears[horizon - 1].value, holdExit.suspendedLoss),
+    -afterTaxEquity
+  );
+
+  // Refinance: same operations, new debt service and interest deduction
+  const refiYears = [];
+  let suspendedLoss = today.suspendedLoss;
+  for (let t = 1; t <= horizon; t++) {
+    const row = projections[yearsOwned + t - 1];
+    const loanYear = refiLoan.yearly[t - 1] || { payment: 0, interest: 0, balance: 0 };
+    const value = row.propertyValue * valueFactor;
+    const costDeduction = t === horizon
+      ? refiClosingCosts - refiCostDeduction * (horizon - 1)
+      : refiCostDeduction;
+    const cashFlow = row.noi - otherFinancingCosts - loanYear.payment;
+    const incomeTax = calculateIncomeTax(
+      row.noi - otherFinancingCosts - loanYear.interest - row.depreciation - costDeduction,
+      suspendedLoss,
+      inputs
+    );
+    suspendedLoss = incomeTax.suspendedLoss;
+    refiYears.push({
+      year: t,
+      value,
+      loanBalance: loanYear.balance,
+      equity: value - loanYear.balance,
+      cashFlow,
+      afterTaxCashFlow: cashFlow - incomeTax.taxLiability
+    });
+  }
+  const refinance = buildPath(
+    refiYears,
+    saleTaxAt(holdExit, refiYears[horizon - 1].value, suspendedLoss),
+    cashOut - afterTaxEquity
+  );
+  refinance.endingWealth += futureValue(cashOut, horizon);
+
+  // Sell: after-tax equity compounds at the redeploy return
+  const sellYears = [];
+  for (let t = 1; t <= horizon; t++) {
+    const value = futureValue(afterTaxEquity, t);
+    sellYears.push({ year: t, value, loanBalance: 0, equity: value, cashFlow: 0, afterTaxCashFlow: 0 });
+  }
+  const sell = {
+    years: sellYears,
+    equity: sellYears[horizon - 1].equity,
+    totalCashFlow: 0,
+    totalAfterTaxCashFlow: 0,
+    saleTax: saleTaxNow,
+    afterTaxProceeds: sellYears[horizon - 1].equity,
+    irr: redeployReturn,
+    endingWealth: sellYears[horizon - 1].equity
+  };
+
+  const paths = { hold, refinance, sell };
+  const bestPath = Object.keys(paths)
+    .reduce((best, key) => (paths[key].endingWealth > paths[best].endingWealth ? key : best), 'hold');
+
+  return {
+    current: {
+      yearsOwned,
+      value: currentValue,
+      loanBalance: today.loanBalance,
+      equity: currentValue - today.loanBalance,
+      adjustedBasis: today.adjustedBasis,
+      suspendedLoss: today.suspendedLoss,
+      saleTax: saleTaxNow,
+      afterTaxEquity
+    },
+    refinance: {
+      loanAmount: refiLoanAmount,
+      rate: refiRate,
+      amortization: refiAmortization,
+      closingCosts: refiClosingCosts,
+      cashOut,
+      monthlyPayment: refiLoan.schedule[0]?.payment || 0
+    },
+    paths,
+    bestPath
+  };
 }
 
 // =============================================================================
-// QUICK SCORE FOR PROPERTY CARDS (Original)
+// PORTFOLIO
 // =============================================================================
 
 /**
- * Calculate quick investment score for property preview cards
- * 
- * Fast calculation using simplified assumptions for property card hover previews.
- * Uses default financing terms and estimates operating expenses as percentages.
- * Returns a 0-100 score with badge and breakdown of contributing metrics.
- * 
- * This is lighter-weight than the full BuyRentHoldCalculator and suitable
- * for quick comparisons when browsing property listings.
- * 
+ * Calculation inputs for a saved property
+ *
+ * Uses the saved analysis inputs; a property never analyzed falls back to
+ * the listing price and rent estimate on top of the given defaults (for
+ * example the investor profile's tax settings).
+ *
  * @function
- * @param {number} price - Property list price
- * @param {number} rentEstimate - Estimated monthly rent
- * @param {Object} [propertyData={}] - Optional property data for customization
- * @param {number} [propertyData.downPaymentPercent=20] - Down payment percentage
- * @param {number} [propertyData.interestRate=7.0] - Interest rate percentage
- * @param {number} [propertyData.loanTermYears=30] - Loan term in years
- * @param {number} [propertyData.vacancyRate=5] - Vacancy rate percentage
- * @param {number} [propertyData.managementRate=10] - Management fee percentage
- * @param {number} [propertyData.maintenanceRate=5] - Maintenance percentage
- * @param {Object|null} [scoringConfig=null] - Custom scoring configuration
- * @returns {Object} Quick score result
- * @returns {number} returns.score - Investment score (0-100)
- * @returns {string} returns.badge - Badge (excellent/good/fair/risky/avoid)
- * @returns {string} returns.color - Color code (emerald/green/yellow/orange/red)
- * @returns {string} returns.description - Score description
- * @returns {Object} returns.breakdown - Score breakdown by metric
- * @returns {number} returns.monthlyCashFlow - Monthly cash flow estimate
- * @returns {number} returns.annualCashFlow - Annual cash flow estimate
- * @returns {number} returns.capRate - Cap rate percentage
- * @returns {number} returns.cashOnCashROI - Cash-on-Cash ROI percentage
- * @returns {number} returns.dcr - Debt Coverage Ratio
- * @returns {number} returns.noi - Net Operating Income (annual)
- * @returns {number} returns.totalCashRequired - Total cash needed
- * 
+ * @param {Object} saved - Saved property ({ analysis, propertyData, rentEstimate, unitCount })
+ * @param {Object} [defaults={}] - Inputs used when the property was never analyzed
+ * @returns {Object} Calculation inputs
+ *
  * @example
- * const score = calculateQuickScore(250000, 2000);
- * console.log(score.score); // 68
- * console.log(score.badge); // "good"
- * console.log(score.monthlyCashFlow); // 324
+ * const inputs = getSavedPropertyInputs(saved, getTaxDefaults(profile));
  */
-export function calculateQuickScore(price, rentEstimate, propertyData = {}, scoringConfig = null) {
-  if (!price || !rentEstimate) {
-    return { 
-      score: 0, 
-      badge: 'insufficient-data', 
-      color: 'gray',
-      description: 'Not enough data to calculate score',
-      monthlyCashFlow: null, 
-      capRate: null,
-      cashOnCashROI: null,
-      dcr: null,
-      breakdown: {}
-    };
+export function getSavedPropertyInputs(saved, defaults = {}) {
+  return saved?.analysis?.inputs || {
+    ...defaults,
+    offerPrice: saved?.propertyData?.price || 0,
+    grossRents: (saved?.rentEstimate || 0) * 12,
+    numberOfUnits: saved?.unitCount || 1
+  };
+}
+
+/**
+ * Apply actual purchase data to saved analysis inputs
+ *
+ * Owned properties keep their saved operating assumptions (expenses, growth
+ * rates, tax settings) but use what was actually paid and borrowed. The
+ * actual loan replaces all modeled financing with one amortizing mortgage:
+ * a new conventional loan (not subject-to or a wrap) with no balloon, rate
+ * changes, interest-only period, mortgage insurance or second loans.
+ *
+ * @function
+ * @param {Object} inputs - Saved analysis inputs
+ * @param {Object} ownership - Actual purchase data
+ * @param {number} ownership.purchasePrice - Price paid
+ * @param {number} [ownership.loanAmount] - Original loan amount
+ * @param {number} [ownership.interestRate] - Loan interest rate percentage
+ * @param {number} [ownership.loanTermYears] - Loan term in years
+ * @param {number} [ownership.monthlyRent] - Actual total monthly rent
+ * @returns {Object} Inputs for the owned property
+ *
+ * @example
+ * const owned = getOwnedPropertyInputs(saved.analysis.inputs, saved.ownership);
+ */
+export function getOwnedPropertyInputs(inputs = {}, ownership = {}) {
+  const purchasePrice = ownership.purchasePrice || inputs.offerPrice || 0;
+  const owned = {
+    ...inputs,
+    offerPrice: purchasePrice,
+    fairMarketValue: purchasePrice
+  };
+
+  if (ownership.loanAmount !== undefined && ownership.loanAmount !== null) {
+    Object.assign(owned, {
+      firstMtgLTV: purchasePrice > 0 ? (ownership.loanAmount / purchasePrice) * 100 : 0,
+      firstMtgRate: ownership.interestRate ?? inputs.firstMtgRate ?? DEFAULTS.firstMtgRate,
+      firstMtgAmortization: ownership.loanTermYears || inputs.firstMtgAmortization || DEFAULTS.firstMtgAmortization,
+      firstMtgLoanType: 'amortizing',
+      firstMtgBalloonYears: 0,
+      firstMtgRateChanges: [],
+      firstMtgCMHCFee: 0,
+      financingStructure: 'new-loan',
+      loanProgram: 'conventional',
+      enablePMI: false,
+      secondMtgPrincipal: 0,
+      interestOnlyPrincipal: 0
+    });
+  }
+  if (ownership.monthlyRent > 0) {
+    owned.grossRents = ownership.monthlyRent * 12;
   }
 
-  // Use passed financing/expense data or defaults
-  const downPaymentPercent = propertyData.downPaymentPercent || 20;
-  const interestRate = propertyData.interestRate || 7.0;
-  const loanTermYears = propertyData.loanTermYears || 30;
-  const vacancyRate = propertyData.vacancyRate || 5;
-  const managementRate = propertyData.managementRate || 10;
-  const maintenanceRate = propertyData.maintenanceRate || 5;
+  return owned;
+}
 
-  const downPayment = price * (downPaymentPercent / 100);
-  const loanAmount = price - downPayment;
-  const monthlyMortgage = calculateMonthlyPayment(loanAmount, interestRate, loanTermYears);
-  
-  const annualRent = rentEstimate * 12;
-  const vacancyLoss = annualRent * (vacancyRate / 100);
-  const effectiveIncome = annualRent - vacancyLoss;
-  
-  const propertyTax = price * 0.012;
-  const insurance = price * 0.005;
-  const repairs = annualRent * (maintenanceRate / 100);
-  const management = annualRent * (managementRate / 100);
-  const totalExpenses = propertyTax + insurance + repairs + management;
-  
-  const noi = effectiveIncome - totalExpenses;
-  const annualDebtService = monthlyMortgage * 12;
-  const annualCashFlow = noi - annualDebtService;
-  const monthlyCashFlow = annualCashFlow / 12;
-  
-  const capRate = (noi / price) * 100;
-  const closingCosts = price * 0.03;
-  const totalCashRequired = downPayment + closingCosts;
-  const cashOnCashROI = (annualCashFlow / totalCashRequired) * 100;
-  const dcr = annualDebtService > 0 ? noi / annualDebtService : 0;
-  
-  // Calculate score with breakdown
-  let score = 0;
-  const breakdown = {};
-  
-  // Cap Rate scoring
-  let capRateScore = 0;
-  if (capRate >= 10) capRateScore = 100;
-  else if (capRate >= 7) capRateScore = 75;
-  else if (capRate >= 5) capRateScore = 50;
-  else if (capRate >= 3) capRateScore = 25;
-  else capRateScore = 10;
-  breakdown['Cap Rate'] = { value: capRate, score: capRateScore };
-  score += capRateScore * 0.25;
-  
-  // Cash on Cash scoring
-  let cocScore = 0;
-  if (cashOnCashROI >= 12) cocScore = 100;
-  else if (cashOnCashROI >= 8) cocScore = 75;
-  else if (cashOnCashROI >= 5) cocScore = 50;
-  else if (cashOnCashROI >= 0) cocScore = 25;
-  else cocScore = 10;
-  breakdown['CoC ROI'] = { value: cashOnCashROI, score: cocScore };
-  score += cocScore * 0.25;
-  
-  // Cash Flow scoring
-  let cfScore = 0;
-  if (monthlyCashFlow >= 500) cfScore = 100;
-  else if (monthlyCashFlow >= 300) cfScore = 75;
-  else if (monthlyCashFlow >= 100) cfScore = 50;
-  else if (monthlyCashFlow >= 0) cfScore = 25;
-  else cfScore = 10;
-  breakdown['Cash Flow'] = { value: monthlyCashFlow, score: cfScore };
-  score += cfScore * 0.30;
-  
-  // DCR scoring
-  let dcrScore = 0;
-  if (dcr >= 1.5) dcrScore = 100;
-  else if (dcr >= 1.25) dcrScore = 75;
-  else if (dcr >= 1.1) dcrScore = 50;
-  else if (dcr >= 1.0) dcrScore = 25;
-  else dcrScore = 10;
-  breakdown['DCR'] = { value: dcr, score: dcrScore };
-  score += dcrScore * 0.20;
-  
-  score = Math.round(score);
+/**
+ * Roll up owned properties into portfolio totals and a combined projection
+ *
+ * Each property is projected from its purchase date with
+ * calculateBuyHoldProjections (the same projections shown on the Buy & Hold
+ * page). Today's position is the projection at the last full year owned;
+ * the current year's NOI, debt service and cash flow are the year in
+ * progress. When an estimated current value is given, that property's
+ * projected values are scaled to it so the roll-up starts from today's
+ * value. The combined projection covers the next `years` calendar years.
+ * Each property's projection years run from purchase anniversary to
+ * anniversary, so its NOI, debt service and cash flow are split across the
+ * calendar years they overlap by month, and its value and loan balance are
+ * interpolated to each calendar year end, before the properties are summed.
+ *
+ * Cap rate is weighted by value (total NOI / total value), LTV is total debt
+ * over total value and DSCR is total NOI over total debt service. Holdings
+ * with a purchase date after `today` are left out.
+ *
+ * @function
+ * @param {Array<Object>} holdings - Owned properties
+ * @param {string} holdings[].id - Property ID
+ * @param {string} holdings[].name - Display name (address)
+ * @param {string} [holdings[].city] - City for concentration
+ * @param {string} [holdings[].propertyType] - Property type for concentration
+ * @param {Object} holdings[].inputs - Saved analysis inputs
+ * @param {Object} holdings[].ownership - Actual purchase data (see getOwnedPropertyInputs)
+ * @param {string} holdings[].ownership.purchaseDate - Purchase date 'YYYY-MM-DD'
+ * @param {number} [holdings[].ownership.currentValue] - Estimated value today
+ * @param {Object} [options={}] - Roll-up options
+ * @param {number} [options.years=10] - Years in the combined projection
+ * @param {string|Date} [options.today] - Valuation date (defaults to now)
+ * @returns {Object} Portfolio
+ * @returns {Array<Object>} returns.properties - Per property: { id, name, city, propertyType, yearsOwned, value, loanBalance, equity, noi, annualDebtService, monthlyCashFlow, capRate, ltv, dscr }
+ * @returns {Object} returns.totals - { count, value, debt, equity, noi, annualDebtService, monthlyCashFlow, capRate, ltv, dscr }
+ * @returns {Object} returns.concentration - { byCity, byType }, each [{ label, count, value, share }] by value share
+ * @returns {Array<Object>} returns.projection - Per year: { year, calendarYear, propertyValue, loanBalance, totalEquity, noi, debtService, cashFlow, postTaxCashFlow }
+ *
+ * @example
+ * const portfolio = calculatePortfolio(owned.map(s => ({
+ *   id: s.propertyId, name: s.propertyData.address, city: s.propertyData.city,
+ *   propertyType: s.ownership.propertyType, inputs: s.analysis.inputs, ownership: s.ownership
+ * })));
+ * console.log(portfolio.totals.equity, portfolio.totals.dscr);
+ */
+export function calculatePortfolio(holdings = [], { years = 10, today = new Date() } = {}) {
+  const todayUTC = toUTCDate(today);
+  const currentYear = new Date(todayUTC).getUTCFullYear();
 
-  let badge, color, description;
-  if (score >= 75) {
-    badge = 'excellent';
-    color = 'emerald';
-    description = 'Strong investment with excellent returns';
-  } else if (score >= 60) {
-    badge = 'good';
-    color = 'green';
-    description = 'Solid investment opportunity';
-  } else if (score >= 45) {
-    badge = 'fair';
-    color = 'yellow';
-    description = 'Average investment, may require negotiation';
-  } else if (score >= 30) {
-    badge = 'risky';
-    color = 'orange';
-    description = 'Below average returns, proceed with caution';
-  } else {
-    badge = 'avoid';
-    color = 'red';
-    description = 'Poor investment metrics';
+  // Each property's projection by calendar year, aligned with `properties`
+  const upcoming = [];
+
+  // A purchase after the valuation date isn't owned yet
+  const held = holdings.filter(holding => !holding.ownership?.purchaseDate ||
+    toUTCDate(holding.ownership.purchaseDate) <= todayUTC);
+
+  const properties = held.map(holding => {
+    const ownership = holding.ownership || {};
+    const inputs = getOwnedPropertyInputs(holding.inputs, ownership);
+    const analysis = new BuyRentHoldCalculator({}, inputs).getCompleteAnalysis();
+
+    const purchased = ownership.purchaseDate ? toUTCDate(ownership.purchaseDate) : todayUTC;
+    const yearsOwned = Math.max(0, Math.floor((todayUTC - purchased) / (365.25 * 86400000)));
+    const projections = calculateBuyHoldProjections(inputs, analysis, yearsOwned + years + 2);
+
+    const owned = projections[yearsOwned - 1];
+    const initialLoan = (analysis.financing.firstMtg?.totalPrincipal || 0) +
+      (analysis.financing.secondMtg?.principal || 0) +
+      (analysis.financing.interestOnly?.principal || 0);
+    const modelValue = owned ? owned.propertyValue : analysis.propertyInfo.fairMarketValue;
+    const value = ownership.currentValue > 0 ? ownership.currentValue : modelValue;
+    const valueFactor = modelValue > 0 ? value / modelValue : 1;
+    const loanBalance = owned ? owned.loanBalance : initialLoan;
+
+    const thisYear = projections[yearsOwned] || {};
+    const noi = thisYear.noi || 0;
+    const annualDebtService = thisYear.debtService || 0;
+
+    // Projection year k runs from purchase month + 12(k-1) to purchase month + 12k
+    const purchaseDate = new Date(purchased);
+    const purchaseMonth = purchaseDate.getUTCFullYear() * 12 + purchaseDate.getUTCMonth();
+    const rows = projections.map(row => ({ ...row, propertyValue: row.propertyValue * valueFactor }));
+    const startOf = { propertyValue: analysis.propertyInfo.fairMarketValue * valueFactor, loanBalance: initialLoan };
+
+    upcoming.push(Array.from({ length: years }, (_, i) => {
+      const yearStart = (currentYear + i) * 12;
+      const flow = (field) => rows.reduce((acc, row, k) => {
+        const overlap = Math.min(yearStart + 12, purchaseMonth + 12 * (k + 1)) -
+          Math.max(yearStart, purchaseMonth + 12 * k);
+        return overlap > 0 ? acc + (row[field] || 0) * (overlap / 12) : acc;
+      }, 0);
+      const atYearEnd = (field) => {
+        const held = Math.max(0, (yearStart + 12 - purchaseMonth) / 12);
+        const k = Math.floor(held);
+        const from = k === 0 ? startOf[field] : rows[k - 1]?.[field] ?? 0;
+        const to = rows[k]?.[field] ?? from;
+        return from + (to - from) * (held - k);
+      };
+      return {
+        propertyValue: atYearEnd('propertyValue'),
+        loanBalance: atYearEnd('loanBalance'),
+        noi: flow('noi'),
+        debtService: flow('debtService'),
+        cashFlow: flow('cashFlow'),
+        postTaxCashFlow: flow('postTaxCashFlow')
+      };
+    }));
+
+    return {
+      id: holding.id,
+      name: holding.name,
+      city: holding.city || 'Unknown',
+      propertyType: holding.propertyType || 'Unknown',
+      yearsOwned,
+      value,
+      loanBalance,
+      equity: value - loanBalance,
+      noi,
+      annualDebtService,
+      monthlyCashFlow: (thisYear.cashFlow || 0) / 12,
+      capRate: value > 0 ? (noi / value) * 100 : 0,
+      ltv: value > 0 ? (loanBalance / value) * 100 : 0,
+      dscr: annualDebtService > 0 ? noi / annualDebtService : null
+    };
+  });
+
+  const sum = (field) => properties.reduce((total, p) => total + p[field], 0);
+  const value = sum('value');
+  const debt = sum('loanBalance');
+  const noi = sum('noi');
+  const annualDebtService = sum('annualDebtService');
+
+  const concentrationBy = (field) => {
+    const groups = {};
+    for (const p of properties) {
+      const group = groups[p[field]] || (groups[p[field]] = { label: p[field], count: 0, value: 0 });
+      group.count += 1;
+      group.value += p.value;
+    }
+    return Object.values(groups)
+      .map(group => ({ ...group, share: value > 0 ? (group.value / value) * 100 : 0 }))
+      .sort((a, b) => b.value - a.value);
+  };
+
+  const projection = Array.from({ length: properties.length > 0 ? years : 0 }, (_, i) => {
+    const rows = upcoming.map(propertyRows => propertyRows[i]);
+    const total = (field) => rows.reduce((acc, row) => acc + (row[field] || 0), 0);
+    const propertyValue = total('propertyValue');
+    const loanBalance = total('loanBalance');
+    return {
+      year: i + 1,
+      calendarYear: currentYear + i,
+      propertyValue,
+      loanBalance,
+      totalEquity: propertyValue - loanBalance,
+      noi: total('noi'),
+      debtService: total('debtService'),
+      cashFlow: total('cashFlow'),
+      postTaxCashFlow: total('postTaxCashFlow')
+    };
+  });
+
+  return {
+    properties,
+    totals: {
+      count: properties.length,
+      value,
+      debt,
+      equity: value - debt,
+      noi,
+      annualDebtService,
+      monthlyCashFlow: sum('monthlyCashFlow'),
+      capRate: value > 0 ? (noi / value) * 100 : 0,
+      ltv: value > 0 ? (debt / value) * 100 : 0,
+      dscr: annualDebtService > 0 ? noi / annualDebtService : null
+    },
+    concentration: {
+      byCity: concentrationBy('city'),
+      byType: concentrationBy('propertyType')
+    },
+    projection
+  };
+}
+
+// =============================================================================
+// ACTUALS VS PROJECTION
+// =============================================================================
+
+/**
+ * Monthly ledger categories in display order
+ *
+ * Each category maps to projection fields so logged actuals can be compared
+ * with calculateBuyHoldProjections. `type` decides which direction is a
+ * bad variance: income below budget, or losses and expenses above it.
+ *
+ * @constant {Array<Object>}
+ */
+export const LEDGER_CATEGORIES = [
+  { key: 'rentCollected', label: 'Rent Collected', type: 'income' },
+  { key: 'vacancyLoss', label: 'Vacancy & Credit Loss', type: 'loss' },
+  { key: 'repairs', label: 'Repairs & Maintenance', type: 'expense' },
+  { key: 'capex', label: 'Capital Expenditures', type: 'expense' },
+  { key: 'operatingExpenses', label: 'Taxes, Insurance & Management', type: 'expense' },
+  { key: 'mortgagePayment', label: 'Mortgage Payments', type: 'expense' }
+];
+
+/**
+ * Monthly budget for each ledger category from one projection year
+ *
+ * @private
+ * @param {Object} row - calculateBuyHoldProjections row
+ * @returns {Object} Budget keyed by ledger category
+ */
+function monthlyBudget(row = {}) {
+  const repairs = row.maintenance || 0;
+  const capex = row.capEx || 0;
+  return {
+    rentCollected: (row.operatingIncome || 0) / 12,
+    vacancyLoss: (row.vacancy || 0) / 12,
+    repairs: repairs / 12,
+    capex: capex / 12,
+    operatingExpenses: ((row.operatingExpenses || 0) - repairs - capex) / 12,
+    mortgagePayment: (row.debtService || 0) / 12
+  };
+}
+
+/**
+ * Flag a variance between an actual and its budget
+ *
+ * Income is flagged when it falls 10% short (high at 25%); losses and
+ * expenses when they run 25% over (high at 2x). Spending against a zero
+ * budget is a warning.
+ *
+ * @private
+ * @param {string} type - Category type ('income', 'loss' or 'expense')
+ * @param {number} actual - Actual amount
+ * @param {number} budget - Budgeted amount
+ * @returns {string|null} 'high', 'warning' or null
+ */
+function varianceFlag(type, actual, budget) {
+  if (type === 'income') {
+    if (budget <= 0) return null;
+    const ratio = actual / budget;
+    return ratio < 0.75 ? 'high' : ratio < 0.9 ? 'warning' : null;
+  }
+  if (budget <= 0) return actual > 0 ? 'warning' : null;
+  const ratio = actual / budget;
+  return ratio >= 2 ? 'high' : ratio >= 1.25 ? 'warning' : null;
+}
+
+/**
+ * Month number (years × 12 + month) of a 'YYYY-MM' string
+ *
+ * @private
+ * @param {string} month - Month 'YYYY-MM'
+ * @returns {number} Month number
+ */
+function monthIndex(month) {
+  const [year, monthOfYear] = String(month).split('-').map(Number);
+  return year * 12 + (monthOfYear || 1) - 1;
+}
+
+/**
+ * Compare a monthly actuals ledger with the projection
+ *
+ * Each logged month is budgeted from the calculateBuyHoldProjections year it
+ * falls in, counted from `startMonth` (the purchase month, or the first
+ * logged month), so rent and expense growth carry through. Budget mapping:
+ * rent collected ↔ operating income after vacancy, repairs ↔ maintenance,
+ * capex ↔ capital expenditures, other operating expenses ↔ taxes,
+ * insurance and management, mortgage ↔ debt service.
+ *
+ * NOI follows the projection: collected rent less repairs, capex and other
+ * operating expenses. Trailing-12-month (T12) figures cover the 12 calendar
+ * months ending at the latest logged month and are annualized when fewer
+ * months are logged. Cap rate is on the purchase price and CoC on the total
+ * cash invested, matching the analysis ratios.
+ *
+ * @function
+ * @param {Object} inputs - Analysis inputs the projection is built from
+ * @param {Array<Object>} entries - Ledger months (see getPropertyLedger)
+ * @param {Object} [options={}] - Comparison options
+ * @param {string} [options.startMonth] - Projection year 1 month 'YYYY-MM' (defaults to the first logged month)
+ * @returns {Object} Actuals vs projection
+ * @returns {Array<Object>} returns.months - Per month: { month, projectionYear, actual, budget, flags, noi, budgetNoi, cashFlow, budgetCashFlow }
+ * @returns {Array<Object>} returns.variances - T12 per category: { key, label, type, actual, budget, variance, ratio, flag }
+ * @returns {Array<Object>} returns.alerts - Flagged categories: { key, level, message }
+ * @returns {Object|null} returns.t12 - { months, from, to, annualized, income, expenses, noi, debtService, cashFlow, capRate, cashOnCash, projected: { noi, cashFlow, capRate, cashOnCash } }
+ *
+ * @example
+ * const actuals = compareActualsToProjection(inputs, ledger, { startMonth: '2023-06' });
+ * console.log(actuals.t12.noi, actuals.alerts[0]?.message); // "Repairs & Maintenance running 2.1x budget"
+ */
+export function compareActualsToProjection(inputs, entries = [], { startMonth } = {}) {
+  const sorted = [...entries].filter(entry => entry?.month).sort((a, b) => a.month.localeCompare(b.month));
+  if (sorted.length === 0) {
+    return { months: [], variances: [], alerts: [], t12: null };
   }
 
+  const start = monthIndex(startMonth || sorted[0].month);
+  const projectionYearOf = (month) => Math.max(0, Math.floor((monthIndex(month) - start) / 12));
+  const analysis = new BuyRentHoldCalculator({}, inputs).getCompleteAnalysis();
+  const projections = calculateBuyHoldProjections(
+    inputs,
+    analysis,
+    projectionYearOf(sorted[sorted.length - 1].month) + 1
+  );
+
+  const noiOf = (amounts) => amounts.rentCollected - amounts.repairs - amounts.capex - amounts.operatingExpenses;
+
+  const months = sorted.map(entry => {
+    const projectionYear = projectionYearOf(entry.month) + 1;
+    const budget = monthlyBudget(projections[projectionYear - 1]);
+    const actual = {};
+    const flags = {};
+    for (const { key, type } of LEDGER_CATEGORIES) {
+      actual[key] = Number(entry[key]) || 0;
+      flags[key] = varianceFlag(type, actual[key], budget[key]);
+    }
+    const noi = noiOf(actual);
+    const budgetNoi = noiOf(budget);
+    return {
+      month: entry.month,
+      projectionYear,
+      actual,
+      budget,
+      flags,
+      noi,
+      budgetNoi,
+      cashFlow: noi - actual.mortgagePayment,
+      budgetCashFlow: budgetNoi - budget.mortgagePayment
+    };
+  });
+
+  const to = months[months.length - 1].month;
+  const trailing = months.filter(m => monthIndex(to) - monthIndex(m.month) < 12);
+  const annualize = 12 / trailing.length;
+  const trailingTotal = (source, key) => trailing.reduce((sum, m) => sum + m[source][key], 0);
+
+  const variances = LEDGER_CATEGORIES.map(({ key, label, type }) => {
+    const actual = trailingTotal('actual', key);
+    const budget = trailingTotal('budget', key);
+    return {
+      key,
+      label,
+      type,
+      actual,
+      budget,
+      variance: actual - budget,
+      ratio: budget > 0 ? actual / budget : null,
+      flag: varianceFlag(type, actual, budget)
+    };
+  });
+
+  const alerts = variances
+    .filter(v => v.flag)
+    .map(v => ({
+      key: v.key,
+      level: v.flag,
+      message: v.ratio === null
+        ? `${v.label}: $${Math.round(v.actual).toLocaleString()} spent with no budget`
+        : v.type === 'income'
+          ? `${v.label} at ${Math.round(v.ratio * 100)}% of projection`
+          : `${v.label} running ${v.ratio.toFixed(1)}x budget`
+    }));
+
+  const purchasePrice = analysis.purchase?.offerPrice || inputs.offerPrice || 0;
+  const cashInvested = analysis.cashRequirements?.totalCashRequired || 0;
+  const t12Figures = (source) => {
+    const noi = noiOf(Object.fromEntries(LEDGER_CATEGORIES.map(({ key }) => [key, trailingTotal(source, key)]))) * annualize;
+    const cashFlow = noi - trailingTotal(source, 'mortgagePayment') * annualize;
+    return {
+      noi,
+      cashFlow,
+      capRate: purchasePrice > 0 ? (noi / purchasePrice) * 100 : 0,
+      cashOnCash: cashInvested > 0 ? (cashFlow / cashInvested) * 100 : 0
+    };
+  };
+  const actualT12 = t12Figures('actual');
+
   return {
-    score,
-    badge,
-    color,
-    description,
-    breakdown,
-    monthlyCashFlow: Math.round(monthlyCashFlow),
-    annualCashFlow: Math.round(annualCashFlow),
-    capRate: Math.round(capRate * 100) / 100,
-    cashOnCashROI: Math.round(cashOnCashROI * 100) / 100,
-    dcr: Math.round(dcr * 100) / 100,
-    noi: Math.round(noi),
-    totalCashRequired: Math.round(totalCashRequired)
+    months,
+    variances,
+    alerts,
+    t12: {
+      months: trailing.length,
+      from: trailing[0].month,
+      to,
+      annualized: trailing.length < 12,
+      income: trailingTotal('actual', 'rentCollected') * annualize,
+      expenses: (trailingTotal('actual', 'repairs') + trailingTotal('actual', 'capex') +
+        trailingTotal('actual', 'operatingExpenses')) * annualize,
+      debtService: trailingTotal('actual', 'mortgagePayment') * annualize,
+      ...actualT12,
+      projected: t12Figures('budget')
+    }
   };
 }
 
@@ -1272,6 +5951,10 @@ export function calculateDynamicScore(metrics, config = DEFAULT_SCORING_CONFIG)
  * @property {number} ltv - Loan-to-value ratio percentage (80% = 20% down)
  * @property {number} interestRate - Annual mortgage interest rate (7.0%)
  * @property {number} amortization - Loan term in years (30)
+ * @property {number} fhaLTV - FHA loan-to-value percentage (96.5% = 3.5% down)
+ * @property {number} fhaUpfrontMIP - FHA upfront MIP, financed into the loan (1.75%)
+ * @property {number} fhaAnnualMIP - FHA annual MIP as percentage of the balance (0.55%)
+ * @property {number} ownerOccupancyYears - Years a house hacker lives in the property (1)
  * @property {number} vacancyRate - Expected vacancy percentage (5%)
  * @property {number} managementRate - Property management fee percentage (8%)
  * @property {number} repairsPercent - Repairs as percentage of rent (5%)
@@ -1279,6 +5962,30 @@ export function calculateDynamicScore(metrics, config = DEFAULT_SCORING_CONFIG)
  * @property {number} appreciationRate - Annual appreciation percentage (3%)
  * @property {number} incomeGrowthRate - Annual rent growth percentage (2%)
  * @property {number} expenseGrowthRate - Annual expense inflation percentage (2%)
+ * @property {number} discountRate - NPV discount rate percentage (8%)
+ * @property {number} financeRate - MIRR finance rate percentage (7%)
+ * @property {number} reinvestmentRate - MIRR reinvestment rate percentage (5%)
+ * @property {number} redeployReturn - After-tax return on equity redeployed after a sale percentage (8%)
+ * @property {number} simulationRuns - Monte Carlo runs (1000)
+ * @property {number} appreciationStdDev - Appreciation standard deviation, percentage points (3)
+ * @property {number} incomeGrowthStdDev - Rent growth standard deviation, percentage points (1.5)
+ * @property {number} expenseGrowthStdDev - Expense growth standard deviation, percentage points (1)
+ * @property {number} vacancyStdDev - Vacancy standard deviation, percentage points (3)
+ * @property {number} lenderMaxLTV - Commercial / DSCR lender maximum LTV percentage (75%)
+ * @property {number} lenderMinDSCR - Commercial / DSCR lender minimum debt service coverage (1.25)
+ * @property {number} lenderMinDebtYield - Commercial / DSCR lender minimum debt yield percentage (8%)
+ * @property {number} refiLTV - BRRRR cash-out refinance LTV percentage (75%)
+ * @property {number} refiSeasoningMonths - Months held before refinancing (6)
+ * @property {number} federalTaxRate - Marginal federal income tax rate (24%)
+ * @property {number} stateTaxRate - Marginal state income tax rate (5%)
+ * @property {number} capitalGainsRate - Long-term capital gains rate (15%)
+ * @property {number} recaptureRate - Unrecaptured §1250 gain rate cap (25%)
+ * @property {number} landValuePercent - Non-depreciable land share of price (20%)
+ * @property {number} depreciationYears - Residential recovery period (27.5)
+ * @property {number} modifiedAGI - Modified AGI for the passive loss phase-out ($100,000)
+ * @property {number} costSeg5YearPercent - Cost segregation 5-year share of building basis (15%)
+ * @property {number} costSeg15YearPercent - Cost segregation 15-year share of building basis (8%)
+ * @property {number} bonusDepreciationPercent - Bonus depreciation on 5/7/15-year property (100%)
  * 
  * @example
  * const inputs = {
@@ -1298,6 +6005,12 @@ export const DEFAULTS = {
   amortization: 30,
   firstMtgAmortization: 30,
   downPaymentPercent: 20,
+
+  // FHA / house hacking
+  fhaLTV: 96.5,
+  fhaUpfrontMIP: 1.75,
+  fhaAnnualMIP: 0.55,
+  ownerOccupancyYears: 1,
   
   // Closing costs
   purchaseCostsPercent: 3.0,
@@ -1319,7 +6032,44 @@ export const DEFAULTS = {
   incomeGrowthRate: 2.0,
   expenseGrowthRate: 2.0,
   sellingCosts: 6.0,
-  holdingPeriod: 5
+  holdingPeriod: 5,
+  discountRate: 8.0,
+  financeRate: 7.0,
+  reinvestmentRate: 5.0,
+  redeployReturn: 8.0,
+
+  // Monte Carlo (standard deviations in percentage points)
+  simulationRuns: 1000,
+  appreciationStdDev: 3.0,
+  incomeGrowthStdDev: 1.5,
+  expenseGrowthStdDev: 1.0,
+  vacancyStdDev: 3.0,
+
+  // Commercial / DSCR lender sizing
+  lenderMaxLTV: 75,
+  lenderMinDSCR: 1.25,
+  lenderMinDebtYield: 8,
+
+  // BRRRR refinance
+  refiLTV: 75,
+  refiAmortization: 30,
+  refiClosingCostsPercent: 2.0,
+  refiSeasoningMonths: 6,
+
+  // Taxes (US)
+  federalTaxRate: 24,
+  stateTaxRate: 5,
+  capitalGainsRate: 15,
+  recaptureRate: 25,
+  landValuePercent: 20,
+  depreciationYears: 27.5,
+  modifiedAGI: 100000,
+
+  // Cost segregation (% of building basis)
+  costSeg5YearPercent: 15,
+  costSeg7YearPercent: 0,
+  costSeg15YearPercent: 8,
+  bonusDepreciationPercent: 100
 };
 
 /**
@@ -1337,6 +6087,53 @@ export const DEFAULTS = {
  * @property {Function} detectMultiFamily - Multi-family detection
  * @property {Function} estimateRent - Rent estimation function
  * @property {Function} mergeScoringConfig - Config merging utility
+ * @property {Function} summarizeUnitMix - Unit mix totals, loss-to-lease and rent per sq ft
+ * @property {Function} getRentLiftFactor - Value-add rent lift for a projection year
+ * @property {Function} getRenovationRents - Renovation rent lift and downtime for a projection year
+ * @property {Array} PMI_RATE_BANDS - Conventional PMI rates by LTV band
+ * @property {Function} sizeLoan - Max loan for lender LTV, DSCR and debt yield limits
+ * @property {Object} DEFAULT_WATERFALL - Default LP/GP partnership terms
+ * @property {Function} calculateEquityWaterfall - LP/GP split of projected cash flows and sale proceeds
+ * @property {Array} FINANCING_STRUCTURES - First mortgage deal structures (new loan, subject-to, wrap)
+ * @property {Function} getPMIRate - PMI rate for a loan-to-value ratio
+ * @property {Object} DEFAULT_STR_INPUTS - Default short-term rental assumptions
+ * @property {Function} createShortTermRentalInputs - Seed STR inputs from the long-term rent
+ * @property {Function} calculateShortTermRental - STR revenue, occupancy and operating costs
+ * @property {Function} calculateIRR - Internal rate of return solver
+ * @property {Function} calculateNPV - Net present value
+ * @property {Function} calculateMIRR - Modified internal rate of return
+ * @property {Function} calculateBuyHoldProjections - Multi-year buy & hold projections
+ * @property {Function} summarizeAnalysis - Saved-property analysis summary
+ * @property {Array} SCENARIO_COMPARISON_SECTIONS - Figures compared across scenarios
+ * @property {Function} compareScenarios - Side-by-side scenario comparison
+ * @property {Array} PROPERTY_COMPARISON_SECTIONS - Figures compared across saved properties
+ * @property {Function} compareProperties - Side-by-side saved property comparison
+ * @property {Function} getSensitivityBaseValue - Current value of a sensitivity input
+ * @property {Function} calculateSensitivityTable - Two-way sensitivity table
+ * @property {Function} calculateTornado - Tornado chart data ranked by outcome swing
+ * @property {Array} SENSITIVITY_INPUTS - Inputs available for sensitivity analysis
+ * @property {Array} SENSITIVITY_METRICS - Outcome metrics for sensitivity analysis
+ * @property {Function} goalSeek - Solve one input for a target output
+ * @property {Function} solvePurchaseCriteria - Offer, rent and down payment that pass each criterion
+ * @property {Function} createRandom - Seedable random number generator
+ * @property {Function} simulateBuyHold - Monte Carlo buy & hold simulation
+ * @property {Function} generateAmortizationSchedule - Monthly amortization schedule
+ * @property {Function} amortizationScheduleToCSV - Amortization schedule CSV export
+ * @property {Function} calculateFixAndFlip - Fix & flip project analysis
+ * @property {Function} calculateDepreciableBasis - Depreciable basis with land split
+ * @property {Function} calculateDepreciation - Straight-line mid-month depreciation
+ * @property {Function} calculateDepreciationSchedule - Cost segregation and bonus depreciation schedule
+ * @property {Function} calculateIncomeTax - Rental income tax with passive loss rules
+ * @property {Function} calculateSaleTax - Recapture and capital gains tax on sale
+ * @property {Function} calculateHoldingPosition - Adjusted basis and loan balance after years held
+ * @property {Function} calculate1031Exchange - 1031 exchange boot, deferred gain and deadlines
+ * @property {Function} calculateHoldSellRefinance - Hold vs cash-out refinance vs sell comparison
+ * @property {Function} getSavedPropertyInputs - Calculation inputs for a saved property (listing fallback)
+ * @property {Function} getOwnedPropertyInputs - Apply actual purchase data to saved inputs
+ * @property {Function} calculatePortfolio - Owned-property totals, concentration and combined projection
+ * @property {Array} LEDGER_CATEGORIES - Monthly actuals ledger categories
+ * @property {Function} compareActualsToProjection - Ledger variances vs projection and T12 returns
+ * @property {Array} DEFAULT_REHAB_ITEMS - Default itemized rehab categories
  * @property {Object} DEFAULT_SCORING_CONFIG - Default scoring configuration
  * @property {Object} SCORING_PRESETS - Preset scoring configurations
  * @property {Object} DEFAULTS - Default calculation values
@@ -1350,6 +6147,53 @@ export default {
   detectMultiFamily,
   estimateRent,
   mergeScoringConfig,
+  summarizeUnitMix,
+  getRentLiftFactor,
+  getRenovationRents,
+  PMI_RATE_BANDS,
+  getPMIRate,
+  sizeLoan,
+  DEFAULT_WATERFALL,
+  calculateEquityWaterfall,
+  FINANCING_STRUCTURES,
+  DEFAULT_STR_INPUTS,
+  createShortTermRentalInputs,
+  calculateShortTermRental,
+  calculateIRR,
+  calculateNPV,
+  calculateMIRR,
+  calculateBuyHoldProjections,
+  summarizeAnalysis,
+  SCENARIO_COMPARISON_SECTIONS,
+  compareScenarios,
+  PROPERTY_COMPARISON_SECTIONS,
+  compareProperties,
+  getSensitivityBaseValue,
+  calculateSensitivityTable,
+  calculateTornado,
+  SENSITIVITY_INPUTS,
+  SENSITIVITY_METRICS,
+  goalSeek,
+  solvePurchaseCriteria,
+  createRandom,
+  simulateBuyHold,
+  generateAmortizationSchedule,
+  amortizationScheduleToCSV,
+  calculateFixAndFlip,
+  calculateDepreciableBasis,
+  calculateDepreciation,
+  calculateDepreciationSchedule,
+  calculateIncomeTax,
+  calculateSaleTax,
+  calculateHoldingPosition,
+  calculate1031Exchange,
+  calculateHoldSellRefinance,
+  getSavedPropertyInputs,
+  getOwnedPropertyInputs,
+  calculatePortfolio,
+  LEDGER_CATEGORIES,
+  compareActualsToProjection,
+  DEFAULT_REHAB_ITEMS,
   DEFAULT_SCORING_CONFIG,
   SCORING_PRESETS,
   DEFAULTS
@@ -0,0 +1,444 @@
+/**
+ * Rent Roll Import
+ * ================
+ * Parses broker rent rolls (CSV or XLSX) into unit rows and summarizes them
+ * for the calculator: unit count, gross rents and loss-to-lease.
+ * Location: src/utils/rentRoll.js
+ *
+ * XLSX files are read with the browser's own DecompressionStream and
+ * DOMParser (first worksheet only), so no spreadsheet library is needed.
+ * Legacy binary .xls files are not supported; save them as .xlsx or CSV.
+ */
+
+// =============================================================================
+// COLUMN MAPPING
+// =============================================================================
+
+/**
+ * Header spellings recognized for each rent roll field
+ *
+ * Headers are matched after lowercasing and collapsing punctuation to
+ * spaces, so "Unit #", "Sq. Ft." and "Lease-End" all match.
+ *
+ * @constant {Object<string, Array<string>>}
+ */
+export const RENT_ROLL_COLUMNS = {
+  unit: ['unit', 'unit no', 'unit number', 'unit id', 'apt', 'apartment', 'suite'],
+  beds: ['beds', 'bed', 'bedrooms', 'br', 'bd'],
+  baths: ['baths', 'bath', 'bathrooms', 'ba'],
+  sqft: ['sqft', 'sq ft', 'square feet', 'sf', 'size', 'area'],
+  currentRent: ['current rent', 'rent', 'in place rent', 'actual rent', 'contract rent', 'lease rent', 'monthly rent'],
+  leaseEnd: ['lease end', 'lease end date', 'lease expiration', 'lease exp', 'expiration', 'lease to', 'move out'],
+  marketRent: ['market rent', 'market', 'asking rent', 'pro forma rent', 'proforma rent']
+};
+
+/**
+ * Normalize a header cell for alias matching
+ *
+ * @private
+ * @param {*} value - Header cell
+ * @returns {string} Lowercase header with punctuation collapsed to spaces
+ */
+function normalizeHeader(value) {
+  return String(value ?? '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Map header cells to rent roll fields
+ *
+ * @private
+ * @param {Array<*>} headerRow - Header cells
+ * @returns {Object<string, number>} Column index by field
+ */
+function mapColumns(headerRow) {
+  const columns = {};
+  headerRow.forEach((cell, index) => {
+    const header = normalizeHeader(cell);
+    for (const [field, aliases] of Object.entries(RENT_ROLL_COLUMNS)) {
+      if (columns[field] === undefined && aliases.includes(header)) {
+        columns[field] = index;
+      }
+    }
+  });
+  return columns;
+}
+
+/**
+ * Parse a money or number cell ("$1,250.00", "(50)", 1250)
+ *
+ * @private
+ * @param {*} value - Cell value
+ * @returns {number} Parsed number, 0 when blank or not numeric
+ */
+function parseNumber(value) {
+  if (typeof value === 'number') return value;
+  const text = String(value ?? '').trim();
+  const negative = /^\(.*\)$/.test(text) || text.startsWith('-');
+  const number = parseFloat(text.replace(/[^0-9.]/g, ''));
+  if (isNaN(number)) return 0;
+  return negative ? -number : number;
+}
+
+/**
+ * Parse a lease end cell into 'YYYY-MM-DD'
+ *
+ * Accepts Excel date serials, ISO dates and US 'M/D/YYYY' dates. Anything
+ * else (e.g. "MTM") is kept as written.
+ *
+ * @private
+ * @param {*} value - Cell value
+ * @returns {string} Date 'YYYY-MM-DD', the original text, or ''
+ */
+function parseLeaseEnd(value) {
+  if (value === null || value === undefined || value === '') return '';
+  const serial = typeof value === 'number' ? value : /^\d{5}(\.\d+)?$/.test(String(value).trim()) ? Number(value) : null;
+  if (serial !== null) {
+    // Excel serial dates count days from 1899-12-30
+    return new Date(Date.UTC(1899, 11, 30) + Math.round(serial) * 86400000).toISOString().slice(0, 10);
+  }
+  const text = String(value).trim();
+  const iso = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (iso) return `${iso[1]}-${iso[2].padStart(2, '0')}-${iso[3].padStart(2, '0')}`;
+  const us = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})$/);
+  if (us) {
+    const year = us[3].length === 2 ? `20${us[3]}` : us[3];
+    return `${year}-${us[1].padStart(2, '0')}-${us[2].padStart(2, '0')}`;
+  }
+  return text;
+}
+
+// =============================================================================
+// PARSING
+// =============================================================================
+
+/**
+ * Parse CSV text into rows of cells
+ *
+ * Handles quoted fields, escaped quotes ("") and CRLF line endings.
+ *
+ * @function
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows of cells
+ *
+ * @example
+ * parseCSV('Unit,Rent\n"1A","$1,200"'); // [['Unit', 'Rent'], ['1A', '$1,200']]
+ */
+export function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(c => String(c).trim() !== ''));
+}
+
+/**
+ * Convert spreadsheet rows into rent roll units
+ *
+ * Finds the header row within the first 20 rows (broker rent rolls often
+ * start with a title block), maps its columns and reads one unit per row.
+ * Rows without a unit label and rent, and summary rows such as "Total",
+ * are skipped. A unit is vacant when its current rent is 0 or reads
+ * "vacant".
+ *
+ * @function
+ * @param {Array<Array<*>>} rows - Spreadsheet rows
+ * @returns {Object} Parsed rent roll
+ * @returns {Array<Object>} returns.units - { unit, beds, baths, sqft, currentRent, marketRent, leaseEnd, vacant }
+ * @returns {Array<string>} returns.columns - Fields found in the header
+ * @returns {number} returns.skipped - Data rows skipped
+ * @throws {Error} If no header row with a unit and rent column is found
+ *
+ * @example
+ * const { units } = parseRentRoll(parseCSV(text));
+ */
+export function parseRentRoll(rows) {
+  const headerIndex = rows.slice(0, 20).findIndex(row => {
+    const columns = mapColumns(row);
+    return columns.unit !== undefined && (columns.currentRent !== undefined || columns.marketRent !== undefined);
+  });
+  if (headerIndex === -1) {
+    throw new Error('No header row found. The rent roll needs a Unit column and a Rent or Market Rent column.');
+  }
+
+  const columns = mapColumns(rows[headerIndex]);
+  const cellOf = (row, field) => (columns[field] === undefined ? '' : row[columns[field]]);
+  const units = [];
+  let skipped = 0;
+
+  for (const row of rows.slice(headerIndex + 1)) {
+    const unit = String(cellOf(row, 'unit') ?? '').trim();
+    const rentCell = cellOf(row, 'currentRent');
+    const currentRent = parseNumber(rentCell);
+    const marketRent = parseNumber(cellOf(row, 'marketRent'));
+
+    if (!unit || /total|summary|average/i.test(unit) || (currentRent <= 0 && marketRent <= 0 && !/vacant/i.test(rentCell))) {
+      skipped++;
+      continue;
+    }
+
+    units.push({
+      unit,
+      beds: parseNumber(cellOf(row, 'beds')),
+      baths: parseNumber(cellOf(row, 'baths')),
+      sqft: parseNumber(cellOf(row, 'sqft')),
+      currentRent: Math.max(0, currentRent),
+      marketRent: Math.max(0, marketRent),
+      leaseEnd: parseLeaseEnd(cellOf(row, 'leaseEnd')),
+      vacant: currentRent <= 0 || /vacant/i.test(String(rentCell))
+    });
+  }
+
+  return { units, columns: Object.keys(columns), skipped };
+}
+
+// =============================================================================
+// XLSX
+// =============================================================================
+
+/**
+ * Read the files in a ZIP archive
+ *
+ * Walks the central directory and inflates stored and deflated entries with
+ * DecompressionStream('deflate-raw').
+ *
+ * @private
+ * @async
+ * @param {ArrayBuffer} buffer - ZIP archive
+ * @returns {Promise<Object<string, string>>} File text by path
+ * @throws {Error} If the archive is not a ZIP file
+ */
+async function readZipText(buffer) {
+  const view = new DataView(buffer);
+  let end = buffer.byteLength - 22;
+  while (end >= 0 && view.getUint32(end, true) !== 0x06054b50) end--;
+  if (end < 0) throw new Error('Not a valid .xlsx file');
+
+  const entryCount = view.getUint16(end + 10, true);
+  let offset = view.getUint32(end + 16, true);
+  const decoder = new TextDecoder();
+  const files = {};
+
+  for (let i = 0; i < entryCount; i++) {
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (!name.endsWith('.xml') && !name.endsWith('.rels')) continue;
+
+    const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    const data = new Uint8Array(buffer, dataStart, compressedSize);
+    files[name] = method === 0
+      ? decoder.decode(data)
+      : await new Response(new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'))).text();
+  }
+
+  return files;
+}
+
+/**
+ * Elements with a local name, ignoring namespace prefixes
+ *
+ * @private
+ * @param {Element|Document} node - Parent node
+ * @param {string} name - Local element name
+ * @returns {Array<Element>} Matching elements
+ */
+function elements(node, name) {
+  return Array.from(node.getElementsByTagNameNS('*', name));
+}
+
+/**
+ * Read the first worksheet of an XLSX workbook as rows of cells
+ *
+ * @private
+ * @async
+ * @param {ArrayBuffer} buffer - XLSX file contents
+ * @returns {Promise<Array<Array<*>>>} Rows of cell values (numbers stay numbers)
+ * @throws {Error} If the workbook has no worksheet
+ */
+async function readXlsxRows(buffer) {
+  const files = await readZipText(buffer);
+  const parse = (path) => new DOMParser().parseFromString(files[path], 'application/xml');
+
+  // First sheet in workbook order, resolved through the workbook relationships
+  let sheetPath = Object.keys(files).filter(path => /^xl\/worksheets\/sheet\d+\.xml$/.test(path)).sort()[0];
+  if (files['xl/workbook.xml'] && files['xl/_rels/workbook.xml.rels']) {
+    const firstSheet = elements(parse('xl/workbook.xml'), 'sheet')[0];
+    const relId = firstSheet?.getAttribute('r:id');
+    const rel = elements(parse('xl/_rels/workbook.xml.rels'), 'Relationship').find(r => r.getAttribute('Id') === relId);
+    const target = rel?.getAttribute('Target')?.replace(/^\/?(xl\/)?/, 'xl/');
+    if (target && files[target]) sheetPath = target;
+  }
+  if (!sheetPath) throw new Error('The workbook has no worksheet');
+
+  const sharedStrings = files['xl/sharedStrings.xml']
+    ? elements(parse('xl/sharedStrings.xml'), 'si').map(si => elements(si, 't').map(t => t.textContent).join(''))
+    : [];
+
+  const columnIndex = (ref) => {
+    const letters = (ref || '').replace(/\d+$/, '');
+    return letters.split('').reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+  };
+
+  return elements(parse(sheetPath), 'row').map(rowNode => {
+    const row = [];
+    elements(rowNode, 'c').forEach((cell, position) => {
+      const type = cell.getAttribute('t');
+      const raw = elements(cell, 'v')[0]?.textContent ?? '';
+      const value = type === 's'
+        ? sharedStrings[Number(raw)] ?? ''
+        : type === 'inlineStr'
+          ? elements(cell, 't').map(t => t.textContent).join('')
+          : type === 'str' || type === 'b' || raw === ''
+            ? raw
+            : Number(raw);
+      const index = cell.getAttribute('r') ? columnIndex(cell.getAttribute('r')) : position;
+      row[index] = value;
+    });
+    return Array.from(row, cell => cell ?? '');
+  }).filter(row => row.some(cell => String(cell).trim() !== ''));
+}
+
+/**
+ * Read a rent roll file picked by the user
+ *
+ * @async
+ * @function
+ * @param {File} file - CSV or XLSX file
+ * @returns {Promise<Object>} Parsed rent roll (see parseRentRoll) plus `fileName`
+ * @throws {Error} If the file type is unsupported or no rent roll is found
+ *
+ * @example
+ * const rentRoll = await readRentRollFile(event.target.files[0]);
+ * console.log(rentRoll.units.length);
+ */
+export async function readRentRollFile(file) {
+  const name = file.name.toLowerCase();
+  let rows;
+  if (name.endsWith('.csv') || name.endsWith('.txt')) {
+    rows = parseCSV(await file.text());
+  } else if (name.endsWith('.xlsx')) {
+    rows = await readXlsxRows(await file.arrayBuffer());
+  } else {
+    throw new Error('Unsupported file type. Upload a .csv or .xlsx rent roll.');
+  }
+
+  const rentRoll = parseRentRoll(rows);
+  if (rentRoll.units.length === 0) {
+    throw new Error('No units found in the rent roll.');
+  }
+  return { fileName: file.name, ...rentRoll };
+}
+
+// =============================================================================
+// SUMMARY
+// =============================================================================
+
+/**
+ * Summarize a rent roll for the calculator
+ *
+ * Gross rents are the annual in-place rent of occupied units plus market
+ * rent for vacant units (gross potential rent); vacancy is applied
+ * separately by the calculator's vacancy rate. Loss-to-lease is market rent
+ * minus in-place rent over occupied units that have a market rent.
+ *
+ * @function
+ * @param {Array<Object>} units - Rent roll units (see parseRentRoll)
+ * @param {Object} [options={}] - Summary options
+ * @param {string|Date} [options.today] - Date for lease expirations (defaults to now)
+ * @returns {Object} Rent roll summary
+ * @returns {number} returns.unitCount - Units on the rent roll
+ * @returns {number} returns.occupied - Occupied units
+ * @returns {number} returns.vacant - Vacant units
+ * @returns {number} returns.occupancy - Physical occupancy percentage
+ * @returns {number} returns.inPlaceMonthly - Monthly rent of occupied units
+ * @returns {number} returns.marketMonthly - Monthly market rent of all units (in-place when no market rent)
+ * @returns {number} returns.lossToLeaseMonthly - Monthly market minus in-place rent
+ * @returns {number} returns.lossToLeaseAnnual - Annual loss-to-lease
+ * @returns {number} returns.lossToLeasePercent - Loss-to-lease as a percentage of market rent
+ * @returns {number} returns.grossRents - Annual gross potential rent for the calculator
+ * @returns {number} returns.averageRent - Average in-place rent per occupied unit
+ * @returns {number} returns.totalSqft - Total rentable square feet
+ * @returns {number} returns.expiringWithin12Months - Occupied units with a lease ending in the next 12 months
+ *
+ * @example
+ * const summary = summarizeRentRoll(rentRoll.units);
+ * handleInputChange('grossRents', summary.grossRents);
+ */
+export function summarizeRentRoll(units = [], { today = new Date() } = {}) {
+  const occupied = units.filter(u => !u.vacant);
+  const sum = (list, field) => list.reduce((total, u) => total + (u[field] || 0), 0);
+
+  const inPlaceMonthly = sum(occupied, 'currentRent');
+  const marketMonthly = units.reduce((total, u) => total + (u.marketRent || u.currentRent || 0), 0);
+  const benchmarked = occupied.filter(u => u.marketRent > 0);
+  const lossToLeaseMonthly = benchmarked.reduce((total, u) => total + u.marketRent - u.currentRent, 0);
+  const benchmarkMarket = sum(benchmarked, 'marketRent');
+  const vacantMarket = units.filter(u => u.vacant).reduce((total, u) => total + (u.marketRent || 0), 0);
+
+  const start = new Date(today).toISOString().slice(0, 10);
+  const horizon = new Date(today);
+  horizon.setFullYear(horizon.getFullYear() + 1);
+  const end = horizon.toISOString().slice(0, 10);
+
+  return {
+    unitCount: units.length,
+    occupied: occupied.length,
+    vacant: units.length - occupied.length,
+    occupancy: units.length > 0 ? (occupied.length / units.length) * 100 : 0,
+    inPlaceMonthly,
+    marketMonthly,
+    lossToLeaseMonthly,
+    lossToLeaseAnnual: lossToLeaseMonthly * 12,
+    lossToLeasePercent: benchmarkMarket > 0 ? (lossToLeaseMonthly / benchmarkMarket) * 100 : 0,
+    grossRents: (inPlaceMonthly + vacantMarket) * 12,
+    averageRent: occupied.length > 0 ? inPlaceMonthly / occupied.length : 0,
+    totalSqft: sum(units, 'sqft'),
+    expiringWithin12Months: occupied.filter(u => /^\d{4}-\d{2}-\d{2}$/.test(u.leaseEnd) && u.leaseEnd >= start && u.leaseEnd < end).length
+  };
+}
+
+export default {
+  RENT_ROLL_COLUMNS,
+  parseCSV,
+  parseRentRoll,
+  readRentRollFile,
+  summarizeRentRoll
+};